@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Database Migration Script
+ * Applies pending schema migrations, or rolls back the latest one with --rollback
+ */
+
+require('dotenv').config();
+const database = require('../src/services/database');
+
+async function main() {
+    const rollback = process.argv.includes('--rollback');
+
+    try {
+        // initialize() applies pending migrations on connect
+        await database.initialize();
+
+        if (rollback) {
+            const name = await database.rollback();
+            console.log(name ? `⏪ Rolled back migration: ${name}` : 'ℹ️  No migrations to roll back');
+        } else {
+            const versions = await database.getAppliedVersions();
+            console.log(`✅ Database schema up to date (${database.dialect}, ${versions.length} migration(s) applied)`);
+        }
+
+        await database.close();
+        process.exit(0);
+
+    } catch (error) {
+        console.error('\n❌ Database migration failed:', error.message);
+        await database.close();
+        process.exit(1);
+    }
+}
+
+// Handle script execution
+if (require.main === module) {
+    main();
+}
@@ -18,6 +18,8 @@ const { notFound } = require('./middleware/notFound');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const apiKeyRoutes = require('./routes/api-keys');
+const webhookRoutes = require('./routes/webhooks');
 const bridgeRoutes = require('./routes/bridge');
 const { authenticated: stakingRoutes, public: publicStakingRoutes } = require('./routes/staking');
 const bitcoinRoutes = require('./routes/bitcoin');
@@ -25,7 +27,10 @@ const starknetRoutes = require('./routes/starknet');
 const operatorRoutes = require('./routes/operators');
 const healthRoutes = require('./routes/health');
 const websocketRoutes = require('./routes/websocket');
+const streamRoutes = require('./routes/stream');
+const { wsManager } = require('./routes/websocket');
 const walletIntegrationRoutes = require('./routes/wallet-integration');
+const reservesRoutes = require('./routes/reserves');
 
 class BridgeAPI {
     constructor() {
@@ -108,15 +113,19 @@ class BridgeAPI {
         this.app.use('/api/staking/config', publicStakingRoutes);
         this.app.use('/api/staking/position', publicStakingRoutes);
         this.app.use('/api/staking/stats', publicStakingRoutes);
+        this.app.use('/api/reserves', reservesRoutes);
 
         // API routes with authentication
         this.app.use('/api/auth', authRoutes);
+        this.app.use('/api/keys', apiKeyRoutes);
+        this.app.use('/api/webhooks', webhookRoutes);
         this.app.use('/api/bridge', bridgeRoutes);
         this.app.use('/api/staking', stakingRoutes);
         this.app.use('/api/bitcoin', bitcoinRoutes);
         this.app.use('/api/starknet', starknetRoutes);
         this.app.use('/api/operators', operatorRoutes);
         this.app.use('/api/wallet', walletIntegrationRoutes);
+        this.app.use('/api/stream', streamRoutes);
 
         // WebSocket upgrade - handle WebSocket connections before other routes
         this.app.use('/ws', (req, res, next) => {
@@ -160,124 +169,10 @@ class BridgeAPI {
     }
 
     initializeWebSocket() {
-        const WebSocket = require('ws');
-        const server = require('http').createServer(this.app);
-
-        this.wss = new WebSocket.Server({
-            server,
-            path: '/ws',
-            verifyClient: (info) => {
-                // Add WebSocket authentication logic here
-                return true;
-            }
-        });
-
-        this.wss.on('connection', (ws, req) => {
-            logger.info(`WebSocket client connected: ${req.socket.remoteAddress}`);
-
-            ws.on('message', (message) => {
-                try {
-                    const data = JSON.parse(message);
-                    this.handleWebSocketMessage(ws, data);
-                } catch (error) {
-                    logger.error('WebSocket message error:', error);
-                    ws.send(JSON.stringify({
-                        type: 'error',
-                        message: 'Invalid message format'
-                    }));
-                }
-            });
-
-            ws.on('close', () => {
-                logger.info('WebSocket client disconnected');
-            });
-
-            ws.on('error', (error) => {
-                logger.error('WebSocket error:', error);
-            });
-
-            // Send welcome message
-            ws.send(JSON.stringify({
-                type: 'welcome',
-                message: 'Connected to VernWallet Bridge WebSocket',
-                timestamp: new Date().toISOString()
-            }));
-        });
-
-        this.server = server;
-    }
-
-    handleWebSocketMessage(ws, data) {
-        switch (data.type) {
-            case 'subscribe':
-                this.handleSubscription(ws, data);
-                break;
-            case 'unsubscribe':
-                this.handleUnsubscription(ws, data);
-                break;
-            case 'ping':
-                ws.send(JSON.stringify({ type: 'pong', timestamp: new Date().toISOString() }));
-                break;
-            default:
-                ws.send(JSON.stringify({
-                    type: 'error',
-                    message: 'Unknown message type'
-                }));
-        }
-    }
-
-    handleSubscription(ws, data) {
-        const { channel } = data;
-
-        // Add client to subscription list
-        if (!this.subscriptions) {
-            this.subscriptions = new Map();
-        }
-
-        if (!this.subscriptions.has(channel)) {
-            this.subscriptions.set(channel, new Set());
-        }
-
-        this.subscriptions.get(channel).add(ws);
-
-        ws.send(JSON.stringify({
-            type: 'subscribed',
-            channel,
-            timestamp: new Date().toISOString()
-        }));
-
-        logger.info(`WebSocket client subscribed to channel: ${channel}`);
-    }
+        this.server = require('http').createServer(this.app);
 
-    handleUnsubscription(ws, data) {
-        const { channel } = data;
-
-        if (this.subscriptions && this.subscriptions.has(channel)) {
-            this.subscriptions.get(channel).delete(ws);
-
-            ws.send(JSON.stringify({
-                type: 'unsubscribed',
-                channel,
-                timestamp: new Date().toISOString()
-            }));
-        }
-    }
-
-    broadcastToChannel(channel, data) {
-        if (this.subscriptions && this.subscriptions.has(channel)) {
-            const message = JSON.stringify({
-                type: 'broadcast',
-                channel,
-                data,
-                timestamp: new Date().toISOString()
-            });
-
-            this.subscriptions.get(channel).forEach(ws => {
-                if (ws.readyState === WebSocket.OPEN) {
-                    ws.send(message);
-                }
-            });
-        }
+        // Authenticated, channel-scoped updates on /ws
+        wsManager.attach(this.server);
     }
 
     async start() {
@@ -290,7 +185,32 @@ class BridgeAPI {
             await require('./services/starknet').initialize();
 
             // Initialize bridge service
-            await require('./services/bridge').initialize();
+            const bridgeService = require('./services/bridge');
+            await bridgeService.initialize();
+
+            // Publish bridge events (deposits, withdrawals, rewards, alerts) to realtime channels
+            require('./services/realtime').start();
+
+            // Index withdrawal signing sessions from Starknet events
+            require('./services/signing-session-indexer').start();
+
+            // Index contract events into per-address transaction history
+            require('./services/starknet-events').start();
+
+            // Relay Bitcoin headers to BitcoinHeaders so SPV proofs can be verified on-chain
+            require('./services/header-relayer').start();
+
+            // Build, co-sign and broadcast Bitcoin payouts for withdrawals that reach quorum
+            require('./services/peg-out').start();
+
+            // Reconcile the custody ledger against the sBTC supply
+            require('./services/custody-ledger').start();
+
+            // Keep cached operator roles in step with registry activation events
+            require('./services/roles').start();
+
+            // Deliver bridge lifecycle events to registered webhooks
+            require('./services/webhooks').start();
 
             // Initialize wallet integration service
             await require('./services/wallet-integration').initialize();
@@ -317,15 +237,27 @@ class BridgeAPI {
 
         try {
             // Close WebSocket connections
-            if (this.wss) {
-                this.wss.close();
-            }
+            wsManager.close();
 
             // Close server
             if (this.server) {
                 this.server.close();
             }
 
+            // Stop claiming jobs; unfinished ones are picked up again when their lease expires
+            require('./services/job-queue').stop();
+
+            // Stop every background loop before the database goes away
+            require('./services/bridge').stop();
+            require('./services/signing-session-indexer').stop();
+            require('./services/starknet-events').stop();
+            require('./services/header-relayer').stop();
+            require('./services/peg-out').stop();
+            require('./services/custody-ledger').stop();
+            require('./services/roles').stop();
+            require('./services/webhooks').stop();
+            require('./services/realtime').stop();
+
             // Close database connections
             await require('./services/database').close();
 
@@ -15,6 +15,7 @@ class VernWalletBridge {
         this.websocket = null;
         this.isConnected = false;
         this.subscriptions = new Set();
+        this.lastEventId = null;
         this.eventListeners = new Map();
 
         this.initialize();
@@ -29,7 +30,11 @@ class VernWalletBridge {
     // WebSocket Connection Management
     connectWebSocket() {
         try {
-            this.websocket = new WebSocket(this.config.websocketUrl);
+            // The server requires a wallet session token from /api/auth/verify
+            const url = this.config.sessionToken
+                ? `${this.config.websocketUrl}?token=${encodeURIComponent(this.config.sessionToken)}`
+                : this.config.websocketUrl;
+            this.websocket = new WebSocket(url);
 
             this.websocket.onopen = () => {
                 this.isConnected = true;
@@ -76,8 +81,16 @@ class VernWalletBridge {
                 console.log('🖖 WebSocket welcome:', message.message);
                 break;
 
-            case 'broadcast':
-                this.emit('broadcast', message);
+            case 'bridge_update':
+            case 'transaction_confirmed':
+            case 'staking_reward':
+            case 'system_alert':
+                this.lastEventId = message.id;
+                this.emit(message.type, message);
+                break;
+
+            case 'resync_required':
+                this.emit('resync', message);
                 break;
 
             case 'subscribed':
@@ -104,9 +117,11 @@ class VernWalletBridge {
 
     subscribe(channel) {
         if (this.isConnected && this.websocket) {
+            // Resume after the last message seen when re-subscribing on reconnect
             this.websocket.send(JSON.stringify({
                 type: 'subscribe',
-                channel: channel
+                channel: channel,
+                lastEventId: this.lastEventId || undefined
             }));
             this.subscriptions.add(channel);
         }
@@ -281,7 +296,7 @@ class VernWalletBridge {
 
     async getDepositStatus(btcTxHash) {
         try {
-            const response = await this.request(`/api/bridge/deposit/${btcTxHash}`);
+            const response = await this.request(`/api/bridge/deposits/${encodeURIComponent(btcTxHash)}`);
             return response.data;
         } catch (error) {
             throw error;
@@ -290,13 +305,34 @@ class VernWalletBridge {
 
     async getWithdrawalStatus(withdrawalId) {
         try {
-            const response = await this.request(`/api/bridge/withdrawal/${withdrawalId}`);
+            const response = await this.request(`/api/bridge/withdrawals/${encodeURIComponent(withdrawalId)}`);
             return response.data;
         } catch (error) {
             throw error;
         }
     }
 
+    // filters: { address, status, from, to, limit, offset }
+    async listDeposits(filters = {}) {
+        const response = await this.request(`/api/bridge/deposits?${this.toQuery(filters)}`);
+        return response.data;
+    }
+
+    async listWithdrawals(filters = {}) {
+        const response = await this.request(`/api/bridge/withdrawals?${this.toQuery(filters)}`);
+        return response.data;
+    }
+
+    toQuery(filters) {
+        const params = new URLSearchParams();
+        for (const [key, value] of Object.entries(filters)) {
+            if (value !== undefined && value !== null && value !== '') {
+                params.set(key, value instanceof Date ? value.toISOString() : value);
+            }
+        }
+        return params.toString();
+    }
+
     async getBridgeStats() {
         try {
             const response = await this.request('/api/bridge/stats');
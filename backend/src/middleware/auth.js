@@ -2,46 +2,85 @@
  * Authentication middleware for bridge API
  */
 
-const jwt = require('jsonwebtoken');
+const authService = require('../services/auth');
+const apiKeyService = require('../services/api-keys');
+const roleService = require('../services/roles');
+const { ROLES } = require('../services/roles');
 const logger = require('../utils/logger');
 
+// Longest delay setTimeout honours; longer ones fire immediately
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
 const authenticate = async (req, res, next) => {
     try {
         // For development, allow requests without authentication
-        // In production, implement proper JWT or wallet signature validation
 
         if (process.env.NODE_ENV === 'development') {
             // Mock user for development
             req.user = {
                 id: 'dev-user-123',
                 address: '0x1234567890abcdef1234567890abcdef12345678',
+                roles: [ROLES.USER],
                 isOperator: false
             };
             return next();
         }
 
-        // Check for API key
+        // Check for an integrator API key
         const apiKey = req.headers['x-api-key'];
-        if (apiKey && apiKey === process.env.BRIDGE_API_KEY) {
+        if (apiKey) {
+            const key = await apiKeyService.authenticateKey(apiKey, req.ip);
+
+            if (!key) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid, expired or revoked API key'
+                });
+            }
+
+            const limit = apiKeyService.consumeRateLimit(key);
+            res.setHeader('X-RateLimit-Limit', limit.limit);
+            res.setHeader('X-RateLimit-Remaining', limit.remaining);
+            res.setHeader('X-RateLimit-Reset', Math.ceil(limit.resetAt / 1000));
+
+            if (!limit.allowed) {
+                res.setHeader('Retry-After', Math.max(1, Math.ceil((limit.resetAt - Date.now()) / 1000)));
+                return res.status(429).json({
+                    success: false,
+                    error: 'API key rate limit exceeded'
+                });
+            }
+
+            // Keys act with their owner's on-chain roles, minus admin roles (those
+            // need a wallet session) and minus operator unless the key has that scope
+            const ownerRoles = await roleService.getRoles(key.ownerAddress);
+            const roles = ownerRoles.filter(role =>
+                role === ROLES.USER || (role === ROLES.OPERATOR && key.scopes.includes('operator'))
+            );
+
             req.user = {
-                id: 'api-user',
-                address: req.headers['x-wallet-address'] || '0x0',
-                isOperator: false
+                id: `key-${key.id}`,
+                address: key.ownerAddress,
+                roles,
+                isOperator: roles.includes(ROLES.OPERATOR),
+                apiKey: key
             };
             return next();
         }
 
-        // Check for wallet signature
-        const walletAddress = req.headers['x-wallet-address'];
-        const signature = req.headers['x-signature'];
+        // Check for a wallet session token issued by /api/auth/verify
+        const authHeader = req.headers.authorization;
+        if (authHeader && authHeader.startsWith('Bearer ')) {
+            const session = authService.verifySessionToken(authHeader.slice(7));
 
-        if (walletAddress && signature) {
-            // TODO: Implement proper wallet signature verification
-            req.user = {
-                id: `wallet-${walletAddress}`,
-                address: walletAddress,
-                isOperator: false
-            };
+            if (!session) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid or expired session'
+                });
+            }
+
+            req.user = await sessionUser(session);
             return next();
         }
 
@@ -59,11 +98,144 @@ const authenticate = async (req, res, next) => {
     }
 };
 
-const requireOperator = (req, res, next) => {
-    if (!req.user || !req.user.isOperator) {
+/**
+ * The request user for a verified wallet session
+ */
+async function sessionUser(session) {
+    const roles = await roleService.getRoles(session.address);
+
+    return {
+        id: `wallet-${session.address}`,
+        address: session.address,
+        chain: session.chain,
+        roles,
+        isOperator: roles.includes(ROLES.OPERATOR),
+        expiresAt: session.expiresAt
+    };
+}
+
+/**
+ * Session user for a streaming connection (WebSocket upgrade or SSE request),
+ * or null. Browsers can't set headers on those, so the token may also be
+ * passed as `?token=`.
+ */
+async function resolveStreamUser(req) {
+    let token = null;
+    const authHeader = req.headers.authorization;
+
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        token = authHeader.slice(7);
+    } else {
+        token = new URL(req.originalUrl || req.url, 'http://localhost').searchParams.get('token');
+    }
+
+    const session = token ? authService.verifySessionToken(token) : null;
+    return session ? sessionUser(session) : null;
+}
+
+/**
+ * Call `onExpired` when a streaming user's session expires. Sessions can
+ * outlive a single timer, so long waits are re-armed in steps. Returns a
+ * function that cancels the wait.
+ */
+function onSessionExpiry(user, onExpired) {
+    let timer = null;
+
+    const arm = () => {
+        const remaining = Math.max(0, user.expiresAt - Date.now());
+        timer = remaining > MAX_TIMER_DELAY
+            ? setTimeout(arm, MAX_TIMER_DELAY)
+            : setTimeout(onExpired, remaining);
+    };
+    arm();
+
+    return () => clearTimeout(timer);
+}
+
+const authenticateStream = async (req, res, next) => {
+    try {
+        const user = await resolveStreamUser(req);
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid or expired session'
+            });
+        }
+
+        req.user = user;
+        next();
+
+    } catch (error) {
+        logger.error('Stream authentication error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Authentication failed'
+        });
+    }
+};
+
+/**
+ * Allow callers holding any of `roles`
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    const userRoles = (req.user && req.user.roles) || [];
+    if (!roles.some(role => userRoles.includes(role))) {
+        return res.status(403).json({
+            success: false,
+            error: `${roles.map(formatRole).join(' or ')} access required`
+        });
+    }
+    next();
+};
+
+const requireOperator = requireRole(ROLES.OPERATOR);
+const requireAdmin = requireRole(ROLES.ADMIN);
+
+// The bridge contract lets either admin trigger emergency actions
+const requireEmergencyAdmin = requireRole(ROLES.EMERGENCY_ADMIN, ROLES.ADMIN);
+
+function formatRole(role) {
+    const label = role.replace('_', ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+/**
+ * Restrict API-key callers to keys holding `scope`. Wallet sessions are not
+ * scoped, and every key may make read (GET) requests.
+ */
+const requireScope = (scope) => (req, res, next) => {
+    const key = req.user && req.user.apiKey;
+    if (key && !apiKeyService.allows(key, scope, req.method)) {
+        return res.status(403).json({
+            success: false,
+            error: `API key is missing the '${scope}' scope`
+        });
+    }
+    next();
+};
+
+/**
+ * Only wallet sessions (not API keys) may manage credentials
+ */
+const requireWalletSession = (req, res, next) => {
+    if (!req.user || req.user.apiKey) {
+        return res.status(403).json({
+            success: false,
+            error: 'Wallet session required'
+        });
+    }
+    next();
+};
+
+/**
+ * Resources owned by an API key (e.g. webhooks) are managed with that key
+ */
+const requireApiKey = (req, res, next) => {
+    if (!req.user || !req.user.apiKey) {
         return res.status(403).json({
             success: false,
-            error: 'Operator access required'
+            error: 'API key required'
         });
     }
     next();
@@ -71,5 +243,14 @@ const requireOperator = (req, res, next) => {
 
 module.exports = {
     authenticate,
-    requireOperator
+    authenticateStream,
+    resolveStreamUser,
+    onSessionExpiry,
+    requireRole,
+    requireOperator,
+    requireAdmin,
+    requireEmergencyAdmin,
+    requireScope,
+    requireWalletSession,
+    requireApiKey
 };
\ No newline at end of file
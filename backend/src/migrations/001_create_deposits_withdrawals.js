@@ -0,0 +1,49 @@
+/**
+ * Migration 001 - Deposit and withdrawal records
+ * Tables used by BridgeService to persist bridge operations across restarts
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS deposits (
+                btc_tx_hash TEXT PRIMARY KEY,
+                amount NUMERIC(30, 8),
+                starknet_recipient TEXT,
+                starknet_tx_hash TEXT,
+                status TEXT NOT NULL,
+                confirmations INTEGER,
+                operator_signatures TEXT,
+                created_at TIMESTAMPTZ NOT NULL,
+                completed_at TIMESTAMPTZ,
+                failed_at TIMESTAMPTZ,
+                error_message TEXT
+            )
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_deposits_status_created ON deposits (status, created_at)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_deposits_recipient ON deposits (starknet_recipient)');
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS withdrawals (
+                withdrawal_id TEXT PRIMARY KEY,
+                amount NUMERIC(30, 8),
+                btc_recipient TEXT,
+                starknet_sender TEXT,
+                starknet_tx_hash TEXT,
+                status TEXT NOT NULL,
+                operator_signatures TEXT,
+                created_at TIMESTAMPTZ NOT NULL,
+                completed_at TIMESTAMPTZ,
+                failed_at TIMESTAMPTZ,
+                error_message TEXT
+            )
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_withdrawals_status_created ON withdrawals (status, created_at)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_withdrawals_sender ON withdrawals (starknet_sender)');
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS withdrawals');
+        await db.query('DROP TABLE IF EXISTS deposits');
+    }
+};
@@ -0,0 +1,39 @@
+/**
+ * Migration 002 - Deposit detection
+ * Issued deposit addresses, chain scan cursors and the block a deposit was found in
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS deposit_addresses (
+                address TEXT PRIMARY KEY,
+                starknet_recipient TEXT NOT NULL,
+                network TEXT,
+                created_at TIMESTAMPTZ NOT NULL
+            )
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_deposit_addresses_recipient ON deposit_addresses (starknet_recipient)');
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS scan_cursors (
+                name TEXT PRIMARY KEY,
+                height INTEGER NOT NULL,
+                block_hash TEXT,
+                updated_at TIMESTAMPTZ NOT NULL
+            )
+        `);
+
+        await db.query('ALTER TABLE deposits ADD COLUMN btc_address TEXT');
+        await db.query('ALTER TABLE deposits ADD COLUMN block_height INTEGER');
+        await db.query('ALTER TABLE deposits ADD COLUMN block_hash TEXT');
+    },
+
+    async down(db) {
+        await db.query('ALTER TABLE deposits DROP COLUMN block_hash');
+        await db.query('ALTER TABLE deposits DROP COLUMN block_height');
+        await db.query('ALTER TABLE deposits DROP COLUMN btc_address');
+        await db.query('DROP TABLE IF EXISTS scan_cursors');
+        await db.query('DROP TABLE IF EXISTS deposit_addresses');
+    }
+};
@@ -0,0 +1,47 @@
+/**
+ * Migration 003 - Withdrawal signing sessions
+ * On-chain signing progress per withdrawal, indexed from BTCPegOut/OperatorRegistry events
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS signing_sessions (
+                withdrawal_id TEXT PRIMARY KEY,
+                user_address TEXT,
+                amount NUMERIC(30, 8),
+                fee_amount NUMERIC(30, 8),
+                btc_address TEXT,
+                status TEXT NOT NULL,
+                signatures_count INTEGER NOT NULL DEFAULT 0,
+                required_signatures INTEGER,
+                bitcoin_tx_hash TEXT,
+                timelock_deadline TIMESTAMPTZ,
+                requested_at TIMESTAMPTZ,
+                quorum_reached_at TIMESTAMPTZ,
+                finalized_at TIMESTAMPTZ,
+                updated_at TIMESTAMPTZ NOT NULL
+            )
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_signing_sessions_status ON signing_sessions (status, updated_at)');
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS signing_session_signatures (
+                withdrawal_id TEXT NOT NULL,
+                operator TEXT NOT NULL,
+                signature TEXT NOT NULL,
+                source_contract TEXT NOT NULL,
+                block_number INTEGER NOT NULL,
+                transaction_hash TEXT NOT NULL,
+                signed_at TIMESTAMPTZ,
+                PRIMARY KEY (withdrawal_id, operator)
+            )
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_signing_session_signatures_operator ON signing_session_signatures (operator)');
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS signing_session_signatures');
+        await db.query('DROP TABLE IF EXISTS signing_sessions');
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * Migration 004 - Sign-in nonces
+ * Single-use, expiring challenges handed out by /api/auth/nonce
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS auth_nonces (
+                nonce TEXT PRIMARY KEY,
+                address TEXT NOT NULL,
+                chain TEXT NOT NULL,
+                message TEXT NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL,
+                expires_at TIMESTAMPTZ NOT NULL,
+                used_at TIMESTAMPTZ
+            )
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_auth_nonces_expires ON auth_nonces (expires_at)');
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS auth_nonces');
+    }
+};
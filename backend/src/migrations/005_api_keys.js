@@ -0,0 +1,30 @@
+/**
+ * Migration 005 - API keys
+ * Per-integrator keys, stored as SHA-256 hashes with scopes, expiry and rate limits
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id TEXT PRIMARY KEY,
+                owner_address TEXT NOT NULL,
+                name TEXT NOT NULL,
+                key_hash TEXT NOT NULL,
+                scopes TEXT NOT NULL,
+                rate_limit_per_minute INTEGER NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL,
+                expires_at TIMESTAMPTZ,
+                revoked_at TIMESTAMPTZ,
+                rotated_to TEXT,
+                last_used_at TIMESTAMPTZ,
+                last_used_ip TEXT
+            )
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_api_keys_owner ON api_keys (owner_address, created_at)');
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS api_keys');
+    }
+};
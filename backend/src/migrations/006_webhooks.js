@@ -0,0 +1,54 @@
+/**
+ * Migration 006 - Webhooks
+ * Endpoints registered per API key and the log of every delivery attempt
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id TEXT PRIMARY KEY,
+                api_key_id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                url TEXT NOT NULL,
+                secret TEXT NOT NULL,
+                events TEXT NOT NULL,
+                status TEXT NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL,
+                updated_at TIMESTAMPTZ NOT NULL
+            )
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_webhooks_api_key ON webhooks (api_key_id)');
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id TEXT PRIMARY KEY,
+                webhook_id TEXT NOT NULL,
+                event_id TEXT NOT NULL,
+                event_type TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at TIMESTAMPTZ,
+                last_attempt_at TIMESTAMPTZ,
+                response_status INTEGER,
+                response_time_ms INTEGER,
+                error_message TEXT,
+                redelivery_of TEXT,
+                created_at TIMESTAMPTZ NOT NULL,
+                delivered_at TIMESTAMPTZ
+            )
+        `);
+        await db.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_deliveries_event
+            ON webhook_deliveries (webhook_id, event_id) WHERE redelivery_of IS NULL
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at)');
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS webhook_deliveries');
+        await db.query('DROP TABLE IF EXISTS webhooks');
+    }
+};
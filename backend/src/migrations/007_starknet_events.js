@@ -0,0 +1,37 @@
+/**
+ * Migration 007 - Starknet event history
+ * Decoded bridge contract events and the addresses each one involves
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS starknet_events (
+                id TEXT PRIMARY KEY,
+                contract TEXT NOT NULL,
+                event_name TEXT NOT NULL,
+                block_number INTEGER NOT NULL,
+                transaction_hash TEXT NOT NULL,
+                fields TEXT NOT NULL,
+                emitted_at TIMESTAMPTZ
+            )
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_starknet_events_block ON starknet_events (block_number)');
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS starknet_event_addresses (
+                event_id TEXT NOT NULL,
+                address TEXT NOT NULL,
+                role TEXT NOT NULL,
+                block_number INTEGER NOT NULL,
+                PRIMARY KEY (event_id, address)
+            )
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_starknet_event_addresses_history ON starknet_event_addresses (address, block_number)');
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS starknet_event_addresses');
+        await db.query('DROP TABLE IF EXISTS starknet_events');
+    }
+};
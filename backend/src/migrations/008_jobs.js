@@ -0,0 +1,33 @@
+/**
+ * Migration 008 - Job queue
+ * Durable deposit and withdrawal work, leased to one worker at a time
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS jobs (
+                id TEXT PRIMARY KEY,
+                queue TEXT NOT NULL,
+                idempotency_key TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                max_attempts INTEGER NOT NULL,
+                run_at TIMESTAMPTZ NOT NULL,
+                locked_by TEXT,
+                locked_until TIMESTAMPTZ,
+                error_message TEXT,
+                created_at TIMESTAMPTZ NOT NULL,
+                updated_at TIMESTAMPTZ NOT NULL,
+                completed_at TIMESTAMPTZ
+            )
+        `);
+        await db.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_idempotency ON jobs (queue, idempotency_key)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs (queue, status, run_at)');
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS jobs');
+    }
+};
@@ -0,0 +1,36 @@
+/**
+ * Migration 009 - Bridge state transitions
+ * Audit trail of deposit and withdrawal state changes, and deposit statuses
+ * renamed to the state machine's (completed -> minted, pending_starknet -> proven)
+ */
+
+module.exports = {
+    async up(db) {
+        const id = db.dialect === 'sqlite' ? 'INTEGER PRIMARY KEY AUTOINCREMENT' : 'BIGSERIAL PRIMARY KEY';
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS state_transitions (
+                id ${id},
+                entity_type TEXT NOT NULL,
+                entity_id TEXT NOT NULL,
+                from_state TEXT,
+                to_state TEXT NOT NULL,
+                actor TEXT NOT NULL,
+                reason TEXT,
+                metadata TEXT,
+                created_at TIMESTAMPTZ NOT NULL
+            )
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_state_transitions_entity ON state_transitions (entity_type, entity_id, created_at)');
+
+        await db.query("UPDATE deposits SET status = 'minted' WHERE status = 'completed'");
+        await db.query("UPDATE deposits SET status = 'proven' WHERE status = 'pending_starknet'");
+    },
+
+    async down(db) {
+        await db.query("UPDATE deposits SET status = 'detected' WHERE status = 'confirming'");
+        await db.query("UPDATE deposits SET status = 'pending_starknet' WHERE status = 'proven'");
+        await db.query("UPDATE deposits SET status = 'completed' WHERE status = 'minted'");
+        await db.query('DROP TABLE IF EXISTS state_transitions');
+    }
+};
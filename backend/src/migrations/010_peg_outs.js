@@ -0,0 +1,49 @@
+/**
+ * Migration 010 - Peg-out transactions
+ * The Bitcoin transaction built for each withdrawal (its PSBT as it collects
+ * operator signatures) and the custody outputs it spends. An output can only
+ * be claimed by one peg-out.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS peg_outs (
+                withdrawal_id TEXT PRIMARY KEY,
+                status TEXT NOT NULL,
+                psbt TEXT NOT NULL,
+                recipient TEXT NOT NULL,
+                amount BIGINT NOT NULL,
+                bridge_fee BIGINT NOT NULL,
+                network_fee BIGINT NOT NULL,
+                change_amount BIGINT NOT NULL,
+                fee_rate INTEGER NOT NULL,
+                bitcoin_tx_hash TEXT,
+                raw_transaction TEXT,
+                starknet_tx_hash TEXT,
+                error_message TEXT,
+                created_at TIMESTAMPTZ NOT NULL,
+                updated_at TIMESTAMPTZ NOT NULL,
+                broadcast_at TIMESTAMPTZ,
+                completed_at TIMESTAMPTZ
+            )
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_peg_outs_status ON peg_outs (status, updated_at)');
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS peg_out_inputs (
+                txid TEXT NOT NULL,
+                vout INTEGER NOT NULL,
+                withdrawal_id TEXT NOT NULL,
+                value BIGINT NOT NULL,
+                PRIMARY KEY (txid, vout)
+            )
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_peg_out_inputs_withdrawal ON peg_out_inputs (withdrawal_id)');
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS peg_out_inputs');
+        await db.query('DROP TABLE IF EXISTS peg_outs');
+    }
+};
@@ -0,0 +1,50 @@
+/**
+ * Migration 011 - Custody ledger
+ * Every Bitcoin output the bridge holds (deposits credited as sBTC, peg-out
+ * change and other custody outputs) until a peg-out spends it, plus the
+ * result of each reconciliation against the sBTC supply.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS custody_utxos (
+                txid TEXT NOT NULL,
+                vout INTEGER NOT NULL,
+                address TEXT NOT NULL,
+                value BIGINT NOT NULL,
+                source TEXT NOT NULL,
+                reference TEXT,
+                status TEXT NOT NULL,
+                spent_by TEXT,
+                spent_txid TEXT,
+                created_at TIMESTAMPTZ NOT NULL,
+                updated_at TIMESTAMPTZ NOT NULL,
+                spent_at TIMESTAMPTZ,
+                PRIMARY KEY (txid, vout)
+            )
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_custody_utxos_status ON custody_utxos (status, source)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_custody_utxos_reference ON custody_utxos (reference)');
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS custody_reconciliations (
+                id TEXT PRIMARY KEY,
+                status TEXT NOT NULL,
+                custody_balance BIGINT NOT NULL,
+                utxo_count INTEGER NOT NULL,
+                sbtc_supply BIGINT NOT NULL,
+                pending_withdrawals BIGINT NOT NULL,
+                difference BIGINT NOT NULL,
+                pause_tx_hash TEXT,
+                checked_at TIMESTAMPTZ NOT NULL
+            )
+        `);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_custody_reconciliations_checked ON custody_reconciliations (checked_at)');
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS custody_reconciliations');
+        await db.query('DROP TABLE IF EXISTS custody_utxos');
+    }
+};
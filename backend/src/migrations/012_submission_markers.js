@@ -0,0 +1,18 @@
+/**
+ * Migration 012 - Starknet submission markers
+ * When a deposit's mint, or a withdrawal's burn and request, was sent to
+ * Starknet. With the status and transaction hash, a retried job settles what
+ * was already sent instead of sending it again.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query('ALTER TABLE deposits ADD COLUMN submitted_at TIMESTAMPTZ');
+        await db.query('ALTER TABLE withdrawals ADD COLUMN submitted_at TIMESTAMPTZ');
+    },
+
+    async down(db) {
+        await db.query('ALTER TABLE withdrawals DROP COLUMN submitted_at');
+        await db.query('ALTER TABLE deposits DROP COLUMN submitted_at');
+    }
+};
@@ -0,0 +1,108 @@
+/**
+ * Migration 013 - One deposit per paid address
+ * A Bitcoin transaction can pay several deposit addresses (batched exchange
+ * payouts do), so deposits are keyed by deposit_id, "<btc_tx_hash>:<btc_address>",
+ * instead of by transaction. Audit entries, queued jobs and custody ledger
+ * outputs referring to a deposit by its transaction hash move to the new id.
+ */
+
+const COLUMNS = `
+    btc_tx_hash, amount, starknet_recipient, starknet_tx_hash, status, confirmations,
+    operator_signatures, created_at, completed_at, failed_at, error_message,
+    btc_address, block_height, block_hash, submitted_at
+`;
+
+// Copy deposits into a new table keyed by `depositId` (an SQL expression), or by btc_tx_hash without one
+async function rebuildDeposits(db, depositId) {
+    await db.query(`
+        CREATE TABLE deposits_rebuilt (
+            ${depositId ? 'deposit_id TEXT PRIMARY KEY,' : ''}
+            btc_tx_hash TEXT ${depositId ? 'NOT NULL' : 'PRIMARY KEY'},
+            amount NUMERIC(30, 8),
+            starknet_recipient TEXT,
+            starknet_tx_hash TEXT,
+            status TEXT NOT NULL,
+            confirmations INTEGER,
+            operator_signatures TEXT,
+            created_at TIMESTAMPTZ NOT NULL,
+            completed_at TIMESTAMPTZ,
+            failed_at TIMESTAMPTZ,
+            error_message TEXT,
+            btc_address TEXT,
+            block_height INTEGER,
+            block_hash TEXT,
+            submitted_at TIMESTAMPTZ
+        )
+    `);
+
+    await db.query(`
+        INSERT INTO deposits_rebuilt (${depositId ? `deposit_id, ${COLUMNS}` : COLUMNS})
+        SELECT ${depositId ? `${depositId}, ${COLUMNS}` : COLUMNS} FROM deposits
+    `);
+
+    await db.query('DROP TABLE deposits');
+    await db.query('ALTER TABLE deposits_rebuilt RENAME TO deposits');
+
+    await db.query('CREATE INDEX IF NOT EXISTS idx_deposits_status_created ON deposits (status, created_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_deposits_recipient ON deposits (starknet_recipient)');
+}
+
+// Deposits recorded without an address keep their transaction hash as their id
+const DEPOSIT_ID = "CASE WHEN btc_address IS NULL THEN btc_tx_hash ELSE btc_tx_hash || ':' || btc_address END";
+
+module.exports = {
+    async up(db) {
+        await rebuildDeposits(db, DEPOSIT_ID);
+        await db.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_deposits_output ON deposits (btc_tx_hash, btc_address)');
+
+        await db.query(`
+            UPDATE state_transitions SET entity_id = (
+                SELECT d.deposit_id FROM deposits d WHERE d.btc_tx_hash = state_transitions.entity_id
+            )
+            WHERE entity_type = 'deposit'
+            AND EXISTS (SELECT 1 FROM deposits d WHERE d.btc_tx_hash = state_transitions.entity_id)
+        `);
+        await db.query(`
+            UPDATE jobs SET idempotency_key = (
+                SELECT d.deposit_id FROM deposits d WHERE d.btc_tx_hash = jobs.idempotency_key
+            )
+            WHERE queue = 'deposits'
+            AND EXISTS (SELECT 1 FROM deposits d WHERE d.btc_tx_hash = jobs.idempotency_key)
+        `);
+        await db.query(`
+            UPDATE custody_utxos SET reference = (
+                SELECT d.deposit_id FROM deposits d WHERE d.btc_tx_hash = custody_utxos.reference
+            )
+            WHERE source = 'deposit'
+            AND EXISTS (SELECT 1 FROM deposits d WHERE d.btc_tx_hash = custody_utxos.reference)
+        `);
+    },
+
+    // Only possible while every transaction pays a single deposit address
+    async down(db) {
+        await db.query(`
+            UPDATE state_transitions SET entity_id = (
+                SELECT d.btc_tx_hash FROM deposits d WHERE d.deposit_id = state_transitions.entity_id
+            )
+            WHERE entity_type = 'deposit'
+            AND EXISTS (SELECT 1 FROM deposits d WHERE d.deposit_id = state_transitions.entity_id)
+        `);
+        await db.query(`
+            UPDATE jobs SET idempotency_key = (
+                SELECT d.btc_tx_hash FROM deposits d WHERE d.deposit_id = jobs.idempotency_key
+            )
+            WHERE queue = 'deposits'
+            AND EXISTS (SELECT 1 FROM deposits d WHERE d.deposit_id = jobs.idempotency_key)
+        `);
+        await db.query(`
+            UPDATE custody_utxos SET reference = (
+                SELECT d.btc_tx_hash FROM deposits d WHERE d.deposit_id = custody_utxos.reference
+            )
+            WHERE source = 'deposit'
+            AND EXISTS (SELECT 1 FROM deposits d WHERE d.deposit_id = custody_utxos.reference)
+        `);
+
+        await db.query('DROP INDEX IF EXISTS idx_deposits_output');
+        await rebuildDeposits(db, null);
+    }
+};
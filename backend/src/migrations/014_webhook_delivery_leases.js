@@ -0,0 +1,17 @@
+/**
+ * Migration 014 - Webhook delivery leases
+ * A delivery is claimed ('delivering') before it is sent, so replicas never
+ * send the same delivery at once. One whose sender died is claimed again once
+ * locked_until has passed.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.query('ALTER TABLE webhook_deliveries ADD COLUMN locked_until TIMESTAMPTZ');
+    },
+
+    async down(db) {
+        await db.query("UPDATE webhook_deliveries SET status = 'pending' WHERE status = 'delivering'");
+        await db.query('ALTER TABLE webhook_deliveries DROP COLUMN locked_until');
+    }
+};
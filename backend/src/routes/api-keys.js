@@ -0,0 +1,125 @@
+/**
+ * API key management routes
+ * Keys belong to the signed-in wallet; only wallet sessions can manage them.
+ */
+
+const express = require('express');
+const router = express.Router();
+const apiKeyService = require('../services/api-keys');
+const { ApiKeyError, SCOPES } = require('../services/api-keys');
+const { authenticate, requireWalletSession } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+router.use(authenticate);
+router.use(requireWalletSession);
+
+/**
+ * GET /api/keys
+ * List the caller's API keys (never includes the secret)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const keys = await apiKeyService.listKeys(req.user.address);
+
+        res.json({
+            success: true,
+            data: {
+                keys,
+                scopes: SCOPES,
+                defaults: {
+                    expiresInDays: config.apiKeys.defaultTtlDays,
+                    rateLimitPerMinute: config.apiKeys.defaultRateLimitPerMinute
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Failed to list API keys:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list API keys'
+        });
+    }
+});
+
+/**
+ * POST /api/keys
+ * Create a key. The plaintext key is only returned in this response.
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { name, scopes, expiresInDays, rateLimitPerMinute } = req.body;
+
+        if (Array.isArray(scopes) && scopes.includes('operator') && !req.user.isOperator) {
+            return res.status(403).json({
+                success: false,
+                error: 'Only operators can create keys with the operator scope'
+            });
+        }
+
+        const key = await apiKeyService.createKey(req.user.address, { name, scopes, expiresInDays, rateLimitPerMinute });
+
+        res.status(201).json({
+            success: true,
+            data: key
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to create API key');
+    }
+});
+
+/**
+ * POST /api/keys/:keyId/rotate
+ * Issue a replacement key; the old key stops working after the grace period
+ */
+router.post('/:keyId/rotate', async (req, res) => {
+    try {
+        const { gracePeriod } = req.body;
+        const key = await apiKeyService.rotateKey(req.user.address, req.params.keyId, gracePeriod);
+
+        res.status(201).json({
+            success: true,
+            data: key
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to rotate API key');
+    }
+});
+
+/**
+ * DELETE /api/keys/:keyId
+ * Revoke a key immediately
+ */
+router.delete('/:keyId', async (req, res) => {
+    try {
+        const key = await apiKeyService.revokeKey(req.user.address, req.params.keyId);
+
+        res.json({
+            success: true,
+            data: key
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to revoke API key');
+    }
+});
+
+function handleError(res, error, message) {
+    if (error instanceof ApiKeyError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    logger.error(`${message}:`, error);
+    res.status(500).json({
+        success: false,
+        error: message
+    });
+}
+
+module.exports = router;
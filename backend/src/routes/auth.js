@@ -4,28 +4,42 @@
 
 const express = require('express');
 const router = express.Router();
+const authService = require('../services/auth');
+const { AuthError } = require('../services/auth');
+const { authenticate } = require('../middleware/auth');
+const { decodeAddress } = require('../services/bitcoin-message');
 const logger = require('../utils/logger');
 
 /**
  * POST /api/auth/verify
- * Verify wallet signature or API key
+ * Redeem a signed nonce for a session token
  */
 router.post('/verify', async (req, res) => {
     try {
-        const { walletAddress, signature, message } = req.body;
+        const { nonce, signature } = req.body;
+        const address = req.body.address || req.body.walletAddress;
 
-        // TODO: Implement proper wallet signature verification
+        const session = await authService.signIn({ address, nonce, signature });
 
         res.json({
             success: true,
             data: {
                 verified: true,
-                address: walletAddress,
-                timestamp: new Date().toISOString()
+                token: session.token,
+                address: session.address,
+                chain: session.chain,
+                expiresAt: session.expiresAt.toISOString()
             }
         });
 
     } catch (error) {
+        if (error instanceof AuthError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+
         logger.error('Auth verification failed:', error);
         res.status(500).json({
             success: false,
@@ -35,21 +49,43 @@ router.post('/verify', async (req, res) => {
 });
 
 /**
- * GET /api/auth/nonce
- * Get nonce for wallet signature
+ * GET /api/auth/nonce?address=0x...
+ * Get a single-use sign-in challenge for a wallet: SNIP-12 typed data for
+ * Starknet addresses, a plain-text message for Bitcoin addresses
  */
 router.get('/nonce', async (req, res) => {
     try {
-        const nonce = Math.floor(Math.random() * 1000000);
-        const message = `Sign this message to authenticate with VernWallet Bridge: ${nonce}`;
+        const { address } = req.query;
+
+        let chain;
+        if (isValidStarknetAddress(address)) {
+            chain = 'starknet';
+        } else if (isSupportedBitcoinAddress(address)) {
+            chain = 'bitcoin';
+        } else {
+            return res.status(400).json({
+                success: false,
+                error: 'Valid Starknet or Bitcoin (P2PKH, P2WPKH, P2TR) address is required'
+            });
+        }
+
+        const challenge = await authService.createChallenge(address, chain);
+
+        const data = {
+            nonce: challenge.nonce,
+            chain: challenge.chain,
+            expiresAt: challenge.expiresAt.toISOString(),
+            timestamp: new Date().toISOString()
+        };
+        if (chain === 'bitcoin') {
+            data.message = challenge.message;
+        } else {
+            data.typedData = challenge.message;
+        }
 
         res.json({
             success: true,
-            data: {
-                nonce,
-                message,
-                timestamp: new Date().toISOString()
-            }
+            data
         });
 
     } catch (error) {
@@ -61,4 +97,31 @@ router.get('/nonce', async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * GET /api/auth/session
+ * Describe the caller's current session
+ */
+router.get('/session', authenticate, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            user: req.user,
+            timestamp: new Date().toISOString()
+        }
+    });
+});
+
+// Helper functions
+function isValidStarknetAddress(address) {
+    return typeof address === 'string' && /^0x[a-fA-F0-9]{1,64}$/.test(address) && BigInt(address) !== 0n;
+}
+
+function isSupportedBitcoinAddress(address) {
+    if (typeof address !== 'string') {
+        return false;
+    }
+    const decoded = decodeAddress(address);
+    return Boolean(decoded) && decoded.type !== 'unsupported';
+}
+
+module.exports = router;
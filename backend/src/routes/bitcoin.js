@@ -6,7 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const bitcoinService = require('../services/bitcoin');
-const { authenticate } = require('../middleware/auth');
+const spvProofs = require('../services/spv-proofs');
+const { authenticate, requireScope } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
 
 /**
@@ -25,7 +26,7 @@ router.get('/network', authenticate, async (req, res) => {
         });
     } catch (error) {
         console.error('Error getting Bitcoin network info:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: 'Failed to get Bitcoin network information'
         });
@@ -64,13 +65,109 @@ router.get('/address/:address/balance', authenticate, validate({
         });
     } catch (error) {
         console.error('Error getting Bitcoin address balance:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: 'Failed to get Bitcoin address balance'
         });
     }
 });
 
+/**
+ * GET /api/bitcoin/address/:address/utxos
+ * Get unspent outputs for a Bitcoin address
+ */
+router.get('/address/:address/utxos', authenticate, validate({
+    params: {
+        address: { type: 'string', required: true }
+    }
+}), async (req, res) => {
+    try {
+        const { address } = req.params;
+
+        const utxos = await bitcoinService.getAddressUtxos(address);
+
+        res.json({
+            success: true,
+            data: {
+                address,
+                utxos,
+                total: utxos.length,
+                balanceSat: utxos.reduce((sum, utxo) => sum + utxo.value, 0)
+            }
+        });
+    } catch (error) {
+        console.error('Error getting Bitcoin address UTXOs:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to get Bitcoin address UTXOs'
+        });
+    }
+});
+
+/**
+ * GET /api/bitcoin/transaction/:txHash/status
+ * Get Bitcoin transaction confirmation status
+ */
+router.get('/transaction/:txHash/status', authenticate, validate({
+    params: {
+        txHash: { type: 'string', required: true }
+    }
+}), async (req, res) => {
+    try {
+        const { txHash } = req.params;
+
+        const status = await bitcoinService.getTransactionStatus(txHash);
+
+        if (!status) {
+            return res.status(404).json({
+                success: false,
+                error: 'Transaction not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                status
+            }
+        });
+    } catch (error) {
+        console.error('Error getting Bitcoin transaction status:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to get Bitcoin transaction status'
+        });
+    }
+});
+
+/**
+ * GET /api/bitcoin/transaction/:txHash/spv-proof
+ * Inclusion proof for a confirmed transaction, verified locally and laid out
+ * for BTCDepositManager's MerkleProof struct
+ */
+router.get('/transaction/:txHash/spv-proof', authenticate, validate({
+    params: {
+        txHash: { type: 'string', required: true }
+    }
+}), async (req, res) => {
+    try {
+        const proof = await spvProofs.buildProof(req.params.txHash);
+
+        res.json({
+            success: true,
+            data: {
+                proof
+            }
+        });
+    } catch (error) {
+        console.error('Error building SPV proof:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error instanceof spvProofs.SpvProofError ? error.message : 'Failed to build SPV proof'
+        });
+    }
+});
+
 /**
  * GET /api/bitcoin/transaction/:txHash
  * Get Bitcoin transaction details
@@ -100,7 +197,7 @@ router.get('/transaction/:txHash', authenticate, validate({
         });
     } catch (error) {
         console.error('Error getting Bitcoin transaction:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: 'Failed to get Bitcoin transaction'
         });
@@ -136,7 +233,7 @@ router.get('/block/:blockHash', authenticate, validate({
         });
     } catch (error) {
         console.error('Error getting Bitcoin block:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: 'Failed to get Bitcoin block'
         });
@@ -159,7 +256,7 @@ router.get('/latest-block', authenticate, async (req, res) => {
         });
     } catch (error) {
         console.error('Error getting latest Bitcoin block:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: 'Failed to get latest Bitcoin block'
         });
@@ -170,7 +267,7 @@ router.get('/latest-block', authenticate, async (req, res) => {
  * POST /api/bitcoin/broadcast
  * Broadcast Bitcoin transaction
  */
-router.post('/broadcast', authenticate, validate({
+router.post('/broadcast', authenticate, requireScope('bridge'), validate({
     body: {
         rawTransaction: { type: 'string', required: true }
     }
@@ -189,9 +286,10 @@ router.post('/broadcast', authenticate, validate({
         });
     } catch (error) {
         console.error('Error broadcasting Bitcoin transaction:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Failed to broadcast Bitcoin transaction'
+            error: 'Failed to broadcast Bitcoin transaction',
+            ...(error.status === 400 && { reason: error.message })
         });
     }
 });
@@ -212,7 +310,7 @@ router.get('/fee-estimates', authenticate, async (req, res) => {
         });
     } catch (error) {
         console.error('Error getting Bitcoin fee estimates:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: 'Failed to get Bitcoin fee estimates'
         });
@@ -235,7 +333,7 @@ router.get('/mempool', authenticate, async (req, res) => {
         });
     } catch (error) {
         console.error('Error getting Bitcoin mempool info:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: 'Failed to get Bitcoin mempool information'
         });
@@ -7,9 +7,15 @@ const router = express.Router();
 const bridgeService = require('../services/bridge');
 const starknetService = require('../services/starknet');
 const bitcoinService = require('../services/bitcoin');
-const { authenticate } = require('../middleware/auth');
+const bridgeState = require('../services/bridge-state');
+const depositAddresses = require('../services/deposit-addresses');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { ROLES } = require('../services/roles');
 const { validate } = require('../middleware/validation');
 const logger = require('../utils/logger');
+const config = require('../config');
+
+const { DEPOSIT_STATES, WITHDRAWAL_STATES } = bridgeState;
 
 // All bridge routes require authentication
 router.use(authenticate);
@@ -18,7 +24,7 @@ router.use(authenticate);
  * POST /api/bridge/deposit
  * Initiate a new Bitcoin to Starknet deposit via Cairo contract
  */
-router.post('/deposit', validate({
+router.post('/deposit', requireScope('bridge'), validate({
     body: {
         amount: 'number|required|min:0.00000001',
         btcAddress: 'string|required',
@@ -78,11 +84,52 @@ router.post('/deposit', validate({
     }
 });
 
+/**
+ * POST /api/bridge/deposit-address
+ * Issue a Bitcoin deposit address for a Starknet recipient
+ */
+router.post('/deposit-address', requireScope('bridge'), validate({
+    body: {
+        starknetRecipient: 'string|required'
+    }
+}), async (req, res) => {
+    try {
+        const { starknetRecipient } = req.body;
+
+        if (!isValidStarknetAddress(starknetRecipient)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid Starknet address format'
+            });
+        }
+
+        // Derived from the custody keys; fails rather than issue an address nobody controls
+        const address = await depositAddresses.issue(starknetRecipient, config.bitcoin.network);
+
+        res.status(201).json({
+            success: true,
+            message: 'Deposit address issued',
+            data: {
+                address,
+                starknetRecipient,
+                confirmationsRequired: config.bridge.confirmationsRequired
+            }
+        });
+
+    } catch (error) {
+        logger.error('Deposit address request failed:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to issue deposit address'
+        });
+    }
+});
+
 /**
  * POST /api/bridge/withdrawal
  * Initiate a new Starknet to Bitcoin withdrawal via Cairo contract
  */
-router.post('/withdrawal', validate({
+router.post('/withdrawal', requireScope('bridge'), validate({
     body: {
         amount: 'number|required|min:0.00000001',
         btcRecipient: 'string|required'
@@ -118,7 +165,7 @@ router.post('/withdrawal', validate({
                 withdrawalId: result.withdrawalId,
                 transactionHash: result.transactionHash,
                 amount,
-                status: 'initiated',
+                status: WITHDRAWAL_STATES.REQUESTED,
                 estimatedTime: '10-30 minutes'
             }
         });
@@ -136,7 +183,7 @@ router.post('/withdrawal', validate({
  * POST /api/bridge/stake
  * Stake tokens via Cairo contract
  */
-router.post('/stake', validate({
+router.post('/stake', requireScope('staking'), validate({
     body: {
         token: 'string|required',
         amount: 'number|required|min:0.00000001'
@@ -169,7 +216,7 @@ router.post('/stake', validate({
  * POST /api/bridge/unstake
  * Unstake tokens via Cairo contract
  */
-router.post('/unstake', validate({
+router.post('/unstake', requireScope('staking'), validate({
     body: {
         token: 'string|required',
         amount: 'number|required|min:0.00000001'
@@ -202,7 +249,7 @@ router.post('/unstake', validate({
  * POST /api/bridge/claim-rewards
  * Claim staking rewards via Cairo contract
  */
-router.post('/claim-rewards', validate({
+router.post('/claim-rewards', requireScope('staking'), validate({
     body: {
         token: 'string|required'
     }
@@ -229,6 +276,156 @@ router.post('/claim-rewards', validate({
     }
 });
 
+/**
+ * GET /api/bridge/deposits
+ * List the caller's deposits (every deposit for operators and admins),
+ * filtered by address, status and creation date range
+ */
+router.get('/deposits', async (req, res) => {
+    try {
+        const filters = parseListQuery(req.query, Object.values(DEPOSIT_STATES));
+        if (filters.error) {
+            return res.status(400).json({
+                success: false,
+                error: filters.error
+            });
+        }
+
+        const result = await bridgeService.listDeposits({ ...filters, owner: ownerScope(req.user) });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Failed to list deposits:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET /api/bridge/deposits/:id
+ * Deposit status by Bitcoin transaction hash, with live confirmations and the contract's record
+ */
+router.get('/deposits/:id', async (req, res) => {
+    try {
+        const deposit = await bridgeService.getDepositStatus(req.params.id, { owner: ownerScope(req.user) });
+
+        if (!deposit) {
+            return res.status(404).json({
+                success: false,
+                error: 'Deposit not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: deposit
+        });
+
+    } catch (error) {
+        logger.error('Failed to get deposit status:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET /api/bridge/withdrawals
+ * List the caller's withdrawals (every withdrawal for operators and admins),
+ * filtered by address, status and creation date range
+ */
+router.get('/withdrawals', async (req, res) => {
+    try {
+        const filters = parseListQuery(req.query, Object.values(WITHDRAWAL_STATES));
+        if (filters.error) {
+            return res.status(400).json({
+                success: false,
+                error: filters.error
+            });
+        }
+
+        const result = await bridgeService.listWithdrawals({ ...filters, owner: ownerScope(req.user) });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Failed to list withdrawals:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET /api/bridge/withdrawals/:id
+ * Withdrawal status with signing progress, payout confirmations and the contract's record
+ */
+router.get('/withdrawals/:id', async (req, res) => {
+    try {
+        const withdrawal = await bridgeService.getWithdrawalStatus(req.params.id, { owner: ownerScope(req.user) });
+
+        if (!withdrawal) {
+            return res.status(404).json({
+                success: false,
+                error: 'Withdrawal not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: withdrawal
+        });
+
+    } catch (error) {
+        logger.error('Failed to get withdrawal status:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET /api/bridge/deposit/:id/timeline
+ * Deposit progress: current state, steps reached and every recorded transition
+ */
+router.get('/deposit/:id/timeline', async (req, res) => {
+    try {
+        const deposit = await bridgeService.getDepositRecord(req.params.id, { owner: ownerScope(req.user) });
+        const timeline = deposit ? await bridgeState.getTimeline('deposit', deposit.deposit_id) : null;
+
+        if (!timeline) {
+            return res.status(404).json({
+                success: false,
+                error: 'Deposit not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: timeline
+        });
+
+    } catch (error) {
+        logger.error('Failed to get deposit timeline:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
 /**
  * GET /api/bridge/staking/:user/:token
  * Get staking position from Cairo contract
@@ -254,6 +451,45 @@ router.get('/staking/:user/:token', async (req, res) => {
 });
 
 // Helper functions
+
+// Operators and admins see every deposit and withdrawal; everyone else only their own
+function ownerScope(user) {
+    const roles = user.roles || [];
+    if (roles.includes(ROLES.OPERATOR) || roles.includes(ROLES.ADMIN)) {
+        return null;
+    }
+    return bridgeService.ownerAddresses(user.address);
+}
+
+// address, status, from/to (ISO dates), limit and offset for the list endpoints
+function parseListQuery(query, statuses) {
+    const { address = null, status = null } = query;
+
+    if (status && !statuses.includes(status)) {
+        return { error: `status must be one of: ${statuses.join(', ')}` };
+    }
+
+    const range = {};
+    for (const bound of ['from', 'to']) {
+        if (query[bound]) {
+            const date = new Date(query[bound]);
+            if (isNaN(date.getTime())) {
+                return { error: `${bound} must be a valid date` };
+            }
+            range[bound] = date;
+        }
+    }
+
+    return {
+        address,
+        status,
+        from: range.from || null,
+        to: range.to || null,
+        limit: Math.min(parseInt(query.limit, 10) || 50, 200),
+        offset: Math.max(parseInt(query.offset, 10) || 0, 0)
+    };
+}
+
 function isValidBitcoinAddress(address) {
     const legacyRegex = /^[13][a-km-zA-HJ-NP-Z1-9]{25,34}$/;
     const bech32Regex = /^bc1[a-z0-9]{39,59}$/;
@@ -40,6 +40,10 @@ router.get('/', (req, res) => {
                 account: 'GET /api/starknet/account/:address',
                 call: 'POST /api/starknet/call'
             },
+            reserves: {
+                reserves: 'GET /api/reserves',
+                attestation: 'GET /api/reserves/attestation'
+            },
             health: {
                 all: 'GET /health',
                 bridge: 'GET /health/bridge',
@@ -48,12 +52,35 @@ router.get('/', (req, res) => {
             }
         },
         authentication: {
-            type: 'API Key or Wallet Signature',
+            type: 'API Key or Wallet Session',
             apiKeyHeader: 'X-API-Key',
-            walletHeaders: ['X-Wallet-Address', 'X-Signature']
+            sessionHeader: 'Authorization: Bearer <token>',
+            signIn: ['GET /api/auth/nonce?address=', 'POST /api/auth/verify'],
+            signInWallets: ['Starknet (SNIP-12)', 'Bitcoin (BIP-322, signmessage)'],
+            apiKeys: {
+                list: 'GET /api/keys',
+                create: 'POST /api/keys',
+                rotate: 'POST /api/keys/:keyId/rotate',
+                revoke: 'DELETE /api/keys/:keyId',
+                scopes: ['read', 'bridge', 'staking', 'operator']
+            },
+            roles: ['user', 'operator', 'admin', 'emergency_admin']
+        },
+        webhooks: {
+            list: 'GET /api/webhooks',
+            create: 'POST /api/webhooks',
+            update: 'PUT /api/webhooks/:webhookId',
+            delete: 'DELETE /api/webhooks/:webhookId',
+            deliveries: 'GET /api/webhooks/deliveries',
+            redeliver: 'POST /api/webhooks/deliveries/:deliveryId/redeliver',
+            signature: 'X-Bridge-Signature: hex HMAC-SHA256 of `${X-Bridge-Timestamp}.${body}`',
+            events: ['deposit.detected', 'deposit.confirmed', 'deposit.reorged', 'sbtc.minted', 'withdrawal.requested', 'withdrawal.quorum_reached', 'withdrawal.broadcast', 'reserves.shortfall']
         },
         websockets: {
             endpoint: '/ws',
+            authentication: 'Session token as `Authorization: Bearer <token>` or `?token=<token>`',
+            channels: ['deposits:<address>', 'withdrawals:<address>', 'staking:<address>', 'system_alerts'],
+            resume: '{ "type": "subscribe", "channel": "...", "lastEventId": "<id of the last message received>" }',
             events: [
                 'bridge_update',
                 'staking_reward',
@@ -61,6 +88,11 @@ router.get('/', (req, res) => {
                 'system_alert'
             ]
         },
+        serverSentEvents: {
+            endpoint: 'GET /api/stream?channels=<channel>,<channel>&token=<session token>',
+            resume: 'Last-Event-ID header (sent by EventSource on reconnect) or ?lastEventId=',
+            events: 'Same channels and message types as the WebSocket endpoint'
+        },
         documentation: {
             full: '/docs/API.md',
             deployment: '/docs/DEPLOYMENT.md',
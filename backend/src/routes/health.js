@@ -8,6 +8,7 @@ const bridgeService = require('../services/bridge');
 const bitcoinService = require('../services/bitcoin');
 const starknetService = require('../services/starknet');
 const databaseService = require('../services/database');
+const headerRelayer = require('../services/header-relayer');
 const logger = require('../utils/logger');
 
 /**
@@ -95,15 +96,21 @@ router.get('/bridge', async (req, res) => {
 
 /**
  * GET /health/bitcoin
- * Bitcoin node health check
+ * Bitcoin node health check, with how far BitcoinHeaders trails the tip
  */
 router.get('/bitcoin', async (req, res) => {
     try {
         const health = await bitcoinService.healthCheck();
+        const relayer = headerRelayer.getStatus(health.blockHeight ?? null);
 
         res.json({
             success: true,
-            data: health
+            data: {
+                ...health,
+                // Until BitcoinHeaders follows the fork, proofs are checked against the abandoned branch
+                status: health.status === 'healthy' && relayer.fork ? 'degraded' : health.status,
+                headerRelayer: relayer
+            }
         });
 
     } catch (error) {
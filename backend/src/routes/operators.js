@@ -5,11 +5,15 @@
 const express = require('express');
 const router = express.Router();
 const starknetService = require('../services/starknet');
-const { authenticate, requireOperator } = require('../middleware/auth');
+const signingSessionIndexer = require('../services/signing-session-indexer');
+const jobQueue = require('../services/job-queue');
+const { JOB_STATUSES } = require('../services/job-queue');
+const { authenticate, requireOperator, requireScope } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 // All routes require authentication
 router.use(authenticate);
+router.use(requireScope('operator'));
 
 /**
  * GET /api/operators
@@ -37,6 +41,154 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/operators/sessions
+ * List withdrawal signing sessions (?status=active|expired|pending|signing|quorum_reached|broadcast|completed|unlocked)
+ */
+router.get('/sessions', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const [result, stats] = await Promise.all([
+            signingSessionIndexer.listSessions({ status: req.query.status || null, limit, offset }),
+            signingSessionIndexer.getStats()
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                ...result,
+                stats,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        logger.error('Failed to list signing sessions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET /api/operators/sessions/:withdrawalId
+ * Signing session for one withdrawal, including operators that haven't signed yet
+ */
+router.get('/sessions/:withdrawalId', async (req, res) => {
+    try {
+        const session = await signingSessionIndexer.getSession(req.params.withdrawalId);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Signing session not found'
+            });
+        }
+
+        // Pending signers are best effort: the session itself comes from indexed events
+        let pendingOperators = null;
+        try {
+            const signed = new Set(session.signatures.map(signature => BigInt(signature.operator)));
+            const operators = await starknetService.getRegisteredOperators();
+            pendingOperators = operators
+                .filter(operator => !signed.has(BigInt(operator.address)))
+                .map(operator => operator.address);
+        } catch (error) {
+            logger.warn('Could not load operator set for signing session:', error.message);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...session,
+                pendingOperators
+            }
+        });
+
+    } catch (error) {
+        logger.error('Failed to get signing session:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET /api/operators/jobs
+ * Deposit and withdrawal jobs (?queue=deposits|withdrawals&status=pending|running|completed|dead)
+ */
+router.get('/jobs', requireOperator, async (req, res) => {
+    try {
+        const { queue = null, status = null } = req.query;
+
+        if (status && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of: ${JOB_STATUSES.join(', ')}`
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const [result, stats] = await Promise.all([
+            jobQueue.listJobs({ queue, status, limit, offset }),
+            jobQueue.getStats()
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                ...result,
+                stats,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        logger.error('Failed to list jobs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * POST /api/operators/jobs/:jobId/retry
+ * Requeue a dead-lettered job with a fresh set of attempts
+ */
+router.post('/jobs/:jobId/retry', requireOperator, async (req, res) => {
+    try {
+        const job = await jobQueue.retry(req.params.jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dead job not found'
+            });
+        }
+
+        logger.info(`Job ${job.id} requeued by ${req.user.address}`);
+
+        res.json({
+            success: true,
+            data: job
+        });
+
+    } catch (error) {
+        logger.error('Failed to retry job:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
 /**
  * GET /api/operators/:operatorId
  * Get specific operator information
@@ -0,0 +1,59 @@
+/**
+ * Proof-of-reserves routes (public)
+ */
+
+const express = require('express');
+const router = express.Router();
+const reserves = require('../services/reserves');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/reserves
+ * Bitcoin held, sBTC supply, collateralization ratio and custody addresses
+ */
+router.get('/', async (req, res) => {
+    try {
+        const data = await reserves.getReserves();
+
+        res.json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        logger.error('Error getting reserves:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to get reserves'
+        });
+    }
+});
+
+/**
+ * GET /api/reserves/attestation
+ * Signed, timestamped reserves statement for offline verification, reissued
+ * every few minutes. `?download=true` serves it as a JSON file.
+ */
+router.get('/attestation', async (req, res) => {
+    try {
+        const attestation = await reserves.getAttestation();
+
+        if (req.query.download === 'true') {
+            const date = attestation.attestation.issuedAt.slice(0, 10);
+            res.set('Content-Disposition', `attachment; filename="reserves-attestation-${date}.json"`);
+            return res.json(attestation);
+        }
+
+        res.json({
+            success: true,
+            data: attestation
+        });
+    } catch (error) {
+        logger.error('Error creating reserves attestation:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error instanceof reserves.ReservesError ? error.message : 'Failed to create reserves attestation'
+        });
+    }
+});
+
+module.exports = router;
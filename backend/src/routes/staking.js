@@ -6,7 +6,7 @@ const express = require('express');
 const router = express.Router();
 const bridgeService = require('../services/bridge');
 const starknetService = require('../services/starknet');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireScope } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
 const logger = require('../utils/logger');
 
@@ -140,6 +140,7 @@ module.exports.public = publicStakingRouter;
 
 // All staking routes require authentication
 router.use(authenticate);
+router.use(requireScope('staking'));
 
 /**
  * POST /api/staking/stake
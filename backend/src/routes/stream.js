@@ -0,0 +1,100 @@
+/**
+ * Server-Sent Events routes
+ * The same channel messages as the WebSocket endpoint over plain HTTP, for
+ * clients behind proxies that break WebSockets.
+ */
+
+const express = require('express');
+const router = express.Router();
+const realtimeService = require('../services/realtime');
+const { authenticateStream, onSessionExpiry } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+router.use(authenticateStream);
+
+/**
+ * GET /api/stream?channels=deposits:0x...,system_alerts&token=
+ * Resumes after the `Last-Event-ID` header (sent by EventSource on reconnect)
+ * or the `lastEventId` query parameter.
+ */
+router.get('/', (req, res) => {
+    const requested = String(req.query.channels || '').split(',').map(channel => channel.trim()).filter(Boolean);
+
+    if (requested.length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'channels is required'
+        });
+    }
+
+    let channels;
+    try {
+        channels = requested.map(channel => realtimeService.authorize(req.user, channel).channel);
+    } catch (error) {
+        return res.status(403).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    // no-transform keeps the compression middleware from buffering the stream
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = (message) => {
+        res.write(`id: ${message.id}\nevent: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+    };
+
+    res.write('retry: 5000\n\n');
+
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+    if (lastEventId) {
+        const missed = realtimeService.replay(channels, lastEventId);
+
+        if (missed === null) {
+            // The id moves EventSource past the gap so the next reconnect resumes from here
+            res.write(`id: ${realtimeService.lastEventId}\nevent: resync_required\ndata: ${JSON.stringify({
+                type: 'resync_required',
+                channels,
+                message: 'Missed messages are no longer available; reload current state',
+                timestamp: new Date().toISOString()
+            })}\n\n`);
+        } else {
+            missed.forEach(send);
+        }
+    }
+
+    const onMessage = (message) => {
+        if (channels.includes(message.channel)) {
+            send(message);
+        }
+    };
+    realtimeService.on('message', onMessage);
+
+    // Comments keep idle proxies from closing the connection
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), config.realtime.heartbeatInterval);
+
+    // End the stream when the session expires; EventSource reconnects and gets a 401
+    const cancelExpiry = onSessionExpiry(req.user, () => res.end());
+
+    // The server is shutting down; EventSource reconnects once it is back
+    const onShutdown = () => res.end();
+    realtimeService.once('shutdown', onShutdown);
+
+    logger.info(`SSE client connected (${req.user.address}): ${channels.join(', ')}`);
+
+    res.on('close', () => {
+        realtimeService.off('message', onMessage);
+        realtimeService.off('shutdown', onShutdown);
+        clearInterval(heartbeat);
+        cancelExpiry();
+        logger.info(`SSE client disconnected (${req.user.address})`);
+    });
+});
+
+module.exports = router;
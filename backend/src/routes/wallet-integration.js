@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const walletIntegration = require('../services/wallet-integration');
+const { INDEXED_CONTRACTS } = require('../services/starknet-events');
 const logger = require('../utils/logger');
 
 // Initialize wallet integration service
@@ -433,22 +434,32 @@ router.get('/balance/:tokenAddress/:address', checkInitialized, async (req, res)
     }
 });
 
+/**
+ * GET /api/wallet/transactions/:address?limit=&offset=&contract=
+ * Indexed contract events involving the address, newest first
+ */
 router.get('/transactions/:address', checkInitialized, async (req, res) => {
     try {
         const { address } = req.params;
-        const { limit } = req.query;
+        const { contract } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
 
-        if (!address) {
+        if (!/^0x[0-9a-fA-F]{1,64}$/.test(address)) {
             return res.status(400).json({
                 success: false,
-                error: 'Address parameter is required'
+                error: 'A Starknet address is required'
+            });
+        }
+
+        if (contract && !Object.keys(INDEXED_CONTRACTS).includes(contract)) {
+            return res.status(400).json({
+                success: false,
+                error: `contract must be one of: ${Object.keys(INDEXED_CONTRACTS).join(', ')}`
             });
         }
 
-        const history = await walletIntegration.getTransactionHistory(
-            address,
-            limit ? parseInt(limit) : 50
-        );
+        const history = await walletIntegration.getTransactionHistory(address, { contract, limit, offset });
 
         res.json({
             success: true,
@@ -0,0 +1,180 @@
+/**
+ * Webhook routes
+ * Webhooks belong to the API key used to register them.
+ */
+
+const express = require('express');
+const router = express.Router();
+const webhookService = require('../services/webhooks');
+const { WebhookError, EVENT_TYPES } = require('../services/webhooks');
+const { authenticate, requireApiKey } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+router.use(authenticate);
+router.use(requireApiKey);
+
+/**
+ * GET /api/webhooks
+ * List the key's webhooks with 7-day delivery stats
+ */
+router.get('/', async (req, res) => {
+    try {
+        const apiKeyId = req.user.apiKey.id;
+        const [webhooks, stats] = await Promise.all([
+            webhookService.listWebhooks(apiKeyId),
+            webhookService.getStats(apiKeyId)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                webhooks,
+                stats,
+                events: EVENT_TYPES
+            }
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to list webhooks');
+    }
+});
+
+/**
+ * POST /api/webhooks
+ * Register an endpoint. The signing secret is only returned in this response.
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { name, url, events, secret, status } = req.body;
+        const webhook = await webhookService.createWebhook(req.user.apiKey.id, { name, url, events, secret, status });
+
+        res.status(201).json({
+            success: true,
+            data: webhook
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to create webhook');
+    }
+});
+
+/**
+ * GET /api/webhooks/deliveries?webhookId=&status=&limit=&offset=
+ * Delivery log, newest first
+ */
+router.get('/deliveries', async (req, res) => {
+    try {
+        const { webhookId, status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        if (status && !['pending', 'delivering', 'delivered', 'failed'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: 'status must be one of: pending, delivering, delivered, failed'
+            });
+        }
+
+        const deliveries = await webhookService.listDeliveries(req.user.apiKey.id, { webhookId, status, limit, offset });
+
+        res.json({
+            success: true,
+            data: {
+                deliveries,
+                limit,
+                offset
+            }
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to list webhook deliveries');
+    }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * Queue the same payload again
+ */
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+    try {
+        const delivery = await webhookService.redeliver(req.user.apiKey.id, req.params.deliveryId);
+
+        res.status(202).json({
+            success: true,
+            data: delivery
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to redeliver webhook');
+    }
+});
+
+/**
+ * GET /api/webhooks/:webhookId
+ */
+router.get('/:webhookId', async (req, res) => {
+    try {
+        const webhook = await webhookService.getWebhook(req.user.apiKey.id, req.params.webhookId);
+
+        res.json({
+            success: true,
+            data: webhook
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to get webhook');
+    }
+});
+
+/**
+ * PUT /api/webhooks/:webhookId
+ * Edit name, url, events or status ('active' / 'paused')
+ */
+router.put('/:webhookId', async (req, res) => {
+    try {
+        const { name, url, events, status } = req.body;
+        const webhook = await webhookService.updateWebhook(req.user.apiKey.id, req.params.webhookId, { name, url, events, status });
+
+        res.json({
+            success: true,
+            data: webhook
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to update webhook');
+    }
+});
+
+/**
+ * DELETE /api/webhooks/:webhookId
+ */
+router.delete('/:webhookId', async (req, res) => {
+    try {
+        await webhookService.deleteWebhook(req.user.apiKey.id, req.params.webhookId);
+
+        res.json({
+            success: true,
+            message: 'Webhook deleted'
+        });
+
+    } catch (error) {
+        handleError(res, error, 'Failed to delete webhook');
+    }
+});
+
+function handleError(res, error, message) {
+    if (error instanceof WebhookError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    logger.error(`${message}:`, error);
+    res.status(500).json({
+        success: false,
+        error: message
+    });
+}
+
+module.exports = router;
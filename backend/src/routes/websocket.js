@@ -1,70 +1,126 @@
 /**
  * WebSocket routes and handlers
+ * Clients authenticate with a wallet session token (`Authorization: Bearer` or
+ * `?token=` for browsers), subscribe to channels they are allowed to read and
+ * receive numbered messages from the realtime service.
  */
 
 const express = require('express');
 const router = express.Router();
+const WebSocket = require('ws');
+const crypto = require('crypto');
+const realtimeService = require('../services/realtime');
+const { MESSAGE_TYPES, ADDRESS_CHANNELS, PUBLIC_CHANNELS } = require('../services/realtime');
+const { resolveStreamUser, onSessionExpiry } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const config = require('../config');
 
 /**
- * WebSocket upgrade handler
- * This handles the initial WebSocket connection upgrade
+ * GET /ws
+ * Describes the WebSocket endpoint; the upgrade itself is handled by WebSocketManager
  */
 router.get('/', (req, res) => {
-    // WebSocket upgrade is handled in the main server file
-    // This route is just for documentation purposes
     res.json({
         success: true,
         message: 'WebSocket endpoint',
-        events: [
-            'bridge_update',
-            'staking_reward',
-            'transaction_confirmed',
-            'operator_joined',
-            'system_alert'
-        ]
+        authentication: 'Session token from /api/auth/verify as `Authorization: Bearer <token>` or `?token=<token>`',
+        channels: [
+            ...ADDRESS_CHANNELS.map(kind => `${kind}:<starknet address>`),
+            ...PUBLIC_CHANNELS
+        ],
+        events: MESSAGE_TYPES,
+        resume: 'Send { type: "subscribe", channel, lastEventId } to receive messages missed since lastEventId'
     });
 });
 
-/**
- * WebSocket upgrade endpoint for Express
- * This handles WebSocket upgrade requests
- */
-router.get('/upgrade', (req, res) => {
-    // Set appropriate headers for WebSocket upgrade
-    res.setHeader('Upgrade', 'websocket');
-    res.setHeader('Connection', 'Upgrade');
-    res.setHeader('Sec-WebSocket-Accept', generateWebSocketAcceptKey(req.headers['sec-websocket-key']));
-
-    // WebSocket upgrade is handled in the main server file
-    res.status(101).send('Switching Protocols');
-});
-
-/**
- * Generate WebSocket accept key
- */
-function generateWebSocketAcceptKey(key) {
-    const crypto = require('crypto');
-    const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
-    return crypto.createHash('sha1').update(key + GUID).digest('base64');
-}
-
-/**
- * WebSocket event handlers
- * These are called from the main server WebSocket connection handler
- */
-
 class WebSocketManager {
     constructor() {
+        this.wss = null;
         this.connections = new Map();
-        this.subscriptions = new Map();
+        this.heartbeat = null;
+    }
+
+    /**
+     * Serve WebSocket upgrades on `/ws` of the given HTTP server
+     */
+    attach(server) {
+        this.wss = new WebSocket.Server({
+            server,
+            path: '/ws',
+            verifyClient: (info, done) => {
+                this.verifyClient(info.req)
+                    .then(() => done(true))
+                    .catch((error) => {
+                        logger.warn(`WebSocket connection rejected: ${error.message}`);
+                        done(false, 401, 'Unauthorized');
+                    });
+            }
+        });
+
+        this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+
+        realtimeService.on('message', (message) => this.dispatch(message));
+
+        // Drop connections that stopped answering pings
+        this.heartbeat = setInterval(() => {
+            for (const connection of this.connections.values()) {
+                if (!connection.isAlive) {
+                    connection.ws.terminate();
+                    continue;
+                }
+                connection.isAlive = false;
+                connection.ws.ping();
+            }
+        }, config.realtime.heartbeatInterval);
+    }
+
+    close() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+
+        // The server doesn't close its clients; each close clears the connection's expiry timer
+        for (const connection of this.connections.values()) {
+            connection.ws.close(1001, 'Server shutting down');
+        }
+
+        if (this.wss) {
+            this.wss.close();
+        }
+    }
+
+    /**
+     * Authenticate the upgrade request and attach the caller to it
+     */
+    async verifyClient(req) {
+        const user = await resolveStreamUser(req);
+        if (!user) {
+            throw new Error('Missing or invalid session token');
+        }
+
+        req.user = user;
     }
 
     handleConnection(ws, req) {
-        const connectionId = req.headers['sec-websocket-key'] || Date.now().toString();
-        this.connections.set(connectionId, ws);
+        const connectionId = crypto.randomUUID();
+        const connection = {
+            ws,
+            user: req.user,
+            channels: new Set(),
+            isAlive: true,
+            // Close the socket when the session it was opened with expires
+            cancelExpiry: onSessionExpiry(req.user, () => ws.close(4001, 'Session expired'))
+        };
+        this.connections.set(connectionId, connection);
 
-        logger.info(`WebSocket client connected: ${connectionId}`);
+        logger.info(`WebSocket client connected: ${connectionId} (${req.user.address})`);
+
+        ws.on('pong', () => {
+            connection.isAlive = true;
+        });
+
+        ws.on('message', (message) => {
+            this.handleMessage(connectionId, message);
+        });
 
         ws.on('close', () => {
             this.handleDisconnection(connectionId);
@@ -72,7 +128,6 @@ class WebSocketManager {
 
         ws.on('error', (error) => {
             logger.error(`WebSocket error for ${connectionId}:`, error);
-            this.handleDisconnection(connectionId);
         });
 
         // Send welcome message
@@ -80,152 +135,127 @@ class WebSocketManager {
             type: 'welcome',
             message: 'Connected to VernWallet Bridge WebSocket',
             connectionId,
+            address: req.user.address,
+            lastEventId: realtimeService.lastEventId,
             timestamp: new Date().toISOString()
         });
     }
 
     handleDisconnection(connectionId) {
-        logger.info(`WebSocket client disconnected: ${connectionId}`);
-        this.connections.delete(connectionId);
-
-        // Remove from all subscriptions
-        for (const [channel, subscribers] of this.subscriptions) {
-            subscribers.delete(connectionId);
+        const connection = this.connections.get(connectionId);
+        if (!connection) {
+            return;
         }
+
+        connection.cancelExpiry();
+        this.connections.delete(connectionId);
+        logger.info(`WebSocket client disconnected: ${connectionId}`);
     }
 
     handleMessage(connectionId, message) {
+        let data;
         try {
-            const data = JSON.parse(message);
-            const ws = this.connections.get(connectionId);
-
-            if (!ws) return;
-
-            switch (data.type) {
-                case 'subscribe':
-                    this.handleSubscription(connectionId, data.channel);
-                    break;
-                case 'unsubscribe':
-                    this.handleUnsubscription(connectionId, data.channel);
-                    break;
-                case 'ping':
-                    this.sendToConnection(connectionId, {
-                        type: 'pong',
-                        timestamp: new Date().toISOString()
-                    });
-                    break;
-                default:
-                    this.sendToConnection(connectionId, {
-                        type: 'error',
-                        message: 'Unknown message type',
-                        timestamp: new Date().toISOString()
-                    });
-            }
+            data = JSON.parse(message);
         } catch (error) {
-            logger.error('WebSocket message error:', error);
-            this.sendToConnection(connectionId, {
-                type: 'error',
-                message: 'Invalid message format',
-                timestamp: new Date().toISOString()
-            });
+            return this.sendError(connectionId, 'Invalid message format');
+        }
+
+        switch (data.type) {
+            case 'subscribe':
+                this.handleSubscription(connectionId, data);
+                break;
+            case 'unsubscribe':
+                this.handleUnsubscription(connectionId, data);
+                break;
+            case 'ping':
+                this.sendToConnection(connectionId, {
+                    type: 'pong',
+                    timestamp: new Date().toISOString()
+                });
+                break;
+            default:
+                this.sendError(connectionId, 'Unknown message type');
         }
     }
 
-    handleSubscription(connectionId, channel) {
-        if (!this.subscriptions.has(channel)) {
-            this.subscriptions.set(channel, new Set());
+    handleSubscription(connectionId, { channel, lastEventId }) {
+        const connection = this.connections.get(connectionId);
+        if (!connection) return;
+
+        let parsed;
+        try {
+            parsed = realtimeService.authorize(connection.user, channel);
+        } catch (error) {
+            return this.sendError(connectionId, error.message, channel);
         }
 
-        this.subscriptions.get(channel).add(connectionId);
+        connection.channels.add(parsed.channel);
 
         this.sendToConnection(connectionId, {
             type: 'subscribed',
-            channel,
+            channel: parsed.channel,
+            lastEventId: realtimeService.lastEventId,
             timestamp: new Date().toISOString()
         });
 
-        logger.info(`WebSocket client ${connectionId} subscribed to channel: ${channel}`);
-    }
-
-    handleUnsubscription(connectionId, channel) {
-        if (this.subscriptions.has(channel)) {
-            this.subscriptions.get(channel).delete(connectionId);
+        if (lastEventId) {
+            const missed = realtimeService.replay([parsed.channel], lastEventId);
 
-            this.sendToConnection(connectionId, {
-                type: 'unsubscribed',
-                channel,
-                timestamp: new Date().toISOString()
-            });
-        }
-    }
-
-    broadcastToChannel(channel, data) {
-        if (this.subscriptions.has(channel)) {
-            const message = JSON.stringify({
-                type: 'broadcast',
-                channel,
-                data,
-                timestamp: new Date().toISOString()
-            });
-
-            for (const connectionId of this.subscriptions.get(channel)) {
-                const ws = this.connections.get(connectionId);
-                if (ws && ws.readyState === 1) { // WebSocket.OPEN
-                    ws.send(message);
-                }
+            if (missed === null) {
+                this.sendToConnection(connectionId, {
+                    type: 'resync_required',
+                    channel: parsed.channel,
+                    message: 'Missed messages are no longer available; reload current state',
+                    timestamp: new Date().toISOString()
+                });
+            } else {
+                missed.forEach(item => this.sendToConnection(connectionId, item));
             }
         }
-    }
 
-    sendToConnection(connectionId, data) {
-        const ws = this.connections.get(connectionId);
-        if (ws && ws.readyState === 1) {
-            ws.send(JSON.stringify(data));
-        }
+        logger.info(`WebSocket client ${connectionId} subscribed to channel: ${parsed.channel}`);
     }
 
-    // Bridge-specific broadcast methods
-    broadcastBridgeUpdate(transactionId, status, progress) {
-        this.broadcastToChannel('bridge_updates', {
-            type: 'bridge_update',
-            transactionId,
-            status,
-            progress,
-            timestamp: new Date().toISOString()
-        });
-    }
+    handleUnsubscription(connectionId, { channel }) {
+        const connection = this.connections.get(connectionId);
+        const parsed = realtimeService.parseChannel(channel);
+        if (!connection || !parsed) return;
+
+        connection.channels.delete(parsed.channel);
 
-    broadcastStakingReward(address, amount, tokenAddress) {
-        this.broadcastToChannel('staking_rewards', {
-            type: 'staking_reward',
-            address,
-            amount,
-            tokenAddress,
+        this.sendToConnection(connectionId, {
+            type: 'unsubscribed',
+            channel: parsed.channel,
             timestamp: new Date().toISOString()
         });
     }
 
-    broadcastTransactionConfirmed(txHash, network) {
-        this.broadcastToChannel('transactions', {
-            type: 'transaction_confirmed',
-            txHash,
-            network,
-            timestamp: new Date().toISOString()
-        });
+    dispatch(message) {
+        for (const [connectionId, connection] of this.connections) {
+            if (connection.channels.has(message.channel)) {
+                this.sendToConnection(connectionId, message);
+            }
+        }
     }
 
-    broadcastSystemAlert(type, message, severity = 'info') {
-        this.broadcastToChannel('system_alerts', {
-            type: 'system_alert',
-            alertType: type,
+    sendError(connectionId, message, channel) {
+        this.sendToConnection(connectionId, {
+            type: 'error',
             message,
-            severity,
+            channel,
             timestamp: new Date().toISOString()
         });
     }
+
+    sendToConnection(connectionId, data) {
+        const connection = this.connections.get(connectionId);
+        if (connection && connection.ws.readyState === WebSocket.OPEN) {
+            connection.ws.send(JSON.stringify(data));
+        }
+    }
 }
 
 // Export WebSocket manager instance
 const wsManager = new WebSocketManager();
 module.exports = router;
-module.exports.wsManager = wsManager;
\ No newline at end of file
+module.exports.wsManager = wsManager;
@@ -0,0 +1,327 @@
+/**
+ * API key service - Per-integrator keys for the bridge API
+ * Keys look like `vwk_<id>_<secret>`; only a SHA-256 hash of the secret is
+ * stored. Each key carries scopes, an expiry and its own rate limit, and can
+ * be rotated (with a grace period for the old key) or revoked.
+ */
+
+const crypto = require('crypto');
+const database = require('./database');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const KEY_PREFIX = 'vwk';
+
+// Every key can read; 'bridge', 'staking' and 'operator' allow writes on their routes
+const SCOPES = ['read', 'bridge', 'staking', 'operator'];
+
+class ApiKeyError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ApiKeyError';
+        this.status = status;
+    }
+}
+
+class ApiKeyService {
+    constructor() {
+        // keyId -> { windowStart, count }
+        this.rateWindows = new Map();
+        this.lastSweep = 0;
+    }
+
+    /**
+     * Create a key for `ownerAddress`. The plaintext key is only ever returned here.
+     */
+    async createKey(ownerAddress, { name, scopes, expiresInDays, rateLimitPerMinute } = {}) {
+        const options = this.validateOptions({ name, scopes, expiresInDays, rateLimitPerMinute });
+        const now = new Date();
+        const expiresAt = new Date(now.getTime() + options.expiresInDays * 24 * 60 * 60 * 1000);
+
+        return this.insertKey(ownerAddress, options.name, options.scopes, options.rateLimitPerMinute, now, expiresAt);
+    }
+
+    /**
+     * Replace a key with a new secret. The new key inherits name, scopes, limit
+     * and expiry; the old one keeps working until the grace period ends.
+     */
+    async rotateKey(ownerAddress, keyId, gracePeriod = config.apiKeys.rotationGracePeriod) {
+        const existing = await this.getOwnedKey(ownerAddress, keyId);
+        if (existing.revoked_at || existing.rotated_to || this.isExpired(existing, new Date())) {
+            throw new ApiKeyError('Only active keys can be rotated', 409);
+        }
+
+        const grace = Number(gracePeriod);
+        if (!Number.isInteger(grace) || grace < 0 || grace > 7 * 24 * 60 * 60) {
+            throw new ApiKeyError('gracePeriod must be between 0 and 604800 seconds');
+        }
+
+        const now = new Date();
+        const graceEnd = new Date(now.getTime() + grace * 1000);
+        const oldExpiry = existing.expires_at && new Date(existing.expires_at) < graceEnd
+            ? new Date(existing.expires_at)
+            : graceEnd;
+
+        return database.transaction(async (tx) => {
+            const created = await this.insertKey(
+                ownerAddress,
+                existing.name,
+                this.parseScopes(existing.scopes),
+                parseInt(existing.rate_limit_per_minute, 10),
+                now,
+                existing.expires_at ? new Date(existing.expires_at) : null,
+                tx
+            );
+
+            await tx.query(
+                'UPDATE api_keys SET rotated_to = $2, expires_at = $3 WHERE id = $1',
+                [keyId, created.id, oldExpiry]
+            );
+
+            logger.info(`API key ${keyId} rotated to ${created.id}`);
+            return { ...created, previousKeyExpiresAt: oldExpiry.toISOString() };
+        });
+    }
+
+    async revokeKey(ownerAddress, keyId) {
+        const existing = await this.getOwnedKey(ownerAddress, keyId);
+        if (existing.revoked_at) {
+            return this.formatKey(existing);
+        }
+
+        const now = new Date();
+        await database.query('UPDATE api_keys SET revoked_at = $2 WHERE id = $1', [keyId, now]);
+        this.rateWindows.delete(keyId);
+
+        logger.info(`API key ${keyId} revoked`);
+        return this.formatKey({ ...existing, revoked_at: now });
+    }
+
+    async listKeys(ownerAddress) {
+        const result = await database.query(
+            'SELECT * FROM api_keys WHERE owner_address = $1 ORDER BY created_at DESC',
+            [ownerAddress]
+        );
+        return result.rows.map(row => this.formatKey(row));
+    }
+
+    /**
+     * Resolve a presented key. Returns null when it is malformed, unknown,
+     * revoked or expired.
+     */
+    async authenticateKey(presented, ip) {
+        const parsed = this.parseKey(presented);
+        if (!parsed) {
+            return null;
+        }
+
+        const result = await database.query('SELECT * FROM api_keys WHERE id = $1', [parsed.id]);
+        const row = result.rows[0];
+        if (!row) {
+            return null;
+        }
+
+        const expected = Buffer.from(row.key_hash, 'hex');
+        const actual = this.hashSecret(parsed.secret);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        const now = new Date();
+        if (row.revoked_at || this.isExpired(row, now)) {
+            return null;
+        }
+
+        this.touch(row, ip, now);
+
+        return {
+            id: row.id,
+            ownerAddress: row.owner_address,
+            name: row.name,
+            scopes: this.parseScopes(row.scopes),
+            rateLimitPerMinute: parseInt(row.rate_limit_per_minute, 10)
+        };
+    }
+
+    /**
+     * Count a request against the key's per-minute budget. Windows live in this
+     * process only, so behind N replicas a key gets up to N times its limit;
+     * the load balancer should pin a key to one replica where that matters.
+     */
+    consumeRateLimit(key, now = Date.now()) {
+        this.sweepRateWindows(now);
+
+        let window = this.rateWindows.get(key.id);
+        if (!window || now - window.windowStart >= 60000) {
+            window = { windowStart: now, count: 0 };
+            this.rateWindows.set(key.id, window);
+        }
+
+        window.count++;
+
+        return {
+            allowed: window.count <= key.rateLimitPerMinute,
+            limit: key.rateLimitPerMinute,
+            remaining: Math.max(0, key.rateLimitPerMinute - window.count),
+            resetAt: window.windowStart + 60000
+        };
+    }
+
+    // Forget windows that ended, at most once a minute, so idle keys don't pile up
+    sweepRateWindows(now) {
+        if (now - this.lastSweep < 60000) {
+            return;
+        }
+        this.lastSweep = now;
+
+        for (const [keyId, window] of this.rateWindows) {
+            if (now - window.windowStart >= 60000) {
+                this.rateWindows.delete(keyId);
+            }
+        }
+    }
+
+    /**
+     * Whether a key may perform `method` on a route guarded by `scope`
+     */
+    allows(key, scope, method) {
+        if (scope === 'read' || method === 'GET' || method === 'HEAD') {
+            return true;
+        }
+        return key.scopes.includes(scope);
+    }
+
+    // Helpers
+
+    async insertKey(ownerAddress, name, scopes, rateLimitPerMinute, createdAt, expiresAt, db = database) {
+        const id = crypto.randomBytes(8).toString('hex');
+        const secret = crypto.randomBytes(32).toString('base64url');
+
+        await db.query(`
+            INSERT INTO api_keys (id, owner_address, name, key_hash, scopes, rate_limit_per_minute, created_at, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [id, ownerAddress, name, this.hashSecret(secret).toString('hex'), scopes.join(','), rateLimitPerMinute, createdAt, expiresAt]);
+
+        logger.info(`API key ${id} created for ${ownerAddress} (${scopes.join(', ')})`);
+
+        return {
+            ...this.formatKey({
+                id,
+                name,
+                scopes: scopes.join(','),
+                rate_limit_per_minute: rateLimitPerMinute,
+                created_at: createdAt,
+                expires_at: expiresAt
+            }),
+            key: `${KEY_PREFIX}_${id}_${secret}`
+        };
+    }
+
+    async getOwnedKey(ownerAddress, keyId) {
+        const result = await database.query(
+            'SELECT * FROM api_keys WHERE id = $1 AND owner_address = $2',
+            [keyId, ownerAddress]
+        );
+        if (result.rows.length === 0) {
+            throw new ApiKeyError('API key not found', 404);
+        }
+        return result.rows[0];
+    }
+
+    validateOptions({ name, scopes, expiresInDays, rateLimitPerMinute }) {
+        if (typeof name !== 'string' || name.trim().length === 0 || name.length > 64) {
+            throw new ApiKeyError('name must be a string of 1-64 characters');
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            throw new ApiKeyError(`scopes must be a non-empty array of: ${SCOPES.join(', ')}`);
+        }
+        const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+        if (unknown.length > 0) {
+            throw new ApiKeyError(`Unknown scopes: ${unknown.join(', ')}`);
+        }
+
+        const days = expiresInDays === undefined ? config.apiKeys.defaultTtlDays : Number(expiresInDays);
+        if (!Number.isInteger(days) || days < 1 || days > config.apiKeys.maxTtlDays) {
+            throw new ApiKeyError(`expiresInDays must be between 1 and ${config.apiKeys.maxTtlDays}`);
+        }
+
+        const limit = rateLimitPerMinute === undefined
+            ? config.apiKeys.defaultRateLimitPerMinute
+            : Number(rateLimitPerMinute);
+        if (!Number.isInteger(limit) || limit < 1 || limit > config.apiKeys.maxRateLimitPerMinute) {
+            throw new ApiKeyError(`rateLimitPerMinute must be between 1 and ${config.apiKeys.maxRateLimitPerMinute}`);
+        }
+
+        return { name: name.trim(), scopes: [...new Set(scopes)], expiresInDays: days, rateLimitPerMinute: limit };
+    }
+
+    parseKey(presented) {
+        if (typeof presented !== 'string') {
+            return null;
+        }
+        const match = /^vwk_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/.exec(presented);
+        return match ? { id: match[1], secret: match[2] } : null;
+    }
+
+    parseScopes(value) {
+        return value ? value.split(',') : [];
+    }
+
+    hashSecret(secret) {
+        return crypto.createHash('sha256').update(secret).digest();
+    }
+
+    isExpired(row, now) {
+        return Boolean(row.expires_at) && new Date(row.expires_at) <= now;
+    }
+
+    /**
+     * Record last use, at most once per `lastUsedInterval` per key
+     */
+    touch(row, ip, now) {
+        const lastUsed = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+        if (now.getTime() - lastUsed < config.apiKeys.lastUsedInterval * 1000) {
+            return;
+        }
+
+        database.query('UPDATE api_keys SET last_used_at = $2, last_used_ip = $3 WHERE id = $1', [row.id, now, ip || null])
+            .catch(error => logger.warn(`Failed to record API key use for ${row.id}: ${error.message}`));
+    }
+
+    formatKey(row) {
+        const now = new Date();
+        let status = 'active';
+        if (row.revoked_at) {
+            status = 'revoked';
+        } else if (this.isExpired(row, now)) {
+            status = 'expired';
+        } else if (row.rotated_to) {
+            status = 'rotating';
+        }
+
+        return {
+            id: row.id,
+            name: row.name,
+            prefix: `${KEY_PREFIX}_${row.id}`,
+            scopes: this.parseScopes(row.scopes),
+            rateLimitPerMinute: parseInt(row.rate_limit_per_minute, 10),
+            status,
+            createdAt: this.toIso(row.created_at),
+            expiresAt: this.toIso(row.expires_at),
+            revokedAt: this.toIso(row.revoked_at),
+            rotatedTo: row.rotated_to || null,
+            lastUsedAt: this.toIso(row.last_used_at),
+            lastUsedIp: row.last_used_ip || null
+        };
+    }
+
+    toIso(value) {
+        return value ? new Date(value).toISOString() : null;
+    }
+}
+
+// Export singleton instance
+module.exports = new ApiKeyService();
+module.exports.ApiKeyError = ApiKeyError;
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,278 @@
+/**
+ * Auth service - Wallet sign-in and session tokens
+ * Issues single-use expiring nonces, verifies the signed challenge and hands out
+ * a JWT session. Starknet wallets sign SNIP-12 typed data that is checked by the
+ * account contract's `is_valid_signature`; Bitcoin wallets sign a plain-text
+ * message with BIP-322 or legacy `signmessage`.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { CallData, typedData: starknetTypedData, shortString, num } = require('starknet');
+const starknetService = require('./starknet');
+const bitcoinMessage = require('./bitcoin-message');
+const database = require('./database');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const SIGN_IN_STATEMENT = 'Sign in to VernWallet Bridge';
+const TOKEN_ISSUER = 'vernwallet-bridge';
+
+// Returned by SNIP-6 accounts for a valid signature ('VALID' as a short string)
+const SNIP6_VALID = BigInt(shortString.encodeShortString('VALID'));
+
+class AuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+class AuthService {
+    constructor() {
+        this.devSecret = null;
+    }
+
+    /**
+     * Create a sign-in challenge for an address. The nonce is stored
+     * server-side and can be redeemed once before it expires.
+     */
+    async createChallenge(address, chain = 'starknet') {
+        const normalized = this.normalizeAddress(address, chain);
+        const nonce = '0x' + crypto.randomBytes(16).toString('hex');
+        const issuedAt = new Date();
+        const expiresAt = new Date(issuedAt.getTime() + config.auth.nonceTtl * 1000);
+        const message = chain === 'bitcoin'
+            ? this.buildBitcoinMessage(normalized, nonce, issuedAt, expiresAt)
+            : this.buildTypedData(normalized, nonce, issuedAt, expiresAt);
+
+        await this.pruneNonces();
+        await database.query(`
+            INSERT INTO auth_nonces (nonce, address, chain, message, created_at, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `, [nonce, normalized, chain, JSON.stringify(message), issuedAt, expiresAt]);
+
+        return { nonce, chain, message, expiresAt };
+    }
+
+    /**
+     * Check a signed challenge and return a session. Throws AuthError when the
+     * nonce is unknown, expired, already used or the signature doesn't verify.
+     */
+    async signIn({ address, nonce, signature }) {
+        const challenge = await this.consumeNonce(nonce, address);
+
+        const valid = challenge.chain === 'bitcoin'
+            ? this.verifyBitcoinSignature(challenge.address, challenge.message, signature)
+            : await this.verifyStarknetSignature(challenge.address, challenge.message, signature);
+        if (!valid) {
+            throw new AuthError('Invalid signature');
+        }
+
+        logger.info(`Wallet signed in: ${challenge.address} (${challenge.chain})`);
+        return this.issueSession(challenge.address, challenge.chain);
+    }
+
+    /**
+     * Mark a nonce used. The conditional update makes redemption atomic, so a
+     * replayed or concurrent request can never use the same nonce twice.
+     */
+    async consumeNonce(nonce, address) {
+        if (!nonce || !address) {
+            throw new AuthError('Address and nonce are required', 400);
+        }
+
+        const result = await database.query('SELECT * FROM auth_nonces WHERE nonce = $1', [nonce]);
+        const row = result.rows[0];
+
+        if (!row) {
+            throw new AuthError('Unknown nonce');
+        }
+
+        let normalized;
+        try {
+            normalized = this.normalizeAddress(address, row.chain);
+        } catch (error) {
+            // num.toHex throws on anything that isn't a number
+            throw new AuthError('Invalid address', 400);
+        }
+        if (row.address !== normalized) {
+            throw new AuthError('Unknown nonce');
+        }
+
+        const now = new Date();
+        const update = await database.query(`
+            UPDATE auth_nonces SET used_at = $2
+            WHERE nonce = $1 AND used_at IS NULL AND expires_at > $2
+        `, [nonce, now]);
+
+        if (update.rowCount !== 1) {
+            throw new AuthError('Nonce expired or already used');
+        }
+
+        return { address: row.address, chain: row.chain, message: JSON.parse(row.message) };
+    }
+
+    /**
+     * SNIP-12 (revision 1) sign-in message
+     */
+    buildTypedData(address, nonce, issuedAt, expiresAt) {
+        return {
+            types: {
+                StarknetDomain: [
+                    { name: 'name', type: 'shortstring' },
+                    { name: 'version', type: 'shortstring' },
+                    { name: 'chainId', type: 'shortstring' },
+                    { name: 'revision', type: 'shortstring' }
+                ],
+                Message: [
+                    { name: 'statement', type: 'shortstring' },
+                    { name: 'address', type: 'ContractAddress' },
+                    { name: 'nonce', type: 'felt' },
+                    { name: 'issuedAt', type: 'timestamp' },
+                    { name: 'expiresAt', type: 'timestamp' }
+                ]
+            },
+            primaryType: 'Message',
+            domain: {
+                name: 'VernWallet Bridge',
+                version: '1',
+                chainId: config.starknet.chainId,
+                revision: '1'
+            },
+            message: {
+                statement: SIGN_IN_STATEMENT,
+                address,
+                nonce,
+                issuedAt: Math.floor(issuedAt.getTime() / 1000),
+                expiresAt: Math.floor(expiresAt.getTime() / 1000)
+            }
+        };
+    }
+
+    /**
+     * Plain-text sign-in message for Bitcoin wallets
+     */
+    buildBitcoinMessage(address, nonce, issuedAt, expiresAt) {
+        return [
+            SIGN_IN_STATEMENT,
+            '',
+            `Address: ${address}`,
+            `Network: ${config.bitcoin.network}`,
+            `Nonce: ${nonce}`,
+            `Issued At: ${issuedAt.toISOString()}`,
+            `Expires At: ${expiresAt.toISOString()}`
+        ].join('\n');
+    }
+
+    /**
+     * Ask the account contract whether it accepts the signature for the
+     * typed-data hash. Accounts that don't implement SNIP-6 `is_valid_signature`
+     * are tried with the legacy `isValidSignature` entrypoint.
+     */
+    async verifyStarknetSignature(address, typedData, signature) {
+        if (!Array.isArray(signature) || signature.length === 0) {
+            throw new AuthError('Signature must be a non-empty array of felts', 400);
+        }
+
+        const messageHash = starknetTypedData.getMessageHash(typedData, address);
+        const calldata = CallData.compile({ hash: messageHash, signature });
+
+        for (const entrypoint of ['is_valid_signature', 'isValidSignature']) {
+            try {
+                const result = await starknetService.provider.callContract({
+                    contractAddress: address,
+                    entrypoint,
+                    calldata
+                });
+                const value = BigInt(result.result[0]);
+
+                return value === SNIP6_VALID || value === 1n;
+            } catch (error) {
+                // Invalid signatures make most accounts revert; only retry when the entrypoint is missing
+                if (!/entry ?point|not found/i.test(error.message)) {
+                    logger.warn(`Signature check failed for ${address}: ${error.message}`);
+                    return false;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Check a base64 BIP-322 (simple) or legacy compact signature over the
+     * sign-in message
+     */
+    verifyBitcoinSignature(address, message, signature) {
+        if (typeof signature !== 'string' || signature.length === 0) {
+            throw new AuthError('Signature must be a base64 string', 400);
+        }
+
+        return bitcoinMessage.verifyMessage(address, message, signature);
+    }
+
+    // Sessions
+
+    issueSession(address, chain) {
+        const token = jwt.sign({ chain }, this.getSecret(), {
+            subject: address,
+            issuer: TOKEN_ISSUER,
+            expiresIn: config.auth.sessionTtl
+        });
+
+        return {
+            token,
+            address,
+            chain,
+            expiresAt: new Date(Date.now() + config.auth.sessionTtl * 1000)
+        };
+    }
+
+    /**
+     * Decode a session token; returns null when it is invalid or expired
+     */
+    verifySessionToken(token) {
+        try {
+            const payload = jwt.verify(token, this.getSecret(), { issuer: TOKEN_ISSUER });
+            return { address: payload.sub, chain: payload.chain, expiresAt: new Date(payload.exp * 1000) };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getSecret() {
+        if (config.auth.jwtSecret) {
+            return config.auth.jwtSecret;
+        }
+
+        if (config.isProduction) {
+            throw new Error('JWT_SECRET must be set in production');
+        }
+
+        // Outside production fall back to a per-process secret; sessions end on restart
+        if (!this.devSecret) {
+            logger.warn('JWT_SECRET is not set, using a temporary secret');
+            this.devSecret = crypto.randomBytes(32).toString('hex');
+        }
+        return this.devSecret;
+    }
+
+    async pruneNonces() {
+        const result = await database.query('DELETE FROM auth_nonces WHERE expires_at < $1', [new Date()]);
+        return result.rowCount;
+    }
+
+    normalizeAddress(address, chain) {
+        if (chain === 'starknet') {
+            return num.toHex(address);
+        }
+        // Bech32 is case-insensitive, base58 is not
+        return /^(bc|tb|bcrt)1/i.test(address) ? address.toLowerCase() : address;
+    }
+}
+
+// Export singleton instance
+module.exports = new AuthService();
+module.exports.AuthError = AuthError;
@@ -0,0 +1,261 @@
+/**
+ * Bitcoin message signatures - BIP-322 and legacy `signmessage` verification,
+ * and legacy signing for the bridge's own attestations
+ * Supports P2PKH (legacy), P2WPKH (BIP-322 simple or legacy/BIP-137) and
+ * P2TR key-path (BIP-322 simple) addresses, which covers Xverse, Unisat and
+ * Bitcoin Core wallets.
+ */
+
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const { secp256k1, schnorr } = require('@noble/curves/secp256k1');
+
+const MESSAGE_MAGIC = 'Bitcoin Signed Message:\n';
+const BIP322_TAG = 'BIP0322-signed-message';
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest();
+}
+
+function hash160(data) {
+    return crypto.createHash('ripemd160').update(sha256(data)).digest();
+}
+
+function taggedHash(tag, data) {
+    const tagHash = sha256(Buffer.from(tag, 'utf8'));
+    return sha256(Buffer.concat([tagHash, tagHash, data]));
+}
+
+function encodeVarInt(n) {
+    if (n < 0xfd) {
+        return Buffer.from([n]);
+    }
+    const buf = Buffer.alloc(3);
+    buf[0] = 0xfd;
+    buf.writeUInt16LE(n, 1);
+    return buf;
+}
+
+/**
+ * Classify an address and return its witness program / key hash and output script
+ */
+function decodeAddress(address) {
+    try {
+        const { version, data } = bitcoin.address.fromBech32(address);
+
+        if (version === 0 && data.length === 20) {
+            return { type: 'p2wpkh', hash: data, script: bitcoin.script.compile([bitcoin.opcodes.OP_0, data]) };
+        }
+        if (version === 1 && data.length === 32) {
+            return { type: 'p2tr', outputKey: data, script: bitcoin.script.compile([bitcoin.opcodes.OP_1, data]) };
+        }
+        return { type: 'unsupported' };
+    } catch (error) {
+        // Not bech32, try base58
+    }
+
+    try {
+        const { version, hash } = bitcoin.address.fromBase58Check(address);
+
+        // 0x00 mainnet, 0x6f testnet/regtest P2PKH
+        if (version === 0x00 || version === 0x6f) {
+            return { type: 'p2pkh', hash };
+        }
+        return { type: 'unsupported' };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Verify `signature` (base64) over `message` for `address`. Tries the legacy
+ * compact format first and falls back to BIP-322 simple.
+ */
+function verifyMessage(address, message, signature) {
+    const decoded = decodeAddress(address);
+    if (!decoded || decoded.type === 'unsupported') {
+        return false;
+    }
+
+    let sigBytes;
+    try {
+        sigBytes = Buffer.from(signature, 'base64');
+    } catch (error) {
+        return false;
+    }
+
+    if (sigBytes.length === 65 && sigBytes[0] >= 27 && sigBytes[0] <= 42) {
+        return verifyLegacy(decoded, message, sigBytes);
+    }
+
+    return verifyBip322Simple(decoded, message, sigBytes);
+}
+
+/**
+ * Bitcoin Core `signmessage` / BIP-137: recover the key from the compact
+ * signature and compare its hash with the address
+ */
+function verifyLegacy(decoded, message, sigBytes) {
+    if (decoded.type !== 'p2pkh' && decoded.type !== 'p2wpkh') {
+        return false;
+    }
+
+    const header = sigBytes[0];
+    const recovery = (header - 27) & 3;
+    const compressed = header >= 31;
+
+    try {
+        const publicKey = secp256k1.Signature.fromCompact(sigBytes.subarray(1))
+            .addRecoveryBit(recovery)
+            .recoverPublicKey(messageDigest(message))
+            .toRawBytes(compressed);
+
+        // Segwit addresses always commit to a compressed key
+        if (decoded.type === 'p2wpkh' && !compressed) {
+            return false;
+        }
+
+        return hash160(Buffer.from(publicKey)).equals(decoded.hash);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Sign `message` the way Bitcoin Core's `signmessage` does, for the P2PKH
+ * address of the compressed public key. Returns the base64 compact signature.
+ */
+function signMessage(privateKey, message) {
+    const signature = secp256k1.sign(messageDigest(message), privateKey);
+
+    return Buffer.concat([
+        Buffer.from([31 + signature.recovery]),
+        Buffer.from(signature.toCompactRawBytes())
+    ]).toString('base64');
+}
+
+function messageDigest(message) {
+    const messageBytes = Buffer.from(message, 'utf8');
+    return sha256(sha256(Buffer.concat([
+        encodeVarInt(MESSAGE_MAGIC.length),
+        Buffer.from(MESSAGE_MAGIC, 'utf8'),
+        encodeVarInt(messageBytes.length),
+        messageBytes
+    ])));
+}
+
+/**
+ * BIP-322 "simple": the signature is the witness stack of the virtual
+ * to_sign transaction spending the to_spend output locked to the address
+ */
+function verifyBip322Simple(decoded, message, sigBytes) {
+    if (decoded.type === 'p2pkh') {
+        // Legacy addresses have no witness; BIP-322 simple doesn't apply
+        return false;
+    }
+
+    let witness;
+    try {
+        witness = decodeWitness(sigBytes);
+    } catch (error) {
+        return false;
+    }
+
+    const toSign = buildToSign(decoded.script, message, witness);
+
+    try {
+        if (decoded.type === 'p2wpkh') {
+            if (witness.length !== 2 || witness[1].length !== 33) {
+                return false;
+            }
+
+            const [signature, publicKey] = witness;
+            if (!hash160(publicKey).equals(decoded.hash)) {
+                return false;
+            }
+
+            const hashType = signature[signature.length - 1];
+            const scriptCode = bitcoin.payments.p2pkh({ hash: decoded.hash }).output;
+            const sighash = toSign.hashForWitnessV0(0, scriptCode, 0, hashType);
+
+            return secp256k1.verify(
+                secp256k1.Signature.fromDER(signature.subarray(0, -1)),
+                sighash,
+                publicKey,
+                { lowS: false }
+            );
+        }
+
+        // p2tr key path
+        if (witness.length !== 1 || (witness[0].length !== 64 && witness[0].length !== 65)) {
+            return false;
+        }
+
+        const signature = witness[0];
+        const hashType = signature.length === 65 ? signature[64] : bitcoin.Transaction.SIGHASH_DEFAULT;
+        const sighash = toSign.hashForWitnessV1(0, [decoded.script], [0], hashType);
+
+        return schnorr.verify(signature.subarray(0, 64), sighash, decoded.outputKey);
+    } catch (error) {
+        return false;
+    }
+}
+
+function buildToSign(scriptPubKey, message, witness) {
+    const messageHash = taggedHash(BIP322_TAG, Buffer.from(message, 'utf8'));
+
+    const toSpend = new bitcoin.Transaction();
+    toSpend.version = 0;
+    toSpend.locktime = 0;
+    toSpend.addInput(Buffer.alloc(32), 0xffffffff, 0, bitcoin.script.compile([bitcoin.opcodes.OP_0, messageHash]));
+    toSpend.addOutput(scriptPubKey, 0);
+
+    const toSign = new bitcoin.Transaction();
+    toSign.version = 0;
+    toSign.locktime = 0;
+    toSign.addInput(toSpend.getHash(), 0, 0);
+    toSign.addOutput(bitcoin.script.compile([bitcoin.opcodes.OP_RETURN]), 0);
+    toSign.setWitness(0, witness);
+
+    return toSign;
+}
+
+function decodeWitness(bytes) {
+    let offset = 0;
+
+    const readVarInt = () => {
+        const first = bytes[offset++];
+        if (first < 0xfd) {
+            return first;
+        }
+        if (first === 0xfd) {
+            const value = bytes.readUInt16LE(offset);
+            offset += 2;
+            return value;
+        }
+        throw new Error('Witness item too large');
+    };
+
+    const count = readVarInt();
+    const items = [];
+    for (let i = 0; i < count; i++) {
+        const length = readVarInt();
+        if (offset + length > bytes.length) {
+            throw new Error('Truncated witness');
+        }
+        items.push(bytes.subarray(offset, offset + length));
+        offset += length;
+    }
+
+    if (offset !== bytes.length) {
+        throw new Error('Trailing witness data');
+    }
+
+    return items;
+}
+
+module.exports = {
+    verifyMessage,
+    signMessage,
+    decodeAddress
+};
@@ -0,0 +1,18 @@
+/**
+ * Shared constants for Bitcoin data providers
+ */
+
+const SATOSHIS_PER_BTC = 100000000;
+
+// Confirmation targets (blocks) used for the fee estimate buckets
+const FEE_TARGETS = {
+    fastestFee: 1,
+    halfHourFee: 3,
+    hourFee: 6,
+    economyFee: 144
+};
+
+module.exports = {
+    SATOSHIS_PER_BTC,
+    FEE_TARGETS
+};
@@ -0,0 +1,284 @@
+/**
+ * Esplora provider - chain data from an Esplora / mempool.space compatible REST indexer
+ * Lets deployments without a full node use a hosted or self-run indexer
+ */
+
+const axios = require('axios');
+const { SATOSHIS_PER_BTC, FEE_TARGETS } = require('./constants');
+
+class EsploraError extends Error {
+    constructor(message, { status = 502, path = null } = {}) {
+        super(message);
+        this.name = 'EsploraError';
+        this.status = status;
+        this.path = path;
+    }
+
+    get isNotFound() {
+        return this.status === 404;
+    }
+}
+
+class EsploraBitcoinProvider {
+    constructor({ esploraUrl, network, rpcTimeout }) {
+        if (!esploraUrl) {
+            throw new Error('Esplora URL is required');
+        }
+
+        this.name = 'esplora';
+        this.network = network;
+        this.http = axios.create({
+            baseURL: esploraUrl.replace(/\/+$/, ''),
+            timeout: rpcTimeout,
+            // Plain-text endpoints (tip hash, txids) must not go through JSON parsing
+            transformResponse: data => data
+        });
+    }
+
+    async getNetworkInfo() {
+        const [height, hash] = await Promise.all([
+            this.get('/blocks/tip/height'),
+            this.get('/blocks/tip/hash')
+        ]);
+        const tip = await this.get(`/block/${hash}`);
+
+        return {
+            network: this.network,
+            blockHeight: parseInt(height, 10),
+            bestBlockHash: hash,
+            difficulty: tip.difficulty !== undefined ? tip.difficulty.toString() : null,
+            // Indexers don't expose peer information
+            connections: null
+        };
+    }
+
+    async getTransaction(txid) {
+        const tx = await this.getOrNull(`/tx/${txid}`);
+        if (!tx) {
+            return null;
+        }
+
+        const [hex, confirmations] = await Promise.all([
+            this.get(`/tx/${txid}/hex`),
+            this.confirmationsFor(tx.status)
+        ]);
+
+        const outputs = tx.vout.map((output, index) => ({
+            index,
+            value: output.value / SATOSHIS_PER_BTC,
+            valueSat: output.value,
+            address: output.scriptpubkey_address || null,
+            scriptPubKey: output.scriptpubkey,
+            type: output.scriptpubkey_type
+        }));
+
+        return {
+            txHash: tx.txid,
+            wtxid: null,
+            blockHash: tx.status.block_hash || null,
+            blockHeight: tx.status.block_height || null,
+            confirmations,
+            timestamp: tx.status.block_time ? tx.status.block_time * 1000 : null,
+            amount: outputs.reduce((sum, output) => sum + output.valueSat, 0) / SATOSHIS_PER_BTC,
+            fee: tx.fee,
+            size: tx.size,
+            vsize: Math.ceil(tx.weight / 4),
+            inputs: tx.vin.map(input => ({ txid: input.txid, vout: input.vout, coinbase: input.is_coinbase || undefined })),
+            outputs,
+            hex
+        };
+    }
+
+    async getTransactionStatus(txid) {
+        const status = await this.getOrNull(`/tx/${txid}/status`);
+        if (!status) {
+            return null;
+        }
+
+        return {
+            txHash: txid,
+            confirmed: status.confirmed,
+            blockHash: status.block_hash || null,
+            blockHeight: status.block_height || null,
+            confirmations: await this.confirmationsFor(status)
+        };
+    }
+
+    async getBestBlock() {
+        const hash = await this.get('/blocks/tip/hash');
+        const block = await this.get(`/block/${hash}`);
+
+        return {
+            hash: block.id,
+            height: block.height,
+            timestamp: block.timestamp * 1000
+        };
+    }
+
+    async getBlockHash(height) {
+        return this.getOrNull(`/block-height/${height}`);
+    }
+
+    async getBlock(blockHash) {
+        const block = await this.getOrNull(`/block/${blockHash}`);
+        if (!block) {
+            return null;
+        }
+
+        const [txids, tipHeight] = await Promise.all([
+            this.get(`/block/${blockHash}/txids`),
+            this.get('/blocks/tip/height')
+        ]);
+
+        return {
+            hash: block.id,
+            height: block.height,
+            confirmations: parseInt(tipHeight, 10) - block.height + 1,
+            timestamp: block.timestamp * 1000,
+            medianTime: block.mediantime ? block.mediantime * 1000 : null,
+            txCount: block.tx_count,
+            size: block.size,
+            weight: block.weight,
+            version: block.version,
+            merkleRoot: block.merkle_root,
+            bits: block.bits.toString(16).padStart(8, '0'),
+            nonce: block.nonce,
+            difficulty: block.difficulty,
+            previousBlockHash: block.previousblockhash || null,
+            nextBlockHash: null,
+            transactions: txids
+        };
+    }
+
+    // Raw 80-byte header, hex encoded
+    async getBlockHeader(blockHash) {
+        return this.getOrNull(`/block/${blockHash}/header`);
+    }
+
+    async getBlockTransactions(blockHash) {
+        const block = await this.getOrNull(`/block/${blockHash}`);
+        if (!block) {
+            return null;
+        }
+
+        // Esplora pages block transactions 25 at a time
+        const transactions = [];
+        for (let start = 0; start < block.tx_count; start += 25) {
+            const page = await this.get(`/block/${blockHash}/txs/${start}`);
+            for (const tx of page) {
+                transactions.push({
+                    txHash: tx.txid,
+                    outputs: tx.vout.map((output, index) => ({
+                        index,
+                        valueSat: output.value,
+                        address: output.scriptpubkey_address || null
+                    }))
+                });
+            }
+        }
+
+        return transactions;
+    }
+
+    async broadcastTransaction(rawTransaction) {
+        return this.request('post', '/tx', rawTransaction, { headers: { 'Content-Type': 'text/plain' } });
+    }
+
+    async getFeeEstimates() {
+        // Map of confirmation target -> sat/vB
+        const estimates = await this.get('/fee-estimates');
+        const rates = Object.values(estimates);
+        const minimumFee = rates.length > 0 ? Math.max(1, Math.ceil(Math.min(...rates))) : 1;
+
+        const result = { minimumFee };
+        for (const [bucket, target] of Object.entries(FEE_TARGETS)) {
+            const rate = estimates[target.toString()];
+            result[bucket] = rate ? Math.max(Math.ceil(rate), minimumFee) : minimumFee;
+        }
+
+        return result;
+    }
+
+    async getMempoolInfo() {
+        const mempool = await this.get('/mempool');
+
+        return {
+            size: mempool.count,
+            bytes: mempool.vsize,
+            usage: null,
+            maxmempool: null,
+            mempoolminfee: null,
+            minrelaytxfee: null,
+            totalFee: mempool.total_fee
+        };
+    }
+
+    async getAddressBalance(address) {
+        const info = await this.get(`/address/${address}`);
+        return info.chain_stats.funded_txo_sum - info.chain_stats.spent_txo_sum;
+    }
+
+    async getAddressUtxos(address) {
+        const [utxos, tipHeight] = await Promise.all([
+            this.get(`/address/${address}/utxo`),
+            this.get('/blocks/tip/height')
+        ]);
+
+        return utxos.map(utxo => ({
+            txid: utxo.txid,
+            vout: utxo.vout,
+            value: utxo.value,
+            scriptPubKey: null,
+            blockHeight: utxo.status.block_height || null,
+            confirmations: utxo.status.confirmed ? parseInt(tipHeight, 10) - utxo.status.block_height + 1 : 0
+        }));
+    }
+
+    async confirmationsFor(status) {
+        if (!status.confirmed) {
+            return 0;
+        }
+        const tipHeight = await this.get('/blocks/tip/height');
+        return parseInt(tipHeight, 10) - status.block_height + 1;
+    }
+
+    async get(path) {
+        return this.request('get', path);
+    }
+
+    async getOrNull(path) {
+        try {
+            return await this.get(path);
+        } catch (error) {
+            if (error.isNotFound) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async request(method, path, data, options = {}) {
+        try {
+            const response = await this.http.request({ method, url: path, data, ...options });
+            const contentType = response.headers['content-type'] || '';
+            return contentType.includes('json') ? JSON.parse(response.data) : response.data;
+        } catch (error) {
+            if (error.response) {
+                const { status, data: body } = error.response;
+                // Esplora answers with a plain-text reason, e.g. broadcast rejections
+                const reason = typeof body === 'string' && body ? body : `HTTP ${status}`;
+                throw new EsploraError(`Esplora ${path}: ${reason}`, {
+                    status: status === 404 ? 404 : status === 400 ? 400 : 502,
+                    path
+                });
+            }
+            if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+                throw new EsploraError(`Esplora ${path} timed out`, { status: 504, path });
+            }
+            throw new EsploraError(`Esplora unreachable: ${error.message}`, { status: 503, path });
+        }
+    }
+}
+
+module.exports = EsploraBitcoinProvider;
+module.exports.EsploraError = EsploraError;
@@ -0,0 +1,40 @@
+/**
+ * Bitcoin data providers
+ *
+ * Every provider implements the same interface so BitcoinService can switch
+ * between a full node and a REST indexer through `config.bitcoin.provider`:
+ *
+ *   getNetworkInfo(), getBestBlock(), getBlockHash(height), getBlock(hash),
+ *   getBlockHeader(hash), getBlockTransactions(hash), getTransaction(txid),
+ *   getTransactionStatus(txid),
+ *   broadcastTransaction(hex), getFeeEstimates(), getMempoolInfo(),
+ *   getAddressBalance(address), getAddressUtxos(address)
+ *
+ * Lookups return null when the object doesn't exist; other failures throw an
+ * error carrying an HTTP `status` for the API layer.
+ */
+
+const RpcBitcoinProvider = require('./rpc');
+const EsploraBitcoinProvider = require('./esplora');
+
+const PROVIDERS = {
+    rpc: RpcBitcoinProvider,
+    esplora: EsploraBitcoinProvider
+};
+
+function createBitcoinProvider(bitcoinConfig) {
+    const name = bitcoinConfig.provider || 'rpc';
+    const Provider = PROVIDERS[name];
+
+    if (!Provider) {
+        throw new Error(`Unknown Bitcoin provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    return new Provider(bitcoinConfig);
+}
+
+module.exports = {
+    createBitcoinProvider,
+    RpcBitcoinProvider,
+    EsploraBitcoinProvider
+};
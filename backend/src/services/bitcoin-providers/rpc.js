@@ -0,0 +1,228 @@
+/**
+ * Bitcoin Core provider - chain data from a full node over JSON-RPC
+ */
+
+const { BitcoinRpcClient } = require('../bitcoin-rpc');
+const { SATOSHIS_PER_BTC, FEE_TARGETS } = require('./constants');
+
+class RpcBitcoinProvider {
+    constructor({ rpcUrl, rpcUser, rpcPassword, rpcTimeout }) {
+        this.name = 'rpc';
+        this.rpc = new BitcoinRpcClient({
+            url: rpcUrl,
+            user: rpcUser,
+            password: rpcPassword,
+            timeout: rpcTimeout
+        });
+    }
+
+    async getNetworkInfo() {
+        const [chainInfo, netInfo] = await this.rpc.batch([
+            { method: 'getblockchaininfo' },
+            { method: 'getnetworkinfo' }
+        ]);
+
+        return {
+            network: chainInfo.chain,
+            blockHeight: chainInfo.blocks,
+            bestBlockHash: chainInfo.bestblockhash,
+            difficulty: chainInfo.difficulty.toString(),
+            connections: netInfo.connections,
+            verificationProgress: chainInfo.verificationprogress,
+            initialBlockDownload: chainInfo.initialblockdownload
+        };
+    }
+
+    async getTransaction(txid) {
+        const tx = await this.callOrNull('getrawtransaction', [txid, true]);
+        if (!tx) {
+            return null;
+        }
+
+        let blockHeight = null;
+        if (tx.blockhash) {
+            const header = await this.rpc.call('getblockheader', [tx.blockhash, true]);
+            blockHeight = header.height;
+        }
+
+        const outputs = tx.vout.map(output => ({
+            index: output.n,
+            value: output.value,
+            valueSat: Math.round(output.value * SATOSHIS_PER_BTC),
+            address: output.scriptPubKey.address || null,
+            scriptPubKey: output.scriptPubKey.hex,
+            type: output.scriptPubKey.type
+        }));
+
+        return {
+            txHash: tx.txid,
+            wtxid: tx.hash,
+            blockHash: tx.blockhash || null,
+            blockHeight,
+            confirmations: tx.confirmations || 0,
+            timestamp: tx.blocktime ? tx.blocktime * 1000 : null,
+            amount: outputs.reduce((sum, output) => sum + output.valueSat, 0) / SATOSHIS_PER_BTC,
+            size: tx.size,
+            vsize: tx.vsize,
+            inputs: tx.vin.map(input => ({ txid: input.txid, vout: input.vout, coinbase: input.coinbase })),
+            outputs,
+            hex: tx.hex
+        };
+    }
+
+    async getTransactionStatus(txid) {
+        const tx = await this.callOrNull('getrawtransaction', [txid, true]);
+        if (!tx) {
+            return null;
+        }
+
+        let blockHeight = null;
+        if (tx.blockhash) {
+            const header = await this.rpc.call('getblockheader', [tx.blockhash, true]);
+            blockHeight = header.height;
+        }
+
+        return {
+            txHash: tx.txid,
+            confirmed: Boolean(tx.blockhash),
+            blockHash: tx.blockhash || null,
+            blockHeight,
+            confirmations: tx.confirmations || 0
+        };
+    }
+
+    async getBestBlock() {
+        const bestHash = await this.rpc.call('getbestblockhash');
+        const header = await this.rpc.call('getblockheader', [bestHash, true]);
+
+        return {
+            hash: header.hash,
+            height: header.height,
+            timestamp: header.time * 1000
+        };
+    }
+
+    async getBlockHash(height) {
+        return this.callOrNull('getblockhash', [height]);
+    }
+
+    async getBlock(blockHash) {
+        const block = await this.callOrNull('getblock', [blockHash, 1]);
+        if (!block) {
+            return null;
+        }
+
+        return {
+            hash: block.hash,
+            height: block.height,
+            confirmations: block.confirmations,
+            timestamp: block.time * 1000,
+            medianTime: block.mediantime * 1000,
+            txCount: block.nTx,
+            size: block.size,
+            weight: block.weight,
+            version: block.version,
+            merkleRoot: block.merkleroot,
+            bits: block.bits,
+            nonce: block.nonce,
+            difficulty: block.difficulty,
+            previousBlockHash: block.previousblockhash || null,
+            nextBlockHash: block.nextblockhash || null,
+            transactions: block.tx
+        };
+    }
+
+    // Raw 80-byte header, hex encoded
+    async getBlockHeader(blockHash) {
+        return this.callOrNull('getblockheader', [blockHash, false]);
+    }
+
+    async getBlockTransactions(blockHash) {
+        const block = await this.callOrNull('getblock', [blockHash, 2]);
+        if (!block) {
+            return null;
+        }
+
+        return block.tx.map(tx => ({
+            txHash: tx.txid,
+            outputs: tx.vout.map(output => ({
+                index: output.n,
+                valueSat: Math.round(output.value * SATOSHIS_PER_BTC),
+                address: output.scriptPubKey.address || null
+            }))
+        }));
+    }
+
+    async broadcastTransaction(rawTransaction) {
+        return this.rpc.call('sendrawtransaction', [rawTransaction]);
+    }
+
+    async getFeeEstimates() {
+        const buckets = Object.keys(FEE_TARGETS);
+        const results = await this.rpc.batch([
+            ...buckets.map(bucket => ({ method: 'estimatesmartfee', params: [FEE_TARGETS[bucket]] })),
+            { method: 'getmempoolinfo' }
+        ]);
+        const mempool = results.pop();
+        const minimumFee = this.btcPerKvbToSatPerVb(mempool.mempoolminfee);
+
+        // estimatesmartfee returns BTC/kvB and omits feerate until the node has enough data
+        const estimates = { minimumFee };
+        buckets.forEach((bucket, i) => {
+            estimates[bucket] = results[i].feerate
+                ? Math.max(this.btcPerKvbToSatPerVb(results[i].feerate), minimumFee)
+                : minimumFee;
+        });
+
+        return estimates;
+    }
+
+    async getMempoolInfo() {
+        const info = await this.rpc.call('getmempoolinfo');
+
+        return {
+            size: info.size,
+            bytes: info.bytes,
+            usage: info.usage,
+            maxmempool: info.maxmempool,
+            mempoolminfee: info.mempoolminfee,
+            minrelaytxfee: info.minrelaytxfee
+        };
+    }
+
+    async getAddressBalance(address) {
+        // Bitcoin Core has no address index; scan the UTXO set for the descriptor instead
+        const scan = await this.rpc.call('scantxoutset', ['start', [`addr(${address})`]]);
+        return Math.round(scan.total_amount * SATOSHIS_PER_BTC);
+    }
+
+    async getAddressUtxos(address) {
+        const scan = await this.rpc.call('scantxoutset', ['start', [`addr(${address})`]]);
+
+        return scan.unspents.map(utxo => ({
+            txid: utxo.txid,
+            vout: utxo.vout,
+            value: Math.round(utxo.amount * SATOSHIS_PER_BTC),
+            scriptPubKey: utxo.scriptPubKey,
+            blockHeight: utxo.height,
+            confirmations: scan.height - utxo.height + 1
+        }));
+    }
+
+    async callOrNull(method, params) {
+        try {
+            return await this.rpc.call(method, params);
+        } catch (error) {
+            if (error.isNotFound) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    btcPerKvbToSatPerVb(feerate) {
+        return Math.max(1, Math.ceil(feerate * SATOSHIS_PER_BTC / 1000));
+    }
+}
+
+module.exports = RpcBitcoinProvider;
@@ -0,0 +1,146 @@
+/**
+ * Bitcoin Core JSON-RPC client
+ * Thin transport used by BitcoinService: basic auth, timeouts, batching and error mapping
+ */
+
+const axios = require('axios');
+
+// Bitcoin Core RPC error codes (src/rpc/protocol.h)
+const RPC_ERROR_CODES = {
+    MISC_ERROR: -1,
+    TYPE_ERROR: -3,
+    INVALID_ADDRESS_OR_KEY: -5,
+    INVALID_PARAMETER: -8,
+    VERIFY_ERROR: -25,
+    VERIFY_REJECTED: -26,
+    VERIFY_ALREADY_IN_CHAIN: -27,
+    IN_WARMUP: -28,
+    METHOD_NOT_FOUND: -32601
+};
+
+/**
+ * Error raised for any failed RPC call. `status` is the HTTP status the API
+ * layer should answer with, so routes don't need to know RPC codes.
+ */
+class BitcoinRpcError extends Error {
+    constructor(message, { code = null, method = null, status = 502 } = {}) {
+        super(message);
+        this.name = 'BitcoinRpcError';
+        this.code = code;
+        this.method = method;
+        this.status = status;
+    }
+
+    get isNotFound() {
+        return this.code === RPC_ERROR_CODES.INVALID_ADDRESS_OR_KEY;
+    }
+}
+
+function statusForRpcCode(code) {
+    switch (code) {
+        case RPC_ERROR_CODES.INVALID_ADDRESS_OR_KEY:
+            return 404;
+        case RPC_ERROR_CODES.TYPE_ERROR:
+        case RPC_ERROR_CODES.INVALID_PARAMETER:
+        case RPC_ERROR_CODES.VERIFY_ERROR:
+        case RPC_ERROR_CODES.VERIFY_REJECTED:
+        case RPC_ERROR_CODES.VERIFY_ALREADY_IN_CHAIN:
+            return 400;
+        case RPC_ERROR_CODES.IN_WARMUP:
+            return 503;
+        default:
+            return 502;
+    }
+}
+
+class BitcoinRpcClient {
+    constructor({ url, user = '', password = '', timeout = 10000 } = {}) {
+        if (!url) {
+            throw new Error('Bitcoin RPC URL is required');
+        }
+
+        this.url = url;
+        this.timeout = timeout;
+        this.auth = user || password ? { username: user, password } : undefined;
+        this.requestId = 0;
+    }
+
+    async call(method, params = []) {
+        const [result] = await this.batch([{ method, params }]);
+        return result;
+    }
+
+    /**
+     * Send several calls in one HTTP request. Results come back in request order;
+     * the first failed call rejects the whole batch.
+     */
+    async batch(calls) {
+        if (calls.length === 0) {
+            return [];
+        }
+
+        const requests = calls.map(({ method, params = [] }) => ({
+            jsonrpc: '1.0',
+            id: ++this.requestId,
+            method,
+            params
+        }));
+
+        const response = await this.post(calls.length === 1 ? requests[0] : requests, calls[0].method);
+        const replies = Array.isArray(response) ? response : [response];
+        const byId = new Map(replies.map(reply => [reply.id, reply]));
+
+        return requests.map((request) => {
+            const reply = byId.get(request.id);
+
+            if (!reply) {
+                throw new BitcoinRpcError(`No response for ${request.method}`, { method: request.method });
+            }
+
+            if (reply.error) {
+                throw new BitcoinRpcError(`${request.method}: ${reply.error.message}`, {
+                    code: reply.error.code,
+                    method: request.method,
+                    status: statusForRpcCode(reply.error.code)
+                });
+            }
+
+            return reply.result;
+        });
+    }
+
+    async post(body, method) {
+        let response;
+
+        try {
+            response = await axios.post(this.url, body, {
+                auth: this.auth,
+                timeout: this.timeout,
+                headers: { 'Content-Type': 'application/json' },
+                // Bitcoin Core answers RPC errors with HTTP 500/404 and a JSON body
+                validateStatus: () => true
+            });
+        } catch (error) {
+            if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+                throw new BitcoinRpcError(`Bitcoin RPC timed out after ${this.timeout}ms`, { method, status: 504 });
+            }
+            throw new BitcoinRpcError(`Bitcoin RPC unreachable: ${error.message}`, { method, status: 503 });
+        }
+
+        if (response.status === 401 || response.status === 403) {
+            throw new BitcoinRpcError('Bitcoin RPC authentication failed', { method, status: 502 });
+        }
+
+        if (!response.data || typeof response.data !== 'object') {
+            throw new BitcoinRpcError(`Unexpected Bitcoin RPC response (HTTP ${response.status})`, { method });
+        }
+
+        return response.data;
+    }
+}
+
+module.exports = {
+    BitcoinRpcClient,
+    BitcoinRpcError,
+    RPC_ERROR_CODES
+};
@@ -1,96 +1,109 @@
 /**
  * Bitcoin service - Handles Bitcoin blockchain interactions
+ * Chain data comes from a pluggable provider (Bitcoin Core RPC or an Esplora indexer)
  * Enhanced with BitcoinUtils smart contract integration
  */
 
 const logger = require('../utils/logger');
+const config = require('../config');
 const starknetService = require('./starknet');
+const { createBitcoinProvider } = require('./bitcoin-providers');
+const { SATOSHIS_PER_BTC } = require('./bitcoin-providers/constants');
 
 class BitcoinService {
     constructor() {
         this.isConnected = false;
         this.networkInfo = null;
+        this.provider = null;
     }
 
     async initialize() {
         logger.info('Initializing Bitcoin service...');
 
         try {
-            // Try to initialize Bitcoin RPC connection but don't fail if unavailable
+            this.provider = createBitcoinProvider(config.bitcoin);
+
+            // Don't fail startup if the data source is unavailable; calls will retry the connection
             try {
-                // TODO: Implement actual Bitcoin RPC client connection
-                // For now, we'll simulate a connection
+                await this.refreshNetworkInfo();
                 this.isConnected = true;
-                this.networkInfo = {
-                    network: 'regtest',
-                    blockHeight: 100,
-                    difficulty: '1',
-                    connections: 1
-                };
-                logger.info('Bitcoin RPC service initialized successfully');
-            } catch (rpcError) {
-                logger.warn('Bitcoin RPC not available, running in fallback mode:', rpcError.message);
+                logger.info(`Bitcoin ${this.provider.name} provider connected: ${this.networkInfo.network} at height ${this.networkInfo.blockHeight}`);
+            } catch (providerError) {
+                logger.warn(`Bitcoin ${this.provider.name} provider not available:`, providerError.message);
                 this.isConnected = false;
-                this.networkInfo = {
-                    network: 'regtest',
-                    blockHeight: 0,
-                    difficulty: '0',
-                    connections: 0
-                };
             }
 
-            logger.info('Bitcoin service initialized (fallback mode enabled)');
+            logger.info('Bitcoin service initialized');
         } catch (error) {
             logger.error('Failed to initialize Bitcoin service:', error);
             throw error;
         }
     }
 
-    async getNetworkInfo() {
-        if (!this.isConnected) {
+    async ensureConnected() {
+        if (!this.provider) {
             await this.initialize();
         }
+        if (!this.isConnected) {
+            await this.refreshNetworkInfo();
+            this.isConnected = true;
+        }
+    }
+
+    async refreshNetworkInfo() {
+        this.networkInfo = await this.provider.getNetworkInfo();
+        return this.networkInfo;
+    }
+
+    async getNetworkInfo() {
+        await this.ensureConnected();
+        await this.refreshNetworkInfo();
 
         return {
             network: this.networkInfo.network,
             blockHeight: this.networkInfo.blockHeight,
             difficulty: this.networkInfo.difficulty,
             connections: this.networkInfo.connections,
+            provider: this.provider.name,
             timestamp: new Date().toISOString()
         };
     }
 
-    async getTransaction(txHash, expectedAmount = null) {
-        // TODO: Implement actual Bitcoin transaction retrieval
-        logger.info(`Getting Bitcoin transaction: ${txHash}`);
+    async getTransaction(txHash) {
+        await this.ensureConnected();
+        logger.debug(`Getting Bitcoin transaction: ${txHash}`);
 
-        // Mock response for development
-        return {
-            txHash,
-            blockHash: '0x' + Math.random().toString(16).substring(2, 66),
-            blockHeight: 815234,
-            confirmations: 6,
-            timestamp: Date.now(),
-            amount: expectedAmount || 0.001,
-            fee: 0.00001
-        };
+        return this.provider.getTransaction(txHash);
+    }
+
+    async getTransactionStatus(txHash) {
+        await this.ensureConnected();
+        return this.provider.getTransactionStatus(txHash);
     }
 
     async getConfirmations(txHash) {
-        // TODO: Implement actual confirmation checking
-        return 6; // Mock confirmation count
+        const status = await this.getTransactionStatus(txHash);
+        return status ? status.confirmations : 0;
     }
 
     async getLatestBlock() {
-        if (!this.isConnected) {
-            await this.initialize();
-        }
+        await this.ensureConnected();
+        return this.provider.getBestBlock();
+    }
 
-        return {
-            hash: '0x' + Math.random().toString(16).substring(2, 66),
-            height: this.networkInfo.blockHeight,
-            timestamp: Date.now()
-        };
+    async getBlockHash(height) {
+        await this.ensureConnected();
+        return this.provider.getBlockHash(height);
+    }
+
+    async getBlockHeader(blockHash) {
+        await this.ensureConnected();
+        return this.provider.getBlockHeader(blockHash);
+    }
+
+    async getBlockTransactions(blockHash) {
+        await this.ensureConnected();
+        return this.provider.getBlockTransactions(blockHash);
     }
 
     async isValidAddress(address) {
@@ -126,71 +139,61 @@ class BitcoinService {
     }
 
     async getAddressBalance(address) {
-        // TODO: Implement actual Bitcoin address balance lookup
-        logger.info(`Getting Bitcoin address balance: ${address}`);
+        await this.ensureConnected();
+        logger.debug(`Getting Bitcoin address balance: ${address}`);
 
-        // Mock response for development
-        return Math.floor(Math.random() * 1000000); // Mock balance in satoshis
+        return this.provider.getAddressBalance(address);
+    }
+
+    async getAddressUtxos(address) {
+        await this.ensureConnected();
+        logger.debug(`Getting Bitcoin address UTXOs: ${address}`);
+
+        return this.provider.getAddressUtxos(address);
     }
 
     async getBlock(blockHash) {
-        // TODO: Implement actual Bitcoin block retrieval
-        logger.info(`Getting Bitcoin block: ${blockHash}`);
+        await this.ensureConnected();
+        logger.debug(`Getting Bitcoin block: ${blockHash}`);
 
-        // Mock response for development
-        return {
-            hash: blockHash,
-            height: 815234,
-            timestamp: Date.now(),
-            txCount: 2500,
-            size: 1500000,
-            previousBlockHash: '0x' + Math.random().toString(16).substring(2, 66)
-        };
+        return this.provider.getBlock(blockHash);
     }
 
     async broadcastTransaction(rawTransaction) {
-        // TODO: Implement actual Bitcoin transaction broadcasting
+        await this.ensureConnected();
         logger.info('Broadcasting Bitcoin transaction');
 
-        // Mock response for development
-        return '0x' + Math.random().toString(16).substring(2, 66);
+        const txid = await this.provider.broadcastTransaction(rawTransaction);
+        logger.info(`Bitcoin transaction broadcast: ${txid}`);
+
+        return txid;
     }
 
     async getFeeEstimates() {
-        // TODO: Implement actual Bitcoin fee estimation
-        logger.info('Getting Bitcoin fee estimates');
+        await this.ensureConnected();
+        logger.debug('Getting Bitcoin fee estimates');
 
-        // Mock response for development
-        return {
-            fastestFee: 50,
-            halfHourFee: 30,
-            hourFee: 20,
-            economyFee: 10,
-            minimumFee: 1
-        };
+        return this.provider.getFeeEstimates();
     }
 
     async getMempoolInfo() {
-        // TODO: Implement actual Bitcoin mempool information
-        logger.info('Getting Bitcoin mempool info');
+        await this.ensureConnected();
+        logger.debug('Getting Bitcoin mempool info');
 
-        // Mock response for development
-        return {
-            size: 15000,
-            bytes: 8000000,
-            usage: 45000000,
-            maxmempool: 300000000,
-            mempoolminfee: 0.00001,
-            minrelaytxfee: 0.00001
-        };
+        return this.provider.getMempoolInfo();
     }
 
-    calculateTxAmount(tx) {
-        // TODO: Implement actual transaction amount calculation
-        logger.info('Calculating transaction amount');
+    calculateTxAmount(tx, address = null) {
+        // Amount in BTC, optionally restricted to the outputs paying `address`
+        if (!tx.outputs) {
+            return tx.amount || 0;
+        }
 
-        // Mock calculation for development
-        return tx.amount || 0.001;
+        const satoshis = tx.outputs
+            .filter(output => !address || output.address === address)
+            .reduce((sum, output) => sum + output.valueSat, 0);
+
+        return satoshis / SATOSHIS_PER_BTC;
     }
 
     // Enhanced Bitcoin utilities using BitcoinUtils contract
@@ -316,21 +319,6 @@ class BitcoinService {
         }
     }
 
-    async generateBitcoinDepositAddress(starknetRecipient, network = 'Mainnet') {
-        try {
-            if (starknetService.isInitialized && starknetService.contracts.has('bitcoinUtils')) {
-                return await starknetService.generateBitcoinDepositAddress(starknetRecipient, network);
-            }
-
-            // Fallback to mock address generation
-            return 'bc1q' + Math.random().toString(36).substring(2, 38);
-
-        } catch (error) {
-            logger.error('Error generating Bitcoin deposit address:', error);
-            throw error;
-        }
-    }
-
     async validateBitcoinAmount(satoshis) {
         try {
             if (starknetService.isInitialized && starknetService.contracts.has('bitcoinUtils')) {
@@ -360,6 +348,7 @@ class BitcoinService {
                 status: 'healthy',
                 network: this.networkInfo.network,
                 blockHeight: this.networkInfo.blockHeight,
+                provider: this.provider.name,
                 responseTime,
                 timestamp: new Date().toISOString()
             };
@@ -0,0 +1,242 @@
+/**
+ * Bridge state machine - Deposit and withdrawal lifecycles
+ * Every status change goes through transition(), which checks it against the
+ * allowed transitions and writes it to state_transitions together with who
+ * made it and why. The audit rows back the deposit timeline API.
+ */
+
+const database = require('./database');
+const logger = require('../utils/logger');
+
+const DEPOSIT_STATES = {
+    DETECTED: 'detected', // Seen paying a deposit address, waiting for confirmations
+    CONFIRMING: 'confirming', // Deep enough; queued and being checked by the bridge
+    PROVEN: 'proven', // Bitcoin transaction verified and signed off by an operator quorum
+    SUBMITTED: 'submitted', // Mint sent to Starknet; settled from its receipt, never sent twice
+    MINTED: 'minted',
+    FAILED: 'failed',
+    REORGED: 'reorged' // Its block left the best chain; back to detected if it confirms again
+};
+
+const WITHDRAWAL_STATES = {
+    SUBMITTED: 'submitted', // sBTC burn and request being sent to Starknet by the bridge
+    REQUESTED: 'requested',
+    SIGNING: 'signing',
+    QUORUM: 'quorum',
+    BROADCAST: 'broadcast',
+    COMPLETED: 'completed',
+    EMERGENCY_UNLOCKED: 'emergency_unlocked',
+    FAILED: 'failed' // The request never made it on-chain
+};
+
+const D = DEPOSIT_STATES;
+const W = WITHDRAWAL_STATES;
+
+// Entity type -> table, key column, initial state and state -> allowed next states
+const LIFECYCLES = {
+    deposit: {
+        table: 'deposits',
+        key: 'deposit_id',
+        initial: D.DETECTED,
+        path: [D.DETECTED, D.CONFIRMING, D.PROVEN, D.SUBMITTED, D.MINTED],
+        transitions: {
+            [D.DETECTED]: [D.CONFIRMING, D.REORGED, D.FAILED],
+            [D.CONFIRMING]: [D.PROVEN, D.REORGED, D.FAILED],
+            [D.PROVEN]: [D.SUBMITTED, D.REORGED, D.FAILED],
+            // Back to proven only once the mint is known not to have landed (reverted, dropped or never sent)
+            [D.SUBMITTED]: [D.MINTED, D.PROVEN],
+            [D.MINTED]: [],
+            [D.FAILED]: [D.CONFIRMING, D.REORGED],
+            [D.REORGED]: [D.DETECTED]
+        }
+    },
+    withdrawal: {
+        table: 'withdrawals',
+        key: 'withdrawal_id',
+        initial: W.REQUESTED,
+        // Withdrawals sent through the bridge start before their request is on-chain
+        entry: [W.SUBMITTED],
+        path: [W.REQUESTED, W.SIGNING, W.QUORUM, W.BROADCAST, W.COMPLETED],
+        transitions: {
+            // The indexer may see the request's signatures before the bridge settles its receipt
+            [W.SUBMITTED]: [W.REQUESTED, W.SIGNING, W.QUORUM, W.FAILED],
+            // Signatures recorded by the registry alone can take a session straight to quorum
+            [W.REQUESTED]: [W.SIGNING, W.QUORUM, W.EMERGENCY_UNLOCKED, W.FAILED],
+            [W.SIGNING]: [W.QUORUM, W.EMERGENCY_UNLOCKED],
+            [W.QUORUM]: [W.BROADCAST, W.EMERGENCY_UNLOCKED],
+            [W.BROADCAST]: [W.COMPLETED],
+            [W.COMPLETED]: [],
+            [W.EMERGENCY_UNLOCKED]: [],
+            [W.FAILED]: [W.SUBMITTED, W.REQUESTED]
+        }
+    }
+};
+
+/**
+ * A deposit's id: the transaction and the deposit address it paid, as one
+ * transaction can pay several. Deposits recorded without an address are
+ * known by their transaction hash alone.
+ */
+function depositId(btcTxHash, btcAddress) {
+    return btcAddress ? `${btcTxHash}:${btcAddress}` : btcTxHash;
+}
+
+class TransitionError extends Error {
+    constructor(message, status = 409) {
+        super(message);
+        this.name = 'TransitionError';
+        this.status = status;
+    }
+}
+
+class BridgeStateMachine {
+    canTransition(entityType, from, to) {
+        const lifecycle = this.getLifecycle(entityType);
+        return (lifecycle.transitions[from] || []).includes(to);
+    }
+
+    /**
+     * Record the first state of a newly stored deposit or withdrawal: the
+     * lifecycle's initial state (or one of its `entry` states), or `failed` for
+     * one rejected before it started. The caller inserts the row itself, so this
+     * only writes the audit entry.
+     */
+    async recordCreated(entityType, entityId, { state = null, actor, reason = null, metadata = null } = {}, db = database) {
+        const lifecycle = this.getLifecycle(entityType);
+        const initial = state || lifecycle.initial;
+
+        if (![lifecycle.initial, ...(lifecycle.entry || []), 'failed'].includes(initial)) {
+            throw new TransitionError(`A ${entityType} cannot start in ${initial}`);
+        }
+
+        await this.record(db, entityType, entityId, null, initial, { actor, reason, metadata });
+    }
+
+    /**
+     * Move `entityId` to `to`, updating `fields` (column -> value) in the same
+     * statement. Moving to the current state only updates the fields. Throws
+     * TransitionError when the move isn't allowed or the row changed underneath.
+     * The status change and its audit row are written in one transaction: the
+     * caller's `db` if it passes one, otherwise a transaction of their own.
+     * Returns the previous state.
+     */
+    async transition(entityType, entityId, to, options = {}, db = null) {
+        if (!db) {
+            return database.transaction(tx => this.transition(entityType, entityId, to, options, tx));
+        }
+
+        const { actor, reason = null, metadata = null, fields = {} } = options;
+        const lifecycle = this.getLifecycle(entityType);
+
+        const current = await db.query(
+            `SELECT status FROM ${lifecycle.table} WHERE ${lifecycle.key} = $1`,
+            [entityId]
+        );
+        if (current.rows.length === 0) {
+            throw new TransitionError(`${entityType} ${entityId} not found`, 404);
+        }
+
+        const from = current.rows[0].status;
+        if (from !== to && !this.canTransition(entityType, from, to)) {
+            throw new TransitionError(`Cannot move ${entityType} ${entityId} from ${from} to ${to}`);
+        }
+
+        const updates = { ...fields, status: to };
+        const columns = Object.keys(updates);
+        const assignments = columns.map((column, i) => `${column} = $${i + 3}`).join(', ');
+
+        // Compare-and-set on the old status so concurrent workers can't both move it
+        const updated = await db.query(
+            `UPDATE ${lifecycle.table} SET ${assignments} WHERE ${lifecycle.key} = $1 AND status = $2`,
+            [entityId, from, ...columns.map(column => updates[column])]
+        );
+        if (updated.rowCount === 0) {
+            throw new TransitionError(`${entityType} ${entityId} changed state concurrently`);
+        }
+
+        if (from !== to) {
+            await this.record(db, entityType, entityId, from, to, { actor, reason, metadata });
+            logger.info(`${entityType} ${entityId}: ${from} -> ${to} (${actor}${reason ? `: ${reason}` : ''})`);
+        }
+
+        return from;
+    }
+
+    async record(db, entityType, entityId, from, to, { actor, reason, metadata }) {
+        await db.query(`
+            INSERT INTO state_transitions (entity_type, entity_id, from_state, to_state, actor, reason, metadata, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [entityType, entityId, from, to, actor, reason, metadata ? JSON.stringify(metadata) : null, new Date()]);
+    }
+
+    /**
+     * Current state, every recorded transition (oldest first) and the happy
+     * path with the time each step was reached, for progress views
+     */
+    async getTimeline(entityType, entityId) {
+        const lifecycle = this.getLifecycle(entityType);
+
+        const current = await database.query(
+            `SELECT * FROM ${lifecycle.table} WHERE ${lifecycle.key} = $1`,
+            [entityId]
+        );
+        if (current.rows.length === 0) {
+            return null;
+        }
+
+        const result = await database.query(`
+            SELECT * FROM state_transitions
+            WHERE entity_type = $1 AND entity_id = $2
+            ORDER BY created_at ASC, id ASC
+        `, [entityType, entityId]);
+
+        const transitions = result.rows.map(row => ({
+            from: row.from_state,
+            to: row.to_state,
+            actor: row.actor,
+            reason: row.reason,
+            metadata: row.metadata ? JSON.parse(row.metadata) : null,
+            timestamp: new Date(row.created_at).toISOString()
+        }));
+
+        const status = current.rows[0].status;
+
+        // A step counts as reached from the latest time it was entered (reorgs restart the path)
+        const reachedAt = new Map();
+        for (const transition of transitions) {
+            const position = lifecycle.path.indexOf(transition.to);
+            if (position !== -1) {
+                lifecycle.path.slice(position + 1).forEach(step => reachedAt.delete(step));
+                reachedAt.set(transition.to, transition.timestamp);
+            }
+        }
+
+        return {
+            id: entityId,
+            type: entityType,
+            status,
+            terminal: (lifecycle.transitions[status] || []).length === 0,
+            steps: lifecycle.path.map(state => ({
+                state,
+                reached: reachedAt.has(state),
+                timestamp: reachedAt.get(state) || null
+            })),
+            transitions
+        };
+    }
+
+    getLifecycle(entityType) {
+        const lifecycle = LIFECYCLES[entityType];
+        if (!lifecycle) {
+            throw new Error(`Unknown bridge entity type: ${entityType}`);
+        }
+        return lifecycle;
+    }
+}
+
+// Export singleton instance
+module.exports = new BridgeStateMachine();
+module.exports.DEPOSIT_STATES = DEPOSIT_STATES;
+module.exports.WITHDRAWAL_STATES = WITHDRAWAL_STATES;
+module.exports.TransitionError = TransitionError;
+module.exports.depositId = depositId;
@@ -8,6 +8,8 @@ const { bitcoinService } = require('./bitcoin');
 const { bridgeService } = require('./bridge');
 const { walletIntegrationService } = require('./wallet-integration');
 const logger = require('../utils/logger');
+const cairoCrypto = require('../utils/cairo-crypto');
+const cryptoUtilsVectors = require('../utils/cairo-crypto-vectors');
 
 class ContractIntegrationTester {
     constructor() {
@@ -149,32 +151,30 @@ class ContractIntegrationTester {
         logger.info('🧪 Testing CryptoUtils Contract Integration...');
 
         try {
-            // Test SHA256 hashing
-            const testData = new Uint8Array([0x68, 0x65, 0x6c, 0x6c, 0x6f]); // "hello"
-            const hashResult = await starknetService.sha256(testData);
+            // Every vector has to come out the same from the local port and the contract
+            const onChain = starknetService.contracts.has('cryptoUtils');
+            const mismatches = [];
+
+            for (const vector of cryptoUtilsVectors) {
+                const expected = BigInt(vector.expected);
+                const results = { local: BigInt(cairoCrypto[vector.operation](...vector.args)) };
+                if (onChain) {
+                    results.onChain = BigInt(await this.callCryptoUtilsVector(vector));
+                }
 
-            if (!hashResult || hashResult === '0') {
-                throw new Error('SHA256 hashing failed');
+                for (const [source, result] of Object.entries(results)) {
+                    if (result !== expected) {
+                        mismatches.push(`${vector.operation} (${source}): got ${result}, expected ${expected}`);
+                    }
+                }
             }
 
-            // Test double SHA256
-            const doubleHashResult = await starknetService.doubleSha256(testData);
-
-            if (!doubleHashResult || doubleHashResult === '0') {
-                throw new Error('Double SHA256 hashing failed');
+            if (mismatches.length > 0) {
+                throw new Error(`CryptoUtils vectors failed: ${mismatches.join('; ')}`);
             }
 
-            // Test merkle root computation
-            const txids = [
-                '0x1234567890abcdef',
-                '0xfedcba0987654321',
-                '0xabcdef1234567890'
-            ];
-
-            const merkleRoot = await starknetService.computeMerkleRoot(txids);
-
-            if (!merkleRoot || merkleRoot === '0') {
-                throw new Error('Merkle root computation failed');
+            if (!onChain) {
+                logger.warn('CryptoUtils contract not initialized, vectors checked against the local port only');
             }
 
             this.recordTest('CryptoUtils Contract', true);
@@ -186,6 +186,27 @@ class ContractIntegrationTester {
         }
     }
 
+    async callCryptoUtilsVector({ operation, args }) {
+        switch (operation) {
+            case 'sha256':
+                return starknetService.callCryptoUtils('sha256', args[0]);
+            case 'doubleSha256':
+                return starknetService.callCryptoUtils('double_sha256', args[0]);
+            case 'hash256':
+                return starknetService.callCryptoUtils('hash256', args[0]);
+            case 'computeTxid':
+                return starknetService.callCryptoUtils('compute_txid', args[0]);
+            case 'computeBlockHash':
+                return starknetService.callCryptoUtils('compute_block_hash', args[0]);
+            case 'computeMerkleRoot':
+                return starknetService.callCryptoUtils('compute_merkle_root', args[0]);
+            case 'verifyMerkleProof':
+                return starknetService.callCryptoUtils('verify_merkle_proof', ...args);
+            default:
+                throw new Error(`No CryptoUtils function for ${operation}`);
+        }
+    }
+
     async testSPVVerifierContract() {
         logger.info('🧪 Testing SPVVerifier Contract Integration...');
 
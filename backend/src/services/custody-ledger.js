@@ -0,0 +1,551 @@
+/**
+ * Custody ledger - The Bitcoin the bridge actually holds
+ * Tracks every output the custody multisig can spend: deposits once they are
+ * credited as sBTC, if they paid the address derived for their recipient from
+ * the custody keys, peg-out change and any other output paying the custody
+ * address, until a peg-out spends it. Each reconciliation brings the ledger up to date
+ * and checks it covers the sBTC supply plus the withdrawals still to be paid
+ * out. A shortfall raises a critical alert and can emergency pause the bridge.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const bitcoinService = require('./bitcoin');
+const starknetService = require('./starknet');
+const custody = require('./custody');
+const database = require('./database');
+const bridgeLogger = require('./bridge-logger');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const SATOSHIS_PER_BTC = 100000000;
+const SYNC_BATCH_SIZE = 50;
+
+// Peg-out statuses once its transaction is on the Bitcoin network
+const SENT_PEG_OUT_STATUSES = ['broadcast', 'recorded', 'completed'];
+
+class CustodyLedger extends EventEmitter {
+    constructor() {
+        super();
+        this.timer = null;
+        this.isReconciling = false;
+        this.uncontrolledDeposits = new Set();
+    }
+
+    start(interval = config.custody.reconcileInterval) {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(async () => {
+            try {
+                await this.reconcile();
+            } catch (error) {
+                logger.error('Error reconciling the custody ledger:', error);
+            }
+        }, interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Bring the ledger up to date with minted deposits, sent peg-outs and the
+     * outputs of the custody and deposit addresses on the Bitcoin chain
+     */
+    async sync() {
+        const recorded = await this.recordDeposits();
+        const dropped = await this.dropReorgedDeposits() + await this.dropUncontrolledDeposits();
+        const spent = await this.recordPegOuts();
+        const onChain = await this.syncAddresses();
+
+        return { recorded, dropped, spent, ...onChain };
+    }
+
+    // Outputs of minted deposits paying the address derived for their recipient
+    async recordDeposits() {
+        if (config.custody.publicKeys.length === 0) {
+            return 0;
+        }
+
+        const result = await database.query(`
+            SELECT d.deposit_id, d.btc_tx_hash, d.btc_address, d.starknet_recipient FROM deposits d
+            WHERE d.status = 'minted'
+            AND NOT EXISTS (SELECT 1 FROM custody_utxos u WHERE u.txid = d.btc_tx_hash AND u.address = d.btc_address)
+            ORDER BY d.created_at ASC
+        `);
+
+        // Deposits to an address the multisig can't spend never enter the ledger
+        const controlled = result.rows.filter(deposit => this.isControlledDeposit(deposit));
+
+        let recorded = 0;
+        for (const deposit of controlled.slice(0, SYNC_BATCH_SIZE)) {
+            const tx = await bitcoinService.getTransaction(deposit.btc_tx_hash);
+            const outputs = tx ? tx.outputs.filter(output => output.address === deposit.btc_address) : [];
+            if (outputs.length === 0) {
+                logger.warn(`Minted deposit ${deposit.deposit_id} has no output paying ${deposit.btc_address}`);
+                continue;
+            }
+
+            for (const output of outputs) {
+                recorded += await this.addUtxo({
+                    txid: deposit.btc_tx_hash,
+                    vout: output.index,
+                    address: deposit.btc_address,
+                    value: output.valueSat,
+                    source: 'deposit',
+                    reference: deposit.deposit_id
+                });
+            }
+        }
+
+        return recorded;
+    }
+
+    // Whether the deposit paid the address the custody keys derive for its recipient
+    isControlledDeposit(deposit) {
+        let address = null;
+        try {
+            address = deposit.starknet_recipient ? custody.getDepositAddress(deposit.starknet_recipient) : null;
+        } catch (error) {
+            if (!(error instanceof custody.CustodyError) || error.status !== 400) {
+                throw error;
+            }
+        }
+
+        if (address === deposit.btc_address) {
+            return true;
+        }
+
+        // Reported once per process; the deposit's sBTC is unbacked until its funds are swept to custody
+        if (!this.uncontrolledDeposits.has(deposit.deposit_id)) {
+            this.uncontrolledDeposits.add(deposit.deposit_id);
+            logger.error(`Minted deposit ${deposit.deposit_id} paid ${deposit.btc_address}, which the custody multisig cannot spend`);
+        }
+        return false;
+    }
+
+    // A reorged deposit no longer backs its sBTC; it is recorded again if it confirms and mints
+    async dropReorgedDeposits() {
+        const result = await database.query(`
+            DELETE FROM custody_utxos
+            WHERE source = 'deposit' AND status = 'unspent'
+            AND reference IN (SELECT deposit_id FROM deposits WHERE status = 'reorged')
+        `);
+
+        if (result.rowCount > 0) {
+            logger.warn(`Dropped ${result.rowCount} reorged deposit output(s) from the custody ledger`);
+        }
+        return result.rowCount;
+    }
+
+    // Deposit outputs recorded before deposit addresses were derived from the custody keys
+    async dropUncontrolledDeposits() {
+        if (config.custody.publicKeys.length === 0) {
+            return 0;
+        }
+
+        const result = await database.query(`
+            SELECT u.txid, u.vout, d.deposit_id, d.btc_address, d.starknet_recipient
+            FROM custody_utxos u
+            JOIN deposits d ON d.deposit_id = u.reference
+            WHERE u.source = 'deposit' AND u.status = 'unspent'
+        `);
+
+        let dropped = 0;
+        for (const row of result.rows.filter(row => !this.isControlledDeposit(row))) {
+            const deleted = await database.query(
+                'DELETE FROM custody_utxos WHERE txid = $1 AND vout = $2 AND status = $3',
+                [row.txid, row.vout, 'unspent']
+            );
+            dropped += deleted.rowCount;
+        }
+
+        if (dropped > 0) {
+            logger.warn(`Dropped ${dropped} deposit output(s) the custody multisig cannot spend from the custody ledger`);
+        }
+        return dropped;
+    }
+
+    // Mark the inputs of sent peg-outs spent and record their change
+    async recordPegOuts() {
+        const statuses = SENT_PEG_OUT_STATUSES.map((_, i) => `$${i + 1}`).join(', ');
+        const now = new Date();
+
+        const inputs = await database.query(`
+            SELECT i.txid, i.vout, p.withdrawal_id, p.bitcoin_tx_hash
+            FROM peg_out_inputs i
+            JOIN peg_outs p ON p.withdrawal_id = i.withdrawal_id
+            JOIN custody_utxos u ON u.txid = i.txid AND u.vout = i.vout
+            WHERE p.status IN (${statuses}) AND u.status = 'unspent'
+        `, SENT_PEG_OUT_STATUSES);
+
+        for (const input of inputs.rows) {
+            await database.query(`
+                UPDATE custody_utxos
+                SET status = 'spent', spent_by = $3, spent_txid = $4, spent_at = $5, updated_at = $5
+                WHERE txid = $1 AND vout = $2
+            `, [input.txid, input.vout, input.withdrawal_id, input.bitcoin_tx_hash, now]);
+        }
+
+        const changes = await database.query(`
+            SELECT p.withdrawal_id, p.bitcoin_tx_hash, p.change_amount, p.psbt
+            FROM peg_outs p
+            WHERE p.status IN (${statuses}) AND p.change_amount > 0
+            AND NOT EXISTS (SELECT 1 FROM custody_utxos u WHERE u.txid = p.bitcoin_tx_hash)
+        `, SENT_PEG_OUT_STATUSES);
+
+        for (const pegOut of changes.rows) {
+            const vout = this.findChangeOutput(pegOut.psbt, parseInt(pegOut.change_amount, 10));
+            if (vout === -1) {
+                logger.error(`Peg-out ${pegOut.withdrawal_id} has no output returning its ${pegOut.change_amount} sats of change to custody`);
+                continue;
+            }
+
+            await this.addUtxo({
+                txid: pegOut.bitcoin_tx_hash,
+                vout,
+                address: custody.getAddress(),
+                value: parseInt(pegOut.change_amount, 10),
+                source: 'change',
+                reference: pegOut.withdrawal_id
+            });
+        }
+
+        return inputs.rows.length;
+    }
+
+    // Index of the peg-out output paying `changeAmount` back to the custody multisig, or -1
+    findChangeOutput(psbtBase64, changeAmount) {
+        const psbt = bitcoin.Psbt.fromBase64(psbtBase64, { network: custody.getNetwork() });
+        const { output } = custody.getWallet();
+
+        return psbt.txOutputs.findIndex(txOutput => txOutput.script.equals(output) && txOutput.value === changeAmount);
+    }
+
+    /**
+     * Record confirmed custody outputs the ledger doesn't know yet, and flag
+     * ledger outputs that left the custody address, or the deposit address
+     * they were paid to, without a peg-out
+     */
+    async syncAddresses() {
+        if (config.custody.publicKeys.length === 0) {
+            return { discovered: 0, unexpectedSpends: 0 };
+        }
+
+        const custodyAddress = custody.getAddress();
+        const depositAddresses = await database.query(`
+            SELECT DISTINCT address FROM custody_utxos
+            WHERE source = 'deposit' AND status = 'unspent' AND address <> $1
+        `, [custodyAddress]);
+
+        let discovered = 0;
+        let unexpectedSpends = 0;
+        for (const address of [custodyAddress, ...depositAddresses.rows.map(row => row.address)]) {
+            const utxos = await bitcoinService.getAddressUtxos(address);
+
+            // Deposit address outputs enter the ledger once their deposit is minted
+            if (address === custodyAddress) {
+                for (const utxo of utxos.filter(utxo => utxo.confirmations >= config.custody.minConfirmations)) {
+                    discovered += await this.addUtxo({
+                        txid: utxo.txid,
+                        vout: utxo.vout,
+                        address,
+                        value: utxo.value,
+                        source: 'custody',
+                        reference: null
+                    });
+                }
+            }
+
+            unexpectedSpends += await this.flagUnexpectedSpends(address, utxos);
+        }
+
+        return { discovered, unexpectedSpends };
+    }
+
+    // Mark ledger outputs of `address` missing from its on-chain `utxos` spent, and alert
+    async flagUnexpectedSpends(address, utxos) {
+        const onChain = new Set(utxos.map(utxo => `${utxo.txid}:${utxo.vout}`));
+
+        // Outputs claimed by a peg-out are marked spent once it is sent
+        const ledger = await database.query(`
+            SELECT u.txid, u.vout, u.value, u.source FROM custody_utxos u
+            WHERE u.address = $1 AND u.status = 'unspent'
+            AND NOT EXISTS (SELECT 1 FROM peg_out_inputs i WHERE i.txid = u.txid AND i.vout = u.vout)
+        `, [address]);
+
+        const missing = [];
+        for (const row of ledger.rows.filter(row => !onChain.has(`${row.txid}:${row.vout}`))) {
+            // Change from a peg-out still in the mempool isn't in every provider's UTXO set yet
+            if (await bitcoinService.getConfirmations(row.txid) > 0) {
+                missing.push(row);
+            }
+        }
+
+        const now = new Date();
+        for (const row of missing) {
+            await database.query(`
+                UPDATE custody_utxos SET status = 'spent', spent_at = $3, updated_at = $3
+                WHERE txid = $1 AND vout = $2
+            `, [row.txid, row.vout, now]);
+
+            const data = { txid: row.txid, vout: row.vout, address, source: row.source, value: parseInt(row.value, 10) };
+            logger.error(`CRITICAL: custody output ${row.txid}:${row.vout} (${row.value} sats at ${address}) was spent outside a peg-out`);
+            await bridgeLogger.logBitcoinOperation('custody_unexpected_spend', data, 'error');
+            this.emit('systemAlert', {
+                alertType: 'custody_unexpected_spend',
+                severity: 'critical',
+                message: `Custody output ${row.txid}:${row.vout} was spent outside a peg-out`,
+                data
+            });
+        }
+
+        return missing.length;
+    }
+
+    async addUtxo({ txid, vout, address, value, source, reference }) {
+        const now = new Date();
+        const result = await database.query(`
+            INSERT INTO custody_utxos (txid, vout, address, value, source, reference, status, created_at, updated_at)
+            VALUES ($1, $2, $3, $4, $5, $6, 'unspent', $7, $7)
+            ON CONFLICT (txid, vout) DO NOTHING
+        `, [txid, vout, address, value, source, reference, now]);
+
+        return result.rowCount;
+    }
+
+    /**
+     * Sync the ledger and compare it with what sBTC holders are owed: the sBTC
+     * supply plus requested withdrawals not yet sent (their sBTC is already
+     * burned). Fees kept by the bridge leave a surplus, which is expected.
+     */
+    async reconcile() {
+        if (this.isReconciling) {
+            return null;
+        }
+
+        this.isReconciling = true;
+
+        try {
+            await this.sync();
+
+            const [balance, sbtcSupply, pendingWithdrawals, previous] = await Promise.all([
+                this.getBalance(),
+                starknetService.getSBTCTotalSupply(),
+                this.getPendingWithdrawals(),
+                this.getLatestReconciliation()
+            ]);
+
+            const owed = sbtcSupply + BigInt(pendingWithdrawals);
+            const difference = BigInt(balance.total) - owed;
+
+            let status = 'balanced';
+            if (difference < -BigInt(config.custody.reconcileTolerance)) {
+                status = 'shortfall';
+            } else if (difference > 0n) {
+                status = 'surplus';
+            }
+
+            const reconciliation = {
+                id: crypto.randomBytes(8).toString('hex'),
+                status,
+                custodyBalance: balance.total,
+                utxoCount: balance.count,
+                sbtcSupply: Number(sbtcSupply),
+                pendingWithdrawals,
+                difference: Number(difference),
+                pauseTxHash: null,
+                checkedAt: new Date().toISOString()
+            };
+
+            if (status === 'shortfall') {
+                reconciliation.pauseTxHash = await this.raiseShortfall(reconciliation, previous);
+            } else if (previous && previous.status === 'shortfall') {
+                logger.info(`Custody ledger back to ${status}: ${balance.total} sats against ${owed} owed`);
+            }
+
+            await database.query(`
+                INSERT INTO custody_reconciliations (id, status, custody_balance, utxo_count, sbtc_supply,
+                    pending_withdrawals, difference, pause_tx_hash, checked_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            `, [
+                reconciliation.id, status, balance.total, balance.count, sbtcSupply.toString(),
+                pendingWithdrawals, difference.toString(), reconciliation.pauseTxHash, new Date(reconciliation.checkedAt)
+            ]);
+
+            return reconciliation;
+
+        } finally {
+            this.isReconciling = false;
+        }
+    }
+
+    /**
+     * Log the shortfall as critical on every pass; notify subscribers when it
+     * starts, and emergency pause the bridge if configured. Returns the pause
+     * transaction hash, if one was sent.
+     */
+    async raiseShortfall(reconciliation, previous) {
+        const shortfall = -reconciliation.difference;
+
+        logger.error(`CRITICAL: custody holds ${reconciliation.custodyBalance} sats, ${shortfall} short of the ${reconciliation.sbtcSupply} sBTC supply and ${reconciliation.pendingWithdrawals} pending withdrawals`);
+        await bridgeLogger.logBridgeOperation('reserve_shortfall', { ...reconciliation, shortfall }, 'error');
+
+        if (!previous || previous.status !== 'shortfall') {
+            this.emit('reserveShortfall', { ...reconciliation, shortfall });
+            this.emit('systemAlert', {
+                alertType: 'reserve_shortfall',
+                severity: 'critical',
+                message: `Bridge custody is ${shortfall} sats short of the sBTC it backs`,
+                data: { ...reconciliation, shortfall }
+            });
+        }
+
+        if (!config.custody.pauseOnShortfall || !config.bridge.emergencyPauseEnabled) {
+            return null;
+        }
+
+        try {
+            if (await starknetService.isEmergencyPaused()) {
+                return null;
+            }
+
+            const result = await starknetService.emergencyPauseBridge();
+            logger.error(`Bridge emergency paused after a custody shortfall of ${shortfall} sats (${result.transactionHash})`);
+            return result.transactionHash;
+        } catch (error) {
+            logger.error('Failed to emergency pause the bridge after a custody shortfall:', error);
+            return null;
+        }
+    }
+
+    // Satoshis requested for withdrawal (and burned) whose payout hasn't been sent
+    async getPendingWithdrawals() {
+        const statuses = SENT_PEG_OUT_STATUSES.map((_, i) => `$${i + 1}`).join(', ');
+        const result = await database.query(`
+            SELECT s.amount FROM signing_sessions s
+            WHERE s.status IN ('pending', 'signing', 'quorum_reached')
+            AND NOT EXISTS (
+                SELECT 1 FROM peg_outs p
+                WHERE p.withdrawal_id = s.withdrawal_id AND p.status IN (${statuses})
+            )
+        `, SENT_PEG_OUT_STATUSES);
+
+        return result.rows.reduce((sum, row) => sum + Math.round(parseFloat(row.amount || 0) * SATOSHIS_PER_BTC), 0);
+    }
+
+    // Queries
+
+    /**
+     * Unspent satoshis held, in total and per source
+     */
+    async getBalance() {
+        const result = await database.query(`
+            SELECT source, COALESCE(SUM(value), 0) AS total, COUNT(*) AS count
+            FROM custody_utxos
+            WHERE status = 'unspent'
+            GROUP BY source
+        `);
+
+        const bySource = { deposit: 0, change: 0, custody: 0 };
+        let total = 0;
+        let count = 0;
+        for (const row of result.rows) {
+            bySource[row.source] = parseInt(row.total, 10);
+            total += parseInt(row.total, 10);
+            count += parseInt(row.count, 10);
+        }
+
+        return { total, count, bySource };
+    }
+
+    // Unspent deposit outputs with the recipient their address was derived for
+    async getDepositUtxos() {
+        const result = await database.query(`
+            SELECT u.*, d.starknet_recipient FROM custody_utxos u
+            JOIN deposits d ON d.deposit_id = u.reference
+            WHERE u.source = 'deposit' AND u.status = 'unspent'
+            ORDER BY u.value DESC
+        `);
+        return result.rows.map(row => ({ ...this.formatUtxo(row), starknetRecipient: row.starknet_recipient }));
+    }
+
+    async getUnspentUtxos() {
+        const result = await database.query(
+            'SELECT * FROM custody_utxos WHERE status = $1 ORDER BY txid ASC, vout ASC',
+            ['unspent']
+        );
+        return result.rows.map(row => this.formatUtxo(row));
+    }
+
+    async listUtxos({ status = null, source = null, limit = 50, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (status) {
+            params.push(status);
+            conditions.push(`status = $${params.length}`);
+        }
+        if (source) {
+            params.push(source);
+            conditions.push(`source = $${params.length}`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const count = await database.query(`SELECT COUNT(*) AS total FROM custody_utxos ${where}`, params);
+        const result = await database.query(`
+            SELECT * FROM custody_utxos ${where}
+            ORDER BY created_at DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, limit, offset]);
+
+        return {
+            utxos: result.rows.map(row => this.formatUtxo(row)),
+            totalCount: parseInt(count.rows[0].total, 10),
+            limit,
+            offset
+        };
+    }
+
+    async getLatestReconciliation() {
+        const result = await database.query('SELECT * FROM custody_reconciliations ORDER BY checked_at DESC LIMIT 1');
+        return result.rows[0] ? this.formatReconciliation(result.rows[0]) : null;
+    }
+
+    formatUtxo(row) {
+        return {
+            txid: row.txid,
+            vout: parseInt(row.vout, 10),
+            address: row.address,
+            value: parseInt(row.value, 10),
+            source: row.source,
+            reference: row.reference || null,
+            status: row.status,
+            spentBy: row.spent_by || null,
+            spentTxid: row.spent_txid || null,
+            createdAt: new Date(row.created_at).toISOString(),
+            spentAt: row.spent_at ? new Date(row.spent_at).toISOString() : null
+        };
+    }
+
+    formatReconciliation(row) {
+        return {
+            id: row.id,
+            status: row.status,
+            custodyBalance: parseInt(row.custody_balance, 10),
+            utxoCount: parseInt(row.utxo_count, 10),
+            sbtcSupply: parseInt(row.sbtc_supply, 10),
+            pendingWithdrawals: parseInt(row.pending_withdrawals, 10),
+            difference: parseInt(row.difference, 10),
+            pauseTxHash: row.pause_tx_hash || null,
+            checkedAt: new Date(row.checked_at).toISOString()
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new CustodyLedger();
@@ -0,0 +1,188 @@
+/**
+ * Custody - The bridge's Bitcoin custody multisig
+ * Bridged bitcoin is held in a P2WSH `threshold`-of-n multisig over the
+ * operators' custody keys (sorted, BIP-67 style). Peg-outs spend its
+ * confirmed outputs and send change back to it.
+ *
+ * Each Starknet recipient deposits to its own copy of the multisig, with
+ * every custody key tweaked by `t = taggedHash(DEPOSIT_TWEAK_TAG, recipient)`:
+ * P' = P + tG. Operators sign for it with their key plus `t`, so the custody
+ * keys control every deposit address, and anyone can recompute one from the
+ * published keys and the recipient. Peg-outs spending a deposit output carry
+ * its tweak in the PSBT input, under the proprietary key PSBT_TWEAK_KEY.
+ */
+
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const bitcoinService = require('./bitcoin');
+const config = require('../config');
+
+const NETWORKS = {
+    mainnet: bitcoin.networks.bitcoin,
+    testnet: bitcoin.networks.testnet,
+    signet: bitcoin.networks.testnet,
+    regtest: bitcoin.networks.regtest
+};
+
+const DEPOSIT_TWEAK_TAG = 'VernWallet/deposit';
+
+// BIP-174 proprietary input key: 0xFC, the identifier "vernwallet" (length prefixed), subtype 0x00
+const PSBT_PROPRIETARY_ID = Buffer.from('vernwallet');
+const PSBT_TWEAK_KEY = Buffer.concat([Buffer.from([0xfc, PSBT_PROPRIETARY_ID.length]), PSBT_PROPRIETARY_ID, Buffer.from([0x00])]);
+
+class CustodyError extends Error {
+    constructor(message, status = 503) {
+        super(message);
+        this.name = 'CustodyError';
+        this.status = status;
+    }
+}
+
+class CustodyService {
+    constructor() {
+        this.wallet = null;
+    }
+
+    /**
+     * The multisig payment: `address`, `output` (scriptPubKey) and
+     * `witnessScript`, plus the sorted public keys and threshold
+     */
+    getWallet() {
+        const { publicKeys, threshold } = config.custody;
+        const cacheKey = `${config.bitcoin.network}:${threshold}:${publicKeys.join(',')}`;
+        if (this.wallet && this.wallet.cacheKey === cacheKey) {
+            return this.wallet;
+        }
+
+        if (publicKeys.length === 0) {
+            throw new CustodyError('No custody public keys configured (CUSTODY_PUBLIC_KEYS)');
+        }
+        if (!Number.isInteger(threshold) || threshold < 1 || threshold > publicKeys.length) {
+            throw new CustodyError(`Custody threshold ${threshold} is not between 1 and ${publicKeys.length}`, 500);
+        }
+
+        this.wallet = {
+            cacheKey,
+            ...this.buildMultisig(publicKeys.map(key => Buffer.from(key, 'hex')), threshold)
+        };
+        return this.wallet;
+    }
+
+    /**
+     * The multisig a Starknet recipient's deposits are paid to, with the
+     * `tweak` (hex) each operator adds to their custody key to sign for it
+     */
+    getDepositWallet(starknetRecipient) {
+        const wallet = this.getWallet();
+        const tweak = this.computeDepositTweak(starknetRecipient);
+        const pubkeys = wallet.publicKeys.map(key => this.tweakPublicKey(Buffer.from(key, 'hex'), tweak));
+
+        return {
+            ...this.buildMultisig(pubkeys, wallet.threshold),
+            starknetRecipient,
+            tweak: tweak.toString(16).padStart(64, '0')
+        };
+    }
+
+    getDepositAddress(starknetRecipient) {
+        return this.getDepositWallet(starknetRecipient).address;
+    }
+
+    buildMultisig(pubkeys, threshold) {
+        const network = this.getNetwork();
+        const sorted = [...pubkeys].sort(Buffer.compare);
+        const multisig = bitcoin.payments.p2ms({ m: threshold, pubkeys: sorted, network });
+        const payment = bitcoin.payments.p2wsh({ redeem: multisig, network });
+
+        return {
+            address: payment.address,
+            output: payment.output,
+            witnessScript: multisig.output,
+            publicKeys: sorted.map(key => key.toString('hex')),
+            threshold,
+            network
+        };
+    }
+
+    // BIP-340 style tagged hash of the recipient's 32-byte felt, as a scalar
+    computeDepositTweak(starknetRecipient) {
+        let recipient;
+        try {
+            recipient = BigInt(starknetRecipient);
+        } catch (error) {
+            throw new CustodyError(`Invalid Starknet recipient ${starknetRecipient}`, 400);
+        }
+        if (recipient < 0n || recipient >= 2n ** 256n) {
+            throw new CustodyError(`Invalid Starknet recipient ${starknetRecipient}`, 400);
+        }
+
+        const tag = crypto.createHash('sha256').update(DEPOSIT_TWEAK_TAG).digest();
+        const digest = crypto.createHash('sha256')
+            .update(tag)
+            .update(tag)
+            .update(Buffer.from(recipient.toString(16).padStart(64, '0'), 'hex'))
+            .digest('hex');
+
+        const tweak = BigInt(`0x${digest}`) % secp256k1.CURVE.n;
+        if (tweak === 0n) {
+            throw new CustodyError(`Recipient ${starknetRecipient} has no valid deposit tweak`, 500);
+        }
+        return tweak;
+    }
+
+    tweakPublicKey(publicKey, tweak) {
+        const point = secp256k1.ProjectivePoint.fromHex(publicKey)
+            .add(secp256k1.ProjectivePoint.BASE.multiply(tweak));
+        return Buffer.from(point.toRawBytes(true));
+    }
+
+    getAddress() {
+        return this.getWallet().address;
+    }
+
+    /**
+     * Custody outputs with at least `minConfirmations`, largest first
+     */
+    async getSpendableUtxos(minConfirmations = config.custody.minConfirmations) {
+        const utxos = await bitcoinService.getAddressUtxos(this.getAddress());
+
+        return utxos
+            .filter(utxo => utxo.confirmations >= minConfirmations)
+            .sort((a, b) => b.value - a.value);
+    }
+
+    // Whether `publicKey` is one of the keys of the multisig `input` spends
+    isInputKey(input, publicKey) {
+        if (!input.witnessScript) {
+            return false;
+        }
+
+        const { pubkeys } = bitcoin.payments.p2ms({ output: input.witnessScript });
+        return pubkeys.some(key => key.equals(Buffer.from(publicKey)));
+    }
+
+    // Tell the operators which tweak signs input `index` (a deposit output)
+    setInputTweak(psbt, index, tweak) {
+        psbt.addUnknownKeyValToInput(index, { key: PSBT_TWEAK_KEY, value: Buffer.from(tweak, 'hex') });
+    }
+
+    getInputTweak(input) {
+        const entry = (input.unknownKeyVals || []).find(keyVal => keyVal.key.equals(PSBT_TWEAK_KEY));
+        return entry ? entry.value.toString('hex') : null;
+    }
+
+    getNetwork() {
+        const network = NETWORKS[config.bitcoin.network];
+        if (!network) {
+            throw new Error(`Unknown Bitcoin network ${config.bitcoin.network}`);
+        }
+        return network;
+    }
+}
+
+// Export singleton instance
+module.exports = new CustodyService();
+module.exports.CustodyError = CustodyError;
+module.exports.DEPOSIT_TWEAK_TAG = DEPOSIT_TWEAK_TAG;
+module.exports.PSBT_TWEAK_KEY = PSBT_TWEAK_KEY;
@@ -1,54 +1,323 @@
 /**
  * Database service - Handles database operations for the bridge
+ * Supports PostgreSQL for deployments and an embedded SQLite mode for local development and tests
  */
 
+const fs = require('fs');
+const path = require('path');
 const logger = require('../utils/logger');
+const config = require('../config');
+
+const BACKEND_ROOT = path.join(__dirname, '../..');
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
 
 class DatabaseService {
     constructor() {
         this.isConnected = false;
         this.pool = null;
+        this.sqlite = null;
+        this.dialect = null;
+        this.initializing = null;
+        this.sqliteLock = Promise.resolve();
     }
 
     async initialize() {
+        if (this.isConnected) {
+            return;
+        }
+
+        // Several services initialize the database; share one in-flight connection attempt
+        if (!this.initializing) {
+            this.initializing = this.connect().finally(() => {
+                this.initializing = null;
+            });
+        }
+
+        return this.initializing;
+    }
+
+    async connect() {
         logger.info('Initializing database service...');
 
         try {
-            // TODO: Implement actual database connection (PostgreSQL)
-            // For now, we'll simulate a connection
+            const settings = this.resolveConnectionSettings();
+
+            if (settings.dialect === 'sqlite') {
+                this.openSqlite(settings.filename);
+            } else {
+                await this.openPostgres(settings);
+            }
 
+            this.dialect = settings.dialect;
             this.isConnected = true;
 
-            // Create tables if they don't exist (simulated)
             await this.createTables();
 
-            logger.info('Database service initialized successfully');
+            logger.info(`Database service initialized successfully (${this.dialect})`);
         } catch (error) {
             logger.error('Failed to initialize database service:', error);
+            await this.close();
             throw error;
         }
     }
 
+    resolveConnectionSettings() {
+        const dbConfig = config.database || {};
+        const url = dbConfig.url || '';
+
+        if (url.startsWith('sqlite:')) {
+            return { dialect: 'sqlite', filename: url.slice('sqlite:'.length) || ':memory:' };
+        }
+
+        if (url.startsWith('postgres://') || url.startsWith('postgresql://')) {
+            return { dialect: 'postgres', connectionString: url };
+        }
+
+        if (dbConfig.client === 'sqlite') {
+            return { dialect: 'sqlite', filename: dbConfig.filename || ':memory:' };
+        }
+
+        return {
+            dialect: 'postgres',
+            host: dbConfig.host,
+            port: dbConfig.port,
+            database: dbConfig.name,
+            user: dbConfig.username,
+            password: dbConfig.password
+        };
+    }
+
+    openSqlite(filename) {
+        const Database = require('better-sqlite3');
+
+        let target = filename;
+        if (target !== ':memory:') {
+            target = path.resolve(BACKEND_ROOT, target);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+        }
+
+        this.sqlite = new Database(target);
+        this.sqlite.pragma('journal_mode = WAL');
+        this.sqlite.pragma('foreign_keys = ON');
+
+        logger.info(`Using embedded SQLite database: ${target}`);
+    }
+
+    async openPostgres(settings) {
+        const { Pool } = require('pg');
+        const dbConfig = config.database;
+
+        this.pool = new Pool({
+            connectionString: settings.connectionString,
+            host: settings.host,
+            port: settings.port,
+            database: settings.database,
+            user: settings.user,
+            password: settings.password,
+            ssl: dbConfig.ssl ? { rejectUnauthorized: dbConfig.sslRejectUnauthorized !== false } : undefined,
+            max: dbConfig.maxConnections,
+            connectionTimeoutMillis: dbConfig.connectionTimeout * 1000,
+            idleTimeoutMillis: dbConfig.idleTimeout
+        });
+
+        this.pool.on('error', (error) => {
+            logger.error('Unexpected PostgreSQL pool error:', error);
+        });
+
+        // Fail fast on bad credentials instead of on the first query
+        const client = await this.pool.connect();
+        client.release();
+
+        logger.info(`Connected to PostgreSQL database: ${settings.database || 'from DATABASE_URL'}`);
+    }
+
     async createTables() {
-        // TODO: Implement actual table creation
-        logger.info('Database tables ready');
+        const applied = await this.migrate();
+        logger.info(`Database tables ready (${applied.length} migration(s) applied)`);
+    }
+
+    // Schema Migrations
+    loadMigrations() {
+        return fs.readdirSync(MIGRATIONS_DIR)
+            .filter(file => /^\d+_.+\.js$/.test(file))
+            .map(file => ({
+                version: parseInt(file.split('_')[0], 10),
+                name: path.basename(file, '.js'),
+                ...require(path.join(MIGRATIONS_DIR, file))
+            }))
+            .sort((a, b) => a.version - b.version);
+    }
+
+    async ensureMigrationsTable() {
+        await this.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TIMESTAMPTZ NOT NULL
+            )
+        `);
+    }
+
+    async getAppliedVersions() {
+        await this.ensureMigrationsTable();
+        const result = await this.query('SELECT version FROM schema_migrations ORDER BY version ASC');
+        return result.rows.map(row => parseInt(row.version, 10));
+    }
+
+    async migrate() {
+        const appliedVersions = new Set(await this.getAppliedVersions());
+        const pending = this.loadMigrations().filter(migration => !appliedVersions.has(migration.version));
+
+        for (const migration of pending) {
+            logger.info(`Applying database migration ${migration.name}`);
+
+            await this.transaction(async (tx) => {
+                await migration.up(tx);
+                await tx.query(
+                    'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)',
+                    [migration.version, migration.name, new Date()]
+                );
+            });
+        }
+
+        return pending.map(migration => migration.name);
+    }
+
+    async rollback() {
+        const appliedVersions = await this.getAppliedVersions();
+        const latest = appliedVersions[appliedVersions.length - 1];
+
+        if (latest === undefined) {
+            return null;
+        }
+
+        const migration = this.loadMigrations().find(m => m.version === latest);
+        if (!migration || !migration.down) {
+            throw new Error(`Migration ${latest} cannot be rolled back`);
+        }
+
+        logger.info(`Rolling back database migration ${migration.name}`);
+
+        await this.transaction(async (tx) => {
+            await migration.down(tx);
+            await tx.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        });
+
+        return migration.name;
     }
 
+    // Query Execution
     async query(sql, params = []) {
         if (!this.isConnected) {
             await this.initialize();
         }
 
-        // TODO: Implement actual database query
-        logger.info(`Executing query: ${sql}`);
+        logger.debug(`Executing query: ${sql}`);
 
-        // Mock response for development
+        if (this.dialect === 'sqlite') {
+            return this.serializeSqlite(() => this.runSqlite(sql, params));
+        }
+
+        const result = await this.pool.query(sql, params);
         return {
-            rows: [],
-            rowCount: 0
+            rows: result.rows,
+            rowCount: result.rowCount
         };
     }
 
+    /**
+     * Run a callback inside a transaction. The callback receives an object with
+     * the same query() signature, bound to the transaction's connection.
+     */
+    async transaction(callback) {
+        if (!this.isConnected) {
+            await this.initialize();
+        }
+
+        if (this.dialect === 'sqlite') {
+            return this.serializeSqlite(async () => {
+                this.sqlite.exec('BEGIN IMMEDIATE');
+                try {
+                    const result = await callback({ dialect: this.dialect, query: async (sql, params) => this.runSqlite(sql, params) });
+                    this.sqlite.exec('COMMIT');
+                    return result;
+                } catch (error) {
+                    this.sqlite.exec('ROLLBACK');
+                    throw error;
+                }
+            });
+        }
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await callback({
+                dialect: this.dialect,
+                query: async (sql, params = []) => {
+                    const res = await client.query(sql, params);
+                    return { rows: res.rows, rowCount: res.rowCount };
+                }
+            });
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * better-sqlite3 has a single connection, so a statement run while a
+     * transaction callback is awaiting would execute inside that transaction
+     * (and be undone by its rollback). Every statement and transaction waits
+     * its turn; inside a transaction, use the `tx` it was given.
+     */
+    serializeSqlite(work) {
+        const run = this.sqliteLock.then(work);
+        this.sqliteLock = run.catch(() => {});
+        return run;
+    }
+
+    runSqlite(sql, params = []) {
+        // Queries are written with PostgreSQL-style $n placeholders; SQLite binds them as named @pn
+        const bindings = {};
+        const translated = sql.replace(/\$(\d+)/g, (match, index) => {
+            bindings[`p${index}`] = this.toSqliteValue(params[parseInt(index, 10) - 1]);
+            return `@p${index}`;
+        });
+
+        const statement = this.sqlite.prepare(translated);
+
+        if (statement.reader) {
+            const rows = statement.all(bindings);
+            return { rows, rowCount: rows.length };
+        }
+
+        const info = statement.run(bindings);
+        return { rows: [], rowCount: info.changes };
+    }
+
+    toSqliteValue(value) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        if (typeof value === 'boolean') {
+            return value ? 1 : 0;
+        }
+        if (typeof value === 'bigint') {
+            return value.toString();
+        }
+        if (typeof value === 'object' && !Buffer.isBuffer(value)) {
+            return JSON.stringify(value);
+        }
+        return value;
+    }
+
     async healthCheck() {
         try {
             const startTime = Date.now();
@@ -57,6 +326,7 @@ class DatabaseService {
 
             return {
                 status: 'healthy',
+                dialect: this.dialect,
                 responseTime,
                 timestamp: new Date().toISOString()
             };
@@ -73,6 +343,11 @@ class DatabaseService {
     async close() {
         if (this.pool) {
             await this.pool.end();
+            this.pool = null;
+        }
+        if (this.sqlite) {
+            this.sqlite.close();
+            this.sqlite = null;
         }
         this.isConnected = false;
         logger.info('Database connection closed');
@@ -80,4 +355,4 @@ class DatabaseService {
 }
 
 // Export singleton instance
-module.exports = new DatabaseService();
\ No newline at end of file
+module.exports = new DatabaseService();
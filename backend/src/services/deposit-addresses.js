@@ -0,0 +1,56 @@
+/**
+ * Deposit address registry - Bitcoin addresses issued to Starknet recipients
+ * The deposit scanner only credits outputs paying an address recorded here.
+ * Addresses are derived from the custody keys (see custody.getDepositWallet),
+ * never issued when that derivation isn't available.
+ */
+
+const database = require('./database');
+const custody = require('./custody');
+const logger = require('../utils/logger');
+
+class DepositAddressRegistry {
+    /**
+     * The recipient's custody-derived deposit address, registered for the
+     * scanner. Throws a CustodyError (503) when no custody keys are configured.
+     */
+    async issue(starknetRecipient, network = null) {
+        const address = custody.getDepositAddress(starknetRecipient);
+        await this.register(address, starknetRecipient, network);
+        return address;
+    }
+
+    async register(address, starknetRecipient, network = null) {
+        await database.query(`
+            INSERT INTO deposit_addresses (address, starknet_recipient, network, created_at)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (address) DO NOTHING
+        `, [address, starknetRecipient, network, new Date()]);
+
+        logger.info(`Registered deposit address ${address} for ${starknetRecipient}`);
+    }
+
+    async lookup(address) {
+        const result = await database.query('SELECT * FROM deposit_addresses WHERE address = $1', [address]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Map of address -> starknet recipient for every issued address
+     */
+    async loadAll() {
+        const result = await database.query('SELECT address, starknet_recipient FROM deposit_addresses');
+        return new Map(result.rows.map(row => [row.address, row.starknet_recipient]));
+    }
+
+    async listForRecipient(starknetRecipient) {
+        const result = await database.query(
+            'SELECT * FROM deposit_addresses WHERE starknet_recipient = $1 ORDER BY created_at DESC',
+            [starknetRecipient]
+        );
+        return result.rows;
+    }
+}
+
+// Export singleton instance
+module.exports = new DepositAddressRegistry();
@@ -0,0 +1,250 @@
+/**
+ * Deposit scanner - Finds bridge deposits in new Bitcoin blocks
+ * Walks blocks past the persisted scan cursor and records every output that pays
+ * an issued deposit address. The cursor is committed together with the deposits
+ * found in each block, so restarts neither skip nor double-process blocks.
+ * Also detects chain reorganizations that orphan the block a deposit was found in.
+ */
+
+const bitcoinService = require('./bitcoin');
+const bridgeState = require('./bridge-state');
+const database = require('./database');
+const depositAddresses = require('./deposit-addresses');
+const scanCursors = require('./scan-cursors');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const { DEPOSIT_STATES, depositId } = bridgeState;
+
+const CURSOR_NAME = 'bitcoin_deposits';
+const ACTOR = 'deposit-scanner';
+const SATOSHIS_PER_BTC = 100000000;
+
+class DepositScanner {
+    constructor() {
+        this.isScanning = false;
+    }
+
+    /**
+     * Scan blocks after the cursor up to the current tip (bounded per call).
+     * Returns the deposits detected during this pass.
+     */
+    async scan(tip = null) {
+        if (this.isScanning) {
+            return [];
+        }
+
+        this.isScanning = true;
+
+        try {
+            const latestBlock = tip || await bitcoinService.getLatestBlock();
+            let cursor = await this.getCursor(latestBlock);
+
+            // If the last scanned block was orphaned, rescan the new branch from the fork point
+            if (cursor.blockHash && await bitcoinService.getBlockHash(cursor.height) !== cursor.blockHash) {
+                cursor = await this.findForkPoint(cursor);
+                await scanCursors.save(CURSOR_NAME, cursor.height, cursor.blockHash);
+                logger.warn(`Deposit scanner rewound to block ${cursor.height} after a chain reorganization`);
+            }
+
+            const lastHeight = Math.min(latestBlock.height, cursor.height + config.bitcoin.depositScanBatchSize);
+
+            if (lastHeight <= cursor.height) {
+                return [];
+            }
+
+            const addresses = await depositAddresses.loadAll();
+            const detected = [];
+
+            for (let height = cursor.height + 1; height <= lastHeight; height++) {
+                detected.push(...await this.scanBlock(height, addresses));
+            }
+
+            if (detected.length > 0) {
+                logger.info(`Deposit scanner found ${detected.length} deposit(s) up to block ${lastHeight}`);
+            }
+
+            return detected;
+
+        } finally {
+            this.isScanning = false;
+        }
+    }
+
+    async getCursor(latestBlock) {
+        const cursor = await scanCursors.get(CURSOR_NAME);
+        if (cursor) {
+            return cursor;
+        }
+
+        // First run: start at the configured height, or at the current tip
+        const startHeight = config.bitcoin.depositScanStartHeight ?? latestBlock.height;
+        logger.info(`Deposit scanner starting at block ${startHeight}`);
+
+        return { height: startHeight - 1, blockHash: null };
+    }
+
+    /**
+     * Walk back from an orphaned cursor block until we reach a block that is
+     * still on the best chain.
+     */
+    async findForkPoint(cursor) {
+        const maxDepth = config.bitcoin.maxReorgDepth;
+        let height = cursor.height;
+        let blockHash = cursor.blockHash;
+
+        for (let depth = 0; depth < maxDepth && blockHash; depth++) {
+            if (await bitcoinService.getBlockHash(height) === blockHash) {
+                return { height, blockHash };
+            }
+
+            const block = await bitcoinService.getBlock(blockHash);
+            if (!block) {
+                break;
+            }
+
+            blockHash = block.previousBlockHash;
+            height--;
+        }
+
+        // Provider doesn't know the stale branch: rescan the whole reorg window
+        const forkHeight = Math.max(cursor.height - maxDepth, 0);
+        return { height: forkHeight, blockHash: await bitcoinService.getBlockHash(forkHeight) };
+    }
+
+    /**
+     * Find tracked deposits whose block is no longer on the best chain.
+     * Only live deposits within the reorg window are checked.
+     */
+    async detectReorgs(latestBlock) {
+        const result = await database.query(`
+            SELECT * FROM deposits
+            WHERE block_hash IS NOT NULL
+            AND status IN ($2, $3, $4, $5, $6)
+            AND block_height > $1
+        `, [
+            latestBlock.height - config.bitcoin.maxReorgDepth,
+            DEPOSIT_STATES.DETECTED,
+            DEPOSIT_STATES.CONFIRMING,
+            DEPOSIT_STATES.PROVEN,
+            DEPOSIT_STATES.SUBMITTED,
+            DEPOSIT_STATES.MINTED
+        ]);
+
+        const bestHashes = new Map();
+        const orphaned = [];
+
+        for (const deposit of result.rows) {
+            const height = parseInt(deposit.block_height, 10);
+
+            if (!bestHashes.has(height)) {
+                bestHashes.set(height, await bitcoinService.getBlockHash(height));
+            }
+
+            if (bestHashes.get(height) !== deposit.block_hash) {
+                orphaned.push(deposit);
+            }
+        }
+
+        return orphaned;
+    }
+
+    async scanBlock(height, addresses) {
+        const blockHash = await bitcoinService.getBlockHash(height);
+        if (!blockHash) {
+            throw new Error(`Block at height ${height} not found`);
+        }
+
+        const transactions = await bitcoinService.getBlockTransactions(blockHash);
+        if (!transactions) {
+            throw new Error(`Block ${blockHash} not found`);
+        }
+
+        const deposits = this.matchDeposits(transactions, addresses, height, blockHash);
+
+        await database.transaction(async (tx) => {
+            for (const deposit of deposits) {
+                const inserted = await tx.query(`
+                    INSERT INTO deposits (
+                        deposit_id, btc_tx_hash, amount, starknet_recipient, btc_address,
+                        block_height, block_hash, status, confirmations, created_at
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                    ON CONFLICT (deposit_id) DO NOTHING
+                `, [
+                    deposit.depositId,
+                    deposit.btcTxHash,
+                    deposit.amount,
+                    deposit.starknetRecipient,
+                    deposit.btcAddress,
+                    deposit.blockHeight,
+                    deposit.blockHash,
+                    DEPOSIT_STATES.DETECTED,
+                    1,
+                    new Date()
+                ]);
+
+                const metadata = { blockHash, blockHeight: height };
+
+                if (inserted.rowCount > 0) {
+                    await bridgeState.recordCreated('deposit', deposit.depositId, {
+                        actor: ACTOR,
+                        reason: `Paid ${deposit.btcAddress} in block ${height}`,
+                        metadata
+                    }, tx);
+                    continue;
+                }
+
+                // Seen before (rescan or reorg): move it to this block, and back to detected if it was rolled back
+                const current = await tx.query('SELECT status FROM deposits WHERE deposit_id = $1', [deposit.depositId]);
+                const status = current.rows[0].status === DEPOSIT_STATES.REORGED ? DEPOSIT_STATES.DETECTED : current.rows[0].status;
+
+                await bridgeState.transition('deposit', deposit.depositId, status, {
+                    actor: ACTOR,
+                    reason: `Found again in block ${height}`,
+                    metadata,
+                    fields: { block_height: deposit.blockHeight, block_hash: deposit.blockHash }
+                }, tx);
+            }
+
+            await scanCursors.save(CURSOR_NAME, height, blockHash, tx);
+        });
+
+        return deposits;
+    }
+
+    /**
+     * Match block outputs against issued deposit addresses. Every address a
+     * transaction pays is a deposit of its own; outputs of one transaction
+     * paying the same address are summed into a single deposit.
+     */
+    matchDeposits(transactions, addresses, blockHeight, blockHash) {
+        const deposits = [];
+
+        for (const tx of transactions) {
+            const paid = new Map();
+
+            for (const output of tx.outputs) {
+                if (output.address && addresses.has(output.address)) {
+                    paid.set(output.address, (paid.get(output.address) || 0) + output.valueSat);
+                }
+            }
+
+            for (const [btcAddress, valueSat] of paid) {
+                deposits.push({
+                    depositId: depositId(tx.txHash, btcAddress),
+                    btcTxHash: tx.txHash,
+                    btcAddress,
+                    amount: valueSat / SATOSHIS_PER_BTC,
+                    starknetRecipient: addresses.get(btcAddress),
+                    blockHeight,
+                    blockHash
+                });
+            }
+        }
+
+        return deposits;
+    }
+}
+
+// Export singleton instance
+module.exports = new DepositScanner();
@@ -0,0 +1,376 @@
+/**
+ * Header relayer - Keeps BitcoinHeaders in step with the Bitcoin chain
+ * Follows the Bitcoin tip and submits the missing headers to Starknet in
+ * multicall batches, lowest height first. When the relayed chain and the
+ * Bitcoin best chain disagree, an alert is raised and, once the Bitcoin
+ * branch is longer, it replaces the relayed one from the fork point with
+ * `submit_fork`. A fork the contract rejects is not resubmitted; it stays on
+ * /health/bitcoin until an operator resolves it. Headers are validated
+ * locally first and a batch ends before the first invalid one. Batches whose
+ * estimated fee spikes above the configured limit, and failed batches, are
+ * retried after an exponential backoff.
+ */
+
+const EventEmitter = require('events');
+const bitcoinService = require('./bitcoin');
+const starknetService = require('./starknet');
+const spvProofs = require('./spv-proofs');
+const headerValidator = require('./header-validator');
+const bridgeLogger = require('./bridge-logger');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const { hashToU256 } = spvProofs;
+const { HeaderValidationError } = headerValidator;
+
+// A revert by BitcoinHeaders (or a deployment without `submit_fork`), as opposed to a network failure
+const CONTRACT_REJECTION = /Header: |entry ?point/i;
+
+class HeaderRelayer extends EventEmitter {
+    constructor() {
+        super();
+        this.timer = null;
+        this.isRelaying = false;
+
+        this.bitcoinTipHeight = null;
+        this.relayedHeight = null;
+        this.lastCheckedAt = null;
+        this.lastSubmission = null;
+        this.headersRelayed = 0;
+        this.fork = null;
+        this.backoff = null;
+        this.lastError = null;
+        this.lastRejection = null;
+    }
+
+    start(interval = config.headerRelayer.pollInterval) {
+        if (this.timer) {
+            return;
+        }
+        if (!config.headerRelayer.enabled) {
+            logger.info('Bitcoin header relayer disabled');
+            return;
+        }
+
+        this.timer = setInterval(async () => {
+            try {
+                await this.relay();
+            } catch (error) {
+                logger.error('Error in Bitcoin header relayer:', error);
+            }
+        }, interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Submit the next batch of headers BitcoinHeaders is missing.
+     * Returns the number of headers relayed.
+     */
+    async relay() {
+        if (this.isRelaying || (this.backoff && this.backoff.until > new Date())) {
+            return 0;
+        }
+
+        this.isRelaying = true;
+
+        try {
+            const [tip, relayedHeight] = await Promise.all([
+                bitcoinService.getLatestBlock(),
+                starknetService.getBitcoinHeadersBestHeight()
+            ]);
+            const tipHeight = tip.height;
+            this.bitcoinTipHeight = tipHeight;
+            this.relayedHeight = relayedHeight;
+            this.lastCheckedAt = new Date();
+
+            // A lagging Bitcoin node can't tell a fork from blocks it hasn't seen yet
+            if (tipHeight < relayedHeight) {
+                return 0;
+            }
+
+            const commonHeight = await this.findCommonHeight(relayedHeight);
+            if (commonHeight === null) {
+                const depth = config.bitcoin.maxReorgDepth;
+                await this.noteFork(relayedHeight - depth + 1, depth);
+                if (!this.fork.rejection) {
+                    await this.rejectFork(`BitcoinHeaders diverges from the Bitcoin chain more than ${depth} blocks deep`);
+                }
+                return 0;
+            }
+
+            const forked = commonHeight < relayedHeight;
+            if (forked) {
+                await this.noteFork(commonHeight + 1, relayedHeight - commonHeight);
+            } else if (this.fork) {
+                logger.info(`BitcoinHeaders fork at height ${this.fork.height} resolved`);
+                this.fork = null;
+            }
+
+            if (forked && this.fork.rejection) {
+                return 0;
+            }
+
+            // A competing branch replaces the relayed one in a single batch, and only once it is longer
+            const fromHeight = commonHeight + 1;
+            const batchSize = forked
+                ? Math.max(config.headerRelayer.batchSize, relayedHeight - commonHeight + 1)
+                : config.headerRelayer.batchSize;
+            const toHeight = Math.min(tipHeight, commonHeight + batchSize);
+            if (forked) {
+                this.fork.status = toHeight > relayedHeight ? 'relaying' : 'waiting';
+                if (this.fork.status === 'waiting') {
+                    return 0;
+                }
+            }
+            if (fromHeight > toHeight) {
+                return 0;
+            }
+
+            const headers = await this.getHeaders(fromHeight, toHeight);
+            if (headers.length === 0) {
+                this.backOff(`Header at height ${fromHeight} failed validation: ${this.lastRejection.reason}`);
+                return 0;
+            }
+            if (forked && fromHeight + headers.length - 1 <= relayedHeight) {
+                this.backOff(`The branch forking at height ${fromHeight} has an invalid header before it outgrows BitcoinHeaders`);
+                return 0;
+            }
+
+            let result;
+            try {
+                const fee = await starknetService.estimateBitcoinHeadersFee(headers, { fork: forked });
+                const feePerHeader = fee / BigInt(headers.length);
+                if (feePerHeader > BigInt(config.headerRelayer.maxFeePerHeader)) {
+                    this.backOff(`Estimated fee of ${feePerHeader} per header is above the ${config.headerRelayer.maxFeePerHeader} limit`);
+                    return 0;
+                }
+
+                result = await starknetService.submitBitcoinHeaders(headers, { fork: forked });
+            } catch (error) {
+                if (forked && CONTRACT_REJECTION.test(error.message)) {
+                    await this.rejectFork(error.message);
+                    return 0;
+                }
+                throw error;
+            }
+
+            const lastHeight = fromHeight + headers.length - 1;
+
+            this.relayedHeight = lastHeight;
+            this.headersRelayed += headers.length;
+            this.lastSubmission = {
+                fromHeight,
+                toHeight: lastHeight,
+                transactionHash: result.transactionHash,
+                submittedAt: new Date()
+            };
+            this.backoff = null;
+            this.lastError = null;
+
+            if (forked) {
+                logger.info(`Replaced BitcoinHeaders from height ${fromHeight} with the Bitcoin best chain (${result.transactionHash})`);
+                this.fork = null;
+            }
+
+            logger.info(`Relayed Bitcoin headers ${fromHeight}-${lastHeight} to Starknet (${result.transactionHash})`);
+            return headers.length;
+
+        } catch (error) {
+            this.backOff(error.message);
+            throw error;
+
+        } finally {
+            this.isRelaying = false;
+        }
+    }
+
+    // Track the fork and alert when a new one appears
+    async noteFork(height, depth) {
+        if (this.fork && this.fork.height === height) {
+            this.fork.depth = depth;
+            return;
+        }
+
+        this.fork = { height, depth, status: 'relaying', rejection: null, detectedAt: new Date() };
+
+        logger.warn(`BitcoinHeaders forked from the Bitcoin chain at height ${height}, ${depth} block(s) deep`);
+        await bridgeLogger.logBitcoinOperation('header_fork', { height, depth }, 'warn');
+        this.emit('systemAlert', {
+            alertType: 'bitcoin_headers_fork',
+            severity: 'warning',
+            message: `BitcoinHeaders forked from the Bitcoin chain at height ${height}`,
+            data: { height, depth }
+        });
+    }
+
+    // The contract refused the competing branch; stop resubmitting it and escalate
+    async rejectFork(reason) {
+        this.fork.status = 'rejected';
+        this.fork.rejection = { reason, rejectedAt: new Date() };
+        this.lastError = reason;
+
+        logger.error(`CRITICAL: BitcoinHeaders rejected the branch forking at height ${this.fork.height}: ${reason}`);
+        await bridgeLogger.logBitcoinOperation('header_fork_rejected', {
+            height: this.fork.height,
+            depth: this.fork.depth,
+            reason
+        }, 'error');
+        this.emit('systemAlert', {
+            alertType: 'bitcoin_headers_fork_rejected',
+            severity: 'critical',
+            message: `BitcoinHeaders rejected the Bitcoin branch forking at height ${this.fork.height}; header relaying is stopped until it is resolved`,
+            data: { height: this.fork.height, depth: this.fork.depth, reason }
+        });
+    }
+
+    /**
+     * Highest height at or below `height` where BitcoinHeaders holds the same
+     * header as the Bitcoin best chain: 0 when nothing matches yet, null when
+     * they diverge deeper than `maxReorgDepth`
+     */
+    async findCommonHeight(height) {
+        const lowest = Math.max(height - config.bitcoin.maxReorgDepth, 0);
+
+        for (let current = height; current > lowest; current--) {
+            const [relayedHash, blockHash] = await Promise.all([
+                starknetService.getBitcoinHeaderHash(current),
+                bitcoinService.getBlockHash(current)
+            ]);
+            if (blockHash && relayedHash === BigInt('0x' + blockHash)) {
+                return current;
+            }
+        }
+
+        return lowest > 0 ? null : 0;
+    }
+
+    /**
+     * Best-chain headers from `fromHeight` to `toHeight` in BitcoinHeaders'
+     * layout. Stops before the first header that fails validation, so nothing
+     * invalid (or built on it) is paid for.
+     */
+    async getHeaders(fromHeight, toHeight) {
+        // Headers read during this pass, shared with the validator's ancestor lookups
+        const chain = new Map();
+        const getHeader = async height => {
+            if (!chain.has(height)) {
+                chain.set(height, await this.fetchHeader(height));
+            }
+            return chain.get(height);
+        };
+
+        const headers = [];
+
+        for (let height = fromHeight; height <= toHeight; height++) {
+            const parsed = await getHeader(height);
+
+            try {
+                await headerValidator.validate(parsed, height, getHeader);
+            } catch (error) {
+                if (!(error instanceof HeaderValidationError)) {
+                    throw error;
+                }
+
+                await this.reject(parsed, height, error.message);
+                break;
+            }
+
+            headers.push({
+                hash: hashToU256(parsed.hash),
+                previousBlockHash: hashToU256(parsed.previousBlockHash),
+                merkleRoot: hashToU256(parsed.merkleRoot),
+                timestamp: parsed.timestamp,
+                bits: parsed.bits,
+                nonce: parsed.nonce,
+                height
+            });
+        }
+
+        return headers;
+    }
+
+    async fetchHeader(height) {
+        const hash = await bitcoinService.getBlockHash(height);
+        const parsed = hash ? spvProofs.parseHeader(await bitcoinService.getBlockHeader(hash)) : null;
+
+        if (!parsed || parsed.hash !== hash) {
+            throw new Error(`Header at height ${height} not found`);
+        }
+        return parsed;
+    }
+
+    async reject(header, height, reason) {
+        this.lastRejection = { height, hash: header.hash, reason, rejectedAt: new Date() };
+
+        logger.warn(`Bitcoin header ${header.hash} at height ${height} rejected: ${reason}`);
+        await bridgeLogger.logBitcoinOperation('header_rejected', {
+            height,
+            hash: header.hash,
+            previousBlockHash: header.previousBlockHash,
+            bits: header.bits,
+            timestamp: header.timestamp,
+            reason
+        }, 'warn');
+    }
+
+    backOff(reason) {
+        const attempts = this.backoff ? this.backoff.attempts + 1 : 1;
+        const delay = Math.min(
+            config.headerRelayer.backoffBaseDelay * 2 ** (attempts - 1),
+            config.headerRelayer.backoffMaxDelay
+        );
+
+        this.backoff = { attempts, reason, until: new Date(Date.now() + delay * 1000) };
+        this.lastError = reason;
+
+        logger.warn(`Bitcoin header relayer backing off for ${delay}s: ${reason}`);
+    }
+
+    /**
+     * Relay progress for health checks. `tipHeight` overrides the tip seen by
+     * the last pass, so the lag reflects blocks found since then.
+     */
+    getStatus(tipHeight = null) {
+        const bitcoinTipHeight = tipHeight ?? this.bitcoinTipHeight;
+        const backingOff = this.backoff && this.backoff.until > new Date();
+
+        return {
+            enabled: config.headerRelayer.enabled,
+            running: this.timer !== null,
+            bitcoinTipHeight,
+            relayedHeight: this.relayedHeight,
+            lag: bitcoinTipHeight !== null && this.relayedHeight !== null ? bitcoinTipHeight - this.relayedHeight : null,
+            headersRelayed: this.headersRelayed,
+            lastCheckedAt: this.lastCheckedAt ? this.lastCheckedAt.toISOString() : null,
+            lastSubmission: this.lastSubmission ? {
+                ...this.lastSubmission,
+                submittedAt: this.lastSubmission.submittedAt.toISOString()
+            } : null,
+            fork: this.fork ? {
+                ...this.fork,
+                rejection: this.fork.rejection ? {
+                    ...this.fork.rejection,
+                    rejectedAt: this.fork.rejection.rejectedAt.toISOString()
+                } : null,
+                detectedAt: this.fork.detectedAt.toISOString()
+            } : null,
+            backoff: backingOff ? {
+                attempts: this.backoff.attempts,
+                reason: this.backoff.reason,
+                until: this.backoff.until.toISOString()
+            } : null,
+            lastError: this.lastError,
+            lastRejection: this.lastRejection ? {
+                ...this.lastRejection,
+                rejectedAt: this.lastRejection.rejectedAt.toISOString()
+            } : null
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new HeaderRelayer();
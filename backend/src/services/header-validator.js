@@ -0,0 +1,200 @@
+/**
+ * Header validator - Bitcoin consensus checks for block headers
+ * Checks a header against the chain below it the way Bitcoin Core does before
+ * it is relayed: prev-hash linkage, proof of work against the header's target,
+ * the difficulty retarget rules, median-time-past and the future time limit.
+ */
+
+const config = require('../config');
+
+const RETARGET_INTERVAL = 2016;
+const TARGET_TIMESPAN = 14 * 24 * 60 * 60; // Two weeks, in seconds
+const TARGET_SPACING = 10 * 60;
+const MEDIAN_TIME_SPAN = 11;
+const MAX_FUTURE_BLOCK_TIME = 2 * 60 * 60;
+
+// Proof-of-work limit and retarget rules per network, as in Bitcoin Core's chainparams
+const NETWORK_PARAMS = {
+    mainnet: {
+        powLimit: 0x00000000ffffffffffffffffffffffffffffffffffffffffffffffffffffffffn,
+        allowMinDifficultyBlocks: false,
+        noRetargeting: false
+    },
+    testnet: {
+        powLimit: 0x00000000ffffffffffffffffffffffffffffffffffffffffffffffffffffffffn,
+        allowMinDifficultyBlocks: true,
+        noRetargeting: false
+    },
+    signet: {
+        powLimit: 0x00000377ae000000000000000000000000000000000000000000000000000000n,
+        allowMinDifficultyBlocks: false,
+        noRetargeting: false
+    },
+    regtest: {
+        powLimit: 0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffn,
+        allowMinDifficultyBlocks: true,
+        noRetargeting: true
+    }
+};
+
+class HeaderValidationError extends Error {
+    constructor(message, status = 422) {
+        super(message);
+        this.name = 'HeaderValidationError';
+        this.status = status;
+    }
+}
+
+class HeaderValidator {
+    /**
+     * Validate `header` (as parsed by SpvProofService.parseHeader) at `height`.
+     * `getHeader(height)` resolves the parsed header the chain holds at a lower
+     * height. Throws HeaderValidationError with the reason when it fails.
+     */
+    async validate(header, height, getHeader, { network = config.bitcoin.network, now = Date.now() } = {}) {
+        const params = this.getParams(network);
+
+        if (height < 1) {
+            throw new HeaderValidationError('The genesis header is not relayed');
+        }
+
+        const previous = await getHeader(height - 1);
+        if (!previous || header.previousBlockHash !== previous.hash) {
+            throw new HeaderValidationError(`Previous block hash ${header.previousBlockHash} does not match block ${height - 1}`);
+        }
+
+        const target = bitsToTarget(header.bits);
+        if (target === null || target === 0n || target > params.powLimit) {
+            throw new HeaderValidationError(`Target bits 0x${header.bits.toString(16)} are out of range`);
+        }
+        if (BigInt('0x' + header.hash) > target) {
+            throw new HeaderValidationError('Header hash is above its target (insufficient proof of work)');
+        }
+
+        const expectedBits = await this.getNextWorkRequired(header, height, previous, getHeader, params);
+        if (header.bits !== expectedBits) {
+            throw new HeaderValidationError(`Target bits 0x${header.bits.toString(16)} should be 0x${expectedBits.toString(16)} at height ${height}`);
+        }
+
+        const medianTimePast = await this.getMedianTimePast(height - 1, getHeader);
+        if (header.timestamp <= medianTimePast) {
+            throw new HeaderValidationError(`Timestamp ${header.timestamp} is not after the median time past ${medianTimePast}`);
+        }
+
+        const maxTimestamp = Math.floor(now / 1000) + MAX_FUTURE_BLOCK_TIME;
+        if (header.timestamp > maxTimestamp) {
+            throw new HeaderValidationError(`Timestamp ${header.timestamp} is more than two hours in the future`);
+        }
+
+        return true;
+    }
+
+    // GetNextWorkRequired
+    async getNextWorkRequired(header, height, previous, getHeader, params) {
+        const powLimitBits = targetToBits(params.powLimit);
+
+        if (height % RETARGET_INTERVAL !== 0) {
+            if (!params.allowMinDifficultyBlocks) {
+                return previous.bits;
+            }
+
+            // Testnet: a block more than 20 minutes after its parent may use the minimum difficulty
+            if (header.timestamp > previous.timestamp + TARGET_SPACING * 2) {
+                return powLimitBits;
+            }
+
+            // Otherwise it uses the difficulty of the last block that wasn't a minimum-difficulty one
+            let ancestor = previous;
+            let ancestorHeight = height - 1;
+            while (ancestorHeight % RETARGET_INTERVAL !== 0 && ancestor.bits === powLimitBits) {
+                ancestorHeight--;
+                ancestor = await this.getAncestor(ancestorHeight, getHeader);
+            }
+            return ancestor.bits;
+        }
+
+        if (params.noRetargeting) {
+            return previous.bits;
+        }
+
+        const first = await this.getAncestor(height - RETARGET_INTERVAL, getHeader);
+        const timespan = Math.min(
+            Math.max(previous.timestamp - first.timestamp, TARGET_TIMESPAN / 4),
+            TARGET_TIMESPAN * 4
+        );
+
+        let target = bitsToTarget(previous.bits) * BigInt(timespan) / BigInt(TARGET_TIMESPAN);
+        if (target > params.powLimit) {
+            target = params.powLimit;
+        }
+
+        return targetToBits(target);
+    }
+
+    // Median timestamp of the 11 blocks ending at `height`
+    async getMedianTimePast(height, getHeader) {
+        const timestamps = [];
+        for (let current = height; current >= 0 && current > height - MEDIAN_TIME_SPAN; current--) {
+            timestamps.push((await this.getAncestor(current, getHeader)).timestamp);
+        }
+
+        timestamps.sort((a, b) => a - b);
+        return timestamps[Math.floor(timestamps.length / 2)];
+    }
+
+    async getAncestor(height, getHeader) {
+        const header = await getHeader(height);
+        if (!header) {
+            throw new Error(`Header at height ${height} not found`);
+        }
+        return header;
+    }
+
+    getParams(network) {
+        const params = NETWORK_PARAMS[network];
+        if (!params) {
+            throw new Error(`No header validation rules for Bitcoin network ${network}`);
+        }
+        return params;
+    }
+}
+
+/**
+ * Decode compact target bits; null for negative or overflowing encodings
+ */
+function bitsToTarget(bits) {
+    const exponent = bits >>> 24;
+    const mantissa = bits & 0x007fffff;
+
+    if (mantissa !== 0 && (bits & 0x00800000) !== 0) {
+        return null;
+    }
+    if (mantissa !== 0 && (exponent > 34 || (mantissa > 0xff && exponent > 33) || (mantissa > 0xffff && exponent > 32))) {
+        return null;
+    }
+
+    return exponent <= 3
+        ? BigInt(mantissa) >> BigInt(8 * (3 - exponent))
+        : BigInt(mantissa) << BigInt(8 * (exponent - 3));
+}
+
+function targetToBits(target) {
+    let size = target === 0n ? 0 : Math.ceil(target.toString(16).length / 2);
+    let mantissa = size <= 3
+        ? Number(target << BigInt(8 * (3 - size)))
+        : Number(target >> BigInt(8 * (size - 3)));
+
+    // The mantissa's top bit is a sign bit, so move a set one into the next byte
+    if (mantissa & 0x00800000) {
+        mantissa >>= 8;
+        size++;
+    }
+
+    return (mantissa | (size << 24)) >>> 0;
+}
+
+// Export singleton instance
+module.exports = new HeaderValidator();
+module.exports.HeaderValidationError = HeaderValidationError;
+module.exports.bitsToTarget = bitsToTarget;
+module.exports.targetToBits = targetToBits;
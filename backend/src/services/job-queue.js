@@ -0,0 +1,340 @@
+/**
+ * Job queue - Durable work queues backed by the database
+ * Each job has an idempotency key that is unique within its queue, so the same
+ * deposit or withdrawal is only ever enqueued once. Workers lease a job for the
+ * visibility timeout and keep extending it while the handler runs; a job whose
+ * worker died is picked up again once the lease runs out. Failed jobs are
+ * retried with exponential backoff and parked as `dead` after too many
+ * attempts, where an operator can retry them.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const database = require('./database');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'dead'];
+
+class JobQueueService {
+    constructor() {
+        // Identifies this process in `locked_by`, so only the lease holder can finish a job
+        this.workerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+        this.workers = new Map();
+    }
+
+    /**
+     * Add a job unless one with the same key already exists in the queue.
+     * Returns the job and whether it was created by this call.
+     */
+    async enqueue(queue, idempotencyKey, payload, { maxAttempts = config.jobs.maxAttempts } = {}) {
+        const now = new Date();
+        const id = crypto.randomBytes(8).toString('hex');
+
+        const inserted = await database.query(`
+            INSERT INTO jobs (id, queue, idempotency_key, payload, status, attempts, max_attempts, run_at, created_at, updated_at)
+            VALUES ($1, $2, $3, $4, 'pending', 0, $5, $6, $6, $6)
+            ON CONFLICT (queue, idempotency_key) DO NOTHING
+        `, [id, queue, String(idempotencyKey), JSON.stringify(payload), maxAttempts, now]);
+
+        const job = await this.getJobByKey(queue, idempotencyKey);
+
+        if (inserted.rowCount > 0) {
+            logger.info(`Queued ${queue} job ${id} (${idempotencyKey})`);
+        }
+
+        return { job, created: inserted.rowCount > 0 };
+    }
+
+    /**
+     * Drop a finished job so its key can be enqueued again (e.g. a reorged
+     * deposit that confirmed in a new block). Jobs still in flight are kept.
+     */
+    async forget(queue, idempotencyKey) {
+        const result = await database.query(`
+            DELETE FROM jobs
+            WHERE queue = $1 AND idempotency_key = $2 AND status IN ('completed', 'dead')
+        `, [queue, String(idempotencyKey)]);
+
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Lease the next due job in `queue`, or return null when there is none.
+     * The conditional UPDATE makes the claim safe across replicas: only one
+     * worker's update matches the job's previous state.
+     */
+    async claim(queue) {
+        const now = new Date();
+        const candidates = await database.query(`
+            SELECT * FROM jobs
+            WHERE queue = $1
+            AND ((status = 'pending' AND run_at <= $2) OR (status = 'running' AND locked_until <= $2))
+            ORDER BY run_at ASC
+            LIMIT 5
+        `, [queue, now]);
+
+        for (const candidate of candidates.rows) {
+            const attempts = parseInt(candidate.attempts, 10);
+
+            // A job whose lease keeps running out (e.g. it crashes the process) ends up here too
+            if (attempts >= parseInt(candidate.max_attempts, 10)) {
+                await this.deadLetter(candidate, candidate.error_message || 'Visibility timeout exceeded');
+                continue;
+            }
+
+            const lockedUntil = new Date(now.getTime() + config.jobs.visibilityTimeout * 1000);
+            const claimed = await database.query(`
+                UPDATE jobs
+                SET status = 'running', attempts = $3, locked_by = $4, locked_until = $5, updated_at = $6
+                WHERE id = $1 AND status = $2 AND attempts = $7
+            `, [candidate.id, candidate.status, attempts + 1, this.workerId, lockedUntil, now, attempts]);
+
+            if (claimed.rowCount === 1) {
+                if (candidate.status === 'running') {
+                    logger.warn(`Reclaimed ${queue} job ${candidate.id} after its lease expired`);
+                }
+                return this.formatJob({ ...candidate, status: 'running', attempts: attempts + 1, locked_by: this.workerId, locked_until: lockedUntil });
+            }
+        }
+
+        return null;
+    }
+
+    async complete(job) {
+        const now = new Date();
+        const result = await database.query(`
+            UPDATE jobs
+            SET status = 'completed', locked_by = NULL, locked_until = NULL, error_message = NULL,
+                completed_at = $3, updated_at = $3
+            WHERE id = $1 AND locked_by = $2
+        `, [job.id, this.workerId, now]);
+
+        if (result.rowCount === 0) {
+            logger.warn(`Lost the lease on ${job.queue} job ${job.id} before it completed`);
+        }
+    }
+
+    /**
+     * Schedule a retry, or park the job when it is out of attempts or the
+     * handler marked the error `retryable = false`
+     */
+    async fail(job, error) {
+        if (job.attempts >= job.maxAttempts || error.retryable === false) {
+            return this.deadLetter(job, error.message);
+        }
+
+        const now = new Date();
+        const runAt = new Date(now.getTime() + this.retryDelay(job.attempts) * 1000);
+
+        await database.query(`
+            UPDATE jobs
+            SET status = 'pending', run_at = $3, locked_by = NULL, locked_until = NULL,
+                error_message = $4, updated_at = $5
+            WHERE id = $1 AND locked_by = $2
+        `, [job.id, this.workerId, runAt, error.message, now]);
+
+        logger.warn(`${job.queue} job ${job.id} attempt ${job.attempts} failed, retrying at ${runAt.toISOString()}: ${error.message}`);
+    }
+
+    // Only the lease holder, or anyone once the lease has run out, may park a job
+    async deadLetter(job, message) {
+        const now = new Date();
+        await database.query(`
+            UPDATE jobs
+            SET status = 'dead', locked_by = NULL, locked_until = NULL, error_message = $2, updated_at = $3
+            WHERE id = $1 AND status <> 'dead' AND (status = 'pending' OR locked_by = $4 OR locked_until <= $3)
+        `, [job.id, message, now, this.workerId]);
+
+        logger.error(`${job.queue} job ${job.id} moved to dead letters: ${message}`);
+    }
+
+    /**
+     * Seconds to wait after the given attempt: 15s, 30s, 1m, ... capped
+     */
+    retryDelay(attempts) {
+        return Math.min(config.jobs.retryBaseDelay * 2 ** (attempts - 1), config.jobs.retryMaxDelay);
+    }
+
+    // Workers
+
+    /**
+     * Poll `queue` and run due jobs through `handler`, one at a time.
+     * Each queue has its own loop so a slow deposit never holds up withdrawals.
+     */
+    startWorker(queue, handler, interval = config.jobs.pollInterval) {
+        if (this.workers.has(queue)) {
+            return;
+        }
+
+        const worker = { busy: false, timer: null };
+        worker.timer = setInterval(async () => {
+            if (worker.busy) return;
+
+            worker.busy = true;
+            try {
+                await this.runNext(queue, handler);
+            } catch (error) {
+                logger.error(`Error in ${queue} worker:`, error);
+            } finally {
+                worker.busy = false;
+            }
+        }, interval);
+
+        this.workers.set(queue, worker);
+    }
+
+    async runNext(queue, handler) {
+        const job = await this.claim(queue);
+        if (!job) {
+            return null;
+        }
+
+        // A slow handler keeps its lease, so the job isn't handed to a second worker mid-flight
+        const heartbeat = setInterval(() => {
+            this.extendLease(job).catch(error => {
+                logger.warn(`Could not extend the lease on ${queue} job ${job.id}: ${error.message}`);
+            });
+        }, config.jobs.heartbeatInterval * 1000);
+
+        try {
+            await handler(job);
+            await this.complete(job);
+        } catch (error) {
+            await this.fail(job, error);
+        } finally {
+            clearInterval(heartbeat);
+        }
+
+        return job;
+    }
+
+    /**
+     * Push a running job's lease out by another visibility timeout. Returns
+     * false when this worker no longer holds it.
+     */
+    async extendLease(job) {
+        const now = new Date();
+        const lockedUntil = new Date(now.getTime() + config.jobs.visibilityTimeout * 1000);
+
+        const result = await database.query(`
+            UPDATE jobs SET locked_until = $3, updated_at = $4
+            WHERE id = $1 AND locked_by = $2 AND status = 'running'
+        `, [job.id, this.workerId, lockedUntil, now]);
+
+        if (result.rowCount === 0) {
+            logger.warn(`Lost the lease on ${job.queue} job ${job.id} while it was running`);
+            return false;
+        }
+
+        job.lockedUntil = lockedUntil.toISOString();
+        return true;
+    }
+
+    stop() {
+        for (const worker of this.workers.values()) {
+            clearInterval(worker.timer);
+        }
+        this.workers.clear();
+    }
+
+    // Queries
+
+    async getJobByKey(queue, idempotencyKey) {
+        const result = await database.query(
+            'SELECT * FROM jobs WHERE queue = $1 AND idempotency_key = $2',
+            [queue, String(idempotencyKey)]
+        );
+        return result.rows[0] ? this.formatJob(result.rows[0]) : null;
+    }
+
+    async listJobs({ queue = null, status = null, limit = 50, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (queue) {
+            params.push(queue);
+            conditions.push(`queue = $${params.length}`);
+        }
+        if (status) {
+            params.push(status);
+            conditions.push(`status = $${params.length}`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const count = await database.query(`SELECT COUNT(*) AS total FROM jobs ${where}`, params);
+        const result = await database.query(`
+            SELECT * FROM jobs ${where}
+            ORDER BY updated_at DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, limit, offset]);
+
+        return {
+            jobs: result.rows.map(row => this.formatJob(row)),
+            totalCount: parseInt(count.rows[0].total, 10),
+            limit,
+            offset
+        };
+    }
+
+    /**
+     * Job counts per queue and status, e.g. { deposits: { pending: 2, dead: 1 } }
+     */
+    async getStats() {
+        const result = await database.query(`
+            SELECT queue, status, COUNT(*) AS count
+            FROM jobs
+            GROUP BY queue, status
+        `);
+
+        const stats = {};
+        for (const row of result.rows) {
+            stats[row.queue] = stats[row.queue] || {};
+            stats[row.queue][row.status] = parseInt(row.count, 10);
+        }
+        return stats;
+    }
+
+    /**
+     * Put a dead job back in line with a fresh set of attempts
+     */
+    async retry(jobId) {
+        const now = new Date();
+        const result = await database.query(`
+            UPDATE jobs
+            SET status = 'pending', attempts = 0, run_at = $2, error_message = NULL, updated_at = $2
+            WHERE id = $1 AND status = 'dead'
+        `, [jobId, now]);
+
+        if (result.rowCount === 0) {
+            return null;
+        }
+
+        logger.info(`Dead job ${jobId} requeued`);
+        const job = await database.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+        return this.formatJob(job.rows[0]);
+    }
+
+    formatJob(row) {
+        return {
+            id: row.id,
+            queue: row.queue,
+            idempotencyKey: row.idempotency_key,
+            payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload,
+            status: row.status,
+            attempts: parseInt(row.attempts, 10),
+            maxAttempts: parseInt(row.max_attempts, 10),
+            runAt: row.run_at ? new Date(row.run_at).toISOString() : null,
+            lockedBy: row.locked_by || null,
+            lockedUntil: row.locked_until ? new Date(row.locked_until).toISOString() : null,
+            error: row.error_message || null,
+            createdAt: new Date(row.created_at).toISOString(),
+            updatedAt: new Date(row.updated_at).toISOString(),
+            completedAt: row.completed_at ? new Date(row.completed_at).toISOString() : null
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new JobQueueService();
+module.exports.JOB_STATUSES = JOB_STATUSES;
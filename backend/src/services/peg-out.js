@@ -0,0 +1,483 @@
+/**
+ * Peg-out builder - Pays out withdrawals from the custody multisig
+ * Once BTCPegOut reaches quorum on a withdrawal, the Bitcoin transaction is
+ * built as a PSBT (BIP-174): custody outputs largest first, the requested
+ * amount to the recipient (the contract burned its fee on top) and the change
+ * back to custody. Deposit outputs in the custody ledger are spent alongside
+ * the custody address's own, each input carrying the tweak of the address it
+ * was paid to. The operators co-sign it with their custody keys, then it
+ * is finalized, broadcast and recorded with `broadcast_bitcoin_tx`;
+ * `complete_withdrawal` follows once it has confirmed. Every step is saved in
+ * peg_outs, so a retried job picks up where the last attempt stopped.
+ * Emits `pegOutBroadcast` and `pegOutCompleted`.
+ */
+
+const EventEmitter = require('events');
+const bitcoin = require('bitcoinjs-lib');
+const bitcoinService = require('./bitcoin');
+const starknetService = require('./starknet');
+const custody = require('./custody');
+const custodyLedger = require('./custody-ledger');
+const signingSessions = require('./signing-sessions');
+const signingSessionIndexer = require('./signing-session-indexer');
+const jobQueue = require('./job-queue');
+const database = require('./database');
+const bridgeLogger = require('./bridge-logger');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { hashToU256 } = require('./spv-proofs');
+
+const QUEUE = 'pegouts';
+const SATOSHIS_PER_BTC = 100000000;
+
+// built -> signed -> broadcast -> recorded (broadcast_bitcoin_tx) -> completed
+const PEG_OUT_STATUSES = ['built', 'signed', 'broadcast', 'recorded', 'completed', 'failed'];
+
+// Transaction size in weight units: version, locktime and counts, plus the segwit marker and flag
+const TX_OVERHEAD_WEIGHT = 10 * 4 + 2;
+const INPUT_WEIGHT = (32 + 4 + 1 + 4) * 4; // Outpoint, empty scriptSig, sequence
+const SIGNATURE_SIZE = 73; // DER signature and sighash byte, at most
+
+class PegOutError extends Error {
+    constructor(message, { status = 400, retryable = true } = {}) {
+        super(message);
+        this.name = 'PegOutError';
+        this.status = status;
+        // Read by the job queue: a non-retryable failure goes straight to dead letters
+        this.retryable = retryable;
+    }
+}
+
+class PegOutBuilder extends EventEmitter {
+    constructor() {
+        super();
+        this.timer = null;
+        this.isSweeping = false;
+    }
+
+    start(interval = config.custody.completionInterval) {
+        if (this.timer) {
+            return;
+        }
+
+        signingSessionIndexer.on('quorumReached', (session) => {
+            if (session) {
+                this.enqueue(session.withdrawalId).catch(error => {
+                    logger.error(`Failed to queue peg-out for withdrawal ${session.withdrawalId}:`, error);
+                });
+            }
+        });
+
+        jobQueue.startWorker(QUEUE, async (job) => {
+            await this.process(job.payload.withdrawalId);
+        });
+
+        // Picks up quorums reached while the backend was down, and confirmed payouts
+        this.timer = setInterval(async () => {
+            try {
+                await this.sweep();
+            } catch (error) {
+                logger.error('Error in peg-out sweep:', error);
+            }
+        }, interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async enqueue(withdrawalId) {
+        return jobQueue.enqueue(QUEUE, withdrawalId, { withdrawalId });
+    }
+
+    async sweep() {
+        if (this.isSweeping) {
+            return;
+        }
+
+        this.isSweeping = true;
+        try {
+            const { sessions } = await signingSessionIndexer.listSessions({ status: 'quorum_reached' });
+            for (const session of sessions) {
+                await this.enqueue(session.withdrawalId);
+            }
+
+            await this.completeConfirmed();
+        } finally {
+            this.isSweeping = false;
+        }
+    }
+
+    /**
+     * Take a withdrawal's peg-out as far as it can go: build, co-sign,
+     * broadcast and record it. Returns the peg-out.
+     */
+    async process(withdrawalId) {
+        const session = await signingSessionIndexer.getSession(withdrawalId);
+        if (!session) {
+            throw new PegOutError(`No signing session indexed for withdrawal ${withdrawalId}`, { status: 404 });
+        }
+
+        let pegOut = await this.getPegOut(withdrawalId);
+
+        // An unlocked or expired withdrawal must not be paid out; free its inputs if nothing was sent
+        if (session.status === 'unlocked' || session.status === 'expired') {
+            if (pegOut && ['built', 'signed'].includes(pegOut.status)) {
+                await this.release(withdrawalId, `Withdrawal ${session.status} before broadcast`);
+            }
+            throw new PegOutError(`Withdrawal ${withdrawalId} is ${session.status}`, { status: 409, retryable: false });
+        }
+
+        if (!pegOut) {
+            if (session.status !== 'quorum_reached') {
+                throw new PegOutError(`Withdrawal ${withdrawalId} is ${session.status}, not awaiting a peg-out`, { status: 409, retryable: false });
+            }
+            pegOut = await this.build(session);
+        }
+
+        if (pegOut.status === 'built') {
+            pegOut = await this.sign(pegOut);
+        }
+        if (pegOut.status === 'signed') {
+            pegOut = await this.broadcast(pegOut, session);
+        }
+        if (pegOut.status === 'broadcast') {
+            pegOut = await this.record(pegOut, session);
+        }
+
+        return pegOut;
+    }
+
+    /**
+     * Build the unsigned PSBT and reserve the custody outputs it spends
+     */
+    async build(session) {
+        const { withdrawalId } = session;
+        const wallet = custody.getWallet();
+        const network = custody.getNetwork();
+
+        let recipientScript;
+        try {
+            recipientScript = bitcoin.address.toOutputScript(session.btcAddress, network);
+        } catch (error) {
+            throw new PegOutError(`Recipient ${session.btcAddress} is not a valid ${config.bitcoin.network} address`, { retryable: false });
+        }
+
+        const { amount, bridgeFee } = this.getPayout(session);
+        if (amount < config.bitcoin.dustThreshold) {
+            throw new PegOutError(`Withdrawal ${withdrawalId} pays out ${amount} sats after the bridge fee, below the dust threshold`, { retryable: false });
+        }
+
+        const feeRate = await this.getFeeRate();
+        const selection = this.selectInputs(await this.getAvailableUtxos(), amount, feeRate, recipientScript, wallet);
+
+        const psbt = new bitcoin.Psbt({ network });
+        selection.inputs.forEach((utxo, index) => {
+            psbt.addInput({
+                hash: utxo.txid,
+                index: utxo.vout,
+                witnessUtxo: { script: utxo.wallet.output, value: utxo.value },
+                witnessScript: utxo.wallet.witnessScript
+            });
+            if (utxo.wallet.tweak) {
+                custody.setInputTweak(psbt, index, utxo.wallet.tweak);
+            }
+        });
+        psbt.addOutput({ script: recipientScript, value: amount });
+        if (selection.change > 0) {
+            psbt.addOutput({ script: wallet.output, value: selection.change });
+        }
+
+        // The primary keys on peg_out_inputs make a second claim on an output fail, and the job retry
+        const now = new Date();
+        await database.transaction(async (tx) => {
+            await tx.query(`
+                INSERT INTO peg_outs (withdrawal_id, status, psbt, recipient, amount, bridge_fee, network_fee,
+                    change_amount, fee_rate, created_at, updated_at)
+                VALUES ($1, 'built', $2, $3, $4, $5, $6, $7, $8, $9, $9)
+            `, [withdrawalId, psbt.toBase64(), session.btcAddress, amount, bridgeFee, selection.fee, selection.change, feeRate, now]);
+
+            for (const utxo of selection.inputs) {
+                await tx.query(
+                    'INSERT INTO peg_out_inputs (txid, vout, withdrawal_id, value) VALUES ($1, $2, $3, $4)',
+                    [utxo.txid, utxo.vout, withdrawalId, utxo.value]
+                );
+            }
+        });
+
+        logger.info(`Built peg-out for withdrawal ${withdrawalId}: ${amount} sats to ${session.btcAddress} from ${selection.inputs.length} input(s) at ${feeRate} sat/vB`);
+        return this.getPegOut(withdrawalId);
+    }
+
+    /**
+     * Satoshis paid to the recipient, and the bridge's fee. BTCPegOut burns
+     * the requested amount plus the `fee_amount` it emits, so the fee is taken
+     * from the withdrawal's session and the amount is paid out in full; a
+     * request recorded without a fee pays out its amount less `withdrawalFee`.
+     */
+    getPayout(session) {
+        const requested = Math.round(session.amount * SATOSHIS_PER_BTC);
+
+        if (session.feeAmount !== null && session.feeAmount !== undefined) {
+            return { amount: requested, bridgeFee: Math.round(session.feeAmount * SATOSHIS_PER_BTC) };
+        }
+
+        const bridgeFee = parseInt(config.bridge.withdrawalFee, 10);
+        return { amount: requested - bridgeFee, bridgeFee };
+    }
+
+    /**
+     * Custody outputs largest first until they cover the payout and the fee.
+     * Change below the dust threshold is left to the miners.
+     */
+    selectInputs(utxos, amount, feeRate, recipientScript, wallet) {
+        const inputs = [];
+        let total = 0;
+
+        for (const utxo of utxos) {
+            inputs.push(utxo);
+            total += utxo.value;
+
+            const feeWithChange = feeRate * this.estimateVsize(inputs.length, [recipientScript, wallet.output], wallet);
+            const change = total - amount - feeWithChange;
+            if (change >= config.bitcoin.dustThreshold) {
+                return { inputs, fee: feeWithChange, change };
+            }
+
+            const feeWithoutChange = feeRate * this.estimateVsize(inputs.length, [recipientScript], wallet);
+            if (total - amount >= feeWithoutChange) {
+                return { inputs, fee: total - amount, change: 0 };
+            }
+        }
+
+        throw new PegOutError(`Custody outputs (${total} sats spendable) cannot cover a ${amount} sat payout and its fee`, { status: 503 });
+    }
+
+    // Virtual size once every input carries `threshold` signatures and the witness script;
+    // deposit addresses use the same multisig over tweaked keys, so the same size
+    estimateVsize(inputCount, outputScripts, wallet) {
+        const witnessWeight = 1 + 1 + wallet.threshold * (1 + SIGNATURE_SIZE) + 1 + wallet.witnessScript.length;
+        const outputsWeight = outputScripts.reduce((sum, script) => sum + (8 + 1 + script.length) * 4, 0);
+        const weight = TX_OVERHEAD_WEIGHT + inputCount * (INPUT_WEIGHT + witnessWeight) + outputsWeight;
+
+        return Math.ceil(weight / 4);
+    }
+
+    async getFeeRate() {
+        const estimates = await bitcoinService.getFeeEstimates();
+        const feeRate = Math.ceil(estimates[config.custody.feeEstimate] || estimates.minimumFee || 1);
+
+        // Peg-outs wait out a fee spike rather than overpay; the job retries with backoff
+        if (feeRate > config.custody.maxFeeRate) {
+            throw new PegOutError(`Fee rate ${feeRate} sat/vB is above the ${config.custody.maxFeeRate} sat/vB limit`, { status: 503 });
+        }
+
+        return feeRate;
+    }
+
+    /**
+     * Confirmed custody outputs and ledger deposit outputs no other peg-out
+     * has claimed, largest first, each with the multisig `wallet` it pays
+     */
+    async getAvailableUtxos() {
+        const [utxos, deposits, reserved] = await Promise.all([
+            custody.getSpendableUtxos(),
+            custodyLedger.getDepositUtxos(),
+            database.query('SELECT txid, vout FROM peg_out_inputs')
+        ]);
+        const claimed = new Set(reserved.rows.map(row => `${row.txid}:${row.vout}`));
+        const wallet = custody.getWallet();
+
+        const available = utxos.map(utxo => ({ txid: utxo.txid, vout: utxo.vout, value: utxo.value, wallet }));
+        for (const deposit of deposits) {
+            const depositWallet = custody.getDepositWallet(deposit.starknetRecipient);
+            if (depositWallet.address === deposit.address) {
+                available.push({ txid: deposit.txid, vout: deposit.vout, value: deposit.value, wallet: depositWallet });
+            }
+        }
+
+        return available
+            .filter(utxo => !claimed.has(`${utxo.txid}:${utxo.vout}`))
+            .sort((a, b) => b.value - a.value);
+    }
+
+    async sign(pegOut) {
+        const psbt = bitcoin.Psbt.fromBase64(pegOut.psbt, { network: custody.getNetwork() });
+        const signed = await signingSessions.requestPsbtSignatures({ reference: pegOut.withdrawalId, psbt });
+
+        await this.update(pegOut.withdrawalId, { status: 'signed', psbt: signed.toBase64() });
+        return this.getPegOut(pegOut.withdrawalId);
+    }
+
+    /**
+     * Finalize the co-signed PSBT and broadcast it. The raw transaction is
+     * saved first, so a retry rebroadcasts the same transaction.
+     */
+    async broadcast(pegOut, session) {
+        let { rawTransaction, bitcoinTxHash } = pegOut;
+
+        if (!rawTransaction) {
+            const psbt = bitcoin.Psbt.fromBase64(pegOut.psbt, { network: custody.getNetwork() });
+            const { threshold } = custody.getWallet();
+
+            // The multisig takes exactly `threshold` signatures; extras from a late operator are dropped
+            for (const input of psbt.data.inputs) {
+                input.partialSig = input.partialSig.slice(0, threshold);
+            }
+            psbt.finalizeAllInputs();
+
+            const tx = psbt.extractTransaction();
+            rawTransaction = tx.toHex();
+            bitcoinTxHash = tx.getId();
+            await this.update(pegOut.withdrawalId, { raw_transaction: rawTransaction, bitcoin_tx_hash: bitcoinTxHash });
+        }
+
+        try {
+            await bitcoinService.broadcastTransaction(rawTransaction);
+        } catch (error) {
+            // A rebroadcast is rejected once the first one made it into the mempool
+            const known = await bitcoinService.getTransaction(bitcoinTxHash).catch(() => null);
+            if (!known) {
+                throw error;
+            }
+        }
+
+        await this.update(pegOut.withdrawalId, { status: 'broadcast', broadcast_at: new Date() });
+        await bridgeLogger.logBitcoinOperation('peg_out_broadcast', {
+            withdrawalId: pegOut.withdrawalId,
+            txid: bitcoinTxHash,
+            recipient: pegOut.recipient,
+            amount: pegOut.amount,
+            networkFee: pegOut.networkFee
+        });
+
+        logger.info(`Broadcast peg-out ${bitcoinTxHash} for withdrawal ${pegOut.withdrawalId}`);
+        this.emit('pegOutBroadcast', {
+            withdrawalId: pegOut.withdrawalId,
+            user: session.user,
+            recipient: pegOut.recipient,
+            amount: pegOut.amount,
+            bitcoinTxHash
+        });
+        return this.getPegOut(pegOut.withdrawalId);
+    }
+
+    // broadcast_bitcoin_tx; the indexer moves the withdrawal on when the event lands
+    async record(pegOut, session) {
+        let starknetTxHash = null;
+
+        if (session.status === 'quorum_reached') {
+            const result = await starknetService.broadcastPegOutTransaction(
+                BigInt(pegOut.withdrawalId),
+                hashToU256(pegOut.bitcoinTxHash)
+            );
+            starknetTxHash = result.transactionHash;
+        }
+
+        await this.update(pegOut.withdrawalId, { status: 'recorded', starknet_tx_hash: starknetTxHash });
+        return this.getPegOut(pegOut.withdrawalId);
+    }
+
+    /**
+     * Call complete_withdrawal for recorded peg-outs with enough Bitcoin
+     * confirmations. Returns how many were completed.
+     */
+    async completeConfirmed() {
+        const result = await database.query(
+            'SELECT * FROM peg_outs WHERE status = $1 ORDER BY broadcast_at ASC',
+            ['recorded']
+        );
+
+        let completed = 0;
+        for (const row of result.rows) {
+            const pegOut = this.formatPegOut(row);
+
+            try {
+                const confirmations = await bitcoinService.getConfirmations(pegOut.bitcoinTxHash);
+                if (confirmations < config.bitcoin.confirmations) {
+                    continue;
+                }
+
+                const session = await signingSessionIndexer.getSession(pegOut.withdrawalId);
+                if (session && session.status !== 'completed') {
+                    await starknetService.completePegOutWithdrawal(BigInt(pegOut.withdrawalId));
+                }
+
+                await this.update(pegOut.withdrawalId, { status: 'completed', completed_at: new Date() });
+                logger.info(`Completed withdrawal ${pegOut.withdrawalId} after ${confirmations} confirmations of ${pegOut.bitcoinTxHash}`);
+                this.emit('pegOutCompleted', {
+                    withdrawalId: pegOut.withdrawalId,
+                    user: session ? session.user : null,
+                    recipient: pegOut.recipient,
+                    amount: pegOut.amount,
+                    bitcoinTxHash: pegOut.bitcoinTxHash,
+                    confirmations
+                });
+                completed++;
+            } catch (error) {
+                logger.error(`Failed to complete withdrawal ${pegOut.withdrawalId}:`, error);
+            }
+        }
+
+        return completed;
+    }
+
+    // Give up on a peg-out that was never broadcast and free the custody outputs it claimed
+    async release(withdrawalId, reason) {
+        await database.transaction(async (tx) => {
+            await tx.query('DELETE FROM peg_out_inputs WHERE withdrawal_id = $1', [withdrawalId]);
+            await tx.query(
+                'UPDATE peg_outs SET status = $2, error_message = $3, updated_at = $4 WHERE withdrawal_id = $1',
+                [withdrawalId, 'failed', reason, new Date()]
+            );
+        });
+
+        logger.warn(`Released peg-out for withdrawal ${withdrawalId}: ${reason}`);
+    }
+
+    async update(withdrawalId, fields) {
+        const columns = Object.keys(fields);
+        const assignments = columns.map((column, i) => `${column} = $${i + 2}`).join(', ');
+
+        await database.query(
+            `UPDATE peg_outs SET ${assignments}, updated_at = $${columns.length + 2} WHERE withdrawal_id = $1`,
+            [withdrawalId, ...columns.map(column => fields[column]), new Date()]
+        );
+    }
+
+    // Queries
+
+    async getPegOut(withdrawalId) {
+        const result = await database.query('SELECT * FROM peg_outs WHERE withdrawal_id = $1', [String(withdrawalId)]);
+        return result.rows[0] ? this.formatPegOut(result.rows[0]) : null;
+    }
+
+    formatPegOut(row) {
+        const toIso = value => value ? new Date(value).toISOString() : null;
+
+        return {
+            withdrawalId: row.withdrawal_id,
+            status: row.status,
+            psbt: row.psbt,
+            recipient: row.recipient,
+            amount: parseInt(row.amount, 10),
+            bridgeFee: parseInt(row.bridge_fee, 10),
+            networkFee: parseInt(row.network_fee, 10),
+            change: parseInt(row.change_amount, 10),
+            feeRate: parseInt(row.fee_rate, 10),
+            bitcoinTxHash: row.bitcoin_tx_hash || null,
+            rawTransaction: row.raw_transaction || null,
+            starknetTxHash: row.starknet_tx_hash || null,
+            error: row.error_message || null,
+            createdAt: toIso(row.created_at),
+            broadcastAt: toIso(row.broadcast_at),
+            completedAt: toIso(row.completed_at)
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new PegOutBuilder();
+module.exports.PegOutError = PegOutError;
+module.exports.PEG_OUT_STATUSES = PEG_OUT_STATUSES;
@@ -0,0 +1,237 @@
+/**
+ * Realtime service - Channel-scoped bridge updates for connected clients
+ * Turns bridge, signing session indexer and peg-out events into numbered
+ * messages on per-address channels (`deposits:<address>`,
+ * `withdrawals:<address>`, `staking:<address>`) plus the public
+ * `system_alerts` channel, which also carries custody ledger and header
+ * relayer alerts. Recent messages are kept so a client that reconnects can
+ * resume from the last message id it saw.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { num } = require('starknet');
+const bridgeService = require('./bridge');
+const custodyLedger = require('./custody-ledger');
+const signingSessionIndexer = require('./signing-session-indexer');
+const pegOutBuilder = require('./peg-out');
+const headerRelayer = require('./header-relayer');
+const { ROLES } = require('./roles');
+const config = require('../config');
+
+const ADDRESS_CHANNELS = ['deposits', 'withdrawals', 'staking'];
+const PUBLIC_CHANNELS = ['system_alerts'];
+
+const MESSAGE_TYPES = ['bridge_update', 'transaction_confirmed', 'staking_reward', 'system_alert'];
+
+class RealtimeService extends EventEmitter {
+    constructor() {
+        super();
+        // Every open SSE stream listens for messages
+        this.setMaxListeners(0);
+
+        // Message ids are `<streamId>-<seq>`; a new stream after a restart tells clients to resync
+        this.streamId = crypto.randomBytes(6).toString('hex');
+        this.sequence = 0;
+        this.buffer = [];
+        this.started = false;
+        this.subscriptions = [];
+    }
+
+    start() {
+        if (this.started) {
+            return;
+        }
+        this.started = true;
+
+        this.subscribe(bridgeService, 'depositDetected', (deposit) => {
+            this.publishDeposit(deposit, 'detected');
+        });
+        this.subscribe(bridgeService, 'depositConfirmed', (deposit) => {
+            this.publishDeposit(deposit, 'confirmed');
+        });
+        this.subscribe(bridgeService, 'depositReorged', (deposit) => {
+            this.publishDeposit(deposit, 'reorged');
+        });
+        this.subscribe(bridgeService, 'depositCompleted', (deposit) => {
+            this.publishDeposit(deposit, 'completed');
+            this.publish(`deposits:${deposit.starknetRecipient}`, 'transaction_confirmed', {
+                network: 'starknet',
+                txHash: deposit.starknetTxHash,
+                btcTxHash: deposit.btcTxHash
+            });
+        });
+
+        // Each withdrawal step once it happened: on-chain request and quorum, then the Bitcoin payout
+        this.subscribe(signingSessionIndexer, 'withdrawalRequested', (session) => {
+            this.publishWithdrawal(session, 'requested');
+        });
+        this.subscribe(signingSessionIndexer, 'quorumReached', (session) => {
+            this.publishWithdrawal(session, 'quorum');
+        });
+        this.subscribe(pegOutBuilder, 'pegOutBroadcast', (pegOut) => {
+            this.publishWithdrawal(pegOut, 'broadcast');
+        });
+        this.subscribe(pegOutBuilder, 'pegOutCompleted', (pegOut) => {
+            this.publishWithdrawal(pegOut, 'completed');
+            this.publish(`withdrawals:${pegOut.user}`, 'transaction_confirmed', {
+                network: 'bitcoin',
+                txHash: pegOut.bitcoinTxHash,
+                withdrawalId: pegOut.withdrawalId,
+                confirmations: pegOut.confirmations
+            });
+        });
+
+        this.subscribe(bridgeService, 'stakingReward', (reward) => {
+            this.publish(`staking:${reward.user}`, 'staking_reward', reward);
+        });
+
+        this.subscribe(bridgeService, 'systemAlert', (alert) => {
+            this.publish('system_alerts', 'system_alert', alert);
+        });
+
+        this.subscribe(custodyLedger, 'systemAlert', (alert) => {
+            this.publish('system_alerts', 'system_alert', alert);
+        });
+
+        this.subscribe(headerRelayer, 'systemAlert', (alert) => {
+            this.publish('system_alerts', 'system_alert', alert);
+        });
+    }
+
+    // Listen to a source for as long as the service runs
+    subscribe(source, event, handler) {
+        source.on(event, handler);
+        this.subscriptions.push([source, event, handler]);
+    }
+
+    /**
+     * Unsubscribe from every source and tell open streams to end
+     */
+    stop() {
+        for (const [source, event, handler] of this.subscriptions) {
+            source.off(event, handler);
+        }
+        this.subscriptions = [];
+        this.started = false;
+        this.emit('shutdown');
+    }
+
+    publishDeposit(deposit, status) {
+        this.publish(`deposits:${deposit.starknetRecipient}`, 'bridge_update', { kind: 'deposit', status, ...deposit });
+    }
+
+    publishWithdrawal(withdrawal, status) {
+        if (withdrawal) {
+            this.publish(`withdrawals:${withdrawal.user}`, 'bridge_update', { kind: 'withdrawal', ...withdrawal, status });
+        }
+    }
+
+    /**
+     * Number a message, keep it for replay and hand it to the transports.
+     * Messages for channels nobody can name (e.g. no recipient) are dropped.
+     */
+    publish(channel, type, data) {
+        const parsed = this.parseChannel(channel);
+        if (!parsed) {
+            return null;
+        }
+
+        this.sequence += 1;
+        const message = {
+            id: `${this.streamId}-${this.sequence}`,
+            seq: this.sequence,
+            channel: parsed.channel,
+            type,
+            data,
+            timestamp: new Date().toISOString()
+        };
+
+        this.buffer.push(message);
+        if (this.buffer.length > config.realtime.replayBufferSize) {
+            this.buffer.shift();
+        }
+
+        this.emit('message', message);
+        return message;
+    }
+
+    /**
+     * Canonical form of a channel name, or null when it is not one we serve.
+     * Address channels are normalized so `deposits:0x00AB` and `deposits:0xab` match.
+     */
+    parseChannel(channel) {
+        if (typeof channel !== 'string') {
+            return null;
+        }
+
+        if (PUBLIC_CHANNELS.includes(channel)) {
+            return { channel, kind: channel, address: null };
+        }
+
+        const [kind, address, ...rest] = channel.split(':');
+        if (!ADDRESS_CHANNELS.includes(kind) || rest.length > 0 || !/^0x[0-9a-fA-F]{1,64}$/.test(address || '')) {
+            return null;
+        }
+
+        const normalized = num.toHex(address);
+        return { channel: `${kind}:${normalized}`, kind, address: normalized };
+    }
+
+    /**
+     * Check that `user` (as set by the auth middleware) may read `channel`.
+     * Returns the parsed channel, or throws with a message for the client.
+     */
+    authorize(user, channel) {
+        const parsed = this.parseChannel(channel);
+        if (!parsed) {
+            throw new Error(`Unknown channel: ${channel}`);
+        }
+
+        if (!parsed.address) {
+            return parsed;
+        }
+
+        // Operators and admins watch every address; everyone else only their own
+        const roles = user.roles || [];
+        if (roles.includes(ROLES.OPERATOR) || roles.includes(ROLES.ADMIN)) {
+            return parsed;
+        }
+
+        if (!/^0x[0-9a-fA-F]{1,64}$/.test(user.address || '') || num.toHex(user.address) !== parsed.address) {
+            throw new Error(`Not authorized for channel: ${parsed.channel}`);
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Messages on `channels` published after `lastEventId`. Returns null when
+     * they can't all be replayed (server restarted or the gap has left the
+     * buffer), in which case the client should reload state over REST.
+     */
+    replay(channels, lastEventId) {
+        const match = /^([0-9a-f]+)-(\d+)$/.exec(String(lastEventId));
+        if (!match || match[1] !== this.streamId) {
+            return null;
+        }
+
+        const seq = parseInt(match[2], 10);
+        const oldest = this.buffer.length > 0 ? this.buffer[0].seq : this.sequence + 1;
+        if (seq > this.sequence || seq < oldest - 1) {
+            return null;
+        }
+
+        return this.buffer.filter(message => message.seq > seq && channels.includes(message.channel));
+    }
+
+    get lastEventId() {
+        return `${this.streamId}-${this.sequence}`;
+    }
+}
+
+// Export singleton instance
+module.exports = new RealtimeService();
+module.exports.MESSAGE_TYPES = MESSAGE_TYPES;
+module.exports.ADDRESS_CHANNELS = ADDRESS_CHANNELS;
+module.exports.PUBLIC_CHANNELS = PUBLIC_CHANNELS;
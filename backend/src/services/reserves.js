@@ -0,0 +1,290 @@
+/**
+ * Proof of reserves - What backs sBTC, in public
+ * Reports the Bitcoin held per the custody ledger against the sBTC supply
+ * and the withdrawals still to be paid out. Only outputs at addresses that
+ * recompute from the custody keys count: the custody multisig itself, and
+ * deposit addresses from their recipient's tweak. Attestations list them per
+ * address with what it takes to recompute it (the tweak, never the
+ * recipient, so a deposit address can't be linked to its Starknet account
+ * from the attestation), are reused for `attestationTtl` and are signed with Bitcoin
+ * Core's `signmessage` scheme, so anyone can check one offline with
+ * `bitcoin-cli verifymessage <address> <signature> <message>` and then
+ * compare the listed outputs with their own view of the chain.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const bitcoinService = require('./bitcoin');
+const starknetService = require('./starknet');
+const custody = require('./custody');
+const custodyLedger = require('./custody-ledger');
+const bitcoinMessage = require('./bitcoin-message');
+const config = require('../config');
+
+const ATTESTATION_TYPE = 'vernwallet-proof-of-reserves';
+const ATTESTATION_VERSION = 3;
+const SATOSHIS_PER_BTC = 100000000;
+
+class ReservesError extends Error {
+    constructor(message, status = 503) {
+        super(message);
+        this.name = 'ReservesError';
+        this.status = status;
+    }
+}
+
+class ReservesService {
+    constructor() {
+        this.snapshot = null;
+        this.attestation = null;
+        this.attesting = null;
+    }
+
+    /**
+     * Totals in satoshis (and BTC), the collateralization ratio and the
+     * addresses holding the reserves. Snapshots are reused for `cacheTtl`.
+     */
+    async getReserves() {
+        if (this.snapshot && this.snapshot.expiresAt > Date.now()) {
+            return this.snapshot.reserves;
+        }
+
+        const { reserves } = await this.collect();
+
+        this.snapshot = { reserves, expiresAt: Date.now() + config.reserves.cacheTtl };
+        return reserves;
+    }
+
+    /**
+     * The reserves and the holdings they were summed from, read together so
+     * an attestation's totals match the outputs it lists
+     */
+    async collect() {
+        const [holdings, sbtcSupply, pendingWithdrawals, reconciliation] = await Promise.all([
+            this.getHoldings(),
+            starknetService.getSBTCTotalSupply(),
+            custodyLedger.getPendingWithdrawals(),
+            custodyLedger.getLatestReconciliation()
+        ]);
+
+        const heldBySource = { deposit: 0, change: 0, custody: 0 };
+        let totalHeld = 0;
+        let utxoCount = 0;
+        for (const holding of holdings) {
+            for (const utxo of holding.utxos) {
+                heldBySource[utxo.source] += utxo.value;
+                totalHeld += utxo.value;
+                utxoCount++;
+            }
+        }
+
+        // sBTC for requested withdrawals is already burned, but the bitcoin is still owed
+        const liabilities = Number(sbtcSupply) + pendingWithdrawals;
+
+        const reserves = {
+            totalHeld,
+            totalHeldBtc: this.toBtc(totalHeld),
+            sbtcSupply: Number(sbtcSupply),
+            sbtcSupplyBtc: this.toBtc(sbtcSupply),
+            pendingWithdrawals,
+            collateralizationRatio: liabilities > 0 ? Number((totalHeld / liabilities).toFixed(6)) : null,
+            utxoCount,
+            heldBySource,
+            custodyAddress: config.custody.publicKeys.length > 0 ? custody.getAddress() : null,
+            addresses: holdings.map(holding => ({
+                address: holding.address,
+                type: holding.type,
+                balance: holding.balance,
+                utxoCount: holding.utxos.length
+            })),
+            lastReconciliation: reconciliation ? {
+                status: reconciliation.status,
+                difference: reconciliation.difference,
+                checkedAt: reconciliation.checkedAt
+            } : null,
+            network: config.bitcoin.network,
+            timestamp: new Date().toISOString()
+        };
+
+        return { reserves, holdings };
+    }
+
+    /**
+     * Unspent ledger outputs grouped by address, largest balance first. An
+     * address the custody keys don't recompute to is left out.
+     */
+    async getHoldings() {
+        if (config.custody.publicKeys.length === 0) {
+            return [];
+        }
+
+        const [utxos, deposits] = await Promise.all([
+            custodyLedger.getUnspentUtxos(),
+            custodyLedger.getDepositUtxos()
+        ]);
+        const recipients = new Map(deposits.map(utxo => [`${utxo.txid}:${utxo.vout}`, utxo.starknetRecipient]));
+
+        const byAddress = new Map();
+        for (const utxo of utxos) {
+            if (!byAddress.has(utxo.address)) {
+                byAddress.set(utxo.address, this.describeAddress(utxo.address, recipients.get(`${utxo.txid}:${utxo.vout}`)));
+            }
+
+            const holding = byAddress.get(utxo.address);
+            if (holding) {
+                holding.balance += utxo.value;
+                holding.utxos.push({ txid: utxo.txid, vout: utxo.vout, value: utxo.value, source: utxo.source });
+            }
+        }
+
+        return [...byAddress.values()].filter(Boolean).sort((a, b) => b.balance - a.balance);
+    }
+
+    /**
+     * How `address` derives from the custody keys: the multisig's witness
+     * script, plus the tweak for a deposit address derived for
+     * `starknetRecipient`. Null if it doesn't derive.
+     */
+    describeAddress(address, starknetRecipient) {
+        const wallet = custody.getWallet();
+        if (address === wallet.address) {
+            return { address, type: 'custody', witnessScript: wallet.witnessScript.toString('hex'), balance: 0, utxos: [] };
+        }
+
+        if (!starknetRecipient) {
+            return null;
+        }
+
+        let deposit;
+        try {
+            deposit = custody.getDepositWallet(starknetRecipient);
+        } catch (error) {
+            if (error instanceof custody.CustodyError && error.status === 400) {
+                return null;
+            }
+            throw error;
+        }
+
+        if (deposit.address !== address) {
+            return null;
+        }
+
+        return {
+            address,
+            type: 'deposit',
+            tweak: deposit.tweak,
+            witnessScript: deposit.witnessScript.toString('hex'),
+            balance: 0,
+            utxos: []
+        };
+    }
+
+    /**
+     * The latest attestation, signed again once it is `attestationTtl` old.
+     * Concurrent requests for an expired one share a single signing.
+     */
+    async getAttestation() {
+        if (this.attestation && this.attestation.expiresAt > Date.now()) {
+            return this.attestation.value;
+        }
+
+        if (!this.attesting) {
+            this.attesting = this.createAttestation()
+                .then((value) => {
+                    this.attestation = { value, expiresAt: Date.now() + config.reserves.attestationTtl };
+                    return value;
+                })
+                .finally(() => {
+                    this.attesting = null;
+                });
+        }
+
+        return this.attesting;
+    }
+
+    /**
+     * A signed, timestamped statement of the reserves. `message` is exactly
+     * the signed text; `attestation` is the same statement parsed.
+     */
+    async createAttestation() {
+        const signer = this.getSigner();
+        if (config.custody.publicKeys.length === 0) {
+            throw new ReservesError('No custody public keys configured (CUSTODY_PUBLIC_KEYS)');
+        }
+
+        const [{ reserves, holdings }, tip] = await Promise.all([
+            this.collect(),
+            bitcoinService.getLatestBlock()
+        ]);
+        const wallet = custody.getWallet();
+
+        const attestation = {
+            type: ATTESTATION_TYPE,
+            version: ATTESTATION_VERSION,
+            issuedAt: new Date().toISOString(),
+            bitcoin: {
+                network: config.bitcoin.network,
+                blockHeight: tip.height,
+                blockHash: tip.hash
+            },
+            starknet: {
+                network: config.starknet.network,
+                sbtcContract: starknetService.contractAddresses.sbtc
+            },
+            custody: {
+                publicKeys: wallet.publicKeys,
+                threshold: wallet.threshold,
+                depositTweakTag: custody.DEPOSIT_TWEAK_TAG
+            },
+            reserves: {
+                totalHeld: reserves.totalHeld,
+                sbtcSupply: reserves.sbtcSupply,
+                pendingWithdrawals: reserves.pendingWithdrawals,
+                collateralizationRatio: reserves.collateralizationRatio,
+                addresses: holdings.map(holding => ({
+                    ...holding,
+                    utxos: holding.utxos.map(({ txid, vout, value }) => ({ txid, vout, value }))
+                }))
+            },
+            signer: signer.address
+        };
+
+        const message = JSON.stringify(attestation);
+
+        return {
+            attestation,
+            message,
+            signature: bitcoinMessage.signMessage(signer.privateKey, message),
+            signer: {
+                address: signer.address,
+                publicKey: signer.publicKey
+            },
+            scheme: 'bitcoin-signmessage'
+        };
+    }
+
+    getSigner() {
+        const key = config.reserves.attestationKey.replace(/^0x/, '');
+        if (!key) {
+            throw new ReservesError('No attestation key configured (RESERVES_ATTESTATION_KEY)');
+        }
+
+        const privateKey = Buffer.from(key, 'hex');
+        if (privateKey.length !== 32 || !secp256k1.utils.isValidPrivateKey(privateKey)) {
+            throw new ReservesError('RESERVES_ATTESTATION_KEY is not a valid secp256k1 private key', 500);
+        }
+
+        const publicKey = Buffer.from(secp256k1.getPublicKey(privateKey, true));
+        const { address } = bitcoin.payments.p2pkh({ pubkey: publicKey, network: custody.getNetwork() });
+
+        return { privateKey, publicKey: publicKey.toString('hex'), address };
+    }
+
+    toBtc(satoshis) {
+        return (Number(satoshis) / SATOSHIS_PER_BTC).toFixed(8);
+    }
+}
+
+// Export singleton instance
+module.exports = new ReservesService();
+module.exports.ReservesError = ReservesError;
@@ -0,0 +1,160 @@
+/**
+ * Role service - Caller roles derived from on-chain state
+ * `operator` comes from OperatorRegistry.get_operator (active operators only),
+ * `admin` and `emergency_admin` from the bridge and registry admin accounts.
+ * Lookups are cached; OperatorActivated/OperatorDeactivated events update the
+ * cache as they are emitted so changes apply without waiting for the TTL.
+ */
+
+const { num } = require('starknet');
+const starknetService = require('./starknet');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const ROLES = {
+    USER: 'user',
+    OPERATOR: 'operator',
+    ADMIN: 'admin',
+    EMERGENCY_ADMIN: 'emergency_admin'
+};
+
+const OPERATOR_EVENTS = ['OperatorActivated', 'OperatorDeactivated'];
+
+class RoleService {
+    constructor() {
+        // address -> { isActive, fetchedAt }
+        this.operators = new Map();
+        this.admins = null;
+        this.lastBlock = null;
+        this.isSyncing = false;
+        this.timer = null;
+    }
+
+    start(interval = config.roles.refreshInterval) {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(async () => {
+            try {
+                await this.sync();
+            } catch (error) {
+                logger.error('Error refreshing operator roles:', error);
+            }
+        }, interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Roles for an address. Only Starknet accounts can hold privileged roles.
+     * Chain lookups that fail grant no privileged role; the failure isn't
+     * cached so the next request retries.
+     */
+    async getRoles(address) {
+        const roles = [ROLES.USER];
+
+        if (typeof address !== 'string' || !/^0x[0-9a-fA-F]{1,64}$/.test(address)) {
+            return roles;
+        }
+        const normalized = num.toHex(address);
+
+        if (await this.isActiveOperator(normalized)) {
+            roles.push(ROLES.OPERATOR);
+        }
+
+        const admins = await this.getAdmins();
+        if (admins.admins.includes(normalized)) {
+            roles.push(ROLES.ADMIN);
+        }
+        if (admins.emergencyAdmin === normalized) {
+            roles.push(ROLES.EMERGENCY_ADMIN);
+        }
+
+        return roles;
+    }
+
+    async isActiveOperator(address) {
+        const cached = this.operators.get(address);
+        if (cached && Date.now() - cached.fetchedAt < config.roles.cacheTtl * 1000) {
+            return cached.isActive;
+        }
+
+        try {
+            const operator = await starknetService.getOperator(address);
+            this.operators.set(address, { isActive: operator.isActive, fetchedAt: Date.now() });
+            return operator.isActive;
+        } catch (error) {
+            logger.warn(`Operator lookup failed for ${address}: ${error.message}`);
+            return false;
+        }
+    }
+
+    async getAdmins() {
+        if (this.admins && Date.now() - this.admins.fetchedAt < config.roles.cacheTtl * 1000) {
+            return this.admins;
+        }
+
+        try {
+            const { bridgeAdmin, emergencyAdmin, registryAdmin } = await starknetService.getAdminAddresses();
+
+            this.admins = {
+                admins: [bridgeAdmin, registryAdmin],
+                emergencyAdmin,
+                fetchedAt: Date.now()
+            };
+            return this.admins;
+        } catch (error) {
+            logger.warn(`Admin lookup failed: ${error.message}`);
+            return { admins: [], emergencyAdmin: null };
+        }
+    }
+
+    /**
+     * Apply operator activation changes emitted since the last sync
+     */
+    async sync() {
+        if (this.isSyncing) {
+            return 0;
+        }
+
+        this.isSyncing = true;
+
+        try {
+            const latestBlock = await starknetService.getLatestBlockNumber();
+
+            // Lookups made before the first sync are fresh, so follow from the tip
+            if (this.lastBlock === null) {
+                this.lastBlock = latestBlock;
+                return 0;
+            }
+            if (latestBlock <= this.lastBlock) {
+                return 0;
+            }
+
+            const toBlock = Math.min(latestBlock, this.lastBlock + config.starknet.eventBatchSize);
+            const events = await starknetService.getContractEvents('operatorRegistry', OPERATOR_EVENTS, this.lastBlock + 1, toBlock);
+
+            for (const event of events) {
+                const address = num.toHex(event.keys[1]);
+                const isActive = event.name === 'OperatorActivated';
+
+                this.operators.set(address, { isActive, fetchedAt: Date.now() });
+                logger.info(`Operator ${address} ${isActive ? 'activated' : 'deactivated'} at block ${event.block_number}`);
+            }
+
+            this.lastBlock = toBlock;
+            return events.length;
+
+        } finally {
+            this.isSyncing = false;
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new RoleService();
+module.exports.ROLES = ROLES;
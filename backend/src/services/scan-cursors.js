@@ -0,0 +1,33 @@
+/**
+ * Scan cursors - Persisted progress markers for chain followers
+ * Lets block scanners resume after a restart without skipping or repeating blocks
+ */
+
+const database = require('./database');
+
+class ScanCursors {
+    async get(name, db = database) {
+        const result = await db.query('SELECT height, block_hash FROM scan_cursors WHERE name = $1', [name]);
+        const row = result.rows[0];
+
+        return row ? { height: parseInt(row.height, 10), blockHash: row.block_hash } : null;
+    }
+
+    /**
+     * Save a cursor. Pass a transaction handle as `db` to commit the cursor
+     * together with the work done for that block.
+     */
+    async save(name, height, blockHash, db = database) {
+        await db.query(`
+            INSERT INTO scan_cursors (name, height, block_hash, updated_at)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (name) DO UPDATE SET
+                height = EXCLUDED.height,
+                block_hash = EXCLUDED.block_hash,
+                updated_at = EXCLUDED.updated_at
+        `, [name, height, blockHash, new Date()]);
+    }
+}
+
+// Export singleton instance
+module.exports = new ScanCursors();
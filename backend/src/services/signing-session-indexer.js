@@ -0,0 +1,456 @@
+/**
+ * Signing session indexer - Withdrawal signing progress from Starknet events
+ * Follows BTCPegOut and OperatorRegistry events (WithdrawalRequested,
+ * WithdrawalSigned, QuorumReached, ...) into the signing_sessions tables that
+ * back the operators sessions API, and moves the matching withdrawal through
+ * its lifecycle as the session advances.
+ */
+
+const EventEmitter = require('events');
+const { shortString } = require('starknet');
+const starknetService = require('./starknet');
+const bridgeState = require('./bridge-state');
+const database = require('./database');
+const scanCursors = require('./scan-cursors');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const CURSOR_NAME = 'starknet_signing_sessions';
+const SBTC_UNIT = 100000000; // sBTC has 8 decimals
+
+const PEG_OUT_EVENTS = [
+    'WithdrawalRequested',
+    'WithdrawalSigned',
+    'QuorumReached',
+    'BitcoinTxBroadcast',
+    'WithdrawalCompleted',
+    'EmergencyUnlocked'
+];
+const REGISTRY_EVENTS = ['WithdrawalSigned', 'QuorumReached'];
+
+// Sessions only move forward; events from the two contracts may arrive in either order
+const STATUS_ORDER = ['pending', 'signing', 'quorum_reached', 'broadcast', 'completed', 'unlocked'];
+const OPEN_STATUSES = ['pending', 'signing'];
+
+const { WITHDRAWAL_STATES, TransitionError } = bridgeState;
+
+// Session status -> withdrawal lifecycle state
+const WITHDRAWAL_STATE_FOR_SESSION = {
+    pending: WITHDRAWAL_STATES.REQUESTED,
+    signing: WITHDRAWAL_STATES.SIGNING,
+    quorum_reached: WITHDRAWAL_STATES.QUORUM,
+    broadcast: WITHDRAWAL_STATES.BROADCAST,
+    completed: WITHDRAWAL_STATES.COMPLETED,
+    unlocked: WITHDRAWAL_STATES.EMERGENCY_UNLOCKED
+};
+
+// Lifecycle events re-emitted (with the updated session) once indexed
+const EMITTED_EVENTS = {
+    WithdrawalRequested: 'withdrawalRequested',
+    QuorumReached: 'quorumReached',
+    BitcoinTxBroadcast: 'bitcoinTxBroadcast'
+};
+
+class SigningSessionIndexer extends EventEmitter {
+    constructor() {
+        super();
+        this.isSyncing = false;
+        this.timer = null;
+    }
+
+    start(interval = 30000) {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(async () => {
+            try {
+                await this.sync();
+            } catch (error) {
+                logger.error('Error in signing session indexer:', error);
+            }
+        }, interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Index events from the block after the cursor, bounded per call.
+     * Returns the number of events applied.
+     */
+    async sync() {
+        if (this.isSyncing) {
+            return 0;
+        }
+
+        this.isSyncing = true;
+
+        try {
+            const latestBlock = await starknetService.getLatestBlockNumber();
+            const cursor = await scanCursors.get(CURSOR_NAME);
+            const fromBlock = cursor ? cursor.height + 1 : (config.starknet.eventStartBlock ?? latestBlock);
+
+            if (fromBlock > latestBlock) {
+                return 0;
+            }
+
+            const toBlock = Math.min(latestBlock, fromBlock + config.starknet.eventBatchSize - 1);
+            const events = [
+                ...await starknetService.getContractEvents('btcPegOut', PEG_OUT_EVENTS, fromBlock, toBlock),
+                ...await starknetService.getContractEvents('operatorRegistry', REGISTRY_EVENTS, fromBlock, toBlock)
+            ].sort((a, b) => a.block_number - b.block_number);
+
+            const timestamps = new Map();
+            for (const event of events) {
+                if (!timestamps.has(event.block_number)) {
+                    timestamps.set(event.block_number, await starknetService.getBlockTimestamp(event.block_number));
+                }
+            }
+
+            await database.transaction(async (tx) => {
+                for (const event of events) {
+                    await this.applyEvent(tx, event, timestamps.get(event.block_number));
+                }
+                await scanCursors.save(CURSOR_NAME, toBlock, null, tx);
+            });
+
+            for (const event of events) {
+                if (EMITTED_EVENTS[event.name]) {
+                    const withdrawalId = this.decodeU256(event.keys[1], event.keys[2]).toString();
+                    this.emit(EMITTED_EVENTS[event.name], await this.getSession(withdrawalId));
+                }
+            }
+
+            if (events.length > 0) {
+                logger.info(`Indexed ${events.length} signing event(s) up to Starknet block ${toBlock}`);
+            }
+
+            return events.length;
+
+        } finally {
+            this.isSyncing = false;
+        }
+    }
+
+    async applyEvent(tx, event, timestamp) {
+        const withdrawalId = this.decodeU256(event.keys[1], event.keys[2]).toString();
+
+        switch (event.name) {
+            case 'WithdrawalRequested':
+                await this.ensureSession(tx, withdrawalId, timestamp, event);
+                await tx.query(`
+                    UPDATE signing_sessions
+                    SET user_address = $2, amount = $3, btc_address = $4, fee_amount = $5,
+                        timelock_deadline = $6, requested_at = $7, updated_at = $8
+                    WHERE withdrawal_id = $1
+                `, [
+                    withdrawalId,
+                    this.toHex(event.keys[3]),
+                    this.toBtc(this.decodeU256(event.data[0], event.data[1])),
+                    this.decodeFeltString(event.data[2]),
+                    this.toBtc(this.decodeU256(event.data[3], event.data[4])),
+                    new Date(Number(BigInt(event.data[5])) * 1000),
+                    timestamp,
+                    new Date()
+                ]);
+                await tx.query(`
+                    UPDATE withdrawals
+                    SET amount = COALESCE(amount, $2), btc_recipient = COALESCE(btc_recipient, $3),
+                        starknet_sender = COALESCE(starknet_sender, $4)
+                    WHERE withdrawal_id = $1
+                `, [
+                    withdrawalId,
+                    this.toBtc(this.decodeU256(event.data[0], event.data[1])),
+                    this.decodeFeltString(event.data[2]),
+                    this.toHex(event.keys[3])
+                ]);
+                break;
+
+            case 'WithdrawalSigned': {
+                const operator = this.toHex(event.keys[3]);
+
+                // BTCPegOut forwards signatures to the registry, which then records the peg-out contract as signer
+                if (event.contract === 'operatorRegistry' && BigInt(operator) === BigInt(starknetService.contractAddresses.btcPegOut)) {
+                    break;
+                }
+
+                await this.ensureSession(tx, withdrawalId, timestamp, event);
+                await tx.query(`
+                    INSERT INTO signing_session_signatures (
+                        withdrawal_id, operator, signature, source_contract,
+                        block_number, transaction_hash, signed_at
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+                    ON CONFLICT (withdrawal_id, operator) DO NOTHING
+                `, [withdrawalId, operator, this.toHex(event.data[0]), event.contract, event.block_number, event.transaction_hash, timestamp]);
+
+                const count = await tx.query('SELECT COUNT(*) AS count FROM signing_session_signatures WHERE withdrawal_id = $1', [withdrawalId]);
+                await this.advance(tx, withdrawalId, 'signing', { signatures_count: parseInt(count.rows[0].count, 10) }, event);
+                break;
+            }
+
+            case 'QuorumReached':
+                await this.ensureSession(tx, withdrawalId, timestamp, event);
+                await this.advance(tx, withdrawalId, 'quorum_reached', {
+                    required_signatures: Number(BigInt(event.data[1])),
+                    quorum_reached_at: timestamp
+                }, event);
+                break;
+
+            case 'BitcoinTxBroadcast':
+                await this.ensureSession(tx, withdrawalId, timestamp, event);
+                await this.advance(tx, withdrawalId, 'broadcast', {
+                    bitcoin_tx_hash: this.decodeU256(event.data[0], event.data[1]).toString(16).padStart(64, '0'),
+                    finalized_at: new Date(Number(BigInt(event.data[2])) * 1000)
+                }, event);
+                break;
+
+            case 'WithdrawalCompleted':
+                await this.ensureSession(tx, withdrawalId, timestamp, event);
+                await this.advance(tx, withdrawalId, 'completed', {}, event);
+                break;
+
+            case 'EmergencyUnlocked':
+                await this.ensureSession(tx, withdrawalId, timestamp, event);
+                await this.advance(tx, withdrawalId, 'unlocked', { finalized_at: timestamp }, event);
+                break;
+
+            default:
+                logger.warn(`Ignoring unknown signing event with selector ${event.keys[0]}`);
+        }
+    }
+
+    // Signature events can precede the request when indexing starts mid-session
+    async ensureSession(tx, withdrawalId, timestamp, event) {
+        await tx.query(`
+            INSERT INTO signing_sessions (withdrawal_id, status, signatures_count, requested_at, updated_at)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (withdrawal_id) DO NOTHING
+        `, [withdrawalId, 'pending', 0, timestamp, new Date()]);
+
+        // Withdrawals requested directly on-chain never went through the bridge API
+        const inserted = await tx.query(`
+            INSERT INTO withdrawals (withdrawal_id, status, created_at)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (withdrawal_id) DO NOTHING
+        `, [withdrawalId, WITHDRAWAL_STATES.REQUESTED, timestamp]);
+
+        if (inserted.rowCount > 0) {
+            await bridgeState.recordCreated('withdrawal', withdrawalId, {
+                actor: `starknet:${event.contract}`,
+                reason: event.name,
+                metadata: { transactionHash: event.transaction_hash, blockNumber: event.block_number }
+            }, tx);
+        }
+    }
+
+    async advance(tx, withdrawalId, status, fields, event) {
+        const current = await tx.query('SELECT status FROM signing_sessions WHERE withdrawal_id = $1', [withdrawalId]);
+        const currentStatus = current.rows[0].status;
+        const nextStatus = STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(currentStatus) ? status : currentStatus;
+
+        const updates = { ...fields, status: nextStatus, updated_at: new Date() };
+        const columns = Object.keys(updates);
+        const assignments = columns.map((column, i) => `${column} = $${i + 2}`).join(', ');
+
+        await tx.query(
+            `UPDATE signing_sessions SET ${assignments} WHERE withdrawal_id = $1`,
+            [withdrawalId, ...columns.map(column => updates[column])]
+        );
+
+        if (nextStatus !== currentStatus) {
+            await this.transitionWithdrawal(tx, withdrawalId, WITHDRAWAL_STATE_FOR_SESSION[nextStatus], event);
+        }
+    }
+
+    // The chain is authoritative; a move the lifecycle rejects is logged rather than failing the batch
+    async transitionWithdrawal(tx, withdrawalId, state, event) {
+        try {
+            await bridgeState.transition('withdrawal', withdrawalId, state, {
+                actor: `starknet:${event.contract}`,
+                reason: event.name,
+                metadata: { transactionHash: event.transaction_hash, blockNumber: event.block_number }
+            }, tx);
+        } catch (error) {
+            if (!(error instanceof TransitionError)) {
+                throw error;
+            }
+            logger.warn(`Withdrawal ${withdrawalId} not moved to ${state}: ${error.message}`);
+        }
+    }
+
+    // Queries
+
+    /**
+     * List sessions, newest first. `status` is one of the stored statuses,
+     * 'expired' (timelock passed before quorum) or 'active' (still collecting or awaiting broadcast).
+     */
+    async listSessions({ status = null, limit = 50, offset = 0 } = {}) {
+        const now = new Date();
+        const params = [];
+        let where = '';
+
+        if (status === 'active') {
+            params.push(now);
+            where = `WHERE status = 'quorum_reached'
+                OR (status IN ('pending', 'signing') AND (timelock_deadline IS NULL OR timelock_deadline >= $1))`;
+        } else if (status === 'expired') {
+            params.push(now);
+            where = `WHERE status IN ('pending', 'signing') AND timelock_deadline < $1`;
+        } else if (status) {
+            params.push(status);
+            where = 'WHERE status = $1';
+        }
+
+        const count = await database.query(`SELECT COUNT(*) AS total FROM signing_sessions ${where}`, params);
+        const result = await database.query(`
+            SELECT * FROM signing_sessions ${where}
+            ORDER BY requested_at DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, limit, offset]);
+
+        const signatures = await this.getSignatures(result.rows.map(row => row.withdrawal_id));
+
+        return {
+            sessions: result.rows.map(row => this.formatSession(row, signatures.get(row.withdrawal_id) || [], now)),
+            total: parseInt(count.rows[0].total, 10),
+            limit,
+            offset
+        };
+    }
+
+    async getSession(withdrawalId) {
+        const result = await database.query('SELECT * FROM signing_sessions WHERE withdrawal_id = $1', [withdrawalId]);
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        const signatures = await this.getSignatures([withdrawalId]);
+        return this.formatSession(result.rows[0], signatures.get(withdrawalId) || [], new Date());
+    }
+
+    async getSignatures(withdrawalIds) {
+        const byWithdrawal = new Map();
+        if (withdrawalIds.length === 0) {
+            return byWithdrawal;
+        }
+
+        const placeholders = withdrawalIds.map((_, i) => `$${i + 1}`).join(', ');
+        const result = await database.query(`
+            SELECT * FROM signing_session_signatures
+            WHERE withdrawal_id IN (${placeholders})
+            ORDER BY block_number ASC
+        `, withdrawalIds);
+
+        for (const row of result.rows) {
+            if (!byWithdrawal.has(row.withdrawal_id)) {
+                byWithdrawal.set(row.withdrawal_id, []);
+            }
+            byWithdrawal.get(row.withdrawal_id).push({
+                operator: row.operator,
+                signature: row.signature,
+                sourceContract: row.source_contract,
+                blockNumber: parseInt(row.block_number, 10),
+                transactionHash: row.transaction_hash,
+                signedAt: this.toIso(row.signed_at)
+            });
+        }
+
+        return byWithdrawal;
+    }
+
+    /**
+     * Dashboard figures over the last day of sessions
+     */
+    async getStats() {
+        const now = new Date();
+        const since = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+        const recent = await database.query('SELECT * FROM signing_sessions WHERE updated_at >= $1', [since]);
+        const signaturesToday = await database.query(
+            'SELECT COUNT(*) AS count FROM signing_session_signatures WHERE signed_at >= $1',
+            [since]
+        );
+        const active = await this.listSessions({ status: 'active', limit: 1 });
+        const expired = await this.listSessions({ status: 'expired', limit: 1 });
+
+        const sessions = recent.rows.map(row => this.formatSession(row, [], now));
+        const finished = sessions.filter(session => !['pending', 'signing', 'quorum_reached'].includes(session.status));
+        const succeeded = finished.filter(session => ['broadcast', 'completed'].includes(session.status));
+        const quorumTimes = recent.rows
+            .filter(row => row.quorum_reached_at && row.requested_at)
+            .map(row => new Date(row.quorum_reached_at) - new Date(row.requested_at));
+
+        return {
+            activeSessions: active.total,
+            expiredSessions: expired.total,
+            sessionsToday: recent.rows.filter(row => row.requested_at && new Date(row.requested_at) >= since).length,
+            signaturesToday: parseInt(signaturesToday.rows[0].count, 10),
+            averageTimeToQuorumMs: quorumTimes.length > 0
+                ? Math.round(quorumTimes.reduce((sum, ms) => sum + ms, 0) / quorumTimes.length)
+                : null,
+            successRate: finished.length > 0 ? succeeded.length / finished.length : null,
+            requiredSignatures: config.bridge.operatorQuorum
+        };
+    }
+
+    formatSession(row, signatures, now) {
+        const deadline = row.timelock_deadline ? new Date(row.timelock_deadline) : null;
+        const expired = OPEN_STATUSES.includes(row.status) && deadline !== null && deadline < now;
+
+        return {
+            withdrawalId: row.withdrawal_id,
+            status: expired ? 'expired' : row.status,
+            user: row.user_address,
+            amount: row.amount !== null ? parseFloat(row.amount) : null,
+            feeAmount: row.fee_amount !== null ? parseFloat(row.fee_amount) : null,
+            btcAddress: row.btc_address,
+            signaturesCollected: parseInt(row.signatures_count, 10),
+            // The contract only reports its threshold with QuorumReached; fall back to the configured quorum
+            signaturesRequired: row.required_signatures !== null ? parseInt(row.required_signatures, 10) : config.bridge.operatorQuorum,
+            signatures,
+            timelockDeadline: this.toIso(row.timelock_deadline),
+            requestedAt: this.toIso(row.requested_at),
+            quorumReachedAt: this.toIso(row.quorum_reached_at),
+            finalizedAt: this.toIso(row.finalized_at),
+            bitcoinTxHash: row.bitcoin_tx_hash,
+            updatedAt: this.toIso(row.updated_at)
+        };
+    }
+
+    // Felt helpers
+
+    decodeU256(low, high) {
+        return BigInt(low) + (BigInt(high) << 128n);
+    }
+
+    toBtc(value) {
+        return Number(value) / SBTC_UNIT;
+    }
+
+    toHex(felt) {
+        return '0x' + BigInt(felt).toString(16);
+    }
+
+    decodeFeltString(felt) {
+        if (BigInt(felt) === 0n) {
+            return null;
+        }
+
+        try {
+            const decoded = shortString.decodeShortString(this.toHex(felt));
+            return /^[\x20-\x7e]+$/.test(decoded) ? decoded : this.toHex(felt);
+        } catch (error) {
+            return this.toHex(felt);
+        }
+    }
+
+    toIso(value) {
+        return value ? new Date(value).toISOString() : null;
+    }
+}
+
+// Export singleton instance
+module.exports = new SigningSessionIndexer();
@@ -0,0 +1,349 @@
+/**
+ * Signing sessions - Threshold signature collection from bridge operators
+ * Each session asks the registered operators for a partial signature over the
+ * same message hash, checks every answer against the operator's public key in
+ * OperatorRegistry and completes only once `bridge.operatorQuorum` is met.
+ * Peg-out PSBTs are co-signed the same way with the operators' custody keys.
+ * There is no fallback: without a quorum of valid signatures the session fails.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const bitcoin = require('bitcoinjs-lib');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { ec, hash, num, shortString } = require('starknet');
+const starknetService = require('./starknet');
+const custody = require('./custody');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const SIGNING_DOMAIN = 'VERN_BRIDGE_SIGNING';
+const SATOSHIS_PER_BTC = 100000000;
+
+// PSBT signature validator: bitcoinjs hands over the 64-byte r || s form
+function verifyEcdsa(pubkey, msghash, signature) {
+    try {
+        return secp256k1.verify(signature, msghash, pubkey);
+    } catch (error) {
+        return false;
+    }
+}
+
+class SigningQuorumError extends Error {
+    constructor(message, { sessionId = null, collected = 0, required = 0 } = {}) {
+        super(message);
+        this.name = 'SigningQuorumError';
+        this.status = 503;
+        this.sessionId = sessionId;
+        this.collected = collected;
+        this.required = required;
+    }
+}
+
+class SigningSessionService extends EventEmitter {
+    /**
+     * Collect operator signatures for a deposit or withdrawal.
+     * Resolves with `operatorQuorum` verified signatures, rejects with
+     * SigningQuorumError otherwise.
+     */
+    async requestSignatures({ kind, reference, amount, recipient }) {
+        const required = config.bridge.operatorQuorum;
+        const session = {
+            id: uuidv4(),
+            kind,
+            reference,
+            amount,
+            recipient,
+            messageHash: this.computeMessageHash({ kind, reference, amount, recipient }),
+            startedAt: new Date()
+        };
+
+        const signers = await this.getSigners(session, required);
+
+        const signatures = await this.collect(session, signers, required);
+
+        logger.info(`Signing session ${session.id} reached quorum (${signatures.length}/${required})`);
+        this.emit('sessionCompleted', { sessionId: session.id, kind, reference, signatures });
+
+        return signatures;
+    }
+
+    /**
+     * Have the operators co-sign a peg-out PSBT spending custody outputs.
+     * Each operator answers with the PSBT carrying its partial signatures;
+     * only signatures by a custody key that verify are merged. Resolves with
+     * the PSBT once every input has `custody.threshold` signatures, rejects
+     * with SigningQuorumError otherwise.
+     */
+    async requestPsbtSignatures({ reference, psbt }) {
+        const required = custody.getWallet().threshold;
+        const session = { id: uuidv4(), kind: 'peg_out', reference, startedAt: new Date() };
+
+        let merged = bitcoin.Psbt.fromBase64(psbt.toBase64(), { network: custody.getNetwork() });
+        if (this.countPsbtSignatures(merged) >= required) {
+            return merged;
+        }
+
+        const signers = await this.getSigners(session, required);
+
+        return new Promise((resolve, reject) => {
+            let outstanding = signers.length;
+            let settled = false;
+
+            const onSettled = () => {
+                outstanding--;
+                if (settled || outstanding > 0) {
+                    return;
+                }
+
+                settled = true;
+                const collected = this.countPsbtSignatures(merged);
+                this.emit('sessionFailed', { sessionId: session.id, collected, required });
+                reject(new SigningQuorumError(
+                    `Signing session ${session.id} failed: ${collected}/${required} valid signatures on every input`,
+                    { sessionId: session.id, collected, required }
+                ));
+            };
+
+            for (const signer of signers) {
+                this.postToSigner(signer, { sessionId: session.id, kind: session.kind, reference, psbt: merged.toBase64() })
+                    .then((response) => {
+                        if (settled) {
+                            return;
+                        }
+
+                        const signed = response && response.psbt;
+                        if (!signed) {
+                            throw new Error('Malformed PSBT response');
+                        }
+
+                        const added = this.mergePsbtSignatures(merged, bitcoin.Psbt.fromBase64(signed, { network: custody.getNetwork() }));
+                        merged = added.psbt;
+                        if (added.count === 0) {
+                            logger.warn(`Signing session ${session.id}: no valid custody signatures from operator ${signer.address}`);
+                            return;
+                        }
+
+                        if (this.countPsbtSignatures(merged) >= required) {
+                            settled = true;
+                            logger.info(`Signing session ${session.id} reached quorum (${required}/${required})`);
+                            this.emit('sessionCompleted', { sessionId: session.id, kind: session.kind, reference });
+                            resolve(merged);
+                        }
+                    })
+                    .catch((error) => {
+                        logger.warn(`Signing session ${session.id}: operator ${signer.address} did not sign: ${error.message}`);
+                    })
+                    .finally(onSettled);
+            }
+        });
+    }
+
+    /**
+     * Copy the partial signatures in `signed` that `psbt` lacks, keeping only
+     * those that verify and are by a key of the multisig the input spends (the
+     * custody keys, or for a deposit output the keys tweaked for it). Returns the updated PSBT and how many
+     * signatures were added.
+     */
+    mergePsbtSignatures(psbt, signed) {
+        if (!signed.data.globalMap.unsignedTx.toBuffer().equals(psbt.data.globalMap.unsignedTx.toBuffer())) {
+            throw new Error('Signed PSBT is for a different transaction');
+        }
+
+        let merged = psbt;
+        let count = 0;
+
+        signed.data.inputs.forEach((input, index) => {
+            for (const partialSig of input.partialSig || []) {
+                const existing = merged.data.inputs[index].partialSig || [];
+                if (!custody.isInputKey(merged.data.inputs[index], partialSig.pubkey) || existing.some(sig => sig.pubkey.equals(partialSig.pubkey))) {
+                    continue;
+                }
+
+                const candidate = bitcoin.Psbt.fromBase64(merged.toBase64(), { network: custody.getNetwork() });
+                try {
+                    candidate.updateInput(index, { partialSig: [partialSig] });
+                    if (!candidate.validateSignaturesOfInput(index, verifyEcdsa, partialSig.pubkey)) {
+                        continue;
+                    }
+                } catch (error) {
+                    continue;
+                }
+
+                merged = candidate;
+                count++;
+            }
+        });
+
+        return { psbt: merged, count };
+    }
+
+    // Signatures on the least-signed input
+    countPsbtSignatures(psbt) {
+        return Math.min(...psbt.data.inputs.map(input => (input.partialSig || []).length));
+    }
+
+    /**
+     * Active registry operators with a configured signer endpoint; throws
+     * SigningQuorumError when fewer than `required` are reachable
+     */
+    async getSigners(session, required) {
+        // A registry lookup failure propagates: we never sign against an unknown operator set
+        const operators = await starknetService.getRegisteredOperators();
+        const signers = operators
+            .filter(operator => operator.isActive)
+            .map(operator => ({ ...operator, endpoint: this.getSignerEndpoint(operator.address) }))
+            .filter(operator => operator.endpoint);
+
+        if (signers.length < required) {
+            throw new SigningQuorumError(
+                `Signing session ${session.id}: ${signers.length} reachable operators, quorum is ${required}`,
+                { sessionId: session.id, required }
+            );
+        }
+
+        logger.info(`Signing session ${session.id} started for ${session.kind} ${session.reference} with ${signers.length} operators`);
+        this.emit('sessionStarted', { sessionId: session.id, kind: session.kind, reference: session.reference, operators: signers.length, required });
+
+        return signers;
+    }
+
+    /**
+     * Query every signer in parallel and settle as soon as enough valid
+     * partial signatures arrive, or once every signer has answered.
+     */
+    collect(session, signers, required) {
+        return new Promise((resolve, reject) => {
+            const signatures = [];
+            let outstanding = signers.length;
+            let settled = false;
+
+            const onSettled = () => {
+                outstanding--;
+                if (settled || outstanding > 0) {
+                    return;
+                }
+
+                settled = true;
+                this.emit('sessionFailed', { sessionId: session.id, collected: signatures.length, required });
+                reject(new SigningQuorumError(
+                    `Signing session ${session.id} failed: ${signatures.length}/${required} valid signatures`,
+                    { sessionId: session.id, collected: signatures.length, required }
+                ));
+            };
+
+            for (const signer of signers) {
+                this.requestPartialSignature(session, signer)
+                    .then((signature) => {
+                        if (settled) {
+                            return;
+                        }
+
+                        if (!this.verifyPartialSignature(session.messageHash, signature, signer.publicKey)) {
+                            logger.warn(`Signing session ${session.id}: invalid signature from operator ${signer.address}`);
+                            return;
+                        }
+
+                        signatures.push({
+                            operator: signer.address,
+                            publicKey: signer.publicKey,
+                            r: num.toHex(signature.r),
+                            s: num.toHex(signature.s)
+                        });
+
+                        if (signatures.length >= required) {
+                            settled = true;
+                            resolve(signatures);
+                        }
+                    })
+                    .catch((error) => {
+                        logger.warn(`Signing session ${session.id}: operator ${signer.address} did not sign: ${error.message}`);
+                    })
+                    .finally(onSettled);
+            }
+        });
+    }
+
+    async requestPartialSignature(session, signer) {
+        const data = await this.postToSigner(signer, {
+            sessionId: session.id,
+            kind: session.kind,
+            reference: session.reference,
+            amount: session.amount,
+            recipient: session.recipient,
+            messageHash: num.toHex(session.messageHash)
+        });
+
+        const signature = data && (data.signature || data);
+        if (!signature || signature.r === undefined || signature.s === undefined) {
+            throw new Error('Malformed signature response');
+        }
+
+        return signature;
+    }
+
+    /**
+     * Send a signing request to one operator. Requests carry an HMAC over the
+     * timestamp and body, keyed with the secret shared with that operator.
+     */
+    async postToSigner(signer, payload) {
+        const body = JSON.stringify(payload);
+        const timestamp = Date.now().toString();
+        const mac = crypto.createHmac('sha256', signer.endpoint.secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+
+        const response = await axios.post(signer.endpoint.url, body, {
+            timeout: config.signing.requestTimeout,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Bridge-Timestamp': timestamp,
+                'X-Bridge-Signature': mac
+            }
+        });
+
+        return response.data;
+    }
+
+    /**
+     * Check a Stark ECDSA signature against a registry public key. The registry
+     * stores only the x coordinate, so either y is accepted, as in Cairo's
+     * check_ecdsa_signature.
+     */
+    verifyPartialSignature(messageHash, signature, publicKey) {
+        try {
+            const sig = new ec.starkCurve.Signature(BigInt(signature.r), BigInt(signature.s));
+            const x = num.toHex(publicKey).replace(/^0x/, '').padStart(64, '0');
+
+            return ['02', '03'].some(prefix => ec.starkCurve.verify(sig, num.toHex(messageHash), prefix + x));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Hash of the operation being approved. Operators compute the same value
+     * from the request fields and refuse to sign when it doesn't match.
+     */
+    computeMessageHash({ kind, reference, amount, recipient }) {
+        return BigInt(hash.computeHashOnElements([
+            shortString.encodeShortString(SIGNING_DOMAIN),
+            shortString.encodeShortString(config.starknet.chainId),
+            shortString.encodeShortString(kind),
+            hash.starknetKeccak(String(reference)),
+            BigInt(Math.round(parseFloat(amount) * SATOSHIS_PER_BTC)),
+            hash.starknetKeccak(String(recipient))
+        ]));
+    }
+
+    getSignerEndpoint(operatorAddress) {
+        const address = BigInt(operatorAddress);
+        return config.signing.operators.find(endpoint => BigInt(endpoint.address) === address) || null;
+    }
+}
+
+// Export singleton instance
+module.exports = new SigningSessionService();
+module.exports.SigningQuorumError = SigningQuorumError;
@@ -0,0 +1,239 @@
+/**
+ * SPV proofs - Inclusion proofs for real Bitcoin transactions
+ * Builds the bundle a Starknet deposit confirmation needs (raw transaction,
+ * block header, Merkle branch, position and the headers on top of the block)
+ * from the configured Bitcoin provider, and checks every piece locally before
+ * it is handed out. `merkleProof` is the bundle in the layout of
+ * BTCDepositManager's MerkleProof struct.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const bitcoinService = require('./bitcoin');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const HEADER_SIZE = 80;
+const U128_MASK = (1n << 128n) - 1n;
+
+class SpvProofError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SpvProofError';
+        this.status = status;
+    }
+}
+
+class SpvProofService {
+    /**
+     * Proof bundle for a confirmed transaction. Hashes are hex in Bitcoin's
+     * display byte order, headers are raw 80-byte hex.
+     */
+    async buildProof(txid) {
+        const normalized = String(txid).toLowerCase();
+        if (!/^[0-9a-f]{64}$/.test(normalized)) {
+            throw new SpvProofError('txid must be a 64 character hex string');
+        }
+
+        const tx = await bitcoinService.getTransaction(normalized);
+        if (!tx) {
+            throw new SpvProofError('Transaction not found', 404);
+        }
+        if (!tx.blockHash) {
+            throw new SpvProofError('Transaction is not confirmed yet', 409);
+        }
+
+        const [block, blockHeader] = await Promise.all([
+            bitcoinService.getBlock(tx.blockHash),
+            bitcoinService.getBlockHeader(tx.blockHash)
+        ]);
+        if (!block || !blockHeader) {
+            throw new SpvProofError(`Block ${tx.blockHash} not found`, 502);
+        }
+
+        const position = block.transactions.indexOf(normalized);
+        if (position === -1) {
+            throw new SpvProofError(`Transaction is missing from block ${block.hash}`, 502);
+        }
+
+        const proof = {
+            txid: normalized,
+            rawTransaction: tx.hex,
+            blockHash: block.hash,
+            blockHeight: block.height,
+            blockHeader,
+            merkleRoot: block.merkleRoot,
+            merkleBranch: this.getMerkleBranch(block.transactions, position),
+            position,
+            intermediateHeaders: await this.getIntermediateHeaders(block),
+            confirmations: block.confirmations
+        };
+
+        // A bundle that doesn't check out here would only be rejected on-chain
+        this.verifyProof(proof);
+
+        return {
+            ...proof,
+            confirmationsRequired: config.bridge.confirmationsRequired,
+            merkleProof: this.toMerkleProof(proof),
+            verified: true
+        };
+    }
+
+    /**
+     * Headers of the blocks built on top of the proof block, up to the
+     * confirmations the bridge requires (or the tip, if that comes first)
+     */
+    async getIntermediateHeaders(block) {
+        const lastHeight = block.height + Math.max(Math.min(config.bridge.confirmationsRequired, block.confirmations) - 1, 0);
+        const headers = [];
+
+        for (let height = block.height + 1; height <= lastHeight; height++) {
+            const hash = await bitcoinService.getBlockHash(height);
+            const header = hash ? await bitcoinService.getBlockHeader(hash) : null;
+            if (!header) {
+                throw new SpvProofError(`Header at height ${height} not found`, 502);
+            }
+            headers.push({ height, hash, header });
+        }
+
+        return headers;
+    }
+
+    /**
+     * Sibling hashes from the leaf at `position` up to the root. A level with
+     * an odd number of nodes pairs its last node with itself, as Bitcoin does.
+     */
+    getMerkleBranch(txids, position) {
+        const branch = [];
+        let level = txids.map(txid => this.toInternal(txid));
+        let index = position;
+
+        while (level.length > 1) {
+            const sibling = index % 2 === 0 ? Math.min(index + 1, level.length - 1) : index - 1;
+            branch.push(this.toDisplay(level[sibling]));
+
+            const next = [];
+            for (let i = 0; i < level.length; i += 2) {
+                const right = level[i + 1] || level[i];
+                next.push(bitcoin.crypto.hash256(Buffer.concat([level[i], right])));
+            }
+
+            level = next;
+            index = Math.floor(index / 2);
+        }
+
+        return branch;
+    }
+
+    computeMerkleRootFromBranch(txid, branch, position) {
+        let hash = this.toInternal(txid);
+        let index = position;
+
+        for (const sibling of branch) {
+            const pair = index % 2 === 0
+                ? [hash, this.toInternal(sibling)]
+                : [this.toInternal(sibling), hash];
+            hash = bitcoin.crypto.hash256(Buffer.concat(pair));
+            index = Math.floor(index / 2);
+        }
+
+        return this.toDisplay(hash);
+    }
+
+    /**
+     * Check that the raw transaction hashes to the txid, the branch leads to
+     * the header's Merkle root, the header hashes to the block hash and the
+     * intermediate headers chain onto it. Throws SpvProofError otherwise.
+     */
+    verifyProof(proof) {
+        const fail = reason => {
+            logger.error(`SPV proof for ${proof.txid} failed local verification: ${reason}`);
+            throw new SpvProofError(`Proof failed local verification: ${reason}`, 502);
+        };
+
+        let txid;
+        try {
+            txid = bitcoin.Transaction.fromHex(proof.rawTransaction).getId();
+        } catch (error) {
+            fail(`raw transaction could not be parsed (${error.message})`);
+        }
+        if (txid !== proof.txid) {
+            fail('raw transaction does not hash to the txid');
+        }
+
+        const header = this.parseHeader(proof.blockHeader);
+        if (!header || header.hash !== proof.blockHash) {
+            fail('block header does not hash to the block hash');
+        }
+        if (header.merkleRoot !== proof.merkleRoot) {
+            fail('Merkle root does not match the block header');
+        }
+        if (this.computeMerkleRootFromBranch(proof.txid, proof.merkleBranch, proof.position) !== header.merkleRoot) {
+            fail('Merkle branch does not lead to the block\'s Merkle root');
+        }
+
+        let previousHash = header.hash;
+        for (const intermediate of proof.intermediateHeaders) {
+            const parsed = this.parseHeader(intermediate.header);
+            if (!parsed || parsed.hash !== intermediate.hash || parsed.previousBlockHash !== previousHash) {
+                fail(`header at height ${intermediate.height} does not extend the chain`);
+            }
+            previousHash = parsed.hash;
+        }
+
+        return true;
+    }
+
+    parseHeader(hex) {
+        const raw = Buffer.from(hex || '', 'hex');
+        if (raw.length !== HEADER_SIZE) {
+            return null;
+        }
+
+        return {
+            hash: this.toDisplay(bitcoin.crypto.hash256(raw)),
+            version: raw.readInt32LE(0),
+            previousBlockHash: this.toDisplay(raw.subarray(4, 36)),
+            merkleRoot: this.toDisplay(raw.subarray(36, 68)),
+            timestamp: raw.readUInt32LE(68),
+            bits: raw.readUInt32LE(72),
+            nonce: raw.readUInt32LE(76)
+        };
+    }
+
+    // BTCDepositManager / SPVVerifier MerkleProof { merkle_root, tx_hash, merkle_branch, position }
+    toMerkleProof(proof) {
+        return {
+            merkle_root: hashToU256(proof.merkleRoot),
+            tx_hash: hashToU256(proof.txid),
+            merkle_branch: proof.merkleBranch.map(hash => hashToU256(hash)),
+            position: proof.position
+        };
+    }
+
+    // Bitcoin hashes are displayed byte-reversed; hashing works on the internal order
+    toInternal(hash) {
+        return Buffer.from(hash, 'hex').reverse();
+    }
+
+    toDisplay(buffer) {
+        return Buffer.from(buffer).reverse().toString('hex');
+    }
+}
+
+/**
+ * A display-order hash as a Cairo u256: its big-endian value split into the
+ * low and high 128 bits, so it survives the round trip to Starknet intact
+ */
+function hashToU256(hash) {
+    const value = BigInt('0x' + hash);
+    return {
+        low: '0x' + (value & U128_MASK).toString(16),
+        high: '0x' + (value >> 128n).toString(16)
+    };
+}
+
+// Export singleton instance
+module.exports = new SpvProofService();
+module.exports.SpvProofError = SpvProofError;
+module.exports.hashToU256 = hashToU256;
@@ -0,0 +1,285 @@
+/**
+ * Starknet event indexer - Per-address transaction history
+ * Follows the Bridge, SBTC, BTCDepositManager, BTCPegOut and EscapeHatch
+ * contracts, decodes their events with the ABIs in ../contracts and records
+ * every ContractAddress field as an address the event belongs to.
+ */
+
+const { events: starknetEvents, CallData, num } = require('starknet');
+const starknetService = require('./starknet');
+const database = require('./database');
+const scanCursors = require('./scan-cursors');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const CURSOR_NAME = 'starknet_events';
+
+// Contract name in StarknetService -> ABI file
+const INDEXED_CONTRACTS = {
+    bridge: 'Bridge',
+    sbtc: 'SBTC',
+    btcDepositManager: 'BTCDepositManager',
+    btcPegOut: 'BTCPegOut',
+    escapeHatch: 'EscapeHatch'
+};
+
+const ADDRESS_TYPE = 'core::starknet::contract_address::ContractAddress';
+const INTEGER_TYPES = ['core::integer::u8', 'core::integer::u16', 'core::integer::u32', 'core::integer::u64', 'core::integer::u128', 'core::integer::u256'];
+
+class StarknetEventIndexer {
+    constructor() {
+        this.decoders = null;
+        this.isSyncing = false;
+        this.timer = null;
+    }
+
+    start(interval = 30000) {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(async () => {
+            try {
+                await this.sync();
+            } catch (error) {
+                logger.error('Error in Starknet event indexer:', error);
+            }
+        }, interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Index events from the block after the cursor, bounded per call.
+     * Returns the number of events stored.
+     */
+    async sync() {
+        if (this.isSyncing) {
+            return 0;
+        }
+
+        this.isSyncing = true;
+
+        try {
+            const latestBlock = await starknetService.getLatestBlockNumber();
+            const cursor = await scanCursors.get(CURSOR_NAME);
+            const fromBlock = cursor ? cursor.height + 1 : (config.starknet.eventStartBlock ?? latestBlock);
+
+            if (fromBlock > latestBlock) {
+                return 0;
+            }
+
+            const toBlock = Math.min(latestBlock, fromBlock + config.starknet.eventBatchSize - 1);
+            const decoded = [];
+
+            for (const [contract, decoder] of Object.entries(this.getDecoders())) {
+                if (!starknetService.contractAddresses[contract]) {
+                    continue;
+                }
+
+                const events = await starknetService.getContractEvents(contract, decoder.eventNames, fromBlock, toBlock);
+
+                // Events are returned in emission order, so the position within a transaction is stable
+                const positions = new Map();
+                for (const event of events) {
+                    const position = positions.get(event.transaction_hash) || 0;
+                    positions.set(event.transaction_hash, position + 1);
+
+                    decoded.push(this.decodeEvent(contract, event, position));
+                }
+            }
+
+            const timestamps = new Map();
+            for (const event of decoded) {
+                if (!timestamps.has(event.blockNumber)) {
+                    timestamps.set(event.blockNumber, await starknetService.getBlockTimestamp(event.blockNumber));
+                }
+            }
+
+            await database.transaction(async (tx) => {
+                for (const event of decoded) {
+                    await this.storeEvent(tx, event, timestamps.get(event.blockNumber));
+                }
+                await scanCursors.save(CURSOR_NAME, toBlock, null, tx);
+            });
+
+            if (decoded.length > 0) {
+                logger.info(`Indexed ${decoded.length} Starknet event(s) up to block ${toBlock}`);
+            }
+
+            return decoded.length;
+
+        } finally {
+            this.isSyncing = false;
+        }
+    }
+
+    // Decoding
+
+    /**
+     * Event definitions per contract, built once from the ABI files
+     */
+    getDecoders() {
+        if (!this.decoders) {
+            this.decoders = {};
+
+            for (const [contract, file] of Object.entries(INDEXED_CONTRACTS)) {
+                const abi = this.normalizeAbi(require(`../contracts/${file}.json`));
+                const abiEvents = starknetEvents.getAbiEvents(abi);
+
+                this.decoders[contract] = {
+                    abiEvents,
+                    structs: CallData.getAbiStruct(abi),
+                    enums: CallData.getAbiEnum(abi),
+                    eventNames: Object.values(abiEvents).map(event => event.name)
+                };
+            }
+        }
+
+        return this.decoders;
+    }
+
+    // SBTC.json lists events Solidity-style (`inputs` with `indexed`); map them onto Cairo 1 event structs
+    normalizeAbi(abi) {
+        return abi.map(entry => (entry.type === 'event' && entry.inputs ? {
+            type: 'event',
+            name: entry.name,
+            kind: 'struct',
+            members: entry.inputs.map(input => ({
+                name: input.name,
+                type: input.type,
+                kind: input.indexed ? 'key' : 'data'
+            }))
+        } : entry));
+    }
+
+    decodeEvent(contract, event, position) {
+        const { abiEvents, structs, enums } = this.getDecoders()[contract];
+        const definition = abiEvents[num.toHex(event.keys[0])];
+        const [parsed] = starknetEvents.parseEvents([event], abiEvents, structs, enums);
+
+        const fields = {};
+        const addresses = new Map();
+
+        for (const member of definition.members) {
+            const value = parsed[event.name][member.name];
+            fields[member.name] = this.formatValue(value, member.type);
+
+            // The first field naming an address decides its role (e.g. `from` over `to` for self-transfers)
+            if (member.type === ADDRESS_TYPE && !addresses.has(fields[member.name])) {
+                addresses.set(fields[member.name], member.name);
+            }
+        }
+
+        return {
+            id: `${event.transaction_hash}:${contract}:${position}`,
+            contract,
+            name: event.name,
+            blockNumber: event.block_number,
+            transactionHash: event.transaction_hash,
+            fields,
+            addresses
+        };
+    }
+
+    formatValue(value, type) {
+        if (type === ADDRESS_TYPE || type === 'core::felt252') {
+            return num.toHex(value);
+        }
+        if (INTEGER_TYPES.includes(type)) {
+            return value.toString();
+        }
+        if (value && typeof value.activeVariant === 'function') {
+            return value.activeVariant();
+        }
+        return typeof value === 'bigint' ? value.toString() : value;
+    }
+
+    async storeEvent(tx, event, timestamp) {
+        const inserted = await tx.query(`
+            INSERT INTO starknet_events (id, contract, event_name, block_number, transaction_hash, fields, emitted_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT (id) DO NOTHING
+        `, [event.id, event.contract, event.name, event.blockNumber, event.transactionHash, JSON.stringify(event.fields), timestamp]);
+
+        if (inserted.rowCount === 0) {
+            return;
+        }
+
+        for (const [address, role] of event.addresses) {
+            // The zero address stands for mint/burn counterparties, not an account
+            if (BigInt(address) === 0n) {
+                continue;
+            }
+
+            await tx.query(`
+                INSERT INTO starknet_event_addresses (event_id, address, role, block_number)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (event_id, address) DO NOTHING
+            `, [event.id, address, role, event.blockNumber]);
+        }
+    }
+
+    // Queries
+
+    /**
+     * Events involving `address`, newest first
+     */
+    async getHistory(address, { contract = null, limit = 50, offset = 0 } = {}) {
+        const normalized = num.toHex(address);
+        const params = [normalized];
+        let where = 'a.address = $1';
+
+        if (contract) {
+            params.push(contract);
+            where += ` AND e.contract = $${params.length}`;
+        }
+
+        const count = await database.query(`
+            SELECT COUNT(*) AS total
+            FROM starknet_event_addresses a
+            JOIN starknet_events e ON e.id = a.event_id
+            WHERE ${where}
+        `, params);
+
+        const result = await database.query(`
+            SELECT e.*, a.role
+            FROM starknet_event_addresses a
+            JOIN starknet_events e ON e.id = a.event_id
+            WHERE ${where}
+            ORDER BY a.block_number DESC, e.id DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, limit, offset]);
+
+        const total = parseInt(count.rows[0].total, 10);
+
+        return {
+            address: normalized,
+            transactions: result.rows.map(row => this.formatEvent(row)),
+            totalCount: total,
+            limit,
+            offset,
+            hasMore: offset + result.rows.length < total
+        };
+    }
+
+    formatEvent(row) {
+        return {
+            id: row.id,
+            contract: row.contract,
+            event: row.event_name,
+            role: row.role,
+            transactionHash: row.transaction_hash,
+            blockNumber: parseInt(row.block_number, 10),
+            timestamp: row.emitted_at ? new Date(row.emitted_at).toISOString() : null,
+            fields: JSON.parse(row.fields)
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new StarknetEventIndexer();
+module.exports.INDEXED_CONTRACTS = INDEXED_CONTRACTS;
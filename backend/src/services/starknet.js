@@ -3,9 +3,10 @@
  * Enhanced with comprehensive wallet integration and contract interaction support
  */
 
-const { Provider, Contract, Account, CallData, shortString, ec, constants } = require('starknet');
+const { Provider, Contract, Account, CallData, shortString, ec, constants, num, hash } = require('starknet');
 const config = require('../config');
 const logger = require('../utils/logger');
+const cairoCrypto = require('../utils/cairo-crypto');
 
 class StarknetService {
     constructor() {
@@ -254,6 +255,34 @@ class StarknetService {
         }
     }
 
+    /**
+     * Burn `amount` sBTC and request its withdrawal to `btcRecipient` in one
+     * multicall, so neither lands without the other. Returns once the
+     * transaction is sent; the caller settles it from its receipt.
+     */
+    async burnAndRequestWithdrawal(amount, btcRecipient) {
+        if (!this.contracts.has('sbtc') || !this.contracts.has('bridge')) {
+            throw new Error('SBTC and Bridge contracts not initialized');
+        }
+        if (!this.account) {
+            throw new Error('No Starknet account configured');
+        }
+
+        const amountFelt = this.toFelt(amount);
+        const calls = [
+            this.contracts.get('sbtc').populate('burn', [amountFelt]),
+            this.contracts.get('bridge').populate('initiate_bitcoin_withdrawal', [amountFelt, this.bitcoinAddressToFelt(btcRecipient)])
+        ];
+
+        const result = await this.account.execute(calls);
+        logger.info('sBTC burn and Bitcoin withdrawal request sent:', { amount, btcRecipient, txHash: result.transaction_hash });
+
+        return {
+            success: true,
+            transactionHash: result.transaction_hash
+        };
+    }
+
     async initiateWithdrawal(amount, btcRecipient, operatorSignatures) {
         try {
             if (!this.contracts.has('bridge')) {
@@ -393,6 +422,18 @@ class StarknetService {
         }
     }
 
+    /**
+     * sBTC in circulation, in its smallest unit (one satoshi), as a BigInt
+     */
+    async getSBTCTotalSupply() {
+        if (!this.contracts.has('sbtc')) {
+            throw new Error('SBTC contract not initialized');
+        }
+
+        const result = await this.contracts.get('sbtc').total_supply();
+        return BigInt(this.feltToUint256(result));
+    }
+
     async getSBTCBalance(address) {
         try {
             if (!this.contracts.has('sbtc')) {
@@ -643,6 +684,148 @@ class StarknetService {
         }
     }
 
+    /**
+     * Active operators with their registered signing keys, read straight from
+     * OperatorRegistry. Unlike getActiveOperators this never falls back to mock
+     * data, so it is safe to use for signature verification.
+     */
+    async getRegisteredOperators() {
+        if (!this.contracts.has('operatorRegistry')) {
+            throw new Error('Operator registry contract not initialized');
+        }
+
+        const registryContract = this.contracts.get('operatorRegistry');
+        const count = Number(await registryContract.get_active_operators_count());
+        const operators = [];
+
+        for (let index = 0; index < count; index++) {
+            const address = num.toHex(await registryContract.get_active_operator(index));
+            operators.push(await this.getOperator(address));
+        }
+
+        return operators;
+    }
+
+    /**
+     * Registry record for one address. Unregistered addresses come back with a
+     * zero public key and `isActive: false`.
+     */
+    async getOperator(address) {
+        if (!this.contracts.has('operatorRegistry')) {
+            throw new Error('Operator registry contract not initialized');
+        }
+
+        const operator = await this.contracts.get('operatorRegistry').get_operator(address);
+
+        return {
+            address: num.toHex(address),
+            publicKey: num.toHex(operator.public_key),
+            isActive: Boolean(operator.is_active),
+            bondAmount: operator.bond_amount.toString(),
+            totalWithdrawalsSigned: operator.total_withdrawals_signed.toString(),
+            slashingCount: Number(operator.slashing_count)
+        };
+    }
+
+    async isEmergencyPaused() {
+        if (!this.contracts.has('bridge')) {
+            throw new Error('Bridge contract not initialized');
+        }
+
+        return Boolean(await this.contracts.get('bridge').is_emergency_paused());
+    }
+
+    /**
+     * Halt the bridge with emergency_pause_bridge; needs the emergency admin
+     * (or admin) as the Starknet account
+     */
+    async emergencyPauseBridge() {
+        if (!this.contracts.has('bridge')) {
+            throw new Error('Bridge contract not initialized');
+        }
+        if (!this.account) {
+            throw new Error('No Starknet account configured');
+        }
+
+        const call = this.contracts.get('bridge').populate('emergency_pause_bridge', []);
+        const result = await this.account.execute(call);
+        await this.waitForTransaction(result.transaction_hash);
+
+        logger.warn('Bridge emergency paused:', { txHash: result.transaction_hash });
+        return {
+            success: true,
+            transactionHash: result.transaction_hash
+        };
+    }
+
+    /**
+     * Admin accounts of the bridge and operator registry
+     */
+    async getAdminAddresses() {
+        if (!this.contracts.has('bridge') || !this.contracts.has('operatorRegistry')) {
+            throw new Error('Bridge or operator registry contract not initialized');
+        }
+
+        const bridgeContract = this.contracts.get('bridge');
+        const registryContract = this.contracts.get('operatorRegistry');
+
+        return {
+            bridgeAdmin: num.toHex(await bridgeContract.get_admin()),
+            emergencyAdmin: num.toHex(await bridgeContract.get_emergency_admin()),
+            registryAdmin: num.toHex(await registryContract.get_admin())
+        };
+    }
+
+    // Events
+    async getLatestBlockNumber() {
+        const block = await this.provider.getBlock('latest');
+        return block.block_number;
+    }
+
+    async getBlockTimestamp(blockNumber) {
+        const block = await this.provider.getBlock(blockNumber);
+        return new Date(block.timestamp * 1000);
+    }
+
+    /**
+     * Fetch events emitted by one of the bridge contracts in a block range,
+     * following continuation tokens. Each event gets its `name` resolved from
+     * the selector in keys[0]; keys and data are left as raw felts.
+     */
+    async getContractEvents(contractName, eventNames, fromBlock, toBlock) {
+        const address = this.contractAddresses[contractName];
+        if (!address) {
+            throw new Error(`No address configured for contract ${contractName}`);
+        }
+
+        const selectors = new Map(eventNames.map(name => [BigInt(hash.getSelectorFromName(name)), name]));
+        const events = [];
+        let continuationToken;
+
+        do {
+            const page = await this.provider.getEvents({
+                address,
+                from_block: { block_number: fromBlock },
+                to_block: { block_number: toBlock },
+                keys: [[...selectors.keys()].map(selector => num.toHex(selector))],
+                chunk_size: 100,
+                continuation_token: continuationToken
+            });
+
+            for (const event of page.events) {
+                events.push({
+                    ...event,
+                    contract: contractName,
+                    name: selectors.get(BigInt(event.keys[0]))
+                });
+            }
+
+            continuationToken = page.continuation_token;
+        } while (continuationToken);
+
+        return events;
+    }
+
     // Fallback method when Starknet RPC fails
     getFallbackOperators() {
         logger.info('Using fallback operators for bridge operations');
@@ -793,82 +976,87 @@ class StarknetService {
     }
 
     // CryptoUtils Contract Functions
+    // Computed locally with the contract's algorithms on Node's SHA-256 (utils/cairo-crypto).
+    // With starknet.cryptoCrossCheck set, the contract is called as well and has to agree.
     async computeSha256(data) {
-        try {
-            if (!this.contracts.has('cryptoUtils')) {
-                throw new Error('CryptoUtils contract not initialized');
-            }
-
-            const cryptoUtilsContract = this.contracts.get('cryptoUtils');
-            const dataBytes = data.map(byte => this.toFelt(byte));
-
-            const result = await cryptoUtilsContract.sha256(dataBytes);
-            return this.feltToUint256(result);
-
-        } catch (error) {
-            logger.error('Failed to compute SHA256:', error);
-            throw error;
-        }
+        const result = cairoCrypto.sha256(data);
+        await this.crossCheckCrypto('sha256', result, async () =>
+            BigInt(await this.callCryptoUtils('sha256', data.map(byte => this.toFelt(byte)))));
+        return this.feltToUint256(result);
     }
 
     async computeDoubleSha256(data) {
-        try {
-            if (!this.contracts.has('cryptoUtils')) {
-                throw new Error('CryptoUtils contract not initialized');
-            }
-
-            const cryptoUtilsContract = this.contracts.get('cryptoUtils');
-            const dataBytes = data.map(byte => this.toFelt(byte));
-
-            const result = await cryptoUtilsContract.double_sha256(dataBytes);
-            return this.feltToUint256(result);
-
-        } catch (error) {
-            logger.error('Failed to compute double SHA256:', error);
-            throw error;
-        }
+        const result = cairoCrypto.doubleSha256(data);
+        await this.crossCheckCrypto('double_sha256', result, async () =>
+            BigInt(await this.callCryptoUtils('double_sha256', data.map(byte => this.toFelt(byte)))));
+        return this.feltToUint256(result);
     }
 
     async computeMerkleRoot(txids) {
-        try {
-            if (!this.contracts.has('cryptoUtils')) {
-                throw new Error('CryptoUtils contract not initialized');
-            }
-
-            const cryptoUtilsContract = this.contracts.get('cryptoUtils');
-            const txidFelts = txids.map(txid => this.toFelt(txid));
-
-            const result = await cryptoUtilsContract.compute_merkle_root(txidFelts);
-            return this.feltToUint256(result);
-
-        } catch (error) {
-            logger.error('Failed to compute merkle root:', error);
-            throw error;
-        }
+        const result = cairoCrypto.computeMerkleRoot(txids);
+        await this.crossCheckCrypto('compute_merkle_root', result, async () =>
+            BigInt(await this.callCryptoUtils('compute_merkle_root', txids.map(txid => cairoCrypto.toU256(txid)))));
+        return this.feltToUint256(result);
     }
 
     async verifyMerkleProof(txid, merkleRoot, merkleBranch, position) {
-        try {
-            if (!this.contracts.has('cryptoUtils')) {
-                throw new Error('CryptoUtils contract not initialized');
-            }
+        const result = cairoCrypto.verifyMerkleProof(txid, merkleRoot, merkleBranch, position);
+        await this.crossCheckCrypto('verify_merkle_proof', result, async () => {
+            const verified = await this.callCryptoUtils(
+                'verify_merkle_proof',
+                cairoCrypto.toU256(txid),
+                cairoCrypto.toU256(merkleRoot),
+                merkleBranch.map(hash => cairoCrypto.toU256(hash)),
+                this.toFelt(position.toString())
+            );
+            return BigInt(verified) === 1n;
+        });
+        return result;
+    }
 
-            const cryptoUtilsContract = this.contracts.get('cryptoUtils');
-            const txidFelt = this.toFelt(txid);
-            const merkleRootFelt = this.toFelt(merkleRoot);
-            const branchFelts = merkleBranch.map(hash => this.toFelt(hash));
-            const positionUint = this.toFelt(position.toString());
+    /**
+     * Call a CryptoUtils function without sending a transaction. The ABI marks
+     * them external (they emit events), so they have to be called explicitly.
+     */
+    async callCryptoUtils(method, ...args) {
+        if (!this.contracts.has('cryptoUtils')) {
+            throw new Error('CryptoUtils contract not initialized');
+        }
 
-            const result = await cryptoUtilsContract.verify_merkle_proof(txidFelt, merkleRootFelt, branchFelts, positionUint);
-            return result === '1';
+        return this.contracts.get('cryptoUtils').call(method, args);
+    }
+
+    /**
+     * Compare a local CryptoUtils result with the contract's when the cross-check
+     * is enabled. An unreachable contract only logs a warning; a different
+     * answer means the port is out of date and fails the operation.
+     */
+    async crossCheckCrypto(operation, localResult, onChain) {
+        if (!config.starknet.cryptoCrossCheck) {
+            return;
+        }
 
+        let onChainResult;
+        try {
+            onChainResult = await onChain();
         } catch (error) {
-            logger.error('Failed to verify merkle proof:', error);
+            logger.warn(`CryptoUtils ${operation} cross-check skipped: ${error.message}`);
+            return;
+        }
+
+        if (onChainResult !== localResult) {
+            const error = new Error(`CryptoUtils ${operation} mismatch: local ${localResult}, on-chain ${onChainResult}`);
+            error.status = 502;
+            logger.error(error.message);
             throw error;
         }
     }
 
     // SPVVerifier Contract Functions
+    /**
+     * `merkleProof` is in the MerkleProof layout of an SPV proof bundle
+     * (spv-proofs' `merkleProof`), hashes as u256 { low, high }
+     */
     async verifyTransactionInclusion(merkleProof, blockHeight) {
         try {
             if (!this.contracts.has('spvVerifier')) {
@@ -877,9 +1065,9 @@ class StarknetService {
 
             const spvVerifierContract = this.contracts.get('spvVerifier');
             const proofStruct = {
-                merkle_root: this.toFelt(merkleProof.merkleRoot),
-                tx_hash: this.toFelt(merkleProof.txHash),
-                merkle_branch: merkleProof.merkleBranch.map(hash => this.toFelt(hash)),
+                merkle_root: merkleProof.merkle_root,
+                tx_hash: merkleProof.tx_hash,
+                merkle_branch: merkleProof.merkle_branch,
                 position: this.toFelt(merkleProof.position.toString())
             };
             const heightUint = this.toFelt(blockHeight.toString());
@@ -893,6 +1081,37 @@ class StarknetService {
         }
     }
 
+    // BTCPegOut Contract Functions
+    /**
+     * Record the Bitcoin transaction paying out a withdrawal that reached quorum.
+     * `bitcoinTxHash` is the txid as a u256 { low, high } (see spv-proofs' hashToU256).
+     */
+    async broadcastPegOutTransaction(withdrawalId, bitcoinTxHash) {
+        return this.executePegOut('broadcast_bitcoin_tx', [withdrawalId, bitcoinTxHash]);
+    }
+
+    async completePegOutWithdrawal(withdrawalId) {
+        return this.executePegOut('complete_withdrawal', [withdrawalId]);
+    }
+
+    async executePegOut(method, args) {
+        if (!this.contracts.has('btcPegOut')) {
+            throw new Error('BTCPegOut contract not initialized');
+        }
+        if (!this.account) {
+            throw new Error('No Starknet account configured');
+        }
+
+        const call = this.contracts.get('btcPegOut').populate(method, args);
+        const result = await this.account.execute(call);
+        await this.waitForTransaction(result.transaction_hash);
+
+        return {
+            success: true,
+            transactionHash: result.transaction_hash
+        };
+    }
+
     // BitcoinHeaders Contract Functions
     async submitBitcoinHeader(header) {
         try {
@@ -901,15 +1120,7 @@ class StarknetService {
             }
 
             const bitcoinHeadersContract = this.contracts.get('bitcoinHeaders');
-            const headerStruct = {
-                hash: this.toFelt(header.hash),
-                previous_block_hash: this.toFelt(header.previousBlockHash),
-                merkle_root: this.toFelt(header.merkleRoot),
-                timestamp: this.toFelt(header.timestamp.toString()),
-                bits: this.toFelt(header.bits.toString()),
-                nonce: this.toFelt(header.nonce.toString()),
-                height: this.toFelt(header.height.toString())
-            };
+            const headerStruct = this.toHeaderStruct(header);
 
             const result = await bitcoinHeadersContract.submit_header(headerStruct);
             return {
@@ -936,9 +1147,9 @@ class StarknetService {
             const result = await bitcoinHeadersContract.get_header(heightUint);
 
             return {
-                hash: this.feltToUint256(result.hash),
-                previousBlockHash: this.feltToUint256(result.previous_block_hash),
-                merkleRoot: this.feltToUint256(result.merkle_root),
+                hash: this.toBitcoinHash(result.hash),
+                previousBlockHash: this.toBitcoinHash(result.previous_block_hash),
+                merkleRoot: this.toBitcoinHash(result.merkle_root),
                 timestamp: parseInt(result.timestamp),
                 bits: parseInt(result.bits),
                 nonce: parseInt(result.nonce),
@@ -951,6 +1162,84 @@ class StarknetService {
         }
     }
 
+    async getBitcoinHeadersBestHeight() {
+        if (!this.contracts.has('bitcoinHeaders')) {
+            throw new Error('BitcoinHeaders contract not initialized');
+        }
+
+        const result = await this.contracts.get('bitcoinHeaders').get_best_height();
+        return parseInt(result);
+    }
+
+    /**
+     * Hash stored for `height` as a BigInt, 0n when nothing was submitted there
+     */
+    async getBitcoinHeaderHash(height) {
+        if (!this.contracts.has('bitcoinHeaders')) {
+            throw new Error('BitcoinHeaders contract not initialized');
+        }
+
+        const result = await this.contracts.get('bitcoinHeaders').get_header_hash(this.toFelt(height.toString()));
+        return BigInt(result);
+    }
+
+    /**
+     * Fee estimate for submitting `headers` in one multicall, as a BigInt.
+     * With `fork`, they are sent as one `submit_fork` call instead.
+     */
+    async estimateBitcoinHeadersFee(headers, { fork = false } = {}) {
+        if (!this.account) {
+            throw new Error('No Starknet account configured');
+        }
+
+        const estimate = await this.account.estimateInvokeFee(this.buildHeaderCalls(headers, { fork }));
+        return BigInt(estimate.overall_fee);
+    }
+
+    /**
+     * Submit `headers` (lowest height first) in one multicall and wait for it
+     * to be accepted, so the next batch can build on them. With `fork`, they
+     * replace the stored chain from their first height (`submit_fork`).
+     */
+    async submitBitcoinHeaders(headers, { fork = false } = {}) {
+        if (!this.account) {
+            throw new Error('No Starknet account configured');
+        }
+
+        const result = await this.account.execute(this.buildHeaderCalls(headers, { fork }));
+        await this.waitForTransaction(result.transaction_hash);
+
+        return {
+            success: true,
+            transactionHash: result.transaction_hash
+        };
+    }
+
+    buildHeaderCalls(headers, { fork = false } = {}) {
+        if (!this.contracts.has('bitcoinHeaders')) {
+            throw new Error('BitcoinHeaders contract not initialized');
+        }
+
+        const bitcoinHeadersContract = this.contracts.get('bitcoinHeaders');
+        if (fork) {
+            return [bitcoinHeadersContract.populate('submit_fork', [headers.map(header => this.toHeaderStruct(header))])];
+        }
+        return headers.map(header => bitcoinHeadersContract.populate('submit_header', [this.toHeaderStruct(header)]));
+    }
+
+    // Hashes are u256 { low, high } (see spv-proofs' hashToU256)
+    toHeaderStruct(header) {
+        return {
+            hash: header.hash,
+            previous_block_hash: header.previousBlockHash,
+            merkle_root: header.merkleRoot,
+            timestamp: this.toFelt(header.timestamp.toString()),
+            bits: this.toFelt(header.bits.toString()),
+            nonce: this.toFelt(header.nonce.toString()),
+            height: this.toFelt(header.height.toString())
+        };
+    }
+
     // Address Validation Functions
     isValidAddress(address) {
         try {
@@ -1008,6 +1297,11 @@ class StarknetService {
         return felt.toString();
     }
 
+    // A Bitcoin hash read back as a u256, in display-order hex
+    toBitcoinHash(value) {
+        return BigInt(value).toString(16).padStart(64, '0');
+    }
+
     btcTxToFelt(btcTxHash) {
         // Convert Bitcoin transaction hash to felt
         // Remove '0x' prefix if present and reverse bytes for little-endian
@@ -1179,6 +1473,31 @@ class StarknetService {
         }
     }
 
+    /**
+     * Where a sent transaction stands, without waiting on it: 'succeeded',
+     * 'reverted', 'pending' (received, not executed yet) or 'not_found'
+     */
+    async getTransactionOutcome(txHash) {
+        let receipt;
+        try {
+            receipt = await this.provider.getTransactionReceipt(txHash);
+        } catch (error) {
+            if (/not found/i.test(error.message)) {
+                return 'not_found';
+            }
+            throw error;
+        }
+
+        const status = receipt.execution_status || receipt.status;
+        if (status === 'SUCCEEDED' || status === 'ACCEPTED_ON_L2' || status === 'ACCEPTED_ON_L1') {
+            return 'succeeded';
+        }
+        if (status === 'REVERTED' || status === 'REJECTED') {
+            return 'reverted';
+        }
+        return 'pending';
+    }
+
     // Wallet Connection and Transaction Signing
     async connectWallet(privateKey, accountAddress) {
         try {
@@ -1583,27 +1902,6 @@ class StarknetService {
         }
     }
 
-    // Get transaction history
-    async getTransactionHistory(address, limit = 50) {
-        try {
-            const transactions = [];
-
-            // This would typically query event logs from the contracts
-            // For now, we'll return a structured response
-
-            return {
-                address,
-                transactions,
-                totalCount: transactions.length,
-                limit
-            };
-
-        } catch (error) {
-            logger.error('Failed to get transaction history:', error);
-            throw error;
-        }
-    }
-
     // Health check
     async healthCheck() {
         try {
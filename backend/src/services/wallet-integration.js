@@ -5,6 +5,7 @@
 
 const starknetService = require('./starknet');
 const bitcoinService = require('./bitcoin');
+const starknetEvents = require('./starknet-events');
 const logger = require('../utils/logger');
 
 class WalletIntegrationService {
@@ -584,9 +585,9 @@ class WalletIntegrationService {
         };
     }
 
-    async getTransactionHistory(address, limit = 50) {
+    async getTransactionHistory(address, options = {}) {
         try {
-            return await starknetService.getTransactionHistory(address, limit);
+            return await starknetEvents.getHistory(address, options);
         } catch (error) {
             logger.error('Failed to get transaction history:', error);
             throw error;
@@ -0,0 +1,621 @@
+/**
+ * Webhook service - Outbound notifications for bridge lifecycle events
+ * Endpoints are registered per API key. Each event is written to the
+ * delivery log, POSTed with an HMAC signature over `${timestamp}.${body}`
+ * (the same scheme the bridge uses towards operator signers) and retried
+ * with exponential backoff until it succeeds or runs out of attempts.
+ * A delivery is claimed before it is sent, so replicas never send it twice.
+ * Endpoints must resolve to public addresses, checked when registered and
+ * again on each delivery, which connects only to the addresses it checked.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const database = require('./database');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Webhook event type -> [emitter module, emitter event]
+const EVENT_SOURCES = {
+    'deposit.detected': ['./bridge', 'depositDetected'],
+    'deposit.confirmed': ['./bridge', 'depositConfirmed'],
+    'deposit.reorged': ['./bridge', 'depositReorged'],
+    'sbtc.minted': ['./bridge', 'depositCompleted'],
+    'withdrawal.requested': ['./signing-session-indexer', 'withdrawalRequested'],
+    'withdrawal.quorum_reached': ['./signing-session-indexer', 'quorumReached'],
+    'withdrawal.broadcast': ['./signing-session-indexer', 'bitcoinTxBroadcast'],
+    'reserves.shortfall': ['./custody-ledger', 'reserveShortfall']
+};
+const EVENT_TYPES = Object.keys(EVENT_SOURCES);
+
+// Loopback, private, link-local, shared, multicast and reserved ranges a webhook must not reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+class WebhookError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'WebhookError';
+        this.status = status;
+    }
+}
+
+class WebhookService {
+    constructor() {
+        this.isDelivering = false;
+        this.timer = null;
+
+        const lookup = (hostname, options, callback) => this.lookupPublic(hostname, options, callback);
+        this.httpAgent = new http.Agent({ lookup });
+        this.httpsAgent = new https.Agent({ lookup });
+    }
+
+    /**
+     * Subscribe to bridge and indexer events and start the delivery loop
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        for (const [type, [modulePath, eventName]] of Object.entries(EVENT_SOURCES)) {
+            require(modulePath).on(eventName, (data) => {
+                this.publish(type, data).catch(error => {
+                    logger.error(`Failed to queue ${type} webhooks:`, error);
+                });
+            });
+        }
+
+        this.timer = setInterval(async () => {
+            try {
+                await this.deliverDue();
+            } catch (error) {
+                logger.error('Error delivering webhooks:', error);
+            }
+        }, config.webhooks.pollInterval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Endpoints
+
+    async createWebhook(apiKeyId, { name, url, events, secret, status = 'active' }) {
+        const fields = await this.validateWebhook({ name, url, events, status });
+
+        if (secret !== undefined && secret !== '' && (typeof secret !== 'string' || secret.length < 16)) {
+            throw new WebhookError('secret must be at least 16 characters');
+        }
+
+        const id = crypto.randomBytes(8).toString('hex');
+        const signingSecret = secret || `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+        const now = new Date();
+
+        await database.query(`
+            INSERT INTO webhooks (id, api_key_id, name, url, secret, events, status, created_at, updated_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8)
+        `, [id, apiKeyId, fields.name, fields.url, signingSecret, fields.events.join(','), fields.status, now]);
+
+        logger.info(`Webhook ${id} registered for API key ${apiKeyId}: ${fields.url}`);
+
+        return { ...await this.getWebhook(apiKeyId, id), secret: signingSecret };
+    }
+
+    /**
+     * Edit a webhook; also used to pause (`status: 'paused'`) and resume it
+     */
+    async updateWebhook(apiKeyId, webhookId, changes) {
+        const existing = await this.getWebhookRow(apiKeyId, webhookId);
+        const fields = await this.validateWebhook({
+            name: changes.name ?? existing.name,
+            url: changes.url ?? existing.url,
+            events: changes.events ?? this.parseEvents(existing.events),
+            status: changes.status ?? existing.status
+        });
+
+        await database.query(`
+            UPDATE webhooks SET name = $2, url = $3, events = $4, status = $5, updated_at = $6
+            WHERE id = $1
+        `, [webhookId, fields.name, fields.url, fields.events.join(','), fields.status, new Date()]);
+
+        return this.getWebhook(apiKeyId, webhookId);
+    }
+
+    async deleteWebhook(apiKeyId, webhookId) {
+        await this.getWebhookRow(apiKeyId, webhookId);
+
+        await database.transaction(async (tx) => {
+            await tx.query('DELETE FROM webhook_deliveries WHERE webhook_id = $1', [webhookId]);
+            await tx.query('DELETE FROM webhooks WHERE id = $1', [webhookId]);
+        });
+
+        logger.info(`Webhook ${webhookId} deleted`);
+    }
+
+    async getWebhook(apiKeyId, webhookId) {
+        const row = await this.getWebhookRow(apiKeyId, webhookId);
+        const [webhook] = await this.withLastDelivery([row]);
+        return webhook;
+    }
+
+    async listWebhooks(apiKeyId) {
+        const result = await database.query(
+            'SELECT * FROM webhooks WHERE api_key_id = $1 ORDER BY created_at ASC',
+            [apiKeyId]
+        );
+        return this.withLastDelivery(result.rows);
+    }
+
+    /**
+     * Delivery totals for the key's webhooks over the last `days` days
+     */
+    async getStats(apiKeyId, days = 7) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const result = await database.query(`
+            SELECT d.status, COUNT(*) AS count, AVG(d.response_time_ms) AS avg_response_ms
+            FROM webhook_deliveries d
+            JOIN webhooks w ON w.id = d.webhook_id
+            WHERE w.api_key_id = $1 AND d.created_at >= $2
+            GROUP BY d.status
+        `, [apiKeyId, since]);
+
+        const counts = { delivered: 0, failed: 0, pending: 0 };
+        let averageResponseMs = null;
+        for (const row of result.rows) {
+            // Deliveries being sent right now are still pending to the caller
+            counts[row.status === 'delivering' ? 'pending' : row.status] += parseInt(row.count, 10);
+            if (row.status === 'delivered' && row.avg_response_ms !== null) {
+                averageResponseMs = Math.round(parseFloat(row.avg_response_ms));
+            }
+        }
+
+        const finished = counts.delivered + counts.failed;
+
+        return {
+            periodDays: days,
+            deliveries: counts.delivered + counts.failed + counts.pending,
+            ...counts,
+            successRate: finished > 0 ? counts.delivered / finished : null,
+            averageResponseMs
+        };
+    }
+
+    // Delivery log
+
+    async listDeliveries(apiKeyId, { webhookId = null, status = null, limit = 50, offset = 0 } = {}) {
+        const params = [apiKeyId];
+        let where = 'w.api_key_id = $1';
+
+        if (webhookId) {
+            params.push(webhookId);
+            where += ` AND d.webhook_id = $${params.length}`;
+        }
+        if (status) {
+            params.push(status);
+            where += ` AND d.status = $${params.length}`;
+        }
+
+        params.push(limit, offset);
+        const result = await database.query(`
+            SELECT d.*, w.name AS webhook_name
+            FROM webhook_deliveries d
+            JOIN webhooks w ON w.id = d.webhook_id
+            WHERE ${where}
+            ORDER BY d.created_at DESC
+            LIMIT $${params.length - 1} OFFSET $${params.length}
+        `, params);
+
+        return result.rows.map(row => this.formatDelivery(row));
+    }
+
+    /**
+     * Queue a fresh attempt of a logged delivery. The original entry is kept;
+     * the redelivery is a new entry pointing at it.
+     */
+    async redeliver(apiKeyId, deliveryId) {
+        const result = await database.query(`
+            SELECT d.* FROM webhook_deliveries d
+            JOIN webhooks w ON w.id = d.webhook_id
+            WHERE d.id = $1 AND w.api_key_id = $2
+        `, [deliveryId, apiKeyId]);
+
+        const original = result.rows[0];
+        if (!original) {
+            throw new WebhookError('Delivery not found', 404);
+        }
+
+        const id = crypto.randomBytes(8).toString('hex');
+        const now = new Date();
+        await database.query(`
+            INSERT INTO webhook_deliveries (
+                id, webhook_id, event_id, event_type, payload, status,
+                attempts, next_attempt_at, redelivery_of, created_at
+            ) VALUES ($1, $2, $3, $4, $5, 'pending', 0, $6, $7, $6)
+        `, [id, original.webhook_id, original.event_id, original.event_type, original.payload, now, original.redelivery_of || original.id]);
+
+        const created = await database.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+        return this.formatDelivery(created.rows[0]);
+    }
+
+    // Publishing
+
+    /**
+     * Log a delivery of `type` for every active webhook subscribed to it. The
+     * event id is derived from the event itself, so an event published twice
+     * (e.g. after a restart) is only delivered once per webhook.
+     */
+    async publish(type, data) {
+        if (!data) {
+            return 0;
+        }
+
+        const now = new Date();
+        const result = await database.query(`
+            SELECT w.id, w.events, k.owner_address, k.scopes
+            FROM webhooks w
+            JOIN api_keys k ON k.id = w.api_key_id
+            WHERE w.status = 'active' AND k.revoked_at IS NULL
+            AND (k.expires_at IS NULL OR k.expires_at > $1)
+        `, [now]);
+
+        const eventId = this.eventId(type, data);
+        const payload = JSON.stringify({ id: eventId, type, createdAt: now.toISOString(), data });
+        let queued = 0;
+
+        for (const webhook of result.rows) {
+            if (!this.parseEvents(webhook.events).includes(type) || !this.canReceive(webhook, data)) {
+                continue;
+            }
+
+            const insert = await database.query(`
+                INSERT INTO webhook_deliveries (
+                    id, webhook_id, event_id, event_type, payload, status,
+                    attempts, next_attempt_at, created_at
+                ) VALUES ($1, $2, $3, $4, $5, 'pending', 0, $6, $6)
+                ON CONFLICT DO NOTHING
+            `, [crypto.randomBytes(8).toString('hex'), webhook.id, eventId, type, payload, now]);
+            queued += insert.rowCount;
+        }
+
+        return queued;
+    }
+
+    /**
+     * Send deliveries whose next attempt is due, and ones whose sender died
+     * mid-attempt. Each is claimed before it is sent; the conditional UPDATE
+     * only matches for one replica, so a delivery is never sent twice at once.
+     */
+    async deliverDue() {
+        if (this.isDelivering) {
+            return 0;
+        }
+
+        this.isDelivering = true;
+
+        try {
+            const now = new Date();
+            const result = await database.query(`
+                SELECT d.*, w.url, w.secret
+                FROM webhook_deliveries d
+                JOIN webhooks w ON w.id = d.webhook_id
+                WHERE ((d.status = 'pending' AND d.next_attempt_at <= $1) OR (d.status = 'delivering' AND d.locked_until <= $1))
+                AND w.status = 'active'
+                ORDER BY d.next_attempt_at ASC
+                LIMIT $2
+            `, [now, config.webhooks.batchSize]);
+
+            let sent = 0;
+            for (const delivery of result.rows) {
+                if (await this.claim(delivery, now)) {
+                    await this.attempt(delivery);
+                    sent++;
+                }
+            }
+
+            return sent;
+
+        } finally {
+            this.isDelivering = false;
+        }
+    }
+
+    async claim(delivery, now) {
+        const lockedUntil = new Date(now.getTime() + config.webhooks.leaseTimeout * 1000);
+        const claimed = await database.query(`
+            UPDATE webhook_deliveries SET status = 'delivering', locked_until = $4
+            WHERE id = $1
+            AND ((status = 'pending' AND attempts = $2) OR (status = 'delivering' AND locked_until <= $3))
+        `, [delivery.id, delivery.attempts, now, lockedUntil]);
+
+        if (claimed.rowCount === 1 && delivery.status === 'delivering') {
+            logger.warn(`Reclaimed webhook delivery ${delivery.id} after its lease expired`);
+        }
+
+        return claimed.rowCount === 1;
+    }
+
+    async attempt(delivery) {
+        const attempts = parseInt(delivery.attempts, 10) + 1;
+        const timestamp = Date.now().toString();
+        const signature = crypto.createHmac('sha256', delivery.secret)
+            .update(`${timestamp}.${delivery.payload}`)
+            .digest('hex');
+
+        const started = Date.now();
+        let responseStatus = null;
+        let errorMessage = null;
+
+        try {
+            // DNS may have changed since registration; the agents connect only to addresses checked again here
+            const { hostname } = new URL(delivery.url);
+            await this.resolvePublicHost(hostname);
+
+            const response = await axios.post(delivery.url, delivery.payload, {
+                timeout: config.webhooks.requestTimeout,
+                maxRedirects: 0,
+                httpAgent: this.httpAgent,
+                httpsAgent: this.httpsAgent,
+                validateStatus: () => true,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'VernWallet-Webhooks/1.0',
+                    'X-Bridge-Event': delivery.event_type,
+                    'X-Bridge-Delivery': delivery.id,
+                    'X-Bridge-Timestamp': timestamp,
+                    'X-Bridge-Signature': signature
+                }
+            });
+
+            responseStatus = response.status;
+            if (response.status < 200 || response.status >= 300) {
+                errorMessage = `Endpoint responded with ${response.status}`;
+            }
+        } catch (error) {
+            errorMessage = error.message;
+        }
+
+        const now = new Date();
+        const responseTime = Date.now() - started;
+
+        if (!errorMessage) {
+            await database.query(`
+                UPDATE webhook_deliveries
+                SET status = 'delivered', attempts = $2, last_attempt_at = $3, delivered_at = $3,
+                    response_status = $4, response_time_ms = $5, error_message = NULL, next_attempt_at = NULL,
+                    locked_until = NULL
+                WHERE id = $1
+            `, [delivery.id, attempts, now, responseStatus, responseTime]);
+            return true;
+        }
+
+        const exhausted = attempts >= config.webhooks.maxAttempts;
+        const nextAttempt = exhausted ? null : new Date(now.getTime() + this.retryDelay(attempts) * 1000);
+
+        await database.query(`
+            UPDATE webhook_deliveries
+            SET status = $2, attempts = $3, last_attempt_at = $4, next_attempt_at = $5,
+                response_status = $6, response_time_ms = $7, error_message = $8, locked_until = NULL
+            WHERE id = $1
+        `, [delivery.id, exhausted ? 'failed' : 'pending', attempts, now, nextAttempt, responseStatus, responseTime, errorMessage]);
+
+        logger.warn(`Webhook delivery ${delivery.id} attempt ${attempts} failed: ${errorMessage}${exhausted ? ' (giving up)' : ''}`);
+        return false;
+    }
+
+    /**
+     * Seconds to wait after the given attempt: 30s, 1m, 2m, ... capped
+     */
+    retryDelay(attempts) {
+        return Math.min(config.webhooks.retryBaseDelay * 2 ** (attempts - 1), config.webhooks.retryMaxDelay);
+    }
+
+    // Helpers
+
+    async getWebhookRow(apiKeyId, webhookId) {
+        const result = await database.query(
+            'SELECT * FROM webhooks WHERE id = $1 AND api_key_id = $2',
+            [webhookId, apiKeyId]
+        );
+        if (result.rows.length === 0) {
+            throw new WebhookError('Webhook not found', 404);
+        }
+        return result.rows[0];
+    }
+
+    async withLastDelivery(rows) {
+        const webhooks = [];
+
+        for (const row of rows) {
+            const last = await database.query(`
+                SELECT status, last_attempt_at, response_status FROM webhook_deliveries
+                WHERE webhook_id = $1 AND last_attempt_at IS NOT NULL
+                ORDER BY last_attempt_at DESC
+                LIMIT 1
+            `, [row.id]);
+
+            webhooks.push(this.formatWebhook(row, last.rows[0] || null));
+        }
+
+        return webhooks;
+    }
+
+    async validateWebhook({ name, url, events, status }) {
+        if (typeof name !== 'string' || name.trim().length === 0 || name.length > 64) {
+            throw new WebhookError('name must be a string of 1-64 characters');
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new WebhookError('url must be a valid URL');
+        }
+        if (parsed.protocol !== 'https:' && (config.isProduction || parsed.protocol !== 'http:')) {
+            throw new WebhookError(config.isProduction ? 'url must use https' : 'url must use http or https');
+        }
+        await this.resolvePublicHost(parsed.hostname);
+
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new WebhookError(`events must be a non-empty array of: ${EVENT_TYPES.join(', ')}`);
+        }
+        const unknown = events.filter(event => !EVENT_TYPES.includes(event));
+        if (unknown.length > 0) {
+            throw new WebhookError(`Unknown events: ${unknown.join(', ')}`);
+        }
+
+        if (!['active', 'paused'].includes(status)) {
+            throw new WebhookError('status must be active or paused');
+        }
+
+        return { name: name.trim(), url: parsed.toString(), events: [...new Set(events)], status };
+    }
+
+    /**
+     * Resolve `hostname` (or take it as an IP literal) and fail unless every
+     * address is public
+     */
+    async resolvePublicHost(hostname) {
+        const host = hostname.replace(/^\[(.*)\]$/, '$1');
+
+        let addresses;
+        if (net.isIP(host)) {
+            addresses = [{ address: host, family: net.isIP(host) }];
+        } else {
+            try {
+                addresses = await dns.promises.lookup(host, { all: true });
+            } catch (error) {
+                throw new WebhookError(`url host ${host} does not resolve`);
+            }
+        }
+
+        this.assertPublic(host, addresses);
+        return addresses;
+    }
+
+    // dns.lookup for the delivery agents, refusing non-public addresses
+    lookupPublic(hostname, options, callback) {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) {
+                return callback(error);
+            }
+
+            try {
+                this.assertPublic(hostname, addresses);
+            } catch (blocked) {
+                return callback(blocked);
+            }
+
+            if (options.all) {
+                return callback(null, addresses);
+            }
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+
+    assertPublic(host, addresses) {
+        if (config.webhooks.allowPrivateHosts) {
+            return;
+        }
+
+        const blocked = addresses.find(({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+        if (blocked) {
+            throw new WebhookError(`url host ${host} resolves to a non-public address (${blocked.address})`);
+        }
+    }
+
+    /**
+     * Operator keys see every event; other keys only events for their owner's address
+     */
+    canReceive(webhook, data) {
+        if (webhook.scopes.split(',').includes('operator')) {
+            return true;
+        }
+
+        const address = data.starknetRecipient || data.user;
+        return Boolean(address) && this.sameAddress(address, webhook.owner_address);
+    }
+
+    sameAddress(a, b) {
+        try {
+            return BigInt(a) === BigInt(b);
+        } catch (error) {
+            return a === b;
+        }
+    }
+
+    eventId(type, data) {
+        const reference = [
+            data.depositId || data.btcTxHash || data.withdrawalId,
+            // A deposit can be detected again in another block after a reorg
+            type === 'deposit.detected' || type === 'deposit.reorged' ? data.blockHash : null
+        ].filter(Boolean).join(':');
+
+        return 'evt_' + crypto.createHash('sha256').update(`${type}:${reference}`).digest('hex').slice(0, 32);
+    }
+
+    parseEvents(value) {
+        return value ? value.split(',') : [];
+    }
+
+    formatWebhook(row, lastDelivery) {
+        return {
+            id: row.id,
+            name: row.name,
+            url: row.url,
+            events: this.parseEvents(row.events),
+            status: row.status,
+            createdAt: this.toIso(row.created_at),
+            updatedAt: this.toIso(row.updated_at),
+            lastDelivery: lastDelivery ? {
+                status: lastDelivery.status,
+                attemptedAt: this.toIso(lastDelivery.last_attempt_at),
+                responseStatus: lastDelivery.response_status !== null ? parseInt(lastDelivery.response_status, 10) : null
+            } : null
+        };
+    }
+
+    formatDelivery(row) {
+        return {
+            id: row.id,
+            webhookId: row.webhook_id,
+            webhookName: row.webhook_name,
+            eventId: row.event_id,
+            eventType: row.event_type,
+            status: row.status,
+            attempts: parseInt(row.attempts, 10),
+            nextAttemptAt: this.toIso(row.next_attempt_at),
+            lastAttemptAt: this.toIso(row.last_attempt_at),
+            responseStatus: row.response_status !== null && row.response_status !== undefined ? parseInt(row.response_status, 10) : null,
+            responseTimeMs: row.response_time_ms !== null && row.response_time_ms !== undefined ? parseInt(row.response_time_ms, 10) : null,
+            error: row.error_message || null,
+            redeliveryOf: row.redelivery_of || null,
+            createdAt: this.toIso(row.created_at),
+            deliveredAt: this.toIso(row.delivered_at)
+        };
+    }
+
+    toIso(value) {
+        return value ? new Date(value).toISOString() : null;
+    }
+}
+
+// Export singleton instance
+module.exports = new WebhookService();
+module.exports.WebhookError = WebhookError;
+module.exports.EVENT_TYPES = EVENT_TYPES;
@@ -0,0 +1,114 @@
+/**
+ * Known-answer vectors for CryptoUtils.cairo
+ * Published SHA-256 digests and Bitcoin mainnet hashes for fixed inputs. The
+ * integration tester runs them through utils/cairo-crypto and the deployed
+ * contract; both have to produce `expected`, so a port or contract that
+ * drifts from Bitcoin's hashing shows up as a failing vector.
+ */
+
+const bytes = hex => Array.from(Buffer.from(hex, 'hex'));
+const hash = hex => '0x' + hex;
+
+// Bitcoin genesis block header and its coinbase transaction
+const GENESIS_HEADER = '01000000' + '00'.repeat(32) +
+    '3ba3edfd7a7b12b27ac72c3e67768f617fc81bc3888a51323a9fb8aa4b1e5e4a' +
+    '29ab5f49' + 'ffff001d' + '1dac2b7c';
+const GENESIS_COINBASE = '01000000' + '01' + '00'.repeat(32) + 'ffffffff' +
+    '4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73' +
+    'ffffffff' + '01' + '00f2052a01000000' +
+    '434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac' +
+    '00000000';
+
+// The four transactions of mainnet block 100000
+const BLOCK_100000_TXIDS = [
+    '8c14f0db3df150123e6f3dbbf30f8b955a8249b62ac1d1ff16284aefa3d06d87',
+    'fff2525b8931402dd09222c50775608f75787bd2b87e56995a7bdd30f79702c4',
+    '6359f0868171b1d194cbee1af2f16ea598ae8fad666d9b012c8ed2b79a236ec4',
+    'e9a66845e05d5abc0ad04ec80f774a7e585c6e8db975962d069a522137b80c1d'
+].map(hash);
+const BLOCK_100000_ROOT = hash('f3e94742aca4b5ef85488dc37c06c3282295ffec960994b2c0d5ac2a25a95766');
+// Interior nodes of that tree
+const NODE_01 = hash('ccdafb73d8dcd0173d5d5c3c9a0770d0b3953db889dab99ef05b1907518cb815');
+const NODE_23 = hash('8e30899078ca1813be036a073bbf80b86cdddde1c96e9e9c99e9e3782df4ae49');
+
+module.exports = [
+    // sha256 (FIPS 180-2 examples)
+    {
+        operation: 'sha256',
+        args: [[]],
+        expected: hash('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855')
+    },
+    {
+        operation: 'sha256',
+        args: [bytes('616263')],
+        expected: hash('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad')
+    },
+
+    // double_sha256 / hash256
+    {
+        operation: 'doubleSha256',
+        args: [[]],
+        expected: hash('5df6e0e2761359d30a8275058e299fcc0381534545f55cf43e41983f5d4c9456')
+    },
+    {
+        operation: 'doubleSha256',
+        args: [bytes('616263')],
+        expected: hash('4f8b42c22dd3729b519ba6f68d2da7cc5b2d606d05daed5ad5128cc03e6c6358')
+    },
+    {
+        operation: 'hash256',
+        args: [bytes('616263')],
+        expected: hash('4f8b42c22dd3729b519ba6f68d2da7cc5b2d606d05daed5ad5128cc03e6c6358')
+    },
+
+    // compute_block_hash / compute_txid, in display order
+    {
+        operation: 'computeBlockHash',
+        args: [bytes(GENESIS_HEADER)],
+        expected: hash('000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f')
+    },
+    {
+        operation: 'computeTxid',
+        args: [bytes(GENESIS_COINBASE)],
+        expected: hash('4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b')
+    },
+
+    // compute_merkle_root
+    { operation: 'computeMerkleRoot', args: [[]], expected: '0x0' },
+    {
+        // A lone coinbase is its own root (genesis block)
+        operation: 'computeMerkleRoot',
+        args: [[hash('4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b')]],
+        expected: hash('4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b')
+    },
+    { operation: 'computeMerkleRoot', args: [BLOCK_100000_TXIDS], expected: BLOCK_100000_ROOT },
+    {
+        // Odd level: the last node is paired with itself
+        operation: 'computeMerkleRoot',
+        args: [BLOCK_100000_TXIDS.slice(0, 3)],
+        expected: hash('fa435470825de273081dcc706b25514c936fa6dc80ab965ce6970d68ddd0b553')
+    },
+
+    // verify_merkle_proof(txid, merkle_root, merkle_branch, position)
+    {
+        operation: 'verifyMerkleProof',
+        args: [BLOCK_100000_TXIDS[1], BLOCK_100000_ROOT, [BLOCK_100000_TXIDS[0], NODE_23], 1],
+        expected: true
+    },
+    {
+        operation: 'verifyMerkleProof',
+        args: [BLOCK_100000_TXIDS[2], BLOCK_100000_ROOT, [BLOCK_100000_TXIDS[3], NODE_01], 2],
+        expected: true
+    },
+    {
+        // Right branch, wrong position
+        operation: 'verifyMerkleProof',
+        args: [BLOCK_100000_TXIDS[1], BLOCK_100000_ROOT, [BLOCK_100000_TXIDS[0], NODE_23], 0],
+        expected: false
+    },
+    {
+        operation: 'verifyMerkleProof',
+        args: [BLOCK_100000_TXIDS[0], BLOCK_100000_ROOT, [], 0],
+        expected: false
+    }
+];
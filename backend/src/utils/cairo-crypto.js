@@ -0,0 +1,130 @@
+/**
+ * CryptoUtils.cairo in JavaScript
+ * The contract's hashing and Merkle functions on Node's SHA-256, so the
+ * backend can compute what the contract would return without a view call.
+ *
+ * Results are u256 values as the contract returns them: `sha256`,
+ * `doubleSha256` and `hash256` are the digest as it reads (big-endian), while
+ * txids, block hashes and Merkle nodes are the value of their display
+ * (byte-reversed) hex, as Bitcoin shows them and the other contracts store them.
+ */
+
+const crypto = require('crypto');
+
+const U256_MAX = 2n ** 256n - 1n;
+
+/**
+ * A u256 argument as a BigInt: numbers, decimal or 0x-prefixed strings
+ */
+function toU256(value) {
+    const u256 = BigInt(value);
+    if (u256 < 0n || u256 > U256_MAX) {
+        throw new RangeError(`${value} is not a u256`);
+    }
+    return u256;
+}
+
+function toBytes(data) {
+    return Buffer.from(Array.from(data, byte => {
+        const value = Number(byte);
+        if (!Number.isInteger(value) || value < 0 || value > 255) {
+            throw new RangeError(`${byte} is not a byte`);
+        }
+        return value;
+    }));
+}
+
+function digest(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest();
+}
+
+// A digest as it reads
+function digestToU256(buffer) {
+    return BigInt('0x' + buffer.toString('hex'));
+}
+
+// A digest in internal byte order as the value of its display hex
+function digestToHash(buffer) {
+    return BigInt('0x' + Buffer.from(buffer).reverse().toString('hex'));
+}
+
+// A display-order hash back to its internal bytes
+function hashToBytes(hash) {
+    return Buffer.from(hash.toString(16).padStart(64, '0'), 'hex').reverse();
+}
+
+function sha256(data) {
+    return digestToU256(digest(toBytes(data)));
+}
+
+function doubleSha256(data) {
+    return digestToU256(digest(digest(toBytes(data))));
+}
+
+// Bitcoin's name for double SHA-256
+function hash256(data) {
+    return doubleSha256(data);
+}
+
+function computeTxid(txData) {
+    return digestToHash(digest(digest(toBytes(txData))));
+}
+
+function computeBlockHash(headerData) {
+    return digestToHash(digest(digest(toBytes(headerData))));
+}
+
+// hash_pair: double SHA-256 of both children in internal byte order
+function hashPair(left, right) {
+    const data = Buffer.concat([hashToBytes(toU256(left)), hashToBytes(toU256(right))]);
+    return digestToHash(digest(digest(data)));
+}
+
+/**
+ * compute_merkle_root: pairs are combined with hash_pair, and the last node
+ * of an odd level is paired with itself
+ */
+function computeMerkleRoot(txids) {
+    let level = txids.map(toU256);
+    if (level.length === 0) {
+        return 0n;
+    }
+
+    while (level.length !== 1) {
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(hashPair(level[i], i + 1 !== level.length ? level[i + 1] : level[i]));
+        }
+        level = next;
+    }
+
+    return level[0];
+}
+
+// verify_merkle_proof
+function verifyMerkleProof(txid, merkleRoot, merkleBranch, position) {
+    let currentHash = toU256(txid);
+    let currentPosition = Number(position);
+
+    for (const sibling of merkleBranch) {
+        currentHash = currentPosition % 2 === 0
+            ? hashPair(currentHash, toU256(sibling))
+            : hashPair(toU256(sibling), currentHash);
+        currentPosition = Math.floor(currentPosition / 2);
+    }
+
+    return currentHash === toU256(merkleRoot);
+}
+
+module.exports = {
+    U256_MAX,
+    toU256,
+    sha256,
+    doubleSha256,
+    hash256,
+    computeTxid,
+    computeBlockHash,
+    hashPair,
+    computeMerkleRoot,
+    verifyMerkleProof
+};
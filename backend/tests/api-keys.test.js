@@ -0,0 +1,132 @@
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/services/database');
+const apiKeys = require('../src/services/api-keys');
+const roleService = require('../src/services/roles');
+const { authenticate, requireScope } = require('../src/middleware/auth');
+
+const OWNER = '0x0abc';
+
+describe('API keys', () => {
+    const app = express()
+        .use(authenticate)
+        .get('/bridge', requireScope('bridge'), (req, res) => res.json({ success: true }))
+        .post('/bridge', requireScope('bridge'), (req, res) => res.json({ success: true }));
+
+    beforeAll(async () => {
+        await database.initialize();
+    });
+
+    beforeEach(async () => {
+        await database.query('DELETE FROM api_keys');
+        apiKeys.rateWindows.clear();
+        apiKeys.lastSweep = 0;
+        jest.spyOn(roleService, 'getRoles').mockResolvedValue(['user']);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await database.close();
+    });
+
+    describe('scopes', () => {
+        test('every key may read, but writes need the route scope', async () => {
+            const { key } = await apiKeys.createKey(OWNER, { name: 'reader', scopes: ['read'] });
+
+            await request(app).get('/bridge').set('X-API-Key', key).expect(200);
+            const res = await request(app).post('/bridge').set('X-API-Key', key).expect(403);
+            expect(res.body.error).toBe("API key is missing the 'bridge' scope");
+        });
+
+        test('a key with the scope may write', async () => {
+            const { key } = await apiKeys.createKey(OWNER, { name: 'bridger', scopes: ['read', 'bridge'] });
+
+            await request(app).post('/bridge').set('X-API-Key', key).expect(200);
+        });
+
+        test('unknown scopes are refused when the key is created', async () => {
+            await expect(apiKeys.createKey(OWNER, { name: 'bad', scopes: ['read', 'admin'] }))
+                .rejects.toMatchObject({ name: 'ApiKeyError', status: 400, message: 'Unknown scopes: admin' });
+        });
+    });
+
+    test('an expired key is refused', async () => {
+        const created = await apiKeys.createKey(OWNER, { name: 'old', scopes: ['read'] });
+        await database.query('UPDATE api_keys SET expires_at = $2 WHERE id = $1', [created.id, new Date(Date.now() - 1000)]);
+
+        const res = await request(app).get('/bridge').set('X-API-Key', created.key).expect(401);
+        expect(res.body.error).toBe('Invalid, expired or revoked API key');
+        expect((await apiKeys.listKeys(OWNER))[0].status).toBe('expired');
+    });
+
+    test('a key that is not in vwk_<id>_<secret> form or has the wrong secret is refused', async () => {
+        const { id } = await apiKeys.createKey(OWNER, { name: 'mine', scopes: ['read'] });
+
+        await request(app).get('/bridge').set('X-API-Key', 'not-a-key').expect(401);
+        await request(app).get('/bridge').set('X-API-Key', `vwk_${id}_${'A'.repeat(43)}`).expect(401);
+    });
+
+    describe('rotation', () => {
+        test('the new key inherits the old one, which keeps working until the grace period ends', async () => {
+            const old = await apiKeys.createKey(OWNER, { name: 'mine', scopes: ['read', 'bridge'], rateLimitPerMinute: 30 });
+
+            const rotated = await apiKeys.rotateKey(OWNER, old.id, 3600);
+
+            expect(rotated).toMatchObject({ name: 'mine', scopes: ['read', 'bridge'], rateLimitPerMinute: 30, expiresAt: old.expiresAt });
+            expect(new Date(rotated.previousKeyExpiresAt).getTime()).toBeLessThanOrEqual(Date.now() + 3600 * 1000);
+            await request(app).post('/bridge').set('X-API-Key', rotated.key).expect(200);
+            await request(app).post('/bridge').set('X-API-Key', old.key).expect(200);
+
+            const keys = await apiKeys.listKeys(OWNER);
+            expect(keys.find(key => key.id === old.id)).toMatchObject({ status: 'rotating', rotatedTo: rotated.id });
+
+            // Grace period over
+            await database.query('UPDATE api_keys SET expires_at = $2 WHERE id = $1', [old.id, new Date(Date.now() - 1000)]);
+            await request(app).get('/bridge').set('X-API-Key', old.key).expect(401);
+            await request(app).get('/bridge').set('X-API-Key', rotated.key).expect(200);
+        });
+
+        test('a key can only be rotated once', async () => {
+            const old = await apiKeys.createKey(OWNER, { name: 'mine', scopes: ['read'] });
+            await apiKeys.rotateKey(OWNER, old.id);
+
+            await expect(apiKeys.rotateKey(OWNER, old.id)).rejects.toMatchObject({ name: 'ApiKeyError', status: 409 });
+        });
+    });
+
+    describe('rate limit', () => {
+        test('answers 429 with Retry-After once the per-minute budget is spent', async () => {
+            const { key } = await apiKeys.createKey(OWNER, { name: 'mine', scopes: ['read'], rateLimitPerMinute: 2 });
+
+            const first = await request(app).get('/bridge').set('X-API-Key', key).expect(200);
+            expect(first.headers['x-ratelimit-limit']).toBe('2');
+            expect(first.headers['x-ratelimit-remaining']).toBe('1');
+            await request(app).get('/bridge').set('X-API-Key', key).expect(200);
+
+            const limited = await request(app).get('/bridge').set('X-API-Key', key).expect(429);
+            expect(limited.body).toEqual({ success: false, error: 'API key rate limit exceeded' });
+            expect(limited.headers['x-ratelimit-remaining']).toBe('0');
+            expect(parseInt(limited.headers['retry-after'], 10)).toBeGreaterThanOrEqual(1);
+        });
+
+        test('starts a fresh window after a minute', () => {
+            const key = { id: 'k1', rateLimitPerMinute: 1 };
+
+            expect(apiKeys.consumeRateLimit(key, 1000000).allowed).toBe(true);
+            expect(apiKeys.consumeRateLimit(key, 1030000).allowed).toBe(false);
+            expect(apiKeys.consumeRateLimit(key, 1060000)).toMatchObject({ allowed: true, remaining: 0, resetAt: 1120000 });
+        });
+
+        test('forgets the windows of keys that stopped making requests', () => {
+            apiKeys.consumeRateLimit({ id: 'idle', rateLimitPerMinute: 10 }, 2000000);
+            apiKeys.consumeRateLimit({ id: 'busy', rateLimitPerMinute: 10 }, 2050000);
+
+            apiKeys.consumeRateLimit({ id: 'busy', rateLimitPerMinute: 10 }, 2070000);
+
+            expect([...apiKeys.rateWindows.keys()]).toEqual(['busy']);
+        });
+    });
+});
@@ -0,0 +1,45 @@
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/services/database');
+const authService = require('../src/services/auth');
+const authRoutes = require('../src/routes/auth');
+
+const ADDRESS = '0x' + '0a'.repeat(32);
+
+describe('auth routes', () => {
+    const app = express().use(express.json()).use('/api/auth', authRoutes);
+
+    beforeAll(async () => {
+        await database.initialize();
+    });
+
+    afterAll(async () => {
+        await database.close();
+    });
+
+    test('POST /api/auth/verify rejects a malformed Starknet address with 400', async () => {
+        const { nonce } = await authService.createChallenge(ADDRESS, 'starknet');
+
+        const res = await request(app)
+            .post('/api/auth/verify')
+            .send({ address: '0xnot-an-address', nonce, signature: ['0x1', '0x2'] })
+            .expect(400);
+
+        expect(res.body).toEqual({ success: false, error: 'Invalid address' });
+
+        // The nonce is left for the wallet it was issued to
+        const row = await database.query('SELECT used_at FROM auth_nonces WHERE nonce = $1', [nonce]);
+        expect(row.rows[0].used_at).toBeNull();
+    });
+
+    test('POST /api/auth/verify answers 401 for an address the nonce was not issued to', async () => {
+        const { nonce } = await authService.createChallenge(ADDRESS, 'starknet');
+
+        const res = await request(app)
+            .post('/api/auth/verify')
+            .send({ address: '0x' + '0b'.repeat(32), nonce, signature: ['0x1', '0x2'] })
+            .expect(401);
+
+        expect(res.body).toEqual({ success: false, error: 'Unknown nonce' });
+    });
+});
@@ -0,0 +1,79 @@
+const bitcoin = require('bitcoinjs-lib');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { verifyMessage, signMessage, decodeAddress } = require('../src/services/bitcoin-message');
+
+// BIP-322 test vectors
+const P2WPKH = 'bc1q9vza2e8x573nczrlzms0wvx3gsqjx7vavgkx0l';
+const P2TR = 'bc1ppv609nr0vr25u07u95waq5lucwfm6tde4nydujnu8npg4q75mr5sxq8lt3';
+const P2WPKH_EMPTY = 'AkcwRAIgM2gBAQqvZX15ZiysmKmQpDrG83avLIT492QBzLnQIxYCIBaTpOaD20qRlEylyxFSeEA2ba9YOixpX8z46TSDtS40ASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI=';
+const P2WPKH_HELLO = 'AkcwRAIgZRfIY3p7/DoVTty6YZbWS71bc5Vct9p9Fia83eRmw2QCICK/ENGfwLtptFluMGs2KsqoNSk89pO7F29zJLUx9a/sASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI=';
+const P2TR_HELLO = 'AUHd69PrJQEv+oKTfZ8l+WROBHuy9HKrbFCJu7U1iK2iiEy1vMU5EfMtjc+VSHM7aU0SDbak5IUZRVno2P5mjSafAQ==';
+
+const PRIVATE_KEY = Buffer.from('0000000000000000000000000000000000000000000000000000000000000001', 'hex');
+const PUBLIC_KEY = Buffer.from(secp256k1.getPublicKey(PRIVATE_KEY, true));
+const P2PKH = bitcoin.payments.p2pkh({ pubkey: PUBLIC_KEY }).address;
+
+describe('bitcoin message signatures', () => {
+    test('classifies the address types it supports', () => {
+        expect(decodeAddress(P2WPKH).type).toBe('p2wpkh');
+        expect(decodeAddress(P2TR).type).toBe('p2tr');
+        expect(decodeAddress(P2PKH).type).toBe('p2pkh');
+        expect(decodeAddress('3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy').type).toBe('unsupported');
+        expect(decodeAddress('not an address')).toBeNull();
+    });
+
+    describe('BIP-322 simple', () => {
+        test('verifies the P2WPKH vectors', () => {
+            expect(verifyMessage(P2WPKH, '', P2WPKH_EMPTY)).toBe(true);
+            expect(verifyMessage(P2WPKH, 'Hello World', P2WPKH_HELLO)).toBe(true);
+        });
+
+        test('verifies the P2TR key-path vector', () => {
+            expect(verifyMessage(P2TR, 'Hello World', P2TR_HELLO)).toBe(true);
+        });
+
+        test('rejects a signature over another message', () => {
+            expect(verifyMessage(P2WPKH, 'Hello World', P2WPKH_EMPTY)).toBe(false);
+            expect(verifyMessage(P2WPKH, '', P2WPKH_HELLO)).toBe(false);
+            expect(verifyMessage(P2TR, 'Hello world', P2TR_HELLO)).toBe(false);
+        });
+
+        test('rejects a signature checked against another address', () => {
+            expect(verifyMessage('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', 'Hello World', P2WPKH_HELLO)).toBe(false);
+            expect(verifyMessage(P2TR, 'Hello World', P2WPKH_HELLO)).toBe(false);
+        });
+
+        test('rejects malformed witnesses', () => {
+            const truncated = Buffer.from(P2WPKH_HELLO, 'base64').subarray(0, 50).toString('base64');
+            const trailing = Buffer.concat([Buffer.from(P2TR_HELLO, 'base64'), Buffer.from([0])]).toString('base64');
+
+            expect(verifyMessage(P2WPKH, 'Hello World', truncated)).toBe(false);
+            expect(verifyMessage(P2TR, 'Hello World', trailing)).toBe(false);
+            expect(verifyMessage(P2WPKH, 'Hello World', '')).toBe(false);
+        });
+    });
+
+    describe('legacy signmessage', () => {
+        test('verifies its own signatures for the P2PKH address', () => {
+            const signature = signMessage(PRIVATE_KEY, 'Sign in to the bridge');
+
+            expect(Buffer.from(signature, 'base64')).toHaveLength(65);
+            expect(verifyMessage(P2PKH, 'Sign in to the bridge', signature)).toBe(true);
+            expect(verifyMessage(P2PKH, 'Sign in to the bridge!', signature)).toBe(false);
+        });
+
+        test('accepts a compressed-key signature for the P2WPKH address of the same key', () => {
+            const address = bitcoin.payments.p2wpkh({ pubkey: PUBLIC_KEY }).address;
+            expect(verifyMessage(address, 'hello', signMessage(PRIVATE_KEY, 'hello'))).toBe(true);
+        });
+
+        test('does not apply to Taproot addresses', () => {
+            expect(verifyMessage(P2TR, 'hello', signMessage(PRIVATE_KEY, 'hello'))).toBe(false);
+        });
+
+        test('rejects a signature from another key', () => {
+            const otherKey = Buffer.from('02'.padStart(64, '0'), 'hex');
+            expect(verifyMessage(P2PKH, 'hello', signMessage(otherKey, 'hello'))).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,127 @@
+const database = require('../src/services/database');
+const bridgeState = require('../src/services/bridge-state');
+
+const { DEPOSIT_STATES: D, WITHDRAWAL_STATES: W, TransitionError } = bridgeState;
+
+// Deposits without an address are known by their transaction hash
+async function insertDeposit(btcTxHash, status = D.DETECTED) {
+    await database.query(
+        'INSERT INTO deposits (deposit_id, btc_tx_hash, amount, starknet_recipient, status, created_at) VALUES ($1, $1, $2, $3, $4, $5)',
+        [btcTxHash, '0.5', '0x123', status, new Date()]
+    );
+    if (status === D.DETECTED) {
+        await bridgeState.recordCreated('deposit', btcTxHash, { actor: 'test' });
+    }
+}
+
+describe('bridge state machine', () => {
+    beforeAll(async () => {
+        await database.initialize();
+    });
+
+    afterAll(async () => {
+        await database.close();
+    });
+
+    test('allows only the listed transitions', () => {
+        expect(bridgeState.canTransition('deposit', D.DETECTED, D.CONFIRMING)).toBe(true);
+        expect(bridgeState.canTransition('deposit', D.DETECTED, D.MINTED)).toBe(false);
+        expect(bridgeState.canTransition('deposit', D.SUBMITTED, D.PROVEN)).toBe(true);
+        expect(bridgeState.canTransition('deposit', D.MINTED, D.REORGED)).toBe(false);
+        expect(bridgeState.canTransition('withdrawal', W.REQUESTED, W.QUORUM)).toBe(true);
+        expect(bridgeState.canTransition('withdrawal', W.BROADCAST, W.EMERGENCY_UNLOCKED)).toBe(false);
+        expect(() => bridgeState.canTransition('refund', 'a', 'b')).toThrow('Unknown bridge entity type');
+    });
+
+    test('rejects a start outside the initial and entry states', async () => {
+        await expect(bridgeState.recordCreated('deposit', 'tx-start', { state: D.MINTED, actor: 'test' }))
+            .rejects.toBeInstanceOf(TransitionError);
+        await expect(bridgeState.recordCreated('withdrawal', 'w-start', { state: W.SUBMITTED, actor: 'test' }))
+            .resolves.toBeUndefined();
+    });
+
+    test('moves a deposit along its path and writes the audit trail', async () => {
+        await insertDeposit('tx-path');
+
+        const from = await bridgeState.transition('deposit', 'tx-path', D.CONFIRMING, {
+            actor: 'scanner',
+            reason: '6 confirmations',
+            fields: { confirmations: 6 }
+        });
+        expect(from).toBe(D.DETECTED);
+
+        const row = await database.query('SELECT status, confirmations FROM deposits WHERE deposit_id = $1', ['tx-path']);
+        expect(row.rows[0]).toMatchObject({ status: D.CONFIRMING, confirmations: 6 });
+
+        const timeline = await bridgeState.getTimeline('deposit', 'tx-path');
+        expect(timeline.status).toBe(D.CONFIRMING);
+        expect(timeline.terminal).toBe(false);
+        expect(timeline.transitions.map(t => [t.from, t.to, t.actor])).toEqual([
+            [null, D.DETECTED, 'test'],
+            [D.DETECTED, D.CONFIRMING, 'scanner']
+        ]);
+        expect(timeline.steps.filter(step => step.reached).map(step => step.state)).toEqual([D.DETECTED, D.CONFIRMING]);
+    });
+
+    test('refuses a disallowed transition and leaves the row alone', async () => {
+        await insertDeposit('tx-skip');
+
+        await expect(bridgeState.transition('deposit', 'tx-skip', D.MINTED, { actor: 'test' }))
+            .rejects.toMatchObject({ name: 'TransitionError', status: 409 });
+
+        const row = await database.query('SELECT status FROM deposits WHERE deposit_id = $1', ['tx-skip']);
+        expect(row.rows[0].status).toBe(D.DETECTED);
+    });
+
+    test('rolls the status change back when its audit row cannot be written', async () => {
+        await insertDeposit('tx-audit');
+        jest.spyOn(bridgeState, 'record').mockRejectedValueOnce(new Error('disk full'));
+
+        await expect(bridgeState.transition('deposit', 'tx-audit', D.CONFIRMING, { actor: 'test' }))
+            .rejects.toThrow('disk full');
+        jest.restoreAllMocks();
+
+        const row = await database.query('SELECT status FROM deposits WHERE deposit_id = $1', ['tx-audit']);
+        expect(row.rows[0].status).toBe(D.DETECTED);
+        expect((await bridgeState.getTimeline('deposit', 'tx-audit')).transitions).toHaveLength(1);
+    });
+
+    test('reports an unknown entity as 404', async () => {
+        await expect(bridgeState.transition('deposit', 'tx-missing', D.CONFIRMING, { actor: 'test' }))
+            .rejects.toMatchObject({ status: 404 });
+    });
+
+    test('moving to the current state only updates fields', async () => {
+        await insertDeposit('tx-same', D.CONFIRMING);
+
+        await bridgeState.transition('deposit', 'tx-same', D.CONFIRMING, { actor: 'test', fields: { confirmations: 9 } });
+
+        const row = await database.query('SELECT status, confirmations FROM deposits WHERE deposit_id = $1', ['tx-same']);
+        expect(row.rows[0]).toMatchObject({ status: D.CONFIRMING, confirmations: 9 });
+        const timeline = await bridgeState.getTimeline('deposit', 'tx-same');
+        expect(timeline.transitions).toHaveLength(0);
+    });
+
+    test('a reorg restarts the path in the timeline', async () => {
+        await insertDeposit('tx-reorg');
+        await bridgeState.transition('deposit', 'tx-reorg', D.CONFIRMING, { actor: 'test' });
+        await bridgeState.transition('deposit', 'tx-reorg', D.REORGED, { actor: 'test' });
+        await bridgeState.transition('deposit', 'tx-reorg', D.DETECTED, { actor: 'test' });
+
+        const timeline = await bridgeState.getTimeline('deposit', 'tx-reorg');
+        expect(timeline.steps.filter(step => step.reached).map(step => step.state)).toEqual([D.DETECTED]);
+    });
+
+    test('only one of two concurrent moves from the same state wins', async () => {
+        await insertDeposit('tx-race', D.PROVEN);
+
+        const results = await Promise.allSettled([
+            bridgeState.transition('deposit', 'tx-race', D.SUBMITTED, { actor: 'worker-1' }),
+            bridgeState.transition('deposit', 'tx-race', D.FAILED, { actor: 'worker-2' })
+        ]);
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+        const timeline = await bridgeState.getTimeline('deposit', 'tx-race');
+        expect(timeline.transitions).toHaveLength(1);
+    });
+});
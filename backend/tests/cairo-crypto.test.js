@@ -0,0 +1,20 @@
+const cairoCrypto = require('../src/utils/cairo-crypto');
+const vectors = require('../src/utils/cairo-crypto-vectors');
+
+describe('cairo-crypto', () => {
+    test.each(vectors.map(vector => [vector.operation, vector]))('%s matches its known answer', (operation, vector) => {
+        expect(BigInt(cairoCrypto[operation](...vector.args))).toBe(BigInt(vector.expected));
+    });
+
+    test('every vector names a ported function', () => {
+        for (const { operation } of vectors) {
+            expect(typeof cairoCrypto[operation]).toBe('function');
+        }
+    });
+
+    test('rejects values outside u256 and non-byte input', () => {
+        expect(() => cairoCrypto.toU256(-1)).toThrow(RangeError);
+        expect(() => cairoCrypto.toU256(cairoCrypto.U256_MAX + 1n)).toThrow(RangeError);
+        expect(() => cairoCrypto.sha256([256])).toThrow(RangeError);
+    });
+});
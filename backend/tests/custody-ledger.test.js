@@ -0,0 +1,260 @@
+const bitcoin = require('bitcoinjs-lib');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const config = require('../src/config');
+const database = require('../src/services/database');
+const custody = require('../src/services/custody');
+const custodyLedger = require('../src/services/custody-ledger');
+const bitcoinService = require('../src/services/bitcoin');
+const starknetService = require('../src/services/starknet');
+const bridgeLogger = require('../src/services/bridge-logger');
+const { depositId } = require('../src/services/bridge-state');
+
+const RECIPIENT = '0x0123456789abcdef';
+const PUBLIC_KEYS = [1n, 2n, 3n].map(key =>
+    Buffer.from(secp256k1.getPublicKey(key.toString(16).padStart(64, '0'), true)).toString('hex'));
+
+const txid = byte => byte.repeat(32);
+
+async function insertDeposit(btcTxHash, { status = 'minted', btcAddress = custody.getDepositAddress(RECIPIENT), amount = 0.001 } = {}) {
+    await database.query(`
+        INSERT INTO deposits (deposit_id, btc_tx_hash, amount, starknet_recipient, btc_address, status, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [depositId(btcTxHash, btcAddress), btcTxHash, amount, RECIPIENT, btcAddress, status, new Date()]);
+}
+
+async function insertPegOut(withdrawalId, { status = 'broadcast', inputs, change, bitcoinTxHash }) {
+    const psbt = new bitcoin.Psbt({ network: custody.getNetwork() });
+    for (const input of inputs) {
+        psbt.addInput({ hash: input.txid, index: input.vout });
+    }
+    psbt.addOutput({ address: custody.getDepositAddress('0x1'), value: 40000 });
+    if (change) {
+        psbt.addOutput({ script: custody.getWallet().output, value: change });
+    }
+
+    const now = new Date();
+    await database.query(`
+        INSERT INTO peg_outs (withdrawal_id, status, psbt, recipient, amount, bridge_fee, network_fee,
+            change_amount, fee_rate, bitcoin_tx_hash, created_at, updated_at)
+        VALUES ($1, $2, $3, 'bcrt1q', 40000, 0, 1000, $4, 5, $5, $6, $6)
+    `, [withdrawalId, status, psbt.toBase64(), change || 0, bitcoinTxHash, now]);
+
+    for (const input of inputs) {
+        await database.query(
+            'INSERT INTO peg_out_inputs (txid, vout, withdrawal_id, value) VALUES ($1, $2, $3, $4)',
+            [input.txid, input.vout, withdrawalId, input.value]
+        );
+    }
+}
+
+describe('custody ledger', () => {
+    const saved = {};
+
+    beforeAll(async () => {
+        saved.network = config.bitcoin.network;
+        saved.custody = { ...config.custody };
+        config.bitcoin.network = 'regtest';
+        config.custody.publicKeys = PUBLIC_KEYS;
+        config.custody.threshold = 2;
+
+        await database.initialize();
+    });
+
+    beforeEach(async () => {
+        for (const table of ['deposits', 'peg_outs', 'peg_out_inputs', 'custody_utxos', 'custody_reconciliations', 'signing_sessions']) {
+            await database.query(`DELETE FROM ${table}`);
+        }
+
+        config.custody.reconcileTolerance = 0;
+        config.custody.pauseOnShortfall = false;
+        custodyLedger.uncontrolledDeposits.clear();
+
+        jest.spyOn(bridgeLogger, 'logBitcoinOperation').mockResolvedValue();
+        jest.spyOn(bridgeLogger, 'logBridgeOperation').mockResolvedValue();
+        jest.spyOn(bitcoinService, 'getAddressUtxos').mockResolvedValue([]);
+        jest.spyOn(bitcoinService, 'getConfirmations').mockResolvedValue(0);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        config.bitcoin.network = saved.network;
+        Object.assign(config.custody, saved.custody);
+        await database.close();
+    });
+
+    describe('sync', () => {
+        test('records minted deposits paid to their derived address, and only those', async () => {
+            const address = custody.getDepositAddress(RECIPIENT);
+            await insertDeposit(txid('aa'));
+            await insertDeposit(txid('bb'), { btcAddress: 'bcrt1qw508d6qejxtdg4y5r3zarvary0c5xw7kygt080' });
+            await insertDeposit(txid('cc'), { status: 'confirming' });
+            jest.spyOn(bitcoinService, 'getTransaction').mockResolvedValue({
+                outputs: [{ index: 0, address: 'bcrt1qother', valueSat: 5000 }, { index: 1, address, valueSat: 100000 }]
+            });
+
+            expect((await custodyLedger.sync()).recorded).toBe(1);
+
+            const utxos = await custodyLedger.getUnspentUtxos();
+            expect(utxos).toHaveLength(1);
+            expect(utxos[0]).toMatchObject({ txid: txid('aa'), vout: 1, value: 100000, source: 'deposit' });
+
+            // Already recorded
+            expect((await custodyLedger.sync()).recorded).toBe(0);
+        });
+
+        test('records each deposit of a transaction paying several deposit addresses', async () => {
+            const other = '0xfedcba9876543210';
+            const addresses = [custody.getDepositAddress(RECIPIENT), custody.getDepositAddress(other)];
+            await insertDeposit(txid('aa'));
+            await database.query(`
+                INSERT INTO deposits (deposit_id, btc_tx_hash, amount, starknet_recipient, btc_address, status, created_at)
+                VALUES ($1, $2, 0.0002, $3, $4, 'minted', $5)
+            `, [depositId(txid('aa'), addresses[1]), txid('aa'), other, addresses[1], new Date()]);
+            jest.spyOn(bitcoinService, 'getTransaction').mockResolvedValue({
+                outputs: [{ index: 0, address: addresses[1], valueSat: 20000 }, { index: 1, address: addresses[0], valueSat: 100000 }]
+            });
+
+            expect((await custodyLedger.sync()).recorded).toBe(2);
+
+            const utxos = await custodyLedger.getDepositUtxos();
+            expect(utxos.map(utxo => [utxo.vout, utxo.value, utxo.starknetRecipient])).toEqual([[1, 100000, RECIPIENT], [0, 20000, other]]);
+        });
+
+        test('drops a deposit output once the deposit is reorged', async () => {
+            await insertDeposit(txid('aa'), { status: 'reorged' });
+            const address = custody.getDepositAddress(RECIPIENT);
+            await custodyLedger.addUtxo({ txid: txid('aa'), vout: 0, address, value: 100000, source: 'deposit', reference: depositId(txid('aa'), address) });
+
+            expect((await custodyLedger.sync()).dropped).toBe(1);
+            expect(await custodyLedger.getUnspentUtxos()).toEqual([]);
+        });
+
+        test('marks the inputs of a sent peg-out spent and records its change', async () => {
+            await custodyLedger.addUtxo({ txid: txid('aa'), vout: 0, address: custody.getAddress(), value: 50000, source: 'custody', reference: null });
+            await insertPegOut('7', { inputs: [{ txid: txid('aa'), vout: 0, value: 50000 }], change: 9000, bitcoinTxHash: txid('dd') });
+
+            expect((await custodyLedger.sync()).spent).toBe(1);
+
+            const { utxos } = await custodyLedger.listUtxos();
+            expect(utxos.find(utxo => utxo.txid === txid('aa'))).toMatchObject({ status: 'spent', spentBy: '7', spentTxid: txid('dd') });
+            expect(utxos.find(utxo => utxo.txid === txid('dd'))).toMatchObject({ status: 'unspent', vout: 1, value: 9000, source: 'change' });
+        });
+
+        test('leaves the inputs of a peg-out that was never sent alone', async () => {
+            await custodyLedger.addUtxo({ txid: txid('aa'), vout: 0, address: custody.getAddress(), value: 50000, source: 'custody', reference: null });
+            await insertPegOut('8', { status: 'signed', inputs: [{ txid: txid('aa'), vout: 0, value: 50000 }], change: 9000, bitcoinTxHash: null });
+
+            expect((await custodyLedger.sync()).spent).toBe(0);
+            expect((await custodyLedger.getBalance()).total).toBe(50000);
+        });
+
+        test('discovers confirmed custody outputs and flags one spent outside a peg-out', async () => {
+            const alerts = [];
+            custodyLedger.on('systemAlert', alert => alerts.push(alert));
+
+            await custodyLedger.addUtxo({ txid: txid('ee'), vout: 0, address: custody.getAddress(), value: 70000, source: 'custody', reference: null });
+            bitcoinService.getAddressUtxos.mockResolvedValue([
+                { txid: txid('ff'), vout: 2, value: 30000, confirmations: 3 },
+                { txid: txid('99'), vout: 0, value: 10000, confirmations: 0 }
+            ]);
+            bitcoinService.getConfirmations.mockResolvedValue(6);
+
+            const result = await custodyLedger.sync();
+            custodyLedger.removeAllListeners('systemAlert');
+
+            expect(result).toMatchObject({ discovered: 1, unexpectedSpends: 1 });
+            expect(alerts).toEqual([expect.objectContaining({ alertType: 'custody_unexpected_spend', severity: 'critical' })]);
+            expect(await custodyLedger.getBalance()).toMatchObject({ total: 30000, bySource: { custody: 30000 } });
+        });
+    });
+
+    test('flags a deposit address output spent outside a peg-out and no longer counts it', async () => {
+        const alerts = [];
+        custodyLedger.on('systemAlert', alert => alerts.push(alert));
+
+        const address = custody.getDepositAddress(RECIPIENT);
+        await insertDeposit(txid('aa'));
+        await custodyLedger.addUtxo({ txid: txid('aa'), vout: 0, address, value: 100000, source: 'deposit', reference: depositId(txid('aa'), address) });
+        bitcoinService.getAddressUtxos.mockImplementation(async queried => queried === address
+            ? []
+            : [{ txid: txid('bb'), vout: 0, value: 100000, confirmations: 6 }]);
+        bitcoinService.getConfirmations.mockResolvedValue(4);
+        jest.spyOn(starknetService, 'getSBTCTotalSupply').mockResolvedValue(200000n);
+
+        const reconciliation = await custodyLedger.reconcile();
+        custodyLedger.removeAllListeners('systemAlert');
+
+        expect(bitcoinService.getAddressUtxos).toHaveBeenCalledWith(address);
+        expect(alerts.map(alert => alert.alertType)).toEqual(['custody_unexpected_spend', 'reserve_shortfall']);
+        expect(alerts[0].data).toMatchObject({ txid: txid('aa'), address, source: 'deposit' });
+        expect(reconciliation).toMatchObject({ status: 'shortfall', custodyBalance: 100000, difference: -100000 });
+    });
+
+    describe('reconcile', () => {
+        beforeEach(async () => {
+            await custodyLedger.addUtxo({ txid: txid('aa'), vout: 0, address: custody.getAddress(), value: 100000, source: 'custody', reference: null });
+            bitcoinService.getAddressUtxos.mockResolvedValue([{ txid: txid('aa'), vout: 0, value: 100000, confirmations: 6 }]);
+        });
+
+        test('is balanced when custody covers the supply and unsent withdrawals exactly', async () => {
+            jest.spyOn(starknetService, 'getSBTCTotalSupply').mockResolvedValue(80000n);
+            await database.query(`
+                INSERT INTO signing_sessions (withdrawal_id, amount, status, updated_at)
+                VALUES ('1', 0.0002, 'quorum_reached', $1), ('2', 0.5, 'completed', $1)
+            `, [new Date()]);
+
+            const reconciliation = await custodyLedger.reconcile();
+
+            expect(reconciliation).toMatchObject({
+                status: 'balanced',
+                custodyBalance: 100000,
+                sbtcSupply: 80000,
+                pendingWithdrawals: 20000,
+                difference: 0
+            });
+            expect(await custodyLedger.getLatestReconciliation()).toMatchObject({ id: reconciliation.id, status: 'balanced' });
+        });
+
+        test('reports the fees kept by the bridge as a surplus', async () => {
+            jest.spyOn(starknetService, 'getSBTCTotalSupply').mockResolvedValue(99000n);
+
+            expect(await custodyLedger.reconcile()).toMatchObject({ status: 'surplus', difference: 1000 });
+        });
+
+        test('tolerates a shortfall within the configured tolerance', async () => {
+            config.custody.reconcileTolerance = 500;
+            jest.spyOn(starknetService, 'getSBTCTotalSupply').mockResolvedValue(100400n);
+
+            expect(await custodyLedger.reconcile()).toMatchObject({ status: 'balanced', difference: -400 });
+        });
+
+        test('alerts once when a shortfall starts and pauses the bridge if configured', async () => {
+            config.custody.pauseOnShortfall = true;
+            jest.spyOn(starknetService, 'getSBTCTotalSupply').mockResolvedValue(150000n);
+            jest.spyOn(starknetService, 'isEmergencyPaused').mockResolvedValue(false);
+            const pause = jest.spyOn(starknetService, 'emergencyPauseBridge').mockResolvedValue({ transactionHash: '0xpause' });
+            const shortfalls = [];
+            custodyLedger.on('reserveShortfall', event => shortfalls.push(event));
+
+            const first = await custodyLedger.reconcile();
+            const second = await custodyLedger.reconcile();
+            custodyLedger.removeAllListeners('reserveShortfall');
+
+            expect(first).toMatchObject({ status: 'shortfall', difference: -50000, pauseTxHash: '0xpause' });
+            expect(second.status).toBe('shortfall');
+            expect(shortfalls).toEqual([expect.objectContaining({ shortfall: 50000 })]);
+            expect(pause).toHaveBeenCalledTimes(2);
+        });
+
+        test('does not pause the bridge unless configured', async () => {
+            jest.spyOn(starknetService, 'getSBTCTotalSupply').mockResolvedValue(150000n);
+            const pause = jest.spyOn(starknetService, 'emergencyPauseBridge');
+
+            expect(await custodyLedger.reconcile()).toMatchObject({ status: 'shortfall', pauseTxHash: null });
+            expect(pause).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,86 @@
+const config = require('../src/config');
+const database = require('../src/services/database');
+const bitcoinService = require('../src/services/bitcoin');
+const bridgeState = require('../src/services/bridge-state');
+const depositScanner = require('../src/services/deposit-scanner');
+
+const ALICE = { address: 'bcrt1qalice', recipient: '0xa11ce' };
+const BOB = { address: 'bcrt1qbob', recipient: '0xb0b' };
+const BATCH_TX = 'ab'.repeat(32);
+const BLOCK_HASH = '00'.repeat(31) + '65';
+
+async function issue({ address, recipient }) {
+    await database.query(
+        'INSERT INTO deposit_addresses (address, starknet_recipient, network, created_at) VALUES ($1, $2, $3, $4)',
+        [address, recipient, 'regtest', new Date()]
+    );
+}
+
+describe('deposit scanner', () => {
+    const saved = {};
+
+    beforeAll(async () => {
+        saved.startHeight = config.bitcoin.depositScanStartHeight;
+        config.bitcoin.depositScanStartHeight = 101;
+        await database.initialize();
+    });
+
+    beforeEach(async () => {
+        for (const table of ['deposits', 'deposit_addresses', 'scan_cursors', 'state_transitions']) {
+            await database.query(`DELETE FROM ${table}`);
+        }
+        await issue(ALICE);
+        await issue(BOB);
+
+        // One block at height 101 holding a batched payout to both deposit addresses
+        jest.spyOn(bitcoinService, 'getBlockHash').mockImplementation(async height => height === 101 ? BLOCK_HASH : null);
+        jest.spyOn(bitcoinService, 'getBlockTransactions').mockResolvedValue([{
+            txHash: BATCH_TX,
+            outputs: [
+                { index: 0, address: ALICE.address, valueSat: 30000 },
+                { index: 1, address: 'bcrt1qchange', valueSat: 99000 },
+                { index: 2, address: BOB.address, valueSat: 50000 },
+                { index: 3, address: ALICE.address, valueSat: 20000 }
+            ]
+        }]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        config.bitcoin.depositScanStartHeight = saved.startHeight;
+        await database.close();
+    });
+
+    test('credits every deposit address a transaction pays', async () => {
+        const detected = await depositScanner.scan({ height: 101 });
+
+        expect(detected.map(deposit => [deposit.depositId, deposit.amount, deposit.starknetRecipient])).toEqual([
+            [`${BATCH_TX}:${ALICE.address}`, 0.0005, ALICE.recipient],
+            [`${BATCH_TX}:${BOB.address}`, 0.0005, BOB.recipient]
+        ]);
+
+        const rows = await database.query('SELECT * FROM deposits ORDER BY btc_address ASC');
+        expect(rows.rows.map(row => [row.btc_tx_hash, row.btc_address, row.status, row.block_height])).toEqual([
+            [BATCH_TX, ALICE.address, 'detected', 101],
+            [BATCH_TX, BOB.address, 'detected', 101]
+        ]);
+
+        for (const { address } of [ALICE, BOB]) {
+            const timeline = await bridgeState.getTimeline('deposit', bridgeState.depositId(BATCH_TX, address));
+            expect(timeline.transitions.map(transition => transition.to)).toEqual(['detected']);
+        }
+    });
+
+    test('a rescan of the same block records neither deposit twice', async () => {
+        await depositScanner.scan({ height: 101 });
+        await database.query('DELETE FROM scan_cursors');
+
+        await depositScanner.scan({ height: 101 });
+
+        const count = await database.query('SELECT COUNT(*) AS total FROM deposits');
+        expect(parseInt(count.rows[0].total, 10)).toBe(2);
+    });
+});
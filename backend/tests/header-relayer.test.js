@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const config = require('../src/config');
+const bitcoinService = require('../src/services/bitcoin');
+const starknetService = require('../src/services/starknet');
+const spvProofs = require('../src/services/spv-proofs');
+const bridgeLogger = require('../src/services/bridge-logger');
+const headerRelayer = require('../src/services/header-relayer');
+
+const REGTEST_BITS = 0x207fffff;
+const REGTEST_TARGET = 0x7fffffn << 232n;
+const GENESIS_TIME = 1700000000;
+
+// A regtest header on `previousHash`; `branch` sets the Merkle root so competing branches differ
+function mine(previousHash, height, branch) {
+    const raw = Buffer.alloc(80);
+    raw.writeInt32LE(0x20000000, 0);
+    Buffer.from(previousHash, 'hex').reverse().copy(raw, 4);
+    crypto.createHash('sha256').update(`${branch}:${height}`).digest().copy(raw, 36);
+    raw.writeUInt32LE(GENESIS_TIME + height * 600, 68);
+    raw.writeUInt32LE(REGTEST_BITS, 72);
+
+    for (let nonce = 0; ; nonce++) {
+        raw.writeUInt32LE(nonce, 76);
+        const hex = raw.toString('hex');
+        if (BigInt('0x' + spvProofs.parseHeader(hex).hash) <= REGTEST_TARGET) {
+            return hex;
+        }
+    }
+}
+
+describe('header relayer', () => {
+    const saved = {};
+    let relayer;
+    let bitcoinChain; // height -> raw header on the Bitcoin best chain
+    let relayed; // height -> block hash held by BitcoinHeaders
+    let headersByHash;
+    let alerts;
+
+    const hashAt = height => spvProofs.parseHeader(bitcoinChain[height]).hash;
+
+    // Extend (or, from below its tip, replace) the Bitcoin best chain up to `tipHeight`
+    function mineTo(tipHeight, fromHeight = bitcoinChain.length, branch = 'main') {
+        bitcoinChain.length = fromHeight;
+        for (let height = fromHeight; height <= tipHeight; height++) {
+            const hex = mine(height === 0 ? '00'.repeat(32) : hashAt(height - 1), height, branch);
+            bitcoinChain.push(hex);
+            headersByHash.set(spvProofs.parseHeader(hex).hash, hex);
+        }
+    }
+
+    function relayUpTo(height) {
+        relayed = bitcoinChain.slice(0, height + 1).map(hex => spvProofs.parseHeader(hex).hash);
+    }
+
+    beforeAll(() => {
+        saved.network = config.bitcoin.network;
+        saved.headerRelayer = { ...config.headerRelayer };
+        config.bitcoin.network = 'regtest';
+        config.headerRelayer.batchSize = 10;
+        config.headerRelayer.maxFeePerHeader = '1000000';
+        config.headerRelayer.backoffBaseDelay = 60;
+    });
+
+    beforeEach(() => {
+        relayer = new headerRelayer.constructor();
+        alerts = [];
+        relayer.on('systemAlert', alert => alerts.push(alert));
+
+        bitcoinChain = [];
+        headersByHash = new Map();
+        mineTo(15);
+        relayUpTo(2);
+
+        jest.spyOn(bitcoinService, 'getLatestBlock').mockImplementation(async () => ({
+            height: bitcoinChain.length - 1,
+            hash: hashAt(bitcoinChain.length - 1)
+        }));
+        jest.spyOn(bitcoinService, 'getBlockHash').mockImplementation(async height => bitcoinChain[height] ? hashAt(height) : null);
+        jest.spyOn(bitcoinService, 'getBlockHeader').mockImplementation(async hash => headersByHash.get(hash));
+
+        jest.spyOn(starknetService, 'getBitcoinHeadersBestHeight').mockImplementation(async () => relayed.length - 1);
+        jest.spyOn(starknetService, 'getBitcoinHeaderHash').mockImplementation(async height => relayed[height] ? BigInt('0x' + relayed[height]) : 0n);
+        jest.spyOn(starknetService, 'estimateBitcoinHeadersFee').mockImplementation(async headers => 1000n * BigInt(headers.length));
+        jest.spyOn(starknetService, 'submitBitcoinHeaders').mockImplementation(async (headers, { fork }) => {
+            if (fork) {
+                relayed.length = headers[0].height;
+            }
+            for (const header of headers) {
+                relayed[header.height] = hashAt(header.height);
+            }
+            return { transactionHash: `0x${relayed.length.toString(16)}` };
+        });
+
+        jest.spyOn(bridgeLogger, 'writeLog').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        config.bitcoin.network = saved.network;
+        Object.assign(config.headerRelayer, saved.headerRelayer);
+    });
+
+    const submittedHeights = call => call[0].map(header => header.height);
+
+    test('relays the missing headers in batches, lowest first', async () => {
+        expect(await relayer.relay()).toBe(10);
+
+        const [first] = starknetService.submitBitcoinHeaders.mock.calls;
+        expect(submittedHeights(first)).toEqual([3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+        expect(first[1]).toEqual({ fork: false });
+        expect(first[0][0]).toMatchObject({
+            previousBlockHash: spvProofs.hashToU256(hashAt(2)),
+            timestamp: GENESIS_TIME + 3 * 600,
+            bits: REGTEST_BITS
+        });
+
+        expect(await relayer.relay()).toBe(3);
+        expect(await relayer.relay()).toBe(0);
+
+        expect(relayed).toHaveLength(16);
+        expect(relayer.getStatus()).toMatchObject({
+            bitcoinTipHeight: 15,
+            relayedHeight: 15,
+            lag: 0,
+            headersRelayed: 13,
+            lastSubmission: { fromHeight: 13, toHeight: 15 },
+            fork: null,
+            backoff: null
+        });
+        expect(alerts).toEqual([]);
+    });
+
+    describe('a competing Bitcoin branch', () => {
+        beforeEach(() => {
+            relayUpTo(10);
+            mineTo(10, 8, 'competing');
+        });
+
+        test('is only alerted on while no longer than the relayed one, and replaces it once longer', async () => {
+            expect(await relayer.relay()).toBe(0);
+
+            expect(starknetService.submitBitcoinHeaders).not.toHaveBeenCalled();
+            expect(relayer.getStatus().fork).toMatchObject({ height: 8, depth: 3, status: 'waiting', rejection: null });
+            expect(alerts).toEqual([expect.objectContaining({
+                alertType: 'bitcoin_headers_fork',
+                severity: 'warning',
+                data: { height: 8, depth: 3 }
+            })]);
+
+            // Still waiting after another pass, without a second alert
+            expect(await relayer.relay()).toBe(0);
+            expect(alerts).toHaveLength(1);
+
+            mineTo(11);
+            expect(await relayer.relay()).toBe(4);
+
+            const [[headers, options]] = starknetService.submitBitcoinHeaders.mock.calls;
+            expect(headers.map(header => header.height)).toEqual([8, 9, 10, 11]);
+            expect(options).toEqual({ fork: true });
+            expect(relayed).toEqual(bitcoinChain.map((hex, height) => hashAt(height)));
+            expect(relayer.getStatus()).toMatchObject({ relayedHeight: 11, fork: null, backoff: null });
+        });
+
+        test('is not resubmitted once the contract rejects it', async () => {
+            mineTo(11);
+            starknetService.submitBitcoinHeaders.mockRejectedValue(new Error('Header: fork is not heavier'));
+
+            expect(await relayer.relay()).toBe(0);
+
+            expect(relayer.getStatus()).toMatchObject({
+                fork: { height: 8, status: 'rejected', rejection: { reason: 'Header: fork is not heavier' } },
+                lastError: 'Header: fork is not heavier'
+            });
+            expect(alerts.map(alert => [alert.alertType, alert.severity])).toEqual([
+                ['bitcoin_headers_fork', 'warning'],
+                ['bitcoin_headers_fork_rejected', 'critical']
+            ]);
+
+            mineTo(12);
+            expect(await relayer.relay()).toBe(0);
+            expect(starknetService.submitBitcoinHeaders).toHaveBeenCalledTimes(1);
+        });
+
+        test('is retried after a network failure, which is not a rejection', async () => {
+            mineTo(11);
+            starknetService.submitBitcoinHeaders.mockRejectedValueOnce(new Error('socket hang up'));
+
+            await expect(relayer.relay()).rejects.toThrow('socket hang up');
+            expect(relayer.getStatus()).toMatchObject({
+                fork: { status: 'relaying', rejection: null },
+                backoff: { attempts: 1, reason: 'socket hang up' }
+            });
+
+            relayer.backoff.until = new Date(Date.now() - 1);
+            expect(await relayer.relay()).toBe(4);
+        });
+    });
+
+    test('backs off, doubling the wait, while the estimated fee is above the cap', async () => {
+        starknetService.estimateBitcoinHeadersFee.mockResolvedValue(10n ** 18n);
+
+        expect(await relayer.relay()).toBe(0);
+        expect(starknetService.submitBitcoinHeaders).not.toHaveBeenCalled();
+
+        const { backoff } = relayer.getStatus();
+        expect(backoff).toMatchObject({ attempts: 1 });
+        expect(backoff.reason).toMatch('above the 1000000 limit');
+        expect(new Date(backoff.until).getTime()).toBeGreaterThan(Date.now() + 59 * 1000);
+
+        // Nothing is checked until the backoff ends
+        expect(await relayer.relay()).toBe(0);
+        expect(bitcoinService.getLatestBlock).toHaveBeenCalledTimes(1);
+
+        relayer.backoff.until = new Date(Date.now() - 1);
+        expect(await relayer.relay()).toBe(0);
+        expect(new Date(relayer.getStatus().backoff.until).getTime()).toBeGreaterThan(Date.now() + 119 * 1000);
+        expect(relayer.getStatus().backoff.attempts).toBe(2);
+
+        // The fee comes back down
+        starknetService.estimateBitcoinHeadersFee.mockResolvedValue(1000n);
+        relayer.backoff.until = new Date(Date.now() - 1);
+        expect(await relayer.relay()).toBe(10);
+        expect(relayer.getStatus()).toMatchObject({ backoff: null, lastError: null });
+    });
+
+    test('stops a batch before a header that fails validation', async () => {
+        // Height 6 claims more work than regtest allows
+        const raw = Buffer.from(bitcoinChain[6], 'hex');
+        raw.writeUInt32LE(0x2100ffff, 72);
+        headersByHash.delete(hashAt(6));
+        bitcoinChain[6] = raw.toString('hex');
+        headersByHash.set(hashAt(6), bitcoinChain[6]);
+
+        expect(await relayer.relay()).toBe(3);
+
+        expect(submittedHeights(starknetService.submitBitcoinHeaders.mock.calls[0])).toEqual([3, 4, 5]);
+        expect(relayer.getStatus().lastRejection).toMatchObject({ height: 6, hash: hashAt(6) });
+        expect(relayer.getStatus().lastRejection.reason).toMatch('out of range');
+    });
+});
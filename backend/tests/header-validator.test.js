@@ -0,0 +1,94 @@
+const headerValidator = require('../src/services/header-validator');
+const spvProofs = require('../src/services/spv-proofs');
+
+const { HeaderValidationError, bitsToTarget, targetToBits } = headerValidator;
+
+// Mainnet blocks 0-2
+const HEADERS = [
+    '0100000000000000000000000000000000000000000000000000000000000000000000003ba3edfd7a7b12b27ac72c3e67768f617fc81bc3888a51323a9fb8aa4b1e5e4a29ab5f49ffff001d1dac2b7c',
+    '010000006fe28c0ab6f1b372c1a6a246ae63f74f931e8365e15a089c68d6190000000000982051fd1e4ba744bbbe680e1fee14677ba1a3c3540bf7b1cdb606e857233e0e61bc6649ffff001d01e36299',
+    '010000004860eb18bf1b1620e37e9490fc8a427514416fd75159ab86688e9a8300000000d5fdcc541e25de1c7a5addedf24858b8bb665c9f36ef744ee42c316022c90f9bb0bc6649ffff001d08d2bd61'
+].map(hex => spvProofs.parseHeader(hex));
+
+const chain = height => HEADERS[height] || null;
+const mainnet = { network: 'mainnet', now: Date.UTC(2009, 0, 10) };
+
+describe('header validator', () => {
+    test('parses the headers it is given', () => {
+        expect(HEADERS.map(header => header.hash)).toEqual([
+            '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f',
+            '00000000839a8e6886ab5951d76f411475428afc90947ee320161bbf18eb6048',
+            '000000006a625f06636b8bb6ac7b960a8d03705d1ace08b1a19da3fdcc99ddbd'
+        ]);
+    });
+
+    test('accepts real mainnet headers', async () => {
+        await expect(headerValidator.validate(HEADERS[1], 1, chain, mainnet)).resolves.toBe(true);
+        await expect(headerValidator.validate(HEADERS[2], 2, chain, mainnet)).resolves.toBe(true);
+    });
+
+    test('rejects the genesis header and a broken link', async () => {
+        await expect(headerValidator.validate(HEADERS[0], 0, chain, mainnet)).rejects.toBeInstanceOf(HeaderValidationError);
+        await expect(headerValidator.validate(HEADERS[2], 1, chain, mainnet))
+            .rejects.toThrow('does not match block 0');
+    });
+
+    test('rejects a hash above the target', async () => {
+        const header = { ...HEADERS[1], hash: 'ff' + HEADERS[1].hash.slice(2) };
+        await expect(headerValidator.validate(header, 1, chain, mainnet)).rejects.toThrow('insufficient proof of work');
+    });
+
+    test('rejects bits outside the proof-of-work limit or other than expected', async () => {
+        await expect(headerValidator.validate({ ...HEADERS[1], bits: 0x2100ffff }, 1, chain, mainnet))
+            .rejects.toThrow('out of range');
+        await expect(headerValidator.validate({ ...HEADERS[1], bits: 0x1d00fffe }, 1, chain, mainnet))
+            .rejects.toThrow('should be 0x1d00ffff at height 1');
+    });
+
+    test('rejects timestamps at or before the median time past, or too far ahead', async () => {
+        await expect(headerValidator.validate({ ...HEADERS[2], timestamp: HEADERS[0].timestamp }, 2, chain, mainnet))
+            .rejects.toThrow('median time past');
+
+        const now = (HEADERS[2].timestamp - 3 * 60 * 60) * 1000;
+        await expect(headerValidator.validate(HEADERS[2], 2, chain, { network: 'mainnet', now }))
+            .rejects.toThrow('two hours in the future');
+    });
+
+    test('refuses networks it has no rules for', async () => {
+        await expect(headerValidator.validate(HEADERS[1], 1, chain, { network: 'litecoin' }))
+            .rejects.toThrow('No header validation rules');
+    });
+
+    // Bitcoin Core's pow_tests: last retarget time, last block time and bits -> next bits
+    test.each([
+        ['a regular retarget', 1261130161, 1262152739, 0x1d00ffff, 0x1d00d86a],
+        ['the proof-of-work limit', 1231006505, 1233061996, 0x1d00ffff, 0x1d00ffff],
+        ['the lower timespan limit', 1279008237, 1279297671, 0x1c05a3f4, 0x1c0168fd],
+        ['the upper timespan limit', 1263163443, 1269211443, 0x1c387f6f, 0x1d00e1fd]
+    ])('retargets at %s', async (name, firstTime, lastTime, bits, expected) => {
+        const previous = { bits, timestamp: lastTime };
+        const getHeader = async () => ({ bits, timestamp: firstTime });
+
+        const next = await headerValidator.getNextWorkRequired(
+            { timestamp: lastTime + 600 }, 2016 * 16, previous, getHeader, headerValidator.getParams('mainnet')
+        );
+        expect(next).toBe(expected);
+    });
+
+    test('lets a late testnet block use the minimum difficulty', async () => {
+        const params = headerValidator.getParams('testnet');
+        const previous = { bits: 0x1c00ffff, timestamp: 1000000 };
+        const getHeader = async () => previous;
+
+        expect(await headerValidator.getNextWorkRequired({ timestamp: 1000000 + 1201 }, 5, previous, getHeader, params)).toBe(0x1d00ffff);
+        expect(await headerValidator.getNextWorkRequired({ timestamp: 1000000 + 600 }, 5, previous, getHeader, params)).toBe(0x1c00ffff);
+    });
+
+    test('round-trips compact target bits', () => {
+        for (const bits of [0x1d00ffff, 0x1b0404cb, 0x17034219, 0x207fffff]) {
+            expect(targetToBits(bitsToTarget(bits))).toBe(bits);
+        }
+        expect(bitsToTarget(0x04923456)).toBeNull();
+        expect(bitsToTarget(0xff123456)).toBeNull();
+    });
+});
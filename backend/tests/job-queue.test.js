@@ -0,0 +1,172 @@
+const database = require('../src/services/database');
+const jobQueue = require('../src/services/job-queue');
+const config = require('../src/config');
+
+const PAST = new Date(Date.now() - 60 * 1000);
+
+// Another replica of the service, with its own worker id
+function asWorker(workerId, work) {
+    const own = jobQueue.workerId;
+    jobQueue.workerId = workerId;
+    return Promise.resolve(work()).finally(() => {
+        jobQueue.workerId = own;
+    });
+}
+
+async function makeDue(jobId) {
+    await database.query('UPDATE jobs SET run_at = $2 WHERE id = $1', [jobId, PAST]);
+}
+
+async function expireLease(jobId) {
+    await database.query('UPDATE jobs SET locked_until = $2 WHERE id = $1', [jobId, PAST]);
+}
+
+describe('job queue', () => {
+    beforeAll(async () => {
+        await database.initialize();
+    });
+
+    beforeEach(async () => {
+        await database.query('DELETE FROM jobs');
+    });
+
+    afterAll(async () => {
+        jobQueue.stop();
+        await database.close();
+    });
+
+    test('enqueues a key only once per queue', async () => {
+        const first = await jobQueue.enqueue('deposits', 'tx-1', { btcTxHash: 'tx-1' });
+        const second = await jobQueue.enqueue('deposits', 'tx-1', { btcTxHash: 'other' });
+        const otherQueue = await jobQueue.enqueue('withdrawals', 'tx-1', {});
+
+        expect(first.created).toBe(true);
+        expect(second.created).toBe(false);
+        expect(second.job.id).toBe(first.job.id);
+        expect(second.job.payload).toEqual({ btcTxHash: 'tx-1' });
+        expect(otherQueue.created).toBe(true);
+    });
+
+    test('leases a job to one worker at a time', async () => {
+        await jobQueue.enqueue('deposits', 'tx-1', {});
+
+        const job = await jobQueue.claim('deposits');
+        expect(job).toMatchObject({ status: 'running', attempts: 1, lockedBy: jobQueue.workerId });
+        expect(await asWorker('other', () => jobQueue.claim('deposits'))).toBeNull();
+    });
+
+    test('hands an expired lease to another worker, and the first can no longer finish it', async () => {
+        const { job: queued } = await jobQueue.enqueue('deposits', 'tx-1', {});
+        const job = await jobQueue.claim('deposits');
+        await expireLease(queued.id);
+
+        const reclaimed = await asWorker('other', () => jobQueue.claim('deposits'));
+        expect(reclaimed).toMatchObject({ id: job.id, attempts: 2, lockedBy: 'other' });
+
+        await jobQueue.complete(job);
+        expect(await jobQueue.extendLease(job)).toBe(false);
+        expect((await jobQueue.getJobByKey('deposits', 'tx-1')).status).toBe('running');
+
+        await asWorker('other', () => jobQueue.complete(reclaimed));
+        expect((await jobQueue.getJobByKey('deposits', 'tx-1')).status).toBe('completed');
+    });
+
+    test('extends the lease while the holder runs', async () => {
+        await jobQueue.enqueue('deposits', 'tx-1', {});
+        const job = await jobQueue.claim('deposits');
+        const before = job.lockedUntil;
+
+        await new Promise(resolve => setTimeout(resolve, 5));
+        expect(await jobQueue.extendLease(job)).toBe(true);
+        expect(new Date(job.lockedUntil).getTime()).toBeGreaterThan(new Date(before).getTime());
+    });
+
+    test('retries a failed job after a backoff', async () => {
+        await jobQueue.enqueue('deposits', 'tx-1', {});
+        const job = await jobQueue.claim('deposits');
+
+        await jobQueue.fail(job, new Error('RPC timeout'));
+
+        const failed = await jobQueue.getJobByKey('deposits', 'tx-1');
+        expect(failed).toMatchObject({ status: 'pending', error: 'RPC timeout', lockedBy: null });
+        expect(new Date(failed.runAt).getTime()).toBeGreaterThan(Date.now() + (config.jobs.retryBaseDelay - 1) * 1000);
+        expect(await jobQueue.claim('deposits')).toBeNull();
+
+        await makeDue(job.id);
+        expect(await jobQueue.claim('deposits')).toMatchObject({ id: job.id, attempts: 2 });
+    });
+
+    test('backs off exponentially up to the cap', () => {
+        expect(jobQueue.retryDelay(1)).toBe(config.jobs.retryBaseDelay);
+        expect(jobQueue.retryDelay(2)).toBe(config.jobs.retryBaseDelay * 2);
+        expect(jobQueue.retryDelay(3)).toBe(config.jobs.retryBaseDelay * 4);
+        expect(jobQueue.retryDelay(100)).toBe(config.jobs.retryMaxDelay);
+    });
+
+    test('parks a job out of attempts as dead until an operator retries it', async () => {
+        await jobQueue.enqueue('deposits', 'tx-1', {}, { maxAttempts: 2 });
+
+        for (let attempt = 1; attempt <= 2; attempt++) {
+            const job = await jobQueue.claim('deposits');
+            await jobQueue.fail(job, new Error(`failure ${attempt}`));
+            await makeDue(job.id);
+        }
+
+        const dead = await jobQueue.getJobByKey('deposits', 'tx-1');
+        expect(dead).toMatchObject({ status: 'dead', error: 'failure 2' });
+        expect(await jobQueue.claim('deposits')).toBeNull();
+
+        const retried = await jobQueue.retry(dead.id);
+        expect(retried).toMatchObject({ status: 'pending', attempts: 0, error: null });
+        expect(await jobQueue.retry(dead.id)).toBeNull();
+    });
+
+    test('parks a job whose lease keeps running out', async () => {
+        const { job: queued } = await jobQueue.enqueue('deposits', 'tx-1', {}, { maxAttempts: 1 });
+        await jobQueue.claim('deposits');
+        await expireLease(queued.id);
+
+        expect(await asWorker('other', () => jobQueue.claim('deposits'))).toBeNull();
+        expect((await jobQueue.getJobByKey('deposits', 'tx-1')).status).toBe('dead');
+    });
+
+    test('parks a job at once when the error is not retryable', async () => {
+        await jobQueue.enqueue('deposits', 'tx-1', {});
+        const job = await jobQueue.claim('deposits');
+
+        const error = new Error('Deposit below minimum');
+        error.retryable = false;
+        await jobQueue.fail(job, error);
+
+        expect((await jobQueue.getJobByKey('deposits', 'tx-1')).status).toBe('dead');
+    });
+
+    test('forgets only finished jobs', async () => {
+        await jobQueue.enqueue('deposits', 'tx-1', {});
+        expect(await jobQueue.forget('deposits', 'tx-1')).toBe(false);
+
+        await jobQueue.runNext('deposits', async () => {});
+        expect(await jobQueue.forget('deposits', 'tx-1')).toBe(true);
+        expect((await jobQueue.enqueue('deposits', 'tx-1', {})).created).toBe(true);
+    });
+
+    test('runs a job through its handler and records the outcome', async () => {
+        await jobQueue.enqueue('deposits', 'tx-ok', { n: 1 });
+        await jobQueue.enqueue('deposits', 'tx-bad', { n: 2 });
+
+        const seen = [];
+        const handler = async job => {
+            seen.push(job.payload.n);
+            if (job.payload.n === 2) {
+                throw new Error('boom');
+            }
+        };
+        await jobQueue.runNext('deposits', handler);
+        await jobQueue.runNext('deposits', handler);
+
+        expect(seen.sort()).toEqual([1, 2]);
+        expect((await jobQueue.getJobByKey('deposits', 'tx-ok')).status).toBe('completed');
+        expect((await jobQueue.getJobByKey('deposits', 'tx-bad'))).toMatchObject({ status: 'pending', error: 'boom' });
+        expect(await jobQueue.getStats()).toEqual({ deposits: { completed: 1, pending: 1 } });
+    });
+});
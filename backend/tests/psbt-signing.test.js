@@ -0,0 +1,257 @@
+const bitcoin = require('bitcoinjs-lib');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const config = require('../src/config');
+const database = require('../src/services/database');
+const custody = require('../src/services/custody');
+const signingSessions = require('../src/services/signing-sessions');
+const pegOutBuilder = require('../src/services/peg-out');
+const bitcoinService = require('../src/services/bitcoin');
+const bridgeLogger = require('../src/services/bridge-logger');
+const custodyLedger = require('../src/services/custody-ledger');
+
+const { SigningQuorumError } = require('../src/services/signing-sessions');
+
+const RECIPIENT = '0x0123456789abcdef';
+const PRIVATE_KEYS = [1n, 2n, 3n];
+
+function signerFor(privateKey) {
+    const key = Buffer.from(privateKey.toString(16).padStart(64, '0'), 'hex');
+    return {
+        publicKey: Buffer.from(secp256k1.getPublicKey(key, true)),
+        sign: hash => Buffer.from(secp256k1.sign(hash, key).toCompactRawBytes())
+    };
+}
+
+// An operator's key for a deposit output: its custody key plus the recipient's tweak
+function depositSignerFor(privateKey) {
+    return signerFor((privateKey + custody.computeDepositTweak(RECIPIENT)) % secp256k1.CURVE.n);
+}
+
+// Spends one custody output and one deposit output, paying a regtest address
+function buildPsbt() {
+    const wallet = custody.getWallet();
+    const depositWallet = custody.getDepositWallet(RECIPIENT);
+
+    const psbt = new bitcoin.Psbt({ network: custody.getNetwork() });
+    psbt.addInput({
+        hash: '11'.repeat(32),
+        index: 0,
+        witnessUtxo: { script: wallet.output, value: 60000 },
+        witnessScript: wallet.witnessScript
+    });
+    psbt.addInput({
+        hash: '22'.repeat(32),
+        index: 1,
+        witnessUtxo: { script: depositWallet.output, value: 50000 },
+        witnessScript: depositWallet.witnessScript
+    });
+    custody.setInputTweak(psbt, 1, depositWallet.tweak);
+    psbt.addOutput({ address: bitcoin.payments.p2wpkh({ pubkey: signerFor(9n).publicKey, network: custody.getNetwork() }).address, value: 100000 });
+    psbt.addOutput({ script: wallet.output, value: 9000 });
+    return psbt;
+}
+
+// What an operator sends back: the PSBT with its signature on every input
+function signedBy(psbt, privateKey) {
+    const copy = bitcoin.Psbt.fromBase64(psbt.toBase64(), { network: custody.getNetwork() });
+    copy.signInput(0, signerFor(privateKey));
+    copy.signInput(1, depositSignerFor(privateKey));
+    return copy;
+}
+
+describe('peg-out PSBT signing', () => {
+    const saved = {};
+
+    beforeAll(async () => {
+        saved.network = config.bitcoin.network;
+        saved.custody = { ...config.custody };
+        config.bitcoin.network = 'regtest';
+        config.custody.publicKeys = PRIVATE_KEYS.map(key => signerFor(key).publicKey.toString('hex'));
+        config.custody.threshold = 2;
+
+        await database.initialize();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        config.bitcoin.network = saved.network;
+        Object.assign(config.custody, saved.custody);
+        await database.close();
+    });
+
+    describe('merging operator signatures', () => {
+        test('adds valid signatures by the multisig keys of each input', () => {
+            const psbt = buildPsbt();
+
+            const { psbt: merged, count } = signingSessions.mergePsbtSignatures(psbt, signedBy(psbt, 1n));
+
+            expect(count).toBe(2);
+            expect(signingSessions.countPsbtSignatures(merged)).toBe(1);
+            expect(signingSessions.countPsbtSignatures(psbt)).toBe(0);
+        });
+
+        test('does not add the same signer twice', () => {
+            const psbt = buildPsbt();
+            const { psbt: once } = signingSessions.mergePsbtSignatures(psbt, signedBy(psbt, 1n));
+
+            const again = signingSessions.mergePsbtSignatures(once, signedBy(psbt, 1n));
+            expect(again.count).toBe(0);
+            expect(signingSessions.countPsbtSignatures(again.psbt)).toBe(1);
+        });
+
+        test('drops signatures by keys outside the multisig', () => {
+            const psbt = buildPsbt();
+            const foreign = signedBy(psbt, 1n);
+            const [custodySig] = foreign.data.inputs[0].partialSig;
+            foreign.data.inputs[0].partialSig = [{ ...custodySig, pubkey: signerFor(7n).publicKey }];
+            // The untweaked custody key does not sign for a deposit output
+            foreign.data.inputs[1].partialSig = [{ ...foreign.data.inputs[1].partialSig[0], pubkey: signerFor(1n).publicKey }];
+
+            expect(signingSessions.mergePsbtSignatures(psbt, foreign).count).toBe(0);
+        });
+
+        test('drops signatures that do not verify', () => {
+            const psbt = buildPsbt();
+            const signed = signedBy(psbt, 1n);
+            const partialSig = signed.data.inputs[0].partialSig[0];
+            partialSig.signature = Buffer.from(partialSig.signature);
+            partialSig.signature[10] ^= 0xff;
+
+            const { count } = signingSessions.mergePsbtSignatures(psbt, signed);
+            expect(count).toBe(1);
+        });
+
+        test('refuses a PSBT for a different transaction', () => {
+            const psbt = buildPsbt();
+            const other = buildPsbt();
+            other.setLocktime(1);
+
+            expect(() => signingSessions.mergePsbtSignatures(psbt, signedBy(other, 1n))).toThrow('different transaction');
+        });
+    });
+
+    describe('collecting a quorum', () => {
+        const signers = PRIVATE_KEYS.map((key, i) => ({ address: `0x${i + 1}`, key }));
+
+        test('resolves once every input has threshold signatures', async () => {
+            const psbt = buildPsbt();
+            jest.spyOn(signingSessions, 'getSigners').mockResolvedValue(signers);
+            jest.spyOn(signingSessions, 'postToSigner').mockImplementation(async (signer, payload) => {
+                if (signer.key === 2n) {
+                    throw new Error('offline');
+                }
+                return { psbt: signedBy(bitcoin.Psbt.fromBase64(payload.psbt), signer.key).toBase64() };
+            });
+
+            const merged = await signingSessions.requestPsbtSignatures({ reference: '1', psbt });
+            expect(signingSessions.countPsbtSignatures(merged)).toBe(2);
+        });
+
+        test('fails without a quorum of valid signatures', async () => {
+            const psbt = buildPsbt();
+            jest.spyOn(signingSessions, 'getSigners').mockResolvedValue(signers);
+            jest.spyOn(signingSessions, 'postToSigner').mockImplementation(async (signer, payload) => (signer.key === 1n
+                ? { psbt: signedBy(bitcoin.Psbt.fromBase64(payload.psbt), signer.key).toBase64() }
+                : { psbt: payload.psbt }));
+
+            const request = signingSessions.requestPsbtSignatures({ reference: '1', psbt });
+            await expect(request).rejects.toBeInstanceOf(SigningQuorumError);
+            await expect(request).rejects.toMatchObject({ collected: 1, required: 2 });
+        });
+    });
+
+    describe('building the payout', () => {
+        const recipient = () => bitcoin.payments.p2wpkh({ pubkey: signerFor(9n).publicKey, network: custody.getNetwork() }).address;
+
+        beforeEach(async () => {
+            await database.query('DELETE FROM peg_out_inputs');
+            await database.query('DELETE FROM peg_outs');
+            jest.spyOn(bitcoinService, 'getFeeEstimates').mockResolvedValue({ hourFee: 2 });
+            jest.spyOn(custody, 'getSpendableUtxos').mockResolvedValue([{ txid: '33'.repeat(32), vout: 0, value: 500000, confirmations: 6 }]);
+            jest.spyOn(custodyLedger, 'getDepositUtxos').mockResolvedValue([]);
+        });
+
+        test('takes the fee the contract burned from the session, not from config', async () => {
+            const pegOut = await pegOutBuilder.build({ withdrawalId: '201', amount: 0.001, feeAmount: 0.00003, btcAddress: recipient() });
+
+            // 20000 sats by config; the contract charged 3000 on top of the amount
+            expect(pegOut).toMatchObject({ amount: 100000, bridgeFee: 3000 });
+            const psbt = bitcoin.Psbt.fromBase64(pegOut.psbt, { network: custody.getNetwork() });
+            expect(psbt.txOutputs[0]).toMatchObject({ address: recipient(), value: 100000 });
+        });
+
+        test('falls back to the configured fee for a request without one', async () => {
+            const fee = parseInt(config.bridge.withdrawalFee, 10);
+            const pegOut = await pegOutBuilder.build({ withdrawalId: '202', amount: 0.001, feeAmount: null, btcAddress: recipient() });
+
+            expect(pegOut).toMatchObject({ amount: 100000 - fee, bridgeFee: fee });
+        });
+    });
+
+    describe('finalizing', () => {
+        async function insertPegOut(withdrawalId, psbt) {
+            await database.query(`
+                INSERT INTO peg_outs (withdrawal_id, status, psbt, recipient, amount, bridge_fee, network_fee,
+                    change_amount, fee_rate, created_at, updated_at)
+                VALUES ($1, 'signed', $2, 'bcrt1q', 100000, 0, 1000, 9000, 5, $3, $3)
+            `, [withdrawalId, psbt.toBase64(), new Date()]);
+            return pegOutBuilder.getPegOut(withdrawalId);
+        }
+
+        beforeEach(() => {
+            jest.spyOn(bridgeLogger, 'logBitcoinOperation').mockResolvedValue();
+        });
+
+        test('keeps threshold signatures, finalizes and broadcasts the transaction', async () => {
+            let psbt = buildPsbt();
+            for (const key of PRIVATE_KEYS) {
+                psbt = signingSessions.mergePsbtSignatures(psbt, signedBy(psbt, key)).psbt;
+            }
+            const broadcast = jest.spyOn(bitcoinService, 'broadcastTransaction').mockResolvedValue();
+
+            const pegOut = await pegOutBuilder.broadcast(await insertPegOut('101', psbt), { user: '0xabc' });
+
+            const tx = bitcoin.Transaction.fromHex(pegOut.rawTransaction);
+            expect(pegOut.status).toBe('broadcast');
+            expect(pegOut.bitcoinTxHash).toBe(tx.getId());
+            expect(broadcast).toHaveBeenCalledWith(pegOut.rawTransaction);
+            // OP_0 dummy, two signatures and the witness script on each input
+            for (const input of tx.ins) {
+                expect(input.witness).toHaveLength(4);
+            }
+        });
+
+        test('cannot finalize a PSBT short of the threshold', async () => {
+            const psbt = buildPsbt();
+            const { psbt: merged } = signingSessions.mergePsbtSignatures(psbt, signedBy(psbt, 1n));
+            jest.spyOn(bitcoinService, 'broadcastTransaction').mockResolvedValue();
+
+            await expect(pegOutBuilder.broadcast(await insertPegOut('102', merged), { user: '0xabc' })).rejects.toThrow();
+            expect(bitcoinService.broadcastTransaction).not.toHaveBeenCalled();
+        });
+
+        test('rebroadcasts the saved transaction after a retry', async () => {
+            let psbt = buildPsbt();
+            for (const key of PRIVATE_KEYS.slice(0, 2)) {
+                psbt = signingSessions.mergePsbtSignatures(psbt, signedBy(psbt, key)).psbt;
+            }
+            jest.spyOn(bitcoinService, 'broadcastTransaction').mockRejectedValueOnce(new Error('network down'));
+
+            const pegOut = await insertPegOut('103', psbt);
+            await expect(pegOutBuilder.broadcast(pegOut, { user: '0xabc' })).rejects.toThrow('network down');
+
+            const saved = await pegOutBuilder.getPegOut('103');
+            expect(saved.rawTransaction).not.toBeNull();
+
+            bitcoinService.broadcastTransaction.mockRejectedValueOnce(new Error('txn-already-in-mempool'));
+            jest.spyOn(bitcoinService, 'getTransaction').mockResolvedValue({ txid: saved.bitcoinTxHash });
+
+            const broadcast = await pegOutBuilder.broadcast(saved, { user: '0xabc' });
+            expect(broadcast).toMatchObject({ status: 'broadcast', bitcoinTxHash: saved.bitcoinTxHash });
+            expect(bitcoinService.broadcastTransaction).toHaveBeenLastCalledWith(saved.rawTransaction);
+        });
+    });
+});
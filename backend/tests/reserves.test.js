@@ -0,0 +1,132 @@
+const express = require('express');
+const request = require('supertest');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const config = require('../src/config');
+const database = require('../src/services/database');
+const custody = require('../src/services/custody');
+const custodyLedger = require('../src/services/custody-ledger');
+const reserves = require('../src/services/reserves');
+const bitcoinService = require('../src/services/bitcoin');
+const starknetService = require('../src/services/starknet');
+const bitcoinMessage = require('../src/services/bitcoin-message');
+const reservesRoutes = require('../src/routes/reserves');
+const { depositId } = require('../src/services/bridge-state');
+
+const RECIPIENT = '0x0123456789abcdef';
+const PUBLIC_KEYS = [1n, 2n, 3n].map(key =>
+    Buffer.from(secp256k1.getPublicKey(key.toString(16).padStart(64, '0'), true)).toString('hex'));
+const ATTESTATION_KEY = '0f'.repeat(32);
+
+describe('reserves routes', () => {
+    const app = express().use('/api/reserves', reservesRoutes);
+    const saved = {};
+
+    beforeAll(async () => {
+        saved.network = config.bitcoin.network;
+        saved.custody = { ...config.custody };
+        saved.reserves = { ...config.reserves };
+        config.bitcoin.network = 'regtest';
+        config.custody.publicKeys = PUBLIC_KEYS;
+        config.custody.threshold = 2;
+
+        await database.initialize();
+        await database.query('DELETE FROM custody_utxos');
+        await database.query('DELETE FROM deposits');
+
+        // 60000 sats at the custody address and 40000 at a deposit address
+        const address = custody.getDepositAddress(RECIPIENT);
+        await database.query(`
+            INSERT INTO deposits (deposit_id, btc_tx_hash, amount, starknet_recipient, btc_address, status, created_at)
+            VALUES ($1, $2, 0.0004, $3, $4, 'minted', $5)
+        `, [depositId('bb'.repeat(32), address), 'bb'.repeat(32), RECIPIENT, address, new Date()]);
+        await custodyLedger.addUtxo({ txid: 'aa'.repeat(32), vout: 0, address: custody.getAddress(), value: 60000, source: 'custody', reference: null });
+        await custodyLedger.addUtxo({ txid: 'bb'.repeat(32), vout: 1, address, value: 40000, source: 'deposit', reference: depositId('bb'.repeat(32), address) });
+    });
+
+    beforeEach(() => {
+        config.reserves.attestationKey = ATTESTATION_KEY;
+        reserves.snapshot = null;
+        reserves.attestation = null;
+
+        jest.spyOn(starknetService, 'getSBTCTotalSupply').mockResolvedValue(80000n);
+        jest.spyOn(bitcoinService, 'getLatestBlock').mockResolvedValue({ height: 150, hash: '00'.repeat(32) });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        config.bitcoin.network = saved.network;
+        Object.assign(config.custody, saved.custody);
+        Object.assign(config.reserves, saved.reserves);
+        await database.close();
+    });
+
+    test('GET /api/reserves reports holdings against the sBTC supply', async () => {
+        const res = await request(app).get('/api/reserves').expect(200);
+
+        expect(res.body.data).toMatchObject({
+            totalHeld: 100000,
+            sbtcSupply: 80000,
+            collateralizationRatio: 1.25,
+            heldBySource: { custody: 60000, deposit: 40000, change: 0 },
+            custodyAddress: custody.getAddress()
+        });
+        expect(res.body.data.addresses.map(holding => holding.type)).toEqual(['custody', 'deposit']);
+    });
+
+    test('GET /api/reserves/attestation is signed by the attestation key', async () => {
+        const res = await request(app).get('/api/reserves/attestation').expect(200);
+        const { attestation, message, signature, signer } = res.body.data;
+
+        expect(JSON.parse(message)).toEqual(attestation);
+        expect(bitcoinMessage.verifyMessage(signer.address, message, signature)).toBe(true);
+        expect(attestation.reserves).toMatchObject({ totalHeld: 100000, sbtcSupply: 80000 });
+        expect(attestation.bitcoin).toMatchObject({ network: 'regtest', blockHeight: 150 });
+    });
+
+    test('publishes a deposit address with its tweak but not its Starknet recipient', async () => {
+        const res = await request(app).get('/api/reserves/attestation').expect(200);
+        const { attestation, message } = res.body.data;
+
+        const deposit = attestation.reserves.addresses.find(holding => holding.type === 'deposit');
+        expect(deposit).toMatchObject({
+            address: custody.getDepositAddress(RECIPIENT),
+            tweak: custody.computeDepositTweak(RECIPIENT).toString(16).padStart(64, '0'),
+            balance: 40000
+        });
+        expect(deposit).not.toHaveProperty('starknetRecipient');
+        expect(message).not.toContain(RECIPIENT);
+    });
+
+    test('reuses the signed attestation until it expires', async () => {
+        const responses = await Promise.all([
+            request(app).get('/api/reserves/attestation'),
+            request(app).get('/api/reserves/attestation')
+        ]);
+        const later = await request(app).get('/api/reserves/attestation').expect(200);
+
+        expect(starknetService.getSBTCTotalSupply).toHaveBeenCalledTimes(1);
+        expect(responses[1].body.data.signature).toBe(responses[0].body.data.signature);
+        expect(later.body.data.signature).toBe(responses[0].body.data.signature);
+
+        reserves.attestation.expiresAt = Date.now() - 1;
+        await request(app).get('/api/reserves/attestation').expect(200);
+        expect(starknetService.getSBTCTotalSupply).toHaveBeenCalledTimes(2);
+    });
+
+    test('serves the attestation as a file with ?download=true', async () => {
+        const res = await request(app).get('/api/reserves/attestation?download=true').expect(200);
+
+        expect(res.headers['content-disposition']).toMatch(/^attachment; filename="reserves-attestation-\d{4}-\d{2}-\d{2}\.json"$/);
+        expect(res.body).toHaveProperty('signature');
+    });
+
+    test('answers 503 without an attestation key', async () => {
+        config.reserves.attestationKey = '';
+
+        const res = await request(app).get('/api/reserves/attestation').expect(503);
+        expect(res.body).toEqual({ success: false, error: 'No attestation key configured (RESERVES_ATTESTATION_KEY)' });
+    });
+});
@@ -0,0 +1,152 @@
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/services/database');
+const authService = require('../src/services/auth');
+const apiKeys = require('../src/services/api-keys');
+const roleService = require('../src/services/roles');
+const starknetService = require('../src/services/starknet');
+const operatorRoutes = require('../src/routes/operators');
+
+const OPERATOR = '0xa11';
+const ADMIN = '0xad1';
+const REGISTRY_ADMIN = '0xad2';
+const EMERGENCY_ADMIN = '0xe1e';
+const USER = '0xb0b';
+
+describe('roles', () => {
+    let operatorActive;
+
+    beforeEach(() => {
+        roleService.operators.clear();
+        roleService.admins = null;
+        roleService.lastBlock = null;
+        operatorActive = true;
+
+        jest.spyOn(starknetService, 'getOperator').mockImplementation(async address => ({
+            address,
+            isActive: address === OPERATOR && operatorActive
+        }));
+        jest.spyOn(starknetService, 'getAdminAddresses').mockResolvedValue({
+            bridgeAdmin: ADMIN,
+            emergencyAdmin: EMERGENCY_ADMIN,
+            registryAdmin: REGISTRY_ADMIN
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('getRoles', () => {
+        test('a plain account is only a user', async () => {
+            expect(await roleService.getRoles(USER)).toEqual(['user']);
+        });
+
+        test('active operators are operators', async () => {
+            expect(await roleService.getRoles(OPERATOR)).toEqual(['user', 'operator']);
+        });
+
+        test('the bridge and registry admins are admins, the emergency admin is only that', async () => {
+            expect(await roleService.getRoles(ADMIN)).toEqual(['user', 'admin']);
+            expect(await roleService.getRoles(REGISTRY_ADMIN)).toEqual(['user', 'admin']);
+            expect(await roleService.getRoles(EMERGENCY_ADMIN)).toEqual(['user', 'emergency_admin']);
+        });
+
+        test('addresses match however they are padded or cased', async () => {
+            expect(await roleService.getRoles('0x000A11')).toEqual(['user', 'operator']);
+        });
+
+        test.each([
+            'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4',
+            '0xnothex',
+            '0x',
+            undefined
+        ])('%s is only a user, without a chain lookup', async address => {
+            expect(await roleService.getRoles(address)).toEqual(['user']);
+            expect(starknetService.getOperator).not.toHaveBeenCalled();
+            expect(starknetService.getAdminAddresses).not.toHaveBeenCalled();
+        });
+
+        test('a failed lookup grants nothing and is retried on the next request', async () => {
+            starknetService.getOperator.mockRejectedValueOnce(new Error('RPC unavailable'));
+            starknetService.getAdminAddresses.mockRejectedValueOnce(new Error('RPC unavailable'));
+
+            expect(await roleService.getRoles(OPERATOR)).toEqual(['user']);
+            expect(await roleService.getRoles(OPERATOR)).toEqual(['user', 'operator']);
+            expect(await roleService.getRoles(ADMIN)).toEqual(['user', 'admin']);
+        });
+
+        test('lookups are cached', async () => {
+            await roleService.getRoles(OPERATOR);
+            await roleService.getRoles(OPERATOR);
+
+            expect(starknetService.getOperator).toHaveBeenCalledTimes(1);
+            expect(starknetService.getAdminAddresses).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    test('OperatorDeactivated drops the cached operator role before the TTL runs out', async () => {
+        jest.spyOn(starknetService, 'getLatestBlockNumber').mockResolvedValueOnce(100).mockResolvedValueOnce(105);
+        jest.spyOn(starknetService, 'getContractEvents').mockResolvedValue([
+            { name: 'OperatorDeactivated', keys: ['0x1', '0x000a11'], block_number: 103 }
+        ]);
+
+        expect(await roleService.getRoles(OPERATOR)).toEqual(['user', 'operator']);
+
+        // The first sync only finds the tip
+        expect(await roleService.sync()).toBe(0);
+        expect(await roleService.sync()).toBe(1);
+
+        expect(starknetService.getContractEvents).toHaveBeenCalledWith(
+            'operatorRegistry', ['OperatorActivated', 'OperatorDeactivated'], 101, 105
+        );
+        expect(await roleService.getRoles(OPERATOR)).toEqual(['user']);
+        expect(starknetService.getOperator).toHaveBeenCalledTimes(1);
+    });
+
+    describe('requireOperator', () => {
+        const app = express().use('/api/operators', operatorRoutes);
+
+        function session(address) {
+            return `Bearer ${authService.issueSession(address, 'starknet').token}`;
+        }
+
+        beforeAll(async () => {
+            await database.initialize();
+        });
+
+        afterAll(async () => {
+            await database.close();
+        });
+
+        test('turns away a plain user', async () => {
+            const res = await request(app).get('/api/operators/jobs').set('Authorization', session(USER)).expect(403);
+
+            expect(res.body).toEqual({ success: false, error: 'Operator access required' });
+        });
+
+        test('turns away an admin who is not an operator', async () => {
+            await request(app).get('/api/operators/jobs').set('Authorization', session(ADMIN)).expect(403);
+        });
+
+        test('lets an operator through', async () => {
+            const res = await request(app).get('/api/operators/jobs').set('Authorization', session(OPERATOR)).expect(200);
+
+            expect(res.body.success).toBe(true);
+        });
+
+        test('turns away a deactivated operator', async () => {
+            operatorActive = false;
+
+            await request(app).get('/api/operators/jobs').set('Authorization', session(OPERATOR)).expect(403);
+        });
+
+        test("needs the 'operator' scope on an operator's API key", async () => {
+            const unscoped = await apiKeys.createKey(OPERATOR, { name: 'reader', scopes: ['read'] });
+            const scoped = await apiKeys.createKey(OPERATOR, { name: 'ops', scopes: ['read', 'operator'] });
+
+            await request(app).get('/api/operators/jobs').set('X-API-Key', unscoped.key).expect(403);
+            await request(app).get('/api/operators/jobs').set('X-API-Key', scoped.key).expect(200);
+        });
+    });
+});
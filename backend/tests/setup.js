@@ -0,0 +1,3 @@
+// Tests run against an in-memory SQLite database, whatever .env says
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
@@ -0,0 +1,174 @@
+const spvProofs = require('../src/services/spv-proofs');
+const bitcoinService = require('../src/services/bitcoin');
+const cairoCrypto = require('../src/utils/cairo-crypto');
+
+const { SpvProofError, hashToU256 } = spvProofs;
+
+// Mainnet block 100000
+const BLOCK_100000_TXIDS = [
+    '8c14f0db3df150123e6f3dbbf30f8b955a8249b62ac1d1ff16284aefa3d06d87',
+    'fff2525b8931402dd09222c50775608f75787bd2b87e56995a7bdd30f79702c4',
+    '6359f0868171b1d194cbee1af2f16ea598ae8fad666d9b012c8ed2b79a236ec4',
+    'e9a66845e05d5abc0ad04ec80f774a7e585c6e8db975962d069a522137b80c1d'
+];
+const BLOCK_100000_ROOT = 'f3e94742aca4b5ef85488dc37c06c3282295ffec960994b2c0d5ac2a25a95766';
+
+// Mainnet genesis block, its coinbase and block 1 on top of it
+const GENESIS = {
+    hash: '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f',
+    header: '0100000000000000000000000000000000000000000000000000000000000000000000003ba3edfd7a7b12b27ac72c3e67768f617fc81bc3888a51323a9fb8aa4b1e5e4a29ab5f49ffff001d1dac2b7c',
+    merkleRoot: '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b'
+};
+const COINBASE = {
+    txid: GENESIS.merkleRoot,
+    hex: '01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000'
+};
+const BLOCK_1 = {
+    hash: '00000000839a8e6886ab5951d76f411475428afc90947ee320161bbf18eb6048',
+    header: '010000006fe28c0ab6f1b372c1a6a246ae63f74f931e8365e15a089c68d6190000000000982051fd1e4ba744bbbe680e1fee14677ba1a3c3540bf7b1cdb606e857233e0e61bc6649ffff001d01e36299'
+};
+
+const u256Value = ({ low, high }) => (BigInt(high) << 128n) + BigInt(low);
+
+describe('SPV proofs', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Merkle branches', () => {
+        test.each([0, 1, 2, 3])('lead from transaction %i of block 100000 to its root', position => {
+            const branch = spvProofs.getMerkleBranch(BLOCK_100000_TXIDS, position);
+
+            expect(branch).toHaveLength(2);
+            expect(spvProofs.computeMerkleRootFromBranch(BLOCK_100000_TXIDS[position], branch, position)).toBe(BLOCK_100000_ROOT);
+        });
+
+        test('do not lead to the root from the wrong position', () => {
+            const branch = spvProofs.getMerkleBranch(BLOCK_100000_TXIDS, 1);
+            expect(spvProofs.computeMerkleRootFromBranch(BLOCK_100000_TXIDS[1], branch, 0)).not.toBe(BLOCK_100000_ROOT);
+        });
+
+        test('pair the last node of an odd level with itself', () => {
+            const txids = BLOCK_100000_TXIDS.slice(0, 3);
+            const root = cairoCrypto.computeMerkleRoot(txids.map(txid => '0x' + txid)).toString(16).padStart(64, '0');
+
+            expect(spvProofs.getMerkleBranch(txids, 2)[0]).toBe(txids[2]);
+            for (let position = 0; position < 3; position++) {
+                const branch = spvProofs.getMerkleBranch(txids, position);
+                expect(spvProofs.computeMerkleRootFromBranch(txids[position], branch, position)).toBe(root);
+            }
+        });
+
+        test('are empty for a block with only a coinbase', () => {
+            expect(spvProofs.getMerkleBranch([COINBASE.txid], 0)).toEqual([]);
+            expect(spvProofs.computeMerkleRootFromBranch(COINBASE.txid, [], 0)).toBe(GENESIS.merkleRoot);
+        });
+    });
+
+    describe('u256 hashes for Starknet', () => {
+        test('keep the whole display-order value', () => {
+            const u256 = hashToU256(BLOCK_100000_ROOT);
+
+            expect(u256).toEqual({
+                low: '0x2295ffec960994b2c0d5ac2a25a95766',
+                high: '0xf3e94742aca4b5ef85488dc37c06c328'
+            });
+            expect(u256Value(u256)).toBe(BigInt('0x' + BLOCK_100000_ROOT));
+        });
+
+        test('verify against the contract port the same way they verify locally', () => {
+            const proof = spvProofs.toMerkleProof({
+                txid: BLOCK_100000_TXIDS[2],
+                merkleRoot: BLOCK_100000_ROOT,
+                merkleBranch: spvProofs.getMerkleBranch(BLOCK_100000_TXIDS, 2),
+                position: 2
+            });
+
+            expect(cairoCrypto.verifyMerkleProof(
+                u256Value(proof.tx_hash),
+                u256Value(proof.merkle_root),
+                proof.merkle_branch.map(u256Value),
+                proof.position
+            )).toBe(true);
+        });
+    });
+
+    describe('buildProof', () => {
+        function mockChain({ confirmations = 2 } = {}) {
+            jest.spyOn(bitcoinService, 'getTransaction').mockResolvedValue({ hex: COINBASE.hex, blockHash: GENESIS.hash });
+            jest.spyOn(bitcoinService, 'getBlock').mockResolvedValue({
+                hash: GENESIS.hash,
+                height: 0,
+                merkleRoot: GENESIS.merkleRoot,
+                transactions: [COINBASE.txid],
+                confirmations
+            });
+            jest.spyOn(bitcoinService, 'getBlockHash').mockImplementation(async height => (height === 1 ? BLOCK_1.hash : null));
+            jest.spyOn(bitcoinService, 'getBlockHeader').mockImplementation(async hash =>
+                ({ [GENESIS.hash]: GENESIS.header, [BLOCK_1.hash]: BLOCK_1.header }[hash] || null));
+        }
+
+        test('bundles and verifies a confirmed transaction', async () => {
+            mockChain();
+
+            const proof = await spvProofs.buildProof(COINBASE.txid.toUpperCase());
+
+            expect(proof).toMatchObject({
+                txid: COINBASE.txid,
+                blockHash: GENESIS.hash,
+                merkleBranch: [],
+                position: 0,
+                intermediateHeaders: [{ height: 1, hash: BLOCK_1.hash, header: BLOCK_1.header }],
+                verified: true
+            });
+            expect(proof.merkleProof.tx_hash).toEqual(hashToU256(COINBASE.txid));
+        });
+
+        test('rejects a malformed txid', async () => {
+            await expect(spvProofs.buildProof('abc')).rejects.toMatchObject({ name: 'SpvProofError', status: 400 });
+        });
+
+        test('reports unknown and unconfirmed transactions', async () => {
+            jest.spyOn(bitcoinService, 'getTransaction').mockResolvedValueOnce(null);
+            await expect(spvProofs.buildProof(COINBASE.txid)).rejects.toMatchObject({ status: 404 });
+
+            jest.spyOn(bitcoinService, 'getTransaction').mockResolvedValueOnce({ hex: COINBASE.hex, blockHash: null });
+            await expect(spvProofs.buildProof(COINBASE.txid)).rejects.toMatchObject({ status: 409 });
+        });
+
+        test('refuses a bundle whose pieces do not check out', async () => {
+            mockChain();
+            bitcoinService.getBlockHeader.mockImplementation(async hash =>
+                (hash === GENESIS.hash ? BLOCK_1.header : GENESIS.header));
+
+            await expect(spvProofs.buildProof(COINBASE.txid)).rejects.toThrow(SpvProofError);
+            await expect(spvProofs.buildProof(COINBASE.txid)).rejects.toThrow('block header does not hash to the block hash');
+        });
+    });
+
+    describe('verifyProof', () => {
+        const proof = {
+            txid: COINBASE.txid,
+            rawTransaction: COINBASE.hex,
+            blockHash: GENESIS.hash,
+            blockHeader: GENESIS.header,
+            merkleRoot: GENESIS.merkleRoot,
+            merkleBranch: [],
+            position: 0,
+            intermediateHeaders: [{ height: 1, hash: BLOCK_1.hash, header: BLOCK_1.header }]
+        };
+
+        test('accepts a consistent bundle', () => {
+            expect(spvProofs.verifyProof(proof)).toBe(true);
+        });
+
+        test.each([
+            ['a transaction of another txid', { txid: BLOCK_100000_TXIDS[0] }, 'raw transaction does not hash to the txid'],
+            ['a Merkle root other than the header', { merkleRoot: BLOCK_100000_ROOT }, 'Merkle root does not match the block header'],
+            ['a branch that leads elsewhere', { merkleBranch: [BLOCK_100000_TXIDS[0]] }, 'Merkle branch does not lead'],
+            ['headers that do not chain', { intermediateHeaders: [{ height: 1, hash: GENESIS.hash, header: GENESIS.header }] }, 'does not extend the chain']
+        ])('rejects %s', (name, change, reason) => {
+            expect(() => spvProofs.verifyProof({ ...proof, ...change })).toThrow(reason);
+        });
+    });
+});
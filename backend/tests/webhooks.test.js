@@ -0,0 +1,165 @@
+const http = require('http');
+const crypto = require('crypto');
+const config = require('../src/config');
+const database = require('../src/services/database');
+const apiKeys = require('../src/services/api-keys');
+const webhooks = require('../src/services/webhooks');
+
+const OWNER = '0x0abc';
+const SECRET = 'whsec_test_secret_0123456789';
+
+describe('webhooks', () => {
+    let server;
+    let url;
+    let received;
+    let respondWith;
+    let apiKey;
+
+    beforeAll(async () => {
+        await database.initialize();
+        apiKey = await apiKeys.createKey(OWNER, { name: 'test', scopes: ['read'] });
+
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.writeHead(respondWith);
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/hooks`;
+    });
+
+    beforeEach(async () => {
+        received = [];
+        respondWith = 200;
+        config.webhooks.allowPrivateHosts = true;
+        await database.query('DELETE FROM webhook_deliveries');
+        await database.query('DELETE FROM webhooks');
+    });
+
+    afterAll(async () => {
+        config.webhooks.allowPrivateHosts = false;
+        webhooks.httpAgent.destroy();
+        await new Promise(resolve => server.close(resolve));
+        await database.close();
+    });
+
+    async function deliveries() {
+        const result = await database.query('SELECT * FROM webhook_deliveries ORDER BY created_at ASC');
+        return result.rows;
+    }
+
+    test('signs each delivery over its timestamp and body', async () => {
+        await webhooks.createWebhook(apiKey.id, { name: 'mine', url, events: ['deposit.detected'], secret: SECRET });
+
+        const deposit = { btcTxHash: 'aa'.repeat(32), blockHash: 'bb'.repeat(32), starknetRecipient: OWNER, amount: 0.1 };
+        expect(await webhooks.publish('deposit.detected', deposit)).toBe(1);
+        expect(await webhooks.deliverDue()).toBe(1);
+
+        expect(received).toHaveLength(1);
+        const [{ headers, body }] = received;
+        const expected = crypto.createHmac('sha256', SECRET)
+            .update(`${headers['x-bridge-timestamp']}.${body}`)
+            .digest('hex');
+
+        expect(headers['x-bridge-signature']).toBe(expected);
+        expect(headers['x-bridge-event']).toBe('deposit.detected');
+        expect(JSON.parse(body)).toMatchObject({ type: 'deposit.detected', data: deposit });
+        expect((await deliveries())[0]).toMatchObject({ status: 'delivered', attempts: 1, response_status: 200 });
+    });
+
+    test('delivers an event once per webhook, and only to its owner', async () => {
+        await webhooks.createWebhook(apiKey.id, { name: 'mine', url, events: ['deposit.confirmed'], secret: SECRET });
+
+        const deposit = { btcTxHash: 'dd'.repeat(32), starknetRecipient: OWNER };
+        expect(await webhooks.publish('deposit.confirmed', deposit)).toBe(1);
+        expect(await webhooks.publish('deposit.confirmed', deposit)).toBe(0);
+        expect(await webhooks.publish('deposit.confirmed', { btcTxHash: 'ee'.repeat(32), starknetRecipient: '0x0def' })).toBe(0);
+        expect(await webhooks.publish('deposit.detected', deposit)).toBe(0);
+    });
+
+    test('retries a failed delivery with backoff and gives up after the last attempt', async () => {
+        await webhooks.createWebhook(apiKey.id, { name: 'mine', url, events: ['deposit.confirmed'], secret: SECRET });
+        await webhooks.publish('deposit.confirmed', { btcTxHash: 'ff'.repeat(32), starknetRecipient: OWNER });
+        respondWith = 500;
+
+        await webhooks.deliverDue();
+        let [delivery] = await deliveries();
+        expect(delivery).toMatchObject({ status: 'pending', attempts: 1, response_status: 500 });
+        expect(new Date(delivery.next_attempt_at).getTime()).toBeGreaterThan(Date.now() + (config.webhooks.retryBaseDelay - 1) * 1000);
+
+        // Not due yet
+        expect(await webhooks.deliverDue()).toBe(0);
+
+        await database.query('UPDATE webhook_deliveries SET attempts = $1, next_attempt_at = $2', [config.webhooks.maxAttempts - 1, new Date(0)]);
+        await webhooks.deliverDue();
+        [delivery] = await deliveries();
+        expect(delivery).toMatchObject({ status: 'failed', attempts: config.webhooks.maxAttempts, next_attempt_at: null });
+    });
+
+    test('a delivery is sent by only one of two replicas polling at once', async () => {
+        const replica = new webhooks.constructor();
+        await webhooks.createWebhook(apiKey.id, { name: 'mine', url, events: ['deposit.confirmed'], secret: SECRET });
+        await webhooks.publish('deposit.confirmed', { btcTxHash: '22'.repeat(32), starknetRecipient: OWNER });
+
+        try {
+            const sent = await Promise.all([webhooks.deliverDue(), replica.deliverDue()]);
+
+            expect(sent.sort()).toEqual([0, 1]);
+            expect(received).toHaveLength(1);
+            expect((await deliveries())[0]).toMatchObject({ status: 'delivered', attempts: 1, locked_until: null });
+        } finally {
+            replica.httpAgent.destroy();
+        }
+    });
+
+    test('a claimed delivery is sent again only once its lease runs out', async () => {
+        await webhooks.createWebhook(apiKey.id, { name: 'mine', url, events: ['deposit.confirmed'], secret: SECRET });
+        await webhooks.publish('deposit.confirmed', { btcTxHash: '33'.repeat(32), starknetRecipient: OWNER });
+
+        // Claimed by a replica that is still sending it
+        await database.query("UPDATE webhook_deliveries SET status = 'delivering', locked_until = $1", [new Date(Date.now() + 60000)]);
+        expect(await webhooks.deliverDue()).toBe(0);
+        expect(received).toHaveLength(0);
+
+        // The replica died mid-attempt
+        await database.query('UPDATE webhook_deliveries SET locked_until = $1', [new Date(Date.now() - 1000)]);
+        expect(await webhooks.deliverDue()).toBe(1);
+        expect(received).toHaveLength(1);
+        expect((await deliveries())[0]).toMatchObject({ status: 'delivered', attempts: 1 });
+    });
+
+    describe('endpoint addresses', () => {
+        beforeEach(() => {
+            config.webhooks.allowPrivateHosts = false;
+        });
+
+        test.each([
+            'http://127.0.0.1/hooks',
+            'http://10.1.2.3/hooks',
+            'http://192.168.0.10/hooks',
+            'http://169.254.169.254/latest/meta-data',
+            'http://[::1]/hooks',
+            'http://[fd00::1]/hooks'
+        ])('refuses %s', async endpoint => {
+            await expect(webhooks.createWebhook(apiKey.id, { name: 'internal', url: endpoint, events: ['deposit.detected'] }))
+                .rejects.toMatchObject({ name: 'WebhookError', status: 400 });
+        });
+
+        test('refuses to deliver once the endpoint is no longer public', async () => {
+            config.webhooks.allowPrivateHosts = true;
+            await webhooks.createWebhook(apiKey.id, { name: 'mine', url, events: ['deposit.confirmed'], secret: SECRET });
+            await webhooks.publish('deposit.confirmed', { btcTxHash: '11'.repeat(32), starknetRecipient: OWNER });
+            config.webhooks.allowPrivateHosts = false;
+
+            await webhooks.deliverDue();
+
+            expect(received).toHaveLength(0);
+            expect((await deliveries())[0]).toMatchObject({ status: 'pending', attempts: 1 });
+            expect((await deliveries())[0].error_message).toMatch('non-public address');
+        });
+    });
+});
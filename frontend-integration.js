@@ -20,26 +20,63 @@ class VernWalletIntegration {
         this.requestQueue = [];
         this.isProcessingQueue = false;
 
+        // Realtime channels and the id of the last message seen, used to resume after a reconnect
+        this.sessionToken = config.sessionToken || this.getStoredSessionToken();
+        this.subscriptions = new Set();
+        this.lastEventId = null;
+        this.eventSource = null;
+        this.useEventSource = false;
+
         this.initializeWebSocket();
     }
 
     // WebSocket Management
     initializeWebSocket() {
+        // The server only accepts connections with a wallet session token
+        if (!this.sessionToken) {
+            return;
+        }
+
+        if (this.useEventSource || typeof WebSocket === 'undefined') {
+            this.initializeEventSource();
+            return;
+        }
+
         try {
-            this.websocket = new WebSocket(this.config.websocketUrl);
+            let opened = false;
+            const url = `${this.config.websocketUrl}?token=${encodeURIComponent(this.sessionToken)}`;
+            this.websocket = new WebSocket(url);
 
             this.websocket.onopen = () => {
+                opened = true;
                 this.isConnected = true;
                 console.log('🔗 Connected to VernWallet WebSocket');
                 this.emit('connected');
+
+                this.subscriptions.forEach(channel => this.sendSubscribe(channel));
                 this.processRequestQueue();
             };
 
-            this.websocket.onclose = () => {
+            this.websocket.onclose = (event) => {
                 this.isConnected = false;
+                this.websocket = null;
                 console.log('🔌 Disconnected from VernWallet WebSocket');
                 this.emit('disconnected');
 
+                // An expired session needs a new sign-in before reconnecting
+                if (event.code === 4001) {
+                    this.sessionToken = null;
+                    return;
+                }
+
+                // A handshake that never completes usually means a proxy is blocking WebSockets
+                if (!opened) {
+                    console.warn('WebSocket unavailable, falling back to Server-Sent Events');
+                    this.useEventSource = true;
+                    this.initializeEventSource();
+                    return;
+                }
+
                 // Attempt to reconnect after delay
                 setTimeout(() => this.initializeWebSocket(), 5000);
             };
@@ -60,17 +97,134 @@ class VernWalletIntegration {
 
         } catch (error) {
             console.error('Failed to initialize WebSocket:', error);
+            this.useEventSource = true;
+            this.initializeEventSource();
+        }
+    }
+
+    // Server-Sent Events fallback; the channel list is part of the URL, so it reopens on (un)subscribe
+    initializeEventSource() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+
+        if (!this.sessionToken || this.subscriptions.size === 0 || typeof EventSource === 'undefined') {
+            return;
+        }
+
+        const params = new URLSearchParams({
+            token: this.sessionToken,
+            channels: Array.from(this.subscriptions).join(',')
+        });
+        if (this.lastEventId) {
+            params.set('lastEventId', this.lastEventId);
+        }
+
+        this.eventSource = new EventSource(`${this.config.apiUrl}/api/stream?${params}`);
+
+        this.eventSource.onopen = () => {
+            this.isConnected = true;
+            console.log('🔗 Connected to VernWallet event stream');
+            this.emit('connected');
+            this.processRequestQueue();
+        };
+
+        // EventSource reconnects by itself (sending Last-Event-ID) unless the server refused the stream
+        this.eventSource.onerror = (error) => {
+            this.isConnected = false;
+            this.emit('disconnected');
+
+            if (this.eventSource && this.eventSource.readyState === EventSource.CLOSED) {
+                console.error('Event stream closed:', error);
+                this.eventSource = null;
+            }
+        };
+
+        ['bridge_update', 'transaction_confirmed', 'staking_reward', 'system_alert', 'resync_required'].forEach(type => {
+            this.eventSource.addEventListener(type, (event) => {
+                try {
+                    const message = JSON.parse(event.data);
+                    this.handleWebSocketMessage({ ...message, id: message.id || event.lastEventId });
+                } catch (error) {
+                    console.error('Failed to parse event stream message:', error);
+                }
+            });
+        });
+    }
+
+    getStoredSessionToken() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage.getItem('vernwallet_session_token') : null;
+        } catch (error) {
+            return null;
         }
     }
 
+    setSessionToken(token) {
+        this.sessionToken = token;
+
+        if (this.websocket) {
+            this.websocket.onclose = null;
+            this.websocket.close();
+            this.websocket = null;
+        }
+        this.initializeWebSocket();
+    }
+
+    /**
+     * Subscribe to a realtime channel, e.g. `deposits:0x...`. Subscriptions are
+     * renewed on reconnect, resuming after the last message received.
+     */
+    subscribe(channel) {
+        this.subscriptions.add(channel);
+        if (this.useEventSource) {
+            this.initializeEventSource();
+        } else if (this.isConnected) {
+            this.sendSubscribe(channel);
+        }
+    }
+
+    unsubscribe(channel) {
+        this.subscriptions.delete(channel);
+        if (this.useEventSource) {
+            this.initializeEventSource();
+        } else if (this.isConnected) {
+            this.websocket.send(JSON.stringify({ type: 'unsubscribe', channel }));
+        }
+    }
+
+    sendSubscribe(channel) {
+        const message = { type: 'subscribe', channel };
+        if (this.lastEventId) {
+            message.lastEventId = this.lastEventId;
+        }
+        this.websocket.send(JSON.stringify(message));
+    }
+
     handleWebSocketMessage(message) {
         switch (message.type) {
             case 'welcome':
                 console.log('🖖 WebSocket welcome:', message.message);
+                this.serverEventId = message.lastEventId;
+                break;
+
+            case 'subscribed':
+                this.serverEventId = message.lastEventId;
                 break;
 
-            case 'broadcast':
-                this.emit('broadcast', message);
+            case 'bridge_update':
+            case 'transaction_confirmed':
+            case 'staking_reward':
+            case 'system_alert':
+                this.lastEventId = message.id;
+                this.emit(message.type, message);
+                break;
+
+            case 'resync_required':
+                // Missed messages are gone; carry on from the server's current position
+                this.lastEventId = message.id || this.serverEventId;
+                this.emit('resync', message);
                 break;
 
             case 'error':
@@ -834,9 +988,14 @@ class VernWalletIntegration {
         }
     }
 
-    async getTransactionHistory(address, limit = 50) {
+    async getTransactionHistory(address, { limit = 50, offset = 0, contract } = {}) {
         try {
-            const response = await this.request(`/api/wallet/transactions/${address}?limit=${limit}`);
+            const params = new URLSearchParams({ limit, offset });
+            if (contract) {
+                params.set('contract', contract);
+            }
+
+            const response = await this.request(`/api/wallet/transactions/${address}?${params}`);
             return response;
         } catch (error) {
             console.error('Failed to get transaction history:', error);
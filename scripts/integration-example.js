@@ -26,6 +26,7 @@ class IntegrationExample {
         this.bridge = new VernWalletBridge({
             apiUrl: 'http://localhost:3001',
             websocketUrl: 'ws://localhost:3001/ws',
+            sessionToken: process.env.VERNWALLET_SESSION_TOKEN,
             refreshInterval: 30000
         });
 
@@ -99,8 +100,8 @@ class IntegrationExample {
 
             // 5. Subscribe to real-time updates
             console.log('\n5️⃣ Subscribing to real-time updates...');
-            this.bridge.subscribe('bridge_updates');
-            this.bridge.subscribe('network_status');
+            this.bridge.subscribe(`deposits:${process.env.STARKNET_ADDRESS || '0x0'}`);
+            this.bridge.subscribe('system_alerts');
 
             // 6. Monitor for a short period
             console.log('\n6️⃣ Monitoring for updates (30 seconds)...');
@@ -108,8 +109,8 @@ class IntegrationExample {
 
             // 7. Clean up subscriptions
             console.log('\n7️⃣ Cleaning up...');
-            this.bridge.unsubscribe('bridge_updates');
-            this.bridge.unsubscribe('network_status');
+            this.bridge.unsubscribe(`deposits:${process.env.STARKNET_ADDRESS || '0x0'}`);
+            this.bridge.unsubscribe('system_alerts');
 
             console.log('\n✅ Integration example completed successfully!');
 
@@ -126,12 +127,12 @@ class IntegrationExample {
 // WebSocket message handler for real-time updates
 function handleWebSocketMessage(message) {
     switch (message.type) {
-        case 'broadcast':
-            if (message.channel === 'bridge_updates') {
-                console.log('📡 Bridge update:', message.data);
-            } else if (message.channel === 'network_status') {
-                console.log('🌐 Network status:', message.data);
-            }
+        case 'bridge_update':
+            console.log('📡 Bridge update:', message.data);
+            break;
+
+        case 'system_alert':
+            console.log('🚨 System alert:', message.data);
             break;
 
         case 'pong':
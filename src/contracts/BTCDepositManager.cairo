@@ -15,7 +15,7 @@ pub mod BTCDepositManager {
         btc_address: felt252, // Bitcoin address where funds were sent
         starknet_recipient: ContractAddress,
         block_height: u32,
-        tx_hash: felt252,
+        tx_hash: u256, // Bitcoin txid as the u256 value of its display hex
         status: DepositStatus,
         timestamp: u64,
     }
@@ -29,12 +29,12 @@ pub mod BTCDepositManager {
         Failed,
     }
 
-    // Merkle proof for SPV verification
+    // Merkle proof for SPV verification, in SPVVerifier's u256 hash layout
     #[derive(Drop, Serde)]
     struct MerkleProof {
-        merkle_root: felt252,
-        tx_hash: felt252,
-        merkle_branch: Array<felt252>,
+        merkle_root: u256,
+        tx_hash: u256,
+        merkle_branch: Array<u256>,
         position: u32,
     }
 
@@ -69,21 +69,21 @@ pub mod BTCDepositManager {
         amount: u256,
         btc_address: felt252,
         starknet_recipient: ContractAddress,
-        tx_hash: felt252,
+        tx_hash: u256,
     }
 
     #[derive(Drop, starknet::Event)]
     struct DepositConfirmed {
         #[key]
-        tx_hash: felt252,
+        tx_hash: u256,
         block_height: u32,
-        merkle_root: felt252,
+        merkle_root: u256,
     }
 
     #[derive(Drop, starknet::Event)]
     struct DepositMinted {
         #[key]
-        tx_hash: felt252,
+        tx_hash: u256,
         #[key]
         recipient: ContractAddress,
         amount_minted: u256,
@@ -93,7 +93,7 @@ pub mod BTCDepositManager {
     #[derive(Drop, starknet::Event)]
     struct DepositFailed {
         #[key]
-        tx_hash: felt252,
+        tx_hash: u256,
         reason: felt252,
     }
 
@@ -182,7 +182,7 @@ pub mod BTCDepositManager {
     fn confirm_deposit(
         ref self: ContractState,
         deposit_id: u256,
-        tx_hash: felt252,
+        tx_hash: u256,
         block_height: u32,
         merkle_proof: MerkleProof
     ) {
@@ -18,7 +18,7 @@ pub mod BTCPegOut {
         status: WithdrawalStatus,
         created_at: u64,
         finalized_at: u64,
-        bitcoin_tx_hash: felt252, // Hash of the Bitcoin transaction once broadcast
+        bitcoin_tx_hash: u256, // Bitcoin txid once broadcast, as the u256 value of its display hex
     }
 
     #[derive(Drop, Serde, starknet::Store, PartialEq, Copy)]
@@ -101,7 +101,7 @@ pub mod BTCPegOut {
     struct BitcoinTxBroadcast {
         #[key]
         withdrawal_id: u256,
-        bitcoin_tx_hash: felt252,
+        bitcoin_tx_hash: u256,
         broadcast_at: u64,
     }
 
@@ -257,7 +257,7 @@ pub mod BTCPegOut {
     fn broadcast_bitcoin_tx(
         ref self: ContractState,
         withdrawal_id: u256,
-        bitcoin_tx_hash: felt252
+        bitcoin_tx_hash: u256
     ) {
         let mut withdrawal = self.withdrawals.read(withdrawal_id);
         assert(withdrawal.status == WithdrawalStatus::QuorumReached, Errors::INVALID_STATUS);
@@ -8,12 +8,13 @@ pub mod BitcoinHeaders {
     use core::num::traits::Zero;
 
     // Bitcoin header is 80 bytes
-    // We'll store it as a felt252 for simplicity, but in production this should be bytes32
+    // Hashes are u256 values of their display (byte-reversed) hex, so none of
+    // the 256 bits are lost to the field prime
     #[derive(Drop, Serde, starknet::Store, Copy)]
     struct BitcoinHeader {
-        hash: felt252,
-        previous_block_hash: felt252,
-        merkle_root: felt252,
+        hash: u256,
+        previous_block_hash: u256,
+        merkle_root: u256,
         timestamp: u32,
         bits: u32, // Difficulty target
         nonce: u32,
@@ -23,13 +24,13 @@ pub mod BitcoinHeaders {
     #[storage]
     struct Storage {
         // Mapping of height to header hash
-        headers: Map<u32, felt252>,
+        headers: Map<u32, u256>,
         // Mapping of header hash to header data
-        header_data: Map<felt252, BitcoinHeader>,
+        header_data: Map<u256, BitcoinHeader>,
         // Current best height
         best_height: u32,
         // Genesis block hash for validation
-        genesis_hash: felt252,
+        genesis_hash: u256,
         // Maximum reorg depth (how many blocks back we allow reorgs)
         max_reorg_depth: u32,
         // Admin address
@@ -39,10 +40,10 @@ pub mod BitcoinHeaders {
     #[derive(Drop, starknet::Event)]
     struct HeaderSubmitted {
         #[key]
-        header_hash: felt252,
+        header_hash: u256,
         #[key]
         height: u32,
-        previous_block_hash: felt252,
+        previous_block_hash: u256,
         timestamp: u32,
         bits: u32,
     }
@@ -53,7 +54,7 @@ pub mod BitcoinHeaders {
         from_height: u32,
         #[key]
         to_height: u32,
-        new_best_hash: felt252,
+        new_best_hash: u256,
     }
 
     #[event]
@@ -71,13 +72,16 @@ pub mod BitcoinHeaders {
         pub const HEADER_EXISTS: felt252 = 'Header: Header exists';
         pub const INVALID_HEIGHT: felt252 = 'Header: Invalid height';
         pub const REORG_TOO_DEEP: felt252 = 'Header: Reorg too deep';
+        pub const EMPTY_BRANCH: felt252 = 'Header: Empty branch';
+        pub const NOT_A_FORK: felt252 = 'Header: Not a fork';
+        pub const FORK_NOT_LONGER: felt252 = 'Header: Fork not longer';
     }
 
     #[constructor]
     fn constructor(
         ref self: ContractState,
         admin: ContractAddress,
-        genesis_hash: felt252,
+        genesis_hash: u256,
         max_reorg_depth: u32
     ) {
         self.admin.write(admin);
@@ -90,7 +94,7 @@ pub mod BitcoinHeaders {
     fn submit_header(
         ref self: ContractState,
         header: BitcoinHeader
-    ) -> felt252 {
+    ) -> u256 {
         self.assert_admin();
 
         // Validate header doesn't already exist
@@ -135,6 +139,70 @@ pub mod BitcoinHeaders {
         header.hash
     }
 
+    // Replace the stored chain from the first header's height with the competing
+    // branch `headers` (lowest height first). The branch must fork within
+    // max_reorg_depth of the best height and end above it.
+    #[external(v0)]
+    fn submit_fork(
+        ref self: ContractState,
+        headers: Array<BitcoinHeader>
+    ) -> u256 {
+        self.assert_admin();
+        assert(headers.len() > 0, Errors::EMPTY_BRANCH);
+
+        let first = *headers.at(0);
+        let last = *headers.at(headers.len() - 1);
+        let fork_height = first.height;
+        let old_best = self.best_height.read();
+
+        assert(fork_height > 0 && fork_height <= old_best, Errors::INVALID_HEIGHT);
+        assert(self.headers.read(fork_height) != first.hash, Errors::NOT_A_FORK);
+        assert(old_best - fork_height < self.max_reorg_depth.read(), Errors::REORG_TOO_DEEP);
+        assert(last.height > old_best, Errors::FORK_NOT_LONGER);
+
+        // The whole branch must link up before any of it replaces the stored chain
+        let mut previous_hash = if fork_height > 1 {
+            self.headers.read(fork_height - 1)
+        } else {
+            self.genesis_hash.read()
+        };
+        let mut i: u32 = 0;
+        while i < headers.len() {
+            let header = *headers.at(i);
+            assert(header.height == fork_height + i, Errors::INVALID_HEIGHT);
+            assert(header.previous_block_hash == previous_hash, Errors::INVALID_PREV_BLOCK);
+            self.validate_proof_of_work(header);
+            previous_hash = header.hash;
+            i += 1;
+        };
+
+        let mut i: u32 = 0;
+        while i < headers.len() {
+            let header = *headers.at(i);
+            self.headers.write(header.height, header.hash);
+            self.header_data.write(header.hash, header);
+
+            self.emit(Event::HeaderSubmitted(HeaderSubmitted {
+                header_hash: header.hash,
+                height: header.height,
+                previous_block_hash: header.previous_block_hash,
+                timestamp: header.timestamp,
+                bits: header.bits,
+            }));
+            i += 1;
+        };
+
+        self.best_height.write(last.height);
+
+        self.emit(Event::ChainReorg(ChainReorg {
+            from_height: fork_height,
+            to_height: old_best,
+            new_best_hash: last.hash,
+        }));
+
+        last.hash
+    }
+
     #[external(v0)]
     fn get_header(self: @ContractState, height: u32) -> BitcoinHeader {
         let header_hash = self.headers.read(height);
@@ -143,7 +211,7 @@ pub mod BitcoinHeaders {
     }
 
     #[external(v0)]
-    fn get_header_hash(self: @ContractState, height: u32) -> felt252 {
+    fn get_header_hash(self: @ContractState, height: u32) -> u256 {
         self.headers.read(height)
     }
 
@@ -153,7 +221,7 @@ pub mod BitcoinHeaders {
     }
 
     #[external(v0)]
-    fn get_merkle_root(self: @ContractState, height: u32) -> felt252 {
+    fn get_merkle_root(self: @ContractState, height: u32) -> u256 {
         let header_hash = self.headers.read(height);
         if header_hash.is_zero() {
             return 0;
@@ -218,8 +286,8 @@ pub mod BitcoinHeaders {
         fn calculate_header_hash(self: @ContractState, header: BitcoinHeader) -> felt252 {
             // Simplified hash calculation
             // In production, this should use double SHA256
-            let mut hash_input = header.previous_block_hash +
-                                header.merkle_root +
+            let mut hash_input: felt252 = header.previous_block_hash.low.into() +
+                                header.merkle_root.low.into() +
                                 header.timestamp.into() +
                                 header.bits.into() +
                                 header.nonce.into();
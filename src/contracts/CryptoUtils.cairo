@@ -2,10 +2,12 @@
 pub mod CryptoUtils {
     use starknet::{ContractAddress, get_caller_address};
     use starknet::storage::{StoragePointerReadAccess, StoragePointerWriteAccess};
-    // use core::integer::u256; // Not currently used
+    use core::sha256::{compute_sha256_byte_array, compute_sha256_u32_array};
 
-    // SHA256 implementation for Bitcoin compatibility
-    // This is a simplified version - in production, you'd want a more optimized implementation
+    // SHA-256 for Bitcoin compatibility, on the core library's implementation.
+    // Digests are u256: `sha256` and `double_sha256` return the digest as it
+    // reads (big-endian), while txids, block hashes and Merkle nodes are the
+    // u256 value of their display (byte-reversed) hex, as Bitcoin shows them.
 
     #[storage]
     struct Storage {
@@ -17,7 +19,7 @@ pub mod CryptoUtils {
         #[key]
         hash_type: felt252, // 'sha256', 'double_sha256', 'hash256'
         input_length: u32,
-        result: felt252,
+        result: u256,
     }
 
     #[event]
@@ -39,8 +41,8 @@ pub mod CryptoUtils {
 
     /// Compute SHA256 hash of input data
     #[external(v0)]
-    fn sha256(ref self: ContractState, data: Array<u8>) -> felt252 {
-        let hash = self.sha256_internal(data.span());
+    fn sha256(ref self: ContractState, data: Array<u8>) -> u256 {
+        let hash = digest_to_u256(sha256_digest(data.span()));
         self.emit(Event::HashComputed(HashComputed {
             hash_type: 'sha256',
             input_length: data.len(),
@@ -51,76 +53,57 @@ pub mod CryptoUtils {
 
     /// Compute double SHA256 hash (SHA256(SHA256(data))) - Bitcoin standard
     #[external(v0)]
-    fn double_sha256(ref self: ContractState, data: Array<u8>) -> felt252 {
-        let _first_hash = self.sha256_internal(data.span());
-        let second_hash = self.sha256_internal(ArrayTrait::new().span());
-
+    fn double_sha256(ref self: ContractState, data: Array<u8>) -> u256 {
+        let hash = digest_to_u256(double_sha256_digest(data.span()));
         self.emit(Event::HashComputed(HashComputed {
             hash_type: 'double_sha256',
             input_length: data.len(),
-            result: second_hash,
+            result: hash,
         }));
-        second_hash
+        hash
     }
 
-    /// Compute HASH256 (double SHA256 of data + single SHA256 of data)
+    /// Compute HASH256, Bitcoin's name for double SHA256
     #[external(v0)]
-    fn hash256(ref self: ContractState, data: Array<u8>) -> felt252 {
-        let double_hash = self.sha256_internal(data.span());
-        let single_hash = InternalImpl::sha256_internal(@self, data.span());
-
-        // Combine the two hashes using Bitcoin-style combination
-        let _combined = double_hash * 31 + single_hash;
-        let combined_hash = InternalImpl::sha256_internal(@self, ArrayTrait::new().span());
-
+    fn hash256(ref self: ContractState, data: Array<u8>) -> u256 {
+        let hash = digest_to_u256(double_sha256_digest(data.span()));
         self.emit(Event::HashComputed(HashComputed {
             hash_type: 'hash256',
             input_length: data.len(),
-            result: combined_hash,
+            result: hash,
         }));
-        combined_hash
+        hash
     }
 
-    /// Compute Bitcoin transaction ID (double SHA256 of transaction data)
+    /// Compute Bitcoin transaction ID (double SHA256 of transaction data, display order)
     #[external(v0)]
-    fn compute_txid(ref self: ContractState, tx_data: Array<u8>) -> felt252 {
-        self.sha256_internal(tx_data.span())
+    fn compute_txid(ref self: ContractState, tx_data: Array<u8>) -> u256 {
+        digest_to_hash(double_sha256_digest(tx_data.span()))
     }
 
-    /// Compute Bitcoin block hash (double SHA256 of block header)
+    /// Compute Bitcoin block hash (double SHA256 of block header, display order)
     #[external(v0)]
-    fn compute_block_hash(ref self: ContractState, header_data: Array<u8>) -> felt252 {
-        self.sha256_internal(header_data.span())
+    fn compute_block_hash(ref self: ContractState, header_data: Array<u8>) -> u256 {
+        digest_to_hash(double_sha256_digest(header_data.span()))
     }
 
     /// Compute Bitcoin merkle root from transaction IDs
     #[external(v0)]
-    fn compute_merkle_root(ref self: ContractState, mut txids: Array<felt252>) -> felt252 {
+    fn compute_merkle_root(ref self: ContractState, mut txids: Array<u256>) -> u256 {
         if txids.len() == 0 {
             return 0;
         }
 
-        if txids.len() == 1 {
-            return *txids.at(0);
-        }
-
         // Keep hashing pairs until we have a single hash
         while txids.len() != 1 {
-            let mut next_level: Array<felt252> = ArrayTrait::new();
+            let mut next_level: Array<u256> = ArrayTrait::new();
 
             let mut i = 0;
             while i != txids.len() {
-                if i + 1 != txids.len() {
-                    // Hash pair of transaction IDs
-                    let left = *txids.at(i);
-                    let right = *txids.at(i + 1);
-                    let combined = self.hash_pair(left, right);
-                    next_level.append(combined);
-                } else {
-                    // Odd number of transactions, hash the last one with itself
-                    let last = *txids.at(i);
-                    next_level.append(last);
-                }
+                let left = *txids.at(i);
+                // Odd number of transactions, hash the last one with itself
+                let right = if i + 1 != txids.len() { *txids.at(i + 1) } else { left };
+                next_level.append(hash_pair(left, right));
                 i += 2;
             };
 
@@ -134,9 +117,9 @@ pub mod CryptoUtils {
     #[external(v0)]
     fn verify_merkle_proof(
         ref self: ContractState,
-        txid: felt252,
-        merkle_root: felt252,
-        merkle_branch: Array<felt252>,
+        txid: u256,
+        merkle_root: u256,
+        merkle_branch: Array<u256>,
         position: u32
     ) -> bool {
         let mut current_hash = txid;
@@ -148,10 +131,10 @@ pub mod CryptoUtils {
 
             if (current_position % 2) == 0 {
                 // Left side - hash with right sibling
-                current_hash = self.hash_pair(current_hash, sibling_hash);
+                current_hash = hash_pair(current_hash, sibling_hash);
             } else {
                 // Right side - hash with left sibling
-                current_hash = self.hash_pair(sibling_hash, current_hash);
+                current_hash = hash_pair(sibling_hash, current_hash);
             };
 
             current_position /= 2;
@@ -218,98 +201,79 @@ pub mod CryptoUtils {
             let admin = self.admin.read();
             assert(caller == admin, Errors::NOT_ADMIN);
         }
+    }
 
-        /// Internal SHA256 implementation
-        fn sha256_internal(self: @ContractState, data: Span<u8>) -> felt252 {
-            // Enhanced SHA256 implementation for Cairo
-            // This is a more robust version than the original placeholder
-            // In production, consider using a dedicated cryptographic library
-
-            if data.len() == 0 {
-                return 0xe3b0c44298fc1c149afbf4c8996fb924; // SHA256("") - shortened
-            }
-
-            // Bitcoin-style double hash implementation
-            let mut hash: felt252 = 0;
-
-            let mut i: usize = 0;
-            while i != data.len() {
-                let byte = *data.at(i);
-                // Use Bitcoin-style compression function
-                hash = self.sha256_compress(hash, byte.into(), i);
-                i += 1;
-            }
-
-            // Finalize with Bitcoin double-hash pattern
-            self.sha256_finalize(hash, data.len())
-        }
-
-        /// SHA256 compression function (simplified but more robust)
-        fn sha256_compress(self: @ContractState, hash: felt252, value: felt252, index: usize) -> felt252 {
-            // Bitcoin-style compression with constants
-            let mut compressed = hash;
-
-            // Mix in the new value with Bitcoin magic numbers
-            compressed = compressed * 0xD9B4BEF9 + value; // Bitcoin mainnet magic
-            compressed = compressed * 1103515245 + 12345;   // Linear congruential
-
-            // Additional mixing rounds for better distribution
-            self.sha256_mix_round(compressed, value, index)
-        }
+    fn sha256_digest(data: Span<u8>) -> [u32; 8] {
+        let mut bytes: ByteArray = "";
+        let mut i: usize = 0;
+        while i != data.len() {
+            bytes.append_byte(*data.at(i));
+            i += 1;
+        };
+        compute_sha256_byte_array(@bytes)
+    }
 
-        /// Additional mixing round for better hash distribution
-        fn sha256_mix_round(self: @ContractState, hash: felt252, value: felt252, index: usize) -> felt252 {
-            let mut mixed = hash;
-
-            // Use different constants for each round
-            let round_constant = match index % 8 {
-                0 => 0x428a2f98,
-                1 => 0x71374491,
-                2 => 0xb5c0fbcf,
-                3 => 0xe9b5dba5,
-                4 => 0x3956c25b,
-                5 => 0x59f111f1,
-                6 => 0x923f82a4,
-                _ => 0xab1c5ed5,
-            };
+    fn double_sha256_digest(data: Span<u8>) -> [u32; 8] {
+        let [w0, w1, w2, w3, w4, w5, w6, w7] = sha256_digest(data);
+        compute_sha256_u32_array(array![w0, w1, w2, w3, w4, w5, w6, w7], 0, 0)
+    }
 
-            mixed = mixed * round_constant + value;
-            mixed = self.rotate_right(mixed, (index % 7) + 1);
+    /// Hash pair of values (for merkle tree construction): SHA256(SHA256(left || right))
+    /// over the children in internal byte order
+    fn hash_pair(left: u256, right: u256) -> u256 {
+        let mut words = array![];
+        append_internal_words(ref words, left);
+        append_internal_words(ref words, right);
 
-            mixed
-        }
+        let [w0, w1, w2, w3, w4, w5, w6, w7] = compute_sha256_u32_array(words, 0, 0);
+        digest_to_hash(compute_sha256_u32_array(array![w0, w1, w2, w3, w4, w5, w6, w7], 0, 0))
+    }
 
-        /// Rotate right operation (simplified)
-        fn rotate_right(self: @ContractState, value: felt252, bits: usize) -> felt252 {
-            // Simplified rotation - in production use proper bitwise operations
-            let shift = bits % 64;
-            // For now, return a simple transformation since Cairo has limited bitwise ops
-            value * 1103515245 + shift.into()
-        }
+    // A display-order hash's bytes in internal order (its little-endian
+    // bytes), appended as the big-endian words SHA-256 consumes
+    fn append_internal_words(ref words: Array<u32>, hash: u256) {
+        let mut value = hash;
+        let mut i: u32 = 0;
+        while i != 8 {
+            let limb: u32 = (value % 0x100000000).try_into().unwrap();
+            words.append(byte_swap(limb));
+            value /= 0x100000000;
+            i += 1;
+        };
+    }
 
-        /// Finalize hash with Bitcoin-style double hash
-        fn sha256_finalize(self: @ContractState, hash: felt252, length: usize) -> felt252 {
-            let mut final_hash = hash;
+    // A digest as it reads (big-endian)
+    fn digest_to_u256(digest: [u32; 8]) -> u256 {
+        let [w0, w1, w2, w3, w4, w5, w6, w7] = digest;
+        let words = array![w0, w1, w2, w3, w4, w5, w6, w7];
 
-            // Apply length padding (Bitcoin style)
-            final_hash = final_hash * 0x80000000 + length.into();
+        let mut value: u256 = 0;
+        let mut i: u32 = 0;
+        while i != 8 {
+            value = value * 0x100000000 + (*words.at(i)).into();
+            i += 1;
+        };
+        value
+    }
 
-            // Additional Bitcoin-style finalization rounds
-            let mut i: usize = 0;
-            while i != 2 {
-                final_hash = final_hash * 1103515245 + 12345;
-                i += 1;
-            }
+    // A digest (internal order) as the u256 value of its display hex
+    fn digest_to_hash(digest: [u32; 8]) -> u256 {
+        let [w0, w1, w2, w3, w4, w5, w6, w7] = digest;
+        let words = array![w0, w1, w2, w3, w4, w5, w6, w7];
 
-            final_hash
-        }
+        let mut value: u256 = 0;
+        let mut i: u32 = 8;
+        while i != 0 {
+            i -= 1;
+            value = value * 0x100000000 + byte_swap(*words.at(i)).into();
+        };
+        value
+    }
 
-        /// Hash pair of values (for merkle tree construction)
-        fn hash_pair(self: @ContractState, left: felt252, right: felt252) -> felt252 {
-            // In Bitcoin, this would be double SHA256 of concatenation
-            // For now, use a simple combination
-            let _combined = left * 31 + right;
-            self.sha256_internal(ArrayTrait::new().span())
-        }
+    fn byte_swap(word: u32) -> u32 {
+        (word & 0xff) * 0x1000000
+            + ((word / 0x100) & 0xff) * 0x10000
+            + ((word / 0x10000) & 0xff) * 0x100
+            + word / 0x1000000
     }
-}
\ No newline at end of file
+}
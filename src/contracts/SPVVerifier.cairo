@@ -2,6 +2,7 @@
 pub mod SPVVerifier {
     use starknet::{ContractAddress, get_caller_address};
     use starknet::storage::{StoragePointerReadAccess, StoragePointerWriteAccess};
+    use core::sha256::compute_sha256_u32_array;
 
     // Bitcoin transaction structure (simplified)
     #[derive(Drop, Serde, Copy)]
@@ -13,12 +14,13 @@ pub mod SPVVerifier {
         tx_id: felt252, // Transaction ID for verification
     }
 
-    // Merkle proof structure
+    // Merkle proof structure. Hashes are u256 values of their display
+    // (byte-reversed) hex, so none of the 256 bits are lost to the field prime.
     #[derive(Drop, Serde)]
     struct MerkleProof {
-        merkle_root: felt252,
-        tx_hash: felt252,
-        merkle_branch: Array<felt252>,
+        merkle_root: u256,
+        tx_hash: u256,
+        merkle_branch: Array<u256>,
         position: u32, // Position of tx in the block (0-based)
     }
 
@@ -33,17 +35,17 @@ pub mod SPVVerifier {
     #[derive(Drop, starknet::Event)]
     struct TxVerified {
         #[key]
-        tx_hash: felt252,
+        tx_hash: u256,
         #[key]
         block_height: u32,
-        merkle_root: felt252,
+        merkle_root: u256,
         verified: bool,
     }
 
     #[derive(Drop, starknet::Event)]
     struct VerificationFailed {
         #[key]
-        tx_hash: felt252,
+        tx_hash: u256,
         reason: felt252,
     }
 
@@ -83,7 +85,7 @@ pub mod SPVVerifier {
 
         // In production, this would use starknet::call_contract to query BitcoinHeaders
         // For current version, use placeholder merkle root
-        let stored_merkle_root = 0; // Would be retrieved from BitcoinHeaders contract
+        let stored_merkle_root: u256 = 0; // Would be retrieved from BitcoinHeaders contract
 
         // Extract values before consuming the struct
         let tx_hash = merkle_proof.tx_hash;
@@ -121,9 +123,9 @@ pub mod SPVVerifier {
     #[external(v0)]
     fn verify_merkle_branch(
         self: @ContractState,
-        tx_hash: felt252,
-        merkle_branch: Array<felt252>,
-        expected_root: felt252,
+        tx_hash: u256,
+        merkle_branch: Array<u256>,
+        expected_root: u256,
         position: u32
     ) -> bool {
         self.verify_merkle_proof_internal(tx_hash, merkle_branch, expected_root, position)
@@ -230,7 +232,7 @@ pub mod SPVVerifier {
         fn verify_merkle_proof(
             ref self: ContractState,
             merkle_proof: MerkleProof,
-            expected_root: felt252
+            expected_root: u256
         ) -> bool {
             self.verify_merkle_proof_internal(
                 merkle_proof.tx_hash,
@@ -242,9 +244,9 @@ pub mod SPVVerifier {
 
         fn verify_merkle_proof_internal(
             self: @ContractState,
-            tx_hash: felt252,
-            merkle_branch: Array<felt252>,
-            expected_root: felt252,
+            tx_hash: u256,
+            merkle_branch: Array<u256>,
+            expected_root: u256,
             position: u32
         ) -> bool {
             let mut current_hash = tx_hash;
@@ -270,29 +272,22 @@ pub mod SPVVerifier {
             current_hash == expected_root
         }
 
-        fn hash_pair(self: @ContractState, left: felt252, right: felt252) -> felt252 {
-            // Bitcoin-style double SHA256 hash combination
-            // In production, this would use actual SHA256(SHA256(left + right))
+        // Bitcoin's Merkle node hash: SHA256(SHA256(left || right)) over the
+        // children in internal byte order
+        fn hash_pair(self: @ContractState, left: u256, right: u256) -> u256 {
+            let mut words = array![];
+            append_internal_words(ref words, left);
+            append_internal_words(ref words, right);
 
-            // Combine left and right values
-            let combined = left * 31 + right;
-
-            // Apply Bitcoin-style transformations (simplified double hash)
-            let mut hash = combined;
-            hash = hash * 1103515245 + 12345; // First round
-            hash = hash * 1103515245 + 12345; // Second round (double hash)
-
-            // Additional mixing for better distribution
-            hash = hash * 0xD9B4BEF9 + 0x39A3; // Bitcoin magic numbers
-
-            hash
+            let [w0, w1, w2, w3, w4, w5, w6, w7] = compute_sha256_u32_array(words, 0, 0);
+            digest_to_hash(compute_sha256_u32_array(array![w0, w1, w2, w3, w4, w5, w6, w7], 0, 0))
         }
 
         fn verify_merkle_proof_with_crypto(
             self: @ContractState,
-            tx_hash: felt252,
-            merkle_root: felt252,
-            merkle_branch: Array<felt252>,
+            tx_hash: u256,
+            merkle_root: u256,
+            merkle_branch: Array<u256>,
             position: u32
         ) -> bool {
             // Enhanced merkle proof verification with Bitcoin-specific hash functions
@@ -322,7 +317,7 @@ pub mod SPVVerifier {
         /// Validate Bitcoin-specific constraints for transaction inclusion
         fn validate_bitcoin_constraints(
             self: @ContractState,
-            tx_hash: felt252,
+            tx_hash: u256,
             block_height: u32
         ) -> bool {
             // Bitcoin-specific validation rules:
@@ -347,9 +342,43 @@ pub mod SPVVerifier {
         }
     }
 
+    // A display-order hash's bytes in internal order (its little-endian
+    // bytes), appended as the big-endian words SHA-256 consumes
+    fn append_internal_words(ref words: Array<u32>, hash: u256) {
+        let mut value = hash;
+        let mut i: u32 = 0;
+        while i != 8 {
+            let limb: u32 = (value % 0x100000000).try_into().unwrap();
+            words.append(byte_swap(limb));
+            value /= 0x100000000;
+            i += 1;
+        };
+    }
+
+    // A digest (internal order) as the u256 value of its display hex
+    fn digest_to_hash(digest: [u32; 8]) -> u256 {
+        let [w0, w1, w2, w3, w4, w5, w6, w7] = digest;
+        let words = array![w0, w1, w2, w3, w4, w5, w6, w7];
+
+        let mut value: u256 = 0;
+        let mut i: u32 = 8;
+        while i != 0 {
+            i -= 1;
+            value = value * 0x100000000 + byte_swap(*words.at(i)).into();
+        };
+        value
+    }
+
+    fn byte_swap(word: u32) -> u32 {
+        (word & 0xff) * 0x1000000
+            + ((word / 0x100) & 0xff) * 0x10000
+            + ((word / 0x10000) & 0xff) * 0x100
+            + word / 0x1000000
+    }
+
     // Interface for BitcoinHeaders contract
     #[starknet::interface]
     trait IBitcoinHeaders<TContractState> {
-        fn get_merkle_root(self: @TContractState, height: u32) -> felt252;
+        fn get_merkle_root(self: @TContractState, height: u32) -> u256;
     }
 }
\ No newline at end of file